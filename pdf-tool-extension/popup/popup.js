@@ -3,7 +3,7 @@
  * Wires together all modules and handles UI interactions
  */
 
-import { loadPDFFile, exportPDF, exportMultiplePDFs, readFileAsDataURL, validateSignatureImage } from '../src/file-handler.js';
+import { loadPDFFile, exportPDF, exportMultiplePDFs, downloadPDFBytes, readFileAsArrayBuffer, readFileAsDataURL, readFileAsText, validateSignatureImage } from '../src/file-handler.js';
 import {
   loadPDFDocument,
   rotatePage,
@@ -13,25 +13,99 @@ import {
   mergePDFs,
   splitPDF,
   getPageCount,
-  copyPDFDocument
+  copyPDFDocument,
+  savePDFToBytes,
+  METADATA_FIELDS,
+  getDocumentMetadata,
+  setDocumentMetadata,
+  PAGE_SELECTIONS,
+  getSelectedPages,
+  addWatermark
 } from '../src/pdf-operations.js';
 import {
   loadSignatures,
   saveSignature,
+  saveSignatureImage,
   deleteSignature,
-  insertSignatureIntoPDF
+  insertSignatureOnPages,
+  getPositionOnPage,
+  migrateLegacySignatures,
+  mergeSyncedSignatures
 } from '../src/signature-manager.js';
-import { applyRedactions } from '../src/redaction.js';
+import { isVaultCreated, isVaultUnlocked, createVault, unlockVault, restoreVaultSession, lockVault, resetVault } from '../src/signature-vault.js';
+import { isSyncEnabled, setSyncEnabled, getSyncedVaultParams, clearSyncedSignatures } from '../src/signature-sync.js';
+import {
+  loadSigningTemplates,
+  saveSigningTemplate,
+  deleteSigningTemplate,
+  createTemplatePlacement,
+  applySigningTemplate,
+  describeSigningTemplate
+} from '../src/signing-templates.js';
+import {
+  STAMP_FIELDS,
+  loadStamps,
+  saveStamp,
+  deleteStamp,
+  getStampFieldValues,
+  renderStampImage,
+  insertStampOnPages
+} from '../src/stamp-library.js';
+import {
+  HEADER_FOOTER_FIELDS,
+  HEADER_FOOTER_PRESETS,
+  validateHeaderFooterText,
+  addHeadersAndFooters
+} from '../src/page-numbering.js';
+import { applyRedactions, REDACTION_MODES } from '../src/redaction.js';
+import { getPageGeometry } from '../src/page-transform.js';
+import { createHistory } from '../src/history.js';
+import { createSearchPattern, searchDocument, matchesToRedactionBoxes, getPageText, findTextInRect } from '../src/text-search.js';
+import { PII_DETECTORS, detectPII } from '../src/pii-detectors.js';
+import { collectRedactedText, verifyRedaction } from '../src/redaction-verifier.js';
+import { SANITIZE_CATEGORIES, sanitizePDF, formatSanitizeSummary } from '../src/sanitize.js';
+import { decryptPDF, ENCRYPTION_METHODS } from '../src/pdf-security.js';
+import { getFormFields, fillFormFields, flattenForm } from '../src/form-fields.js';
+import { SIGNATURE_FONTS, createSignaturePad, renderTypedSignature } from '../src/signature-creator.js';
+import { INK_COLORS, cleanSignatureImage } from '../src/image-cleanup.js';
+import { parseSVGSignature, renderVectorSignature } from '../src/vector-signature.js';
+import { DATE_FORMATS, DEFAULT_STAMP_SETTINGS, loadStampSettings, saveStampSettings, getStampLines } from '../src/signature-stamp.js';
+import { loadDigitalIDs, importDigitalID, deleteDigitalID, unlockDigitalID } from '../src/digital-id.js';
+import {
+  ANNOTATION_TOOLS,
+  SHAPE_TOOLS,
+  FILLABLE_TOOLS,
+  ANNOTATION_FONTS,
+  DEFAULT_ANNOTATION_COLORS,
+  NOTE_SIZE,
+  loadAnnotationAuthor,
+  saveAnnotationAuthor,
+  addAnnotations
+} from '../src/annotations.js';
+import { signPDF } from '../src/pdf-signer.js';
+import { verifySignatures } from '../src/signature-verifier.js';
 import {
   renderPageThumbnails,
   renderPageForRedaction,
   setupRedactionDrawing,
   renderSignatureLibrary,
+  renderDigitalIDList,
+  renderSigningTemplateList,
+  renderStampList,
+  renderPagePreviews,
+  renderPIIReviewList,
+  renderVerificationReport,
+  renderSignatureReports,
   setupSignaturePlacement,
+  setupAnnotationEditing,
+  renderFormPage,
+  renderFormFieldList,
   showLoading,
   hideLoading,
   showAlert,
   showConfirm,
+  showPasswordPrompt,
+  showTextPrompt,
   getSelectedPageIndices,
   updatePageCount
 } from '../src/ui-handler.js';
@@ -40,20 +114,48 @@ import {
 const state = {
   pdfDoc: null,        // PDF-lib document
   pdfJsDoc: null,      // PDF.js document
-  pdfData: null,       // Original PDF ArrayBuffer
+  pdfData: null,       // Original PDF data, decrypted if it was encrypted
+  pdfEncrypted: false, // Original file was encrypted, so pdfData is a rewrite
   fileName: null,      // Original filename
   pageOrder: [],       // Current page order
   currentMode: 'pages',
   currentRedactPage: 0,
-  redactionBoxes: {},  // Map of page index to boxes
+  redactionBoxes: {},  // Map of page index to boxes (unscaled viewport units)
+  redactionDrawing: null,
+  piiCandidates: [],   // Detected personal data awaiting review
+  metadataDirty: false, // Properties panel has edits not yet applied
+  watermarkImage: null, // Image chosen for the watermark: bytes and type
+  currentFormPage: 0,
+  formFields: [],      // Fields as last read from the document
+  formValues: {},      // Map of field name to value, including edits
+  formDirty: false,    // Form has edits not yet applied
+  currentAnnotatePage: 0,
+  annotations: {},     // Map of page index to annotations not yet added (unscaled viewport units)
+  annotationEditing: null,
+  annotationTool: ANNOTATION_TOOLS.HIGHLIGHT,
+  annotationColors: { ...DEFAULT_ANNOTATION_COLORS }, // Last color used per tool
+  annotationPageText: null, // Text of the page being annotated, for markup
   currentSignPage: 0,
   selectedSignature: null,
-  signaturePlacement: null
+  selectedStamp: null, // Stamp being placed; selectedSignature then holds its preview
+  signaturePlacement: null,
+  signatureSource: 'upload', // Active tab of the add signature dialog
+  signaturePad: null,
+  vaultMode: 'unlock', // What the lock panel does: 'unlock', 'create' or 'join'
+  stampSettings: null, // Label, date format and layout of signature timestamps
+  templatePlacements: [], // Signatures placed since opening, for a template
+  signingTemplates: [],
+  templatePreview: null, // Template shown in the preview dialog
+  digitalIds: [],
+  digitalSignAppearance: null // Visible signature for the digital sign dialog
 };
 
 // DOM Elements
 const elements = {};
 
+// Undo/redo history of document edits
+const history = createHistory();
+
 /**
  * Initialize the extension
  */
@@ -67,8 +169,24 @@ async function init() {
   // Setup event listeners
   setupEventListeners();
 
-  // Load saved signatures
+  // Build PII detector and sanitize checkboxes
+  renderPIIDetectorOptions();
+  renderSanitizeOptions();
+  renderMetadataFields();
+  renderHeaderFooterFields();
+  renderSignatureFontOptions();
+  renderInkColorOptions();
+  renderAnnotationFontOptions();
+  selectAnnotationTool(state.annotationTool);
+
+  // Load saved signatures, timestamp options, stamps, templates and digital IDs
+  await restoreSignatureVault();
   await refreshSignatureLibrary();
+  state.stampSettings = await loadStampSettings();
+  await refreshStampList();
+  elements.annotateAuthor.value = await loadAnnotationAuthor();
+  await refreshTemplateList();
+  await refreshDigitalIDList();
 }
 
 /**
@@ -80,16 +198,83 @@ function cacheElements() {
   elements.modeSelector = document.getElementById('mode-selector');
   elements.pageModeBtn = document.getElementById('page-mode-btn');
   elements.redactModeBtn = document.getElementById('redact-mode-btn');
+  elements.formsModeBtn = document.getElementById('forms-mode-btn');
+  elements.annotateModeBtn = document.getElementById('annotate-mode-btn');
   elements.signatureModeBtn = document.getElementById('signature-mode-btn');
   elements.pageManagement = document.getElementById('page-management');
   elements.pageGrid = document.getElementById('page-grid');
   elements.redactionView = document.getElementById('redaction-view');
+  elements.formsView = document.getElementById('forms-view');
+  elements.annotateView = document.getElementById('annotate-view');
   elements.signatureView = document.getElementById('signature-view');
   elements.mergeBtn = document.getElementById('merge-btn');
   elements.splitBtn = document.getElementById('split-btn');
   elements.extractBtn = document.getElementById('extract-btn');
   elements.downloadBtn = document.getElementById('download-btn');
   elements.mergeInput = document.getElementById('merge-input');
+  elements.metadataBtn = document.getElementById('metadata-btn');
+  elements.signaturesBtn = document.getElementById('signatures-btn');
+  elements.signaturePanel = document.getElementById('signature-panel');
+  elements.signaturePanelNote = document.getElementById('signature-panel-note');
+  elements.signaturePanelBody = document.getElementById('signature-panel-body');
+  elements.closeSignaturePanelBtn = document.getElementById('close-signature-panel-btn');
+  elements.metadataPanel = document.getElementById('metadata-panel');
+  elements.metadataFields = document.getElementById('metadata-fields');
+  elements.metadataResetBtn = document.getElementById('metadata-reset-btn');
+  elements.metadataApplyBtn = document.getElementById('metadata-apply-btn');
+  elements.watermarkBtn = document.getElementById('watermark-btn');
+  elements.watermarkPanel = document.getElementById('watermark-panel');
+  elements.watermarkType = document.getElementById('watermark-type');
+  elements.watermarkText = document.getElementById('watermark-text');
+  elements.watermarkFontSize = document.getElementById('watermark-font-size');
+  elements.watermarkColor = document.getElementById('watermark-color');
+  elements.watermarkImage = document.getElementById('watermark-image');
+  elements.watermarkImageScale = document.getElementById('watermark-image-scale');
+  elements.watermarkLayout = document.getElementById('watermark-layout');
+  elements.watermarkLayer = document.getElementById('watermark-layer');
+  elements.watermarkOpacity = document.getElementById('watermark-opacity');
+  elements.watermarkRotation = document.getElementById('watermark-rotation');
+  elements.watermarkPagesSelect = document.getElementById('watermark-pages-select');
+  elements.watermarkPagesRange = document.getElementById('watermark-pages-range');
+  elements.watermarkPreviewBtn = document.getElementById('watermark-preview-btn');
+  elements.watermarkCancelBtn = document.getElementById('watermark-cancel-btn');
+  elements.watermarkApplyBtn = document.getElementById('watermark-apply-btn');
+  elements.headerFooterBtn = document.getElementById('header-footer-btn');
+  elements.headerFooterPanel = document.getElementById('header-footer-panel');
+  elements.headerFooterSlots = elements.headerFooterPanel.querySelector('.header-footer-slots');
+  elements.headerFooterFields = document.getElementById('header-footer-fields');
+  elements.batesPrefix = document.getElementById('bates-prefix');
+  elements.batesStart = document.getElementById('bates-start');
+  elements.batesDigits = document.getElementById('bates-digits');
+  elements.headerFooterFontSize = document.getElementById('header-footer-font-size');
+  elements.headerFooterColor = document.getElementById('header-footer-color');
+  elements.headerFooterMarginY = document.getElementById('header-footer-margin-y');
+  elements.headerFooterMarginX = document.getElementById('header-footer-margin-x');
+  elements.headerFooterPagesSelect = document.getElementById('header-footer-pages-select');
+  elements.headerFooterPagesRange = document.getElementById('header-footer-pages-range');
+  elements.headerFooterPreviewBtn = document.getElementById('header-footer-preview-btn');
+  elements.headerFooterCancelBtn = document.getElementById('header-footer-cancel-btn');
+  elements.headerFooterApplyBtn = document.getElementById('header-footer-apply-btn');
+  elements.sanitizeBtn = document.getElementById('sanitize-btn');
+  elements.sanitizeOnDownload = document.getElementById('sanitize-on-download');
+  elements.sanitizeDialog = document.getElementById('sanitize-dialog');
+  elements.sanitizeCategories = document.getElementById('sanitize-categories');
+  elements.cancelSanitizeBtn = document.getElementById('cancel-sanitize-btn');
+  elements.applySanitizeBtn = document.getElementById('apply-sanitize-btn');
+  elements.protectBtn = document.getElementById('protect-btn');
+  elements.protectDialog = document.getElementById('protect-dialog');
+  elements.protectUserPassword = document.getElementById('protect-user-password');
+  elements.protectConfirmPassword = document.getElementById('protect-confirm-password');
+  elements.protectOwnerPassword = document.getElementById('protect-owner-password');
+  elements.protectMethod = document.getElementById('protect-method');
+  elements.protectAllowPrint = document.getElementById('protect-allow-print');
+  elements.protectAllowCopy = document.getElementById('protect-allow-copy');
+  elements.protectAllowModify = document.getElementById('protect-allow-modify');
+  elements.cancelProtectBtn = document.getElementById('cancel-protect-btn');
+  elements.applyProtectBtn = document.getElementById('apply-protect-btn');
+  elements.historyControls = document.getElementById('history-controls');
+  elements.undoBtn = document.getElementById('undo-btn');
+  elements.redoBtn = document.getElementById('redo-btn');
 
   // Redaction elements
   elements.redactPageCanvas = document.getElementById('redaction-page-canvas');
@@ -99,17 +284,91 @@ function cacheElements() {
   elements.redactPageInfo = document.getElementById('redact-page-info');
   elements.clearBoxesBtn = document.getElementById('clear-boxes-btn');
   elements.applyRedactionBtn = document.getElementById('apply-redaction-btn');
+  elements.redactionModeSelect = document.getElementById('redaction-mode-select');
+  elements.redactionModeWarning = document.getElementById('redaction-mode-warning');
+  elements.redactionReport = document.getElementById('redaction-report');
+  elements.redactionReportBody = document.getElementById('redaction-report-body');
+  elements.closeReportBtn = document.getElementById('close-report-btn');
+  elements.redactSearchInput = document.getElementById('redact-search-input');
+  elements.redactSearchRegex = document.getElementById('redact-search-regex');
+  elements.redactSearchCase = document.getElementById('redact-search-case');
+  elements.redactSearchBtn = document.getElementById('redact-search-btn');
+  elements.piiToggleBtn = document.getElementById('pii-toggle-btn');
+  elements.piiPanel = document.getElementById('pii-panel');
+  elements.piiDetectors = document.getElementById('pii-detectors');
+  elements.piiScanBtn = document.getElementById('pii-scan-btn');
+  elements.piiReviewList = document.getElementById('pii-review-list');
+  elements.piiReviewActions = document.getElementById('pii-review-actions');
+  elements.piiAcceptAllBtn = document.getElementById('pii-accept-all-btn');
+  elements.piiRejectAllBtn = document.getElementById('pii-reject-all-btn');
+  elements.piiAddBtn = document.getElementById('pii-add-btn');
+
+  // Form elements
+  elements.formPrevPage = document.getElementById('form-prev-page');
+  elements.formNextPage = document.getElementById('form-next-page');
+  elements.formPageInfo = document.getElementById('form-page-info');
+  elements.formFieldList = document.getElementById('form-field-list');
+  elements.formPageCanvas = document.getElementById('form-page-canvas');
+  elements.formFieldLayer = document.getElementById('form-field-layer');
+  elements.flattenOnDownload = document.getElementById('flatten-on-download');
+
+  // Annotation elements
+  elements.annotatePrevPage = document.getElementById('annotate-prev-page');
+  elements.annotateNextPage = document.getElementById('annotate-next-page');
+  elements.annotatePageInfo = document.getElementById('annotate-page-info');
+  elements.annotateTools = document.getElementById('annotate-tools');
+  elements.annotateColor = document.getElementById('annotate-color');
+  elements.annotateTextOptions = document.getElementById('annotate-text-options');
+  elements.annotateFont = document.getElementById('annotate-font');
+  elements.annotateFontSize = document.getElementById('annotate-font-size');
+  elements.annotateShapeOptions = document.getElementById('annotate-shape-options');
+  elements.annotateStrokeWidth = document.getElementById('annotate-stroke-width');
+  elements.annotateFillOptions = document.getElementById('annotate-fill-options');
+  elements.annotateFill = document.getElementById('annotate-fill');
+  elements.annotateFillColor = document.getElementById('annotate-fill-color');
+  elements.annotateAuthor = document.getElementById('annotate-author');
+  elements.annotatePageCanvas = document.getElementById('annotate-page-canvas');
+  elements.annotateOverlayCanvas = document.getElementById('annotate-overlay-canvas');
+  elements.annotateFlatten = document.getElementById('annotate-flatten');
+  elements.clearAnnotationsBtn = document.getElementById('clear-annotations-btn');
+  elements.applyAnnotationsBtn = document.getElementById('apply-annotations-btn');
+  elements.resetFormBtn = document.getElementById('reset-form-btn');
+  elements.flattenFormBtn = document.getElementById('flatten-form-btn');
+  elements.applyFormBtn = document.getElementById('apply-form-btn');
 
   // Signature elements
   elements.signatureLibrary = document.getElementById('signature-library');
   elements.signatureList = document.getElementById('signature-list');
   elements.addSignatureBtn = document.getElementById('add-signature-btn');
+  elements.vaultLockPanel = document.getElementById('vault-lock-panel');
+  elements.vaultLockMessage = document.getElementById('vault-lock-message');
+  elements.vaultPassphrase = document.getElementById('vault-passphrase');
+  elements.vaultConfirmGroup = document.getElementById('vault-confirm-group');
+  elements.vaultPassphraseConfirm = document.getElementById('vault-passphrase-confirm');
+  elements.vaultUnlockBtn = document.getElementById('vault-unlock-btn');
+  elements.vaultResetBtn = document.getElementById('vault-reset-btn');
+  elements.vaultContents = document.getElementById('vault-contents');
+  elements.signatureSyncToggle = document.getElementById('signature-sync-toggle');
+  elements.lockVaultBtn = document.getElementById('lock-vault-btn');
   elements.signatureUploadDialog = document.getElementById('signature-upload-dialog');
   elements.signatureName = document.getElementById('signature-name');
   elements.signatureDropzone = document.getElementById('signature-dropzone');
   elements.signatureFile = document.getElementById('signature-file');
   elements.signaturePreviewContainer = document.getElementById('signature-preview-container');
   elements.signaturePreview = document.getElementById('signature-preview');
+  elements.signatureCleanedPreview = document.getElementById('signature-cleaned-preview');
+  elements.signatureCleanupOptions = document.getElementById('signature-cleanup-options');
+  elements.signatureCleanupCheck = document.getElementById('signature-cleanup-check');
+  elements.signatureInkColor = document.getElementById('signature-ink-color');
+  elements.signatureSensitivity = document.getElementById('signature-sensitivity');
+  elements.signatureSourceTabs = document.getElementById('signature-source-tabs');
+  elements.signaturePadCanvas = document.getElementById('signature-pad');
+  elements.signaturePadUndoBtn = document.getElementById('signature-pad-undo-btn');
+  elements.signaturePadClearBtn = document.getElementById('signature-pad-clear-btn');
+  elements.typedSignatureText = document.getElementById('typed-signature-text');
+  elements.typedSignatureFont = document.getElementById('typed-signature-font');
+  elements.typedSignaturePreviewContainer = document.getElementById('typed-signature-preview-container');
+  elements.typedSignaturePreview = document.getElementById('typed-signature-preview');
   elements.saveSignatureBtn = document.getElementById('save-signature-btn');
   elements.cancelSignatureBtn = document.getElementById('cancel-signature-btn');
   elements.signaturePlacement = document.getElementById('signature-placement');
@@ -120,9 +379,75 @@ function cacheElements() {
   elements.signPageInfo = document.getElementById('sign-page-info');
   elements.rotateSigLeft = document.getElementById('rotate-sig-left');
   elements.rotateSigRight = document.getElementById('rotate-sig-right');
+  elements.addTimestampLabel = document.getElementById('add-timestamp-label');
   elements.addTimestampCheck = document.getElementById('add-timestamp-check');
+  elements.stampOptionsBtn = document.getElementById('stamp-options-btn');
+  elements.signPagesSelect = document.getElementById('sign-pages-select');
+  elements.signPagesRange = document.getElementById('sign-pages-range');
   elements.placeSignatureBtn = document.getElementById('place-signature-btn');
   elements.cancelPlacementBtn = document.getElementById('cancel-placement-btn');
+
+  // Timestamp options elements
+  elements.stampDialog = document.getElementById('stamp-dialog');
+  elements.stampLabel = document.getElementById('stamp-label');
+  elements.stampExtraLines = document.getElementById('stamp-extra-lines');
+  elements.stampSignerName = document.getElementById('stamp-signer-name');
+  elements.stampDateFormat = document.getElementById('stamp-date-format');
+  elements.stampLocaleGroup = document.getElementById('stamp-locale-group');
+  elements.stampLocale = document.getElementById('stamp-locale');
+  elements.stampPatternGroup = document.getElementById('stamp-pattern-group');
+  elements.stampPattern = document.getElementById('stamp-pattern');
+  elements.stampTimeZone = document.getElementById('stamp-time-zone');
+  elements.stampTimeZones = document.getElementById('stamp-time-zones');
+  elements.stampShowOffset = document.getElementById('stamp-show-offset');
+  elements.stampPosition = document.getElementById('stamp-position');
+  elements.stampFontSize = document.getElementById('stamp-font-size');
+  elements.stampColor = document.getElementById('stamp-color');
+  elements.stampPreview = document.getElementById('stamp-preview');
+  elements.resetStampBtn = document.getElementById('reset-stamp-btn');
+  elements.cancelStampBtn = document.getElementById('cancel-stamp-btn');
+  elements.saveStampBtn = document.getElementById('save-stamp-btn');
+
+  // Stamp library elements
+  elements.rubberStampList = document.getElementById('rubber-stamp-list');
+  elements.addRubberStampBtn = document.getElementById('add-rubber-stamp-btn');
+  elements.rubberStampDialog = document.getElementById('rubber-stamp-dialog');
+  elements.rubberStampName = document.getElementById('rubber-stamp-name');
+  elements.rubberStampText = document.getElementById('rubber-stamp-text');
+  elements.rubberStampFields = document.getElementById('rubber-stamp-fields');
+  elements.rubberStampColor = document.getElementById('rubber-stamp-color');
+  elements.rubberStampPreview = document.getElementById('rubber-stamp-preview');
+  elements.cancelRubberStampBtn = document.getElementById('cancel-rubber-stamp-btn');
+  elements.saveRubberStampBtn = document.getElementById('save-rubber-stamp-btn');
+
+  // Signing template elements
+  elements.templateList = document.getElementById('template-list');
+  elements.saveTemplateBtn = document.getElementById('save-template-btn');
+  elements.templateDialog = document.getElementById('template-dialog');
+  elements.templateSummary = document.getElementById('template-summary');
+  elements.templateName = document.getElementById('template-name');
+  elements.cancelTemplateBtn = document.getElementById('cancel-template-btn');
+  elements.saveTemplateConfirmBtn = document.getElementById('save-template-confirm-btn');
+  elements.templatePreviewDialog = document.getElementById('template-preview-dialog');
+  elements.templatePreviewTitle = document.getElementById('template-preview-title');
+  elements.templatePreviewNote = document.getElementById('template-preview-note');
+  elements.templatePreviewPages = document.getElementById('template-preview-pages');
+  elements.cancelTemplatePreviewBtn = document.getElementById('cancel-template-preview-btn');
+  elements.applyTemplateBtn = document.getElementById('apply-template-btn');
+
+  // Digital signature elements
+  elements.digitalIdList = document.getElementById('digital-id-list');
+  elements.importDigitalIdBtn = document.getElementById('import-digital-id-btn');
+  elements.digitalIdFile = document.getElementById('digital-id-file');
+  elements.signInvisibleBtn = document.getElementById('sign-invisible-btn');
+  elements.digitalSignBtn = document.getElementById('digital-sign-btn');
+  elements.digitalSignDialog = document.getElementById('digital-sign-dialog');
+  elements.digitalSignId = document.getElementById('digital-sign-id');
+  elements.digitalSignPassword = document.getElementById('digital-sign-password');
+  elements.digitalSignReason = document.getElementById('digital-sign-reason');
+  elements.digitalSignLocation = document.getElementById('digital-sign-location');
+  elements.cancelDigitalSignBtn = document.getElementById('cancel-digital-sign-btn');
+  elements.applyDigitalSignBtn = document.getElementById('apply-digital-sign-btn');
 }
 
 /**
@@ -153,6 +478,8 @@ function setupEventListeners() {
   // Mode switching
   elements.pageModeBtn.addEventListener('click', () => switchMode('pages'));
   elements.redactModeBtn.addEventListener('click', () => switchMode('redact'));
+  elements.formsModeBtn.addEventListener('click', () => switchMode('forms'));
+  elements.annotateModeBtn.addEventListener('click', () => switchMode('annotate'));
   elements.signatureModeBtn.addEventListener('click', () => switchMode('signature'));
 
   // Page actions
@@ -161,25 +488,156 @@ function setupEventListeners() {
   elements.extractBtn.addEventListener('click', handleExtract);
   elements.downloadBtn.addEventListener('click', handleDownload);
   elements.mergeInput.addEventListener('change', handleMergeFiles);
+  elements.metadataBtn.addEventListener('click', () => elements.metadataPanel.classList.toggle('hidden'));
+  elements.signaturesBtn.addEventListener('click', () => elements.signaturePanel.classList.toggle('hidden'));
+  elements.closeSignaturePanelBtn.addEventListener('click', () => elements.signaturePanel.classList.add('hidden'));
+  elements.metadataFields.addEventListener('input', () => { state.metadataDirty = true; });
+  elements.metadataResetBtn.addEventListener('click', resetMetadataForm);
+  elements.metadataApplyBtn.addEventListener('click', handleApplyMetadata);
+  elements.watermarkBtn.addEventListener('click', () => togglePreviewPanel(elements.watermarkPanel));
+  elements.watermarkCancelBtn.addEventListener('click', () => togglePreviewPanel(elements.watermarkPanel));
+  elements.watermarkType.addEventListener('change', handleWatermarkTypeChange);
+  elements.watermarkImage.addEventListener('change', handleWatermarkImageSelect);
+  elements.watermarkPagesSelect.addEventListener('change', () => {
+    const range = elements.watermarkPagesSelect.value === PAGE_SELECTIONS.RANGE;
+    elements.watermarkPagesRange.classList.toggle('hidden', !range);
+    if (range) elements.watermarkPagesRange.focus();
+  });
+  elements.watermarkPreviewBtn.addEventListener('click', handlePreviewWatermark);
+  elements.watermarkApplyBtn.addEventListener('click', handleApplyWatermark);
+  elements.headerFooterBtn.addEventListener('click', () => togglePreviewPanel(elements.headerFooterPanel));
+  elements.headerFooterCancelBtn.addEventListener('click', () => togglePreviewPanel(elements.headerFooterPanel));
+  elements.headerFooterPanel.querySelectorAll('[data-preset]').forEach(btn => {
+    btn.addEventListener('click', () => applyHeaderFooterPreset(btn.dataset.preset));
+  });
+  elements.headerFooterPagesSelect.addEventListener('change', () => {
+    const range = elements.headerFooterPagesSelect.value === PAGE_SELECTIONS.RANGE;
+    elements.headerFooterPagesRange.classList.toggle('hidden', !range);
+    if (range) elements.headerFooterPagesRange.focus();
+  });
+  elements.headerFooterPreviewBtn.addEventListener('click', handlePreviewHeaderFooter);
+  elements.headerFooterApplyBtn.addEventListener('click', handleApplyHeaderFooter);
+  elements.sanitizeBtn.addEventListener('click', () => elements.sanitizeDialog.classList.remove('hidden'));
+  elements.cancelSanitizeBtn.addEventListener('click', () => elements.sanitizeDialog.classList.add('hidden'));
+  elements.applySanitizeBtn.addEventListener('click', handleSanitize);
+  elements.protectBtn.addEventListener('click', () => elements.protectDialog.classList.remove('hidden'));
+  elements.cancelProtectBtn.addEventListener('click', hideProtectDialog);
+  elements.applyProtectBtn.addEventListener('click', handleDownloadProtected);
+
+  // History
+  elements.undoBtn.addEventListener('click', handleUndo);
+  elements.redoBtn.addEventListener('click', handleRedo);
+  document.addEventListener('keydown', handleHistoryShortcut);
 
   // Redaction controls
   elements.redactPrevPage.addEventListener('click', () => navigateRedactPage(-1));
   elements.redactNextPage.addEventListener('click', () => navigateRedactPage(1));
   elements.clearBoxesBtn.addEventListener('click', clearRedactionBoxes);
   elements.applyRedactionBtn.addEventListener('click', applyRedaction);
+  elements.redactionModeSelect.addEventListener('change', updateRedactionModeWarning);
+  elements.closeReportBtn.addEventListener('click', () => elements.redactionReport.classList.add('hidden'));
+  elements.redactSearchBtn.addEventListener('click', handleRedactSearch);
+  elements.redactSearchInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') handleRedactSearch();
+  });
+  elements.piiToggleBtn.addEventListener('click', () => elements.piiPanel.classList.toggle('hidden'));
+  elements.piiScanBtn.addEventListener('click', handlePIIScan);
+  elements.piiAcceptAllBtn.addEventListener('click', () => setAllPIICandidates(true));
+  elements.piiRejectAllBtn.addEventListener('click', () => setAllPIICandidates(false));
+  elements.piiAddBtn.addEventListener('click', handleAddAcceptedPII);
+
+  // Form controls
+  elements.formPrevPage.addEventListener('click', () => navigateFormPage(-1));
+  elements.formNextPage.addEventListener('click', () => navigateFormPage(1));
+  elements.resetFormBtn.addEventListener('click', resetFormValues);
+  elements.flattenFormBtn.addEventListener('click', handleFlattenForm);
+  elements.applyFormBtn.addEventListener('click', handleApplyForm);
+
+  // Annotation controls
+  elements.annotatePrevPage.addEventListener('click', () => navigateAnnotatePage(-1));
+  elements.annotateNextPage.addEventListener('click', () => navigateAnnotatePage(1));
+  elements.annotateTools.addEventListener('click', (e) => {
+    const button = e.target.closest('.tool-btn');
+    if (button) selectAnnotationTool(button.dataset.tool);
+  });
+  elements.annotateColor.addEventListener('input', () => {
+    state.annotationColors[state.annotationTool] = elements.annotateColor.value;
+  });
+  elements.annotateAuthor.addEventListener('change', () => saveAnnotationAuthor(elements.annotateAuthor.value));
+  elements.clearAnnotationsBtn.addEventListener('click', clearAnnotations);
+  elements.applyAnnotationsBtn.addEventListener('click', handleApplyAnnotations);
 
   // Signature controls
   elements.addSignatureBtn.addEventListener('click', showSignatureDialog);
+  elements.vaultUnlockBtn.addEventListener('click', handleVaultUnlock);
+  [elements.vaultPassphrase, elements.vaultPassphraseConfirm].forEach(input => {
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') handleVaultUnlock();
+    });
+  });
+  elements.vaultResetBtn.addEventListener('click', handleResetVault);
+  elements.lockVaultBtn.addEventListener('click', handleLockVault);
+  elements.signatureSyncToggle.addEventListener('change', handleSyncToggle);
   elements.signatureDropzone.addEventListener('click', () => elements.signatureFile.click());
   elements.signatureFile.addEventListener('change', handleSignatureFileSelect);
+  elements.signatureCleanupCheck.addEventListener('change', updateSignatureCleanupPreview);
+  elements.signatureInkColor.addEventListener('change', updateSignatureCleanupPreview);
+  elements.signatureSensitivity.addEventListener('change', updateSignatureCleanupPreview);
+  elements.signatureSourceTabs.addEventListener('click', (e) => {
+    if (e.target.dataset.source) switchSignatureSource(e.target.dataset.source);
+  });
+  elements.signaturePadUndoBtn.addEventListener('click', () => state.signaturePad?.undo());
+  elements.signaturePadClearBtn.addEventListener('click', () => state.signaturePad?.clear());
+  elements.typedSignatureText.addEventListener('input', updateTypedSignaturePreview);
+  elements.typedSignatureFont.addEventListener('change', updateTypedSignaturePreview);
   elements.saveSignatureBtn.addEventListener('click', handleSaveSignature);
   elements.cancelSignatureBtn.addEventListener('click', hideSignatureDialog);
   elements.signPrevPage.addEventListener('click', () => navigateSignPage(-1));
   elements.signNextPage.addEventListener('click', () => navigateSignPage(1));
   elements.rotateSigLeft.addEventListener('click', () => state.signaturePlacement?.rotateLeft());
   elements.rotateSigRight.addEventListener('click', () => state.signaturePlacement?.rotateRight());
+  elements.signPagesSelect.addEventListener('change', () => {
+    const range = elements.signPagesSelect.value === PAGE_SELECTIONS.RANGE;
+    elements.signPagesRange.classList.toggle('hidden', !range);
+    if (range) elements.signPagesRange.focus();
+  });
   elements.placeSignatureBtn.addEventListener('click', handlePlaceSignature);
   elements.cancelPlacementBtn.addEventListener('click', cancelSignaturePlacement);
+
+  // Timestamp options
+  elements.stampOptionsBtn.addEventListener('click', showStampDialog);
+  elements.stampDialog.addEventListener('input', updateStampPreview);
+  elements.stampDialog.addEventListener('change', updateStampPreview);
+  elements.resetStampBtn.addEventListener('click', () => fillStampForm(DEFAULT_STAMP_SETTINGS));
+  elements.cancelStampBtn.addEventListener('click', hideStampDialog);
+  elements.saveStampBtn.addEventListener('click', handleSaveStampSettings);
+
+  // Stamp library
+  elements.addRubberStampBtn.addEventListener('click', showRubberStampDialog);
+  elements.rubberStampDialog.addEventListener('input', updateRubberStampPreview);
+  elements.cancelRubberStampBtn.addEventListener('click', hideRubberStampDialog);
+  elements.saveRubberStampBtn.addEventListener('click', handleSaveRubberStamp);
+
+  // Signing templates
+  elements.saveTemplateBtn.addEventListener('click', showTemplateDialog);
+  elements.cancelTemplateBtn.addEventListener('click', hideTemplateDialog);
+  elements.saveTemplateConfirmBtn.addEventListener('click', handleSaveTemplate);
+  elements.templateName.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') handleSaveTemplate();
+  });
+  elements.cancelTemplatePreviewBtn.addEventListener('click', hideTemplatePreview);
+  elements.applyTemplateBtn.addEventListener('click', handleApplyTemplate);
+
+  // Digital signature controls
+  elements.importDigitalIdBtn.addEventListener('click', () => elements.digitalIdFile.click());
+  elements.digitalIdFile.addEventListener('change', handleDigitalIDFileSelect);
+  elements.signInvisibleBtn.addEventListener('click', () => showDigitalSignDialog(null));
+  elements.digitalSignBtn.addEventListener('click', handleVisibleDigitalSign);
+  elements.cancelDigitalSignBtn.addEventListener('click', hideDigitalSignDialog);
+  elements.applyDigitalSignBtn.addEventListener('click', handleDigitalSign);
+  elements.digitalSignPassword.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') handleDigitalSign();
+  });
 }
 
 /**
@@ -229,27 +687,45 @@ async function loadPDF(file) {
   try {
     // Load file
     const { data, name } = await loadPDFFile(file);
-    state.pdfData = data;
+
+    // Load with PDF.js, asking for a password and decrypting if needed
+    const opened = await openPDFData(data, name);
+    state.pdfData = opened.data;
+    state.pdfEncrypted = opened.encrypted;
     state.fileName = name;
+    state.pdfJsDoc = opened.pdfJsDoc;
 
     // Load with PDF-lib
-    state.pdfDoc = await loadPDFDocument(data);
-
-    // Load with PDF.js
-    state.pdfJsDoc = await window.pdfjsLib.getDocument({ data: data.slice(0) }).promise;
+    state.pdfDoc = await loadPDFDocument(opened.data);
 
     // Initialize page order
     const pageCount = getPageCount(state.pdfDoc);
     state.pageOrder = Array.from({ length: pageCount }, (_, i) => i);
 
+    // Start a fresh history for the new document
+    history.clear();
+    updateHistoryButtons();
+    state.redactionBoxes = {};
+    state.annotations = {};
+    state.templatePlacements = [];
+    state.metadataDirty = false;
+    state.formDirty = false;
+    clearPIIReview();
+    updateSaveTemplateButton();
+
     // Update UI
     updatePageCount(pageCount);
     elements.uploadArea.classList.add('hidden');
     elements.modeSelector.classList.remove('hidden');
+    elements.historyControls.classList.remove('hidden');
 
     // Render initial view
     await switchMode('pages');
 
+    // Check signatures against the file exactly as received
+    showLoading('Checking signatures...');
+    await checkDocumentSignatures(data);
+
     hideLoading();
   } catch (error) {
     hideLoading();
@@ -258,6 +734,84 @@ async function loadPDF(file) {
   }
 }
 
+/**
+ * Verify the digital signatures of a file and show them in the signature
+ * panel, which opens by itself when there are any
+ * @param {ArrayBuffer} data - The file as received, before any decryption
+ */
+async function checkDocumentSignatures(data) {
+  elements.signaturePanel.classList.add('hidden');
+  elements.signaturesBtn.classList.add('hidden');
+
+  let reports;
+  try {
+    reports = await verifySignatures(new Uint8Array(data.slice(0)));
+  } catch (error) {
+    console.error('Signature check error:', error);
+    return;
+  }
+
+  if (reports.length === 0) return;
+
+  const count = reports.length === 1 ? 'This PDF has 1 digital signature' : `This PDF has ${reports.length} digital signatures`;
+  elements.signaturePanelNote.textContent = `${count}, checked as received. Edits made here are not covered by them.`;
+  renderSignatureReports(reports, elements.signaturePanelBody);
+
+  elements.signaturesBtn.classList.remove('hidden');
+  elements.signaturePanel.classList.remove('hidden');
+}
+
+/**
+ * Open PDF data with PDF.js, prompting for a password if the document is
+ * protected. Encrypted documents are decrypted so that PDF-lib can edit them.
+ * @param {ArrayBuffer} data - The PDF data
+ * @param {string} fileName - Name shown in the password prompt
+ * @returns {Promise<{data: ArrayBuffer|Uint8Array, pdfJsDoc: Object, encrypted: boolean}>}
+ *   Plain PDF data, the PDF.js document loaded from it, and whether it had
+ *   to be decrypted
+ */
+async function openPDFData(data, fileName) {
+  const { PasswordResponses } = window.pdfjsLib;
+  let password = '';
+  let pdfJsDoc = null;
+
+  while (!pdfJsDoc) {
+    try {
+      // PDF.js takes ownership of the buffer it is given, so hand it a copy
+      pdfJsDoc = await window.pdfjsLib.getDocument({ data: data.slice(0), password }).promise;
+    } catch (error) {
+      if (error.name !== 'PasswordException') throw error;
+
+      const message = error.code === PasswordResponses.INCORRECT_PASSWORD
+        ? 'Incorrect password. Please try again.'
+        : `"${fileName}" is password protected. Enter its password to open it.`;
+
+      hideLoading();
+      password = await showPasswordPrompt(message);
+      if (password === null) {
+        throw new Error('A password is required to open this PDF');
+      }
+      showLoading('Opening PDF...');
+    }
+  }
+
+  // Documents with only an owner password open without a prompt but are
+  // still encrypted
+  const { info } = await pdfJsDoc.getMetadata();
+  if (!info.EncryptFilterName) {
+    return { data, pdfJsDoc, encrypted: false };
+  }
+
+  showLoading('Decrypting PDF...');
+  await pdfJsDoc.destroy();
+  const decrypted = await decryptPDF(data, password);
+  return {
+    data: decrypted,
+    pdfJsDoc: await window.pdfjsLib.getDocument({ data: decrypted.slice(0) }).promise,
+    encrypted: true
+  };
+}
+
 /**
  * Switch between modes
  */
@@ -272,6 +826,8 @@ async function switchMode(mode) {
   // Hide all views
   elements.pageManagement.classList.add('hidden');
   elements.redactionView.classList.add('hidden');
+  elements.formsView.classList.add('hidden');
+  elements.annotateView.classList.add('hidden');
   elements.signatureView.classList.add('hidden');
 
   // Show selected view
@@ -285,6 +841,16 @@ async function switchMode(mode) {
       state.currentRedactPage = 0;
       await renderRedactionPage();
       break;
+    case 'forms':
+      elements.formsView.classList.remove('hidden');
+      state.currentFormPage = 0;
+      await renderFormView();
+      break;
+    case 'annotate':
+      elements.annotateView.classList.remove('hidden');
+      state.currentAnnotatePage = 0;
+      await renderAnnotatePage();
+      break;
     case 'signature':
       elements.signatureView.classList.remove('hidden');
       elements.signatureLibrary.classList.remove('hidden');
@@ -300,6 +866,7 @@ async function switchMode(mode) {
 async function renderPages() {
   showLoading('Rendering pages...');
 
+  elements.pageGrid.classList.remove('previewing');
   await renderPageThumbnails(state.pdfJsDoc, elements.pageGrid, {
     onRotate: handleRotatePage,
     onDelete: handleDeletePage,
@@ -307,9 +874,38 @@ async function renderPages() {
     onReorder: handlePageReorder
   });
 
+  // Show the current properties unless the user is editing them
+  if (!state.metadataDirty) {
+    fillMetadataForm(getDocumentMetadata(state.pdfDoc));
+  }
+
   hideLoading();
 }
 
+/**
+ * Show a changed copy of the document on the thumbnails, as a preview.
+ * renderPages puts the real pages back.
+ * @param {PDFDocument} previewDoc - The changed copy
+ */
+async function renderPreviewThumbnails(previewDoc) {
+  const previewJsDoc = await window.pdfjsLib.getDocument({ data: await previewDoc.save() }).promise;
+  elements.pageGrid.classList.add('previewing');
+  await renderPageThumbnails(previewJsDoc, elements.pageGrid);
+  await previewJsDoc.destroy();
+}
+
+/**
+ * Show or hide a panel that previews on the thumbnails, putting back the
+ * real thumbnails when it closes
+ * @param {HTMLElement} panel - The panel
+ */
+async function togglePreviewPanel(panel) {
+  const hidden = panel.classList.toggle('hidden');
+  if (hidden && elements.pageGrid.classList.contains('previewing')) {
+    await renderPages();
+  }
+}
+
 /**
  * Handle page rotation
  */
@@ -317,6 +913,7 @@ async function handleRotatePage(pageIndex) {
   showLoading('Rotating page...');
 
   try {
+    await recordHistory('Rotate page');
     state.pdfDoc = rotatePage(state.pdfDoc, pageIndex, 90);
 
     // Refresh PDF.js document
@@ -349,6 +946,7 @@ async function handleDeletePage(pageIndex) {
   showLoading('Deleting page...');
 
   try {
+    await recordHistory('Delete page');
     state.pdfDoc = deletePages(state.pdfDoc, [pageIndex]);
 
     // Refresh PDF.js document
@@ -387,6 +985,7 @@ async function handlePageReorder(fromIndex, toIndex) {
     newOrder.splice(toIndex, 0, removed);
 
     // Reorder PDF
+    await recordHistory('Reorder pages');
     state.pdfDoc = await reorderPages(state.pdfDoc, newOrder);
 
     // Refresh PDF.js document
@@ -421,12 +1020,14 @@ async function handleMergeFiles(e) {
     // Load additional PDFs
     const additionalDocs = [];
     for (const file of files) {
-      const { data } = await loadPDFFile(file);
-      const doc = await loadPDFDocument(data);
-      additionalDocs.push(doc);
+      const { data, name } = await loadPDFFile(file);
+      const opened = await openPDFData(data, name);
+      await opened.pdfJsDoc.destroy();
+      additionalDocs.push(await loadPDFDocument(opened.data));
     }
 
     // Merge with current document
+    await recordHistory('Merge PDFs');
     state.pdfDoc = await mergePDFs([state.pdfDoc, ...additionalDocs]);
 
     // Refresh PDF.js document
@@ -501,330 +1102,2632 @@ async function handleExtract() {
  * Handle download button click
  */
 async function handleDownload() {
+  await downloadDocument();
+}
+
+/**
+ * Download the current document, honouring "Sanitize on download" and
+ * edits that have not been applied yet
+ * @param {ProtectionOptions} [protect] - Encrypt the download with these settings
+ * @returns {Promise<boolean>} True if the download went ahead
+ */
+async function downloadDocument(protect) {
+  const sanitize = elements.sanitizeOnDownload.checked ? getSelectedSanitizeCategories() : [];
+  if (elements.sanitizeOnDownload.checked && sanitize.length === 0) {
+    showAlert('Choose at least one category under Sanitize, or untick "Sanitize on download".', 'warning');
+    return false;
+  }
+
   showLoading('Preparing download...');
 
   try {
-    await exportPDF(state.pdfDoc, state.fileName);
+    // Properties, form values and annotations not applied yet still go into the download
+    if (state.metadataDirty) {
+      await applyMetadataEdits();
+    }
+    if (state.formDirty) {
+      await applyFormEdits();
+    }
+    if (hasPendingAnnotations()) {
+      await applyAnnotationEdits();
+    }
+
+    const flatten = elements.flattenOnDownload.checked;
+    const results = await exportPDF(state.pdfDoc, state.fileName, { flatten, sanitize, protect });
+    if (results) {
+      showAlert(`Downloaded a sanitized copy.\n\n${formatSanitizeSummary(results)}`, 'success');
+    }
   } catch (error) {
     showAlert(`Failed to download: ${error.message}`, 'error');
+    hideLoading();
+    return false;
   }
 
   hideLoading();
+  return true;
 }
 
-// ============ Redaction Functions ============
+// ============ Protect Functions ============
 
 /**
- * Render current redaction page
+ * Read the protect dialog into encryption options
+ * @returns {ProtectionOptions} Passwords, cipher and permissions
  */
-async function renderRedactionPage() {
-  const pageCount = getPageCount(state.pdfDoc);
-  elements.redactPageInfo.textContent = `Page ${state.currentRedactPage + 1} of ${pageCount}`;
-  elements.redactPrevPage.disabled = state.currentRedactPage === 0;
-  elements.redactNextPage.disabled = state.currentRedactPage >= pageCount - 1;
+function getProtectionOptions() {
+  return {
+    userPassword: elements.protectUserPassword.value,
+    ownerPassword: elements.protectOwnerPassword.value,
+    method: elements.protectMethod.value === ENCRYPTION_METHODS.AES_128
+      ? ENCRYPTION_METHODS.AES_128
+      : ENCRYPTION_METHODS.AES_256,
+    permissions: {
+      print: elements.protectAllowPrint.checked,
+      copy: elements.protectAllowCopy.checked,
+      modify: elements.protectAllowModify.checked
+    }
+  };
+}
 
-  // Get PDF.js page (1-indexed)
-  const pdfJsPage = await state.pdfJsDoc.getPage(state.currentRedactPage + 1);
+/**
+ * Close the protect dialog and forget the typed passwords
+ */
+function hideProtectDialog() {
+  elements.protectDialog.classList.add('hidden');
+  elements.protectUserPassword.value = '';
+  elements.protectConfirmPassword.value = '';
+  elements.protectOwnerPassword.value = '';
+}
 
-  // Render page
-  await renderPageForRedaction(
-    pdfJsPage,
-    elements.redactPageCanvas,
-    elements.redactOverlayCanvas
-  );
+/**
+ * Download an encrypted copy with the settings from the protect dialog
+ */
+async function handleDownloadProtected() {
+  const options = getProtectionOptions();
 
-  // Initialize redaction boxes for this page if not exists
-  if (!state.redactionBoxes[state.currentRedactPage]) {
-    state.redactionBoxes[state.currentRedactPage] = [];
+  if (!options.userPassword) {
+    showAlert('Enter a password for opening the PDF.', 'warning');
+    return;
   }
 
-  // Setup drawing
-  const boxState = { boxes: state.redactionBoxes[state.currentRedactPage] };
-  setupRedactionDrawing(elements.redactOverlayCanvas, boxState, (boxes) => {
-    state.redactionBoxes[state.currentRedactPage] = boxes;
-  });
+  if (options.userPassword !== elements.protectConfirmPassword.value) {
+    showAlert('The open passwords do not match.', 'warning');
+    return;
+  }
+
+  if (options.ownerPassword && options.ownerPassword === options.userPassword) {
+    showAlert('Use a different owner password, otherwise anyone who can open the PDF can lift the restrictions.', 'warning');
+    return;
+  }
+
+  if (await downloadDocument(options)) {
+    hideProtectDialog();
+  }
 }
 
+// ============ Metadata Functions ============
+
 /**
- * Navigate redaction pages
+ * Build one labelled input per document information field
  */
-function navigateRedactPage(delta) {
-  const newPage = state.currentRedactPage + delta;
-  const pageCount = getPageCount(state.pdfDoc);
+function renderMetadataFields() {
+  for (const field of METADATA_FIELDS) {
+    const id = `metadata-${field.key}`;
+
+    const label = document.createElement('label');
+    label.htmlFor = id;
+    label.textContent = field.label;
+
+    const input = document.createElement('input');
+    input.id = id;
+    input.type = field.type === 'date' ? 'datetime-local' : 'text';
+    input.dataset.key = field.key;
+    if (field.type === 'date') {
+      // Show seconds, which PDF dates carry
+      input.step = '1';
+    }
 
-  if (newPage >= 0 && newPage < pageCount) {
-    state.currentRedactPage = newPage;
-    renderRedactionPage();
+    elements.metadataFields.append(label, input);
   }
 }
 
 /**
- * Clear redaction boxes on current page
+ * Show metadata values in the properties panel
+ * @param {Object} metadata - Values from getDocumentMetadata
  */
-function clearRedactionBoxes() {
-  state.redactionBoxes[state.currentRedactPage] = [];
-  renderRedactionPage();
+function fillMetadataForm(metadata) {
+  for (const field of METADATA_FIELDS) {
+    const input = document.getElementById(`metadata-${field.key}`);
+    const value = metadata[field.key];
+    input.value = field.type === 'date' ? formatDateTimeLocal(value) : (value || '');
+    input.defaultValue = input.value;
+  }
+  state.metadataDirty = false;
 }
 
 /**
- * Apply redaction to PDF
+ * Read the fields of the properties panel that were edited, so the others
+ * keep their exact values, such as dates with their time zone
+ * @returns {Object} Values keyed by METADATA_FIELDS key
  */
-async function applyRedaction() {
-  // Check if there are any redaction boxes
-  const hasRedactions = Object.values(state.redactionBoxes).some(boxes => boxes && boxes.length > 0);
-
-  if (!hasRedactions) {
-    showAlert('No redaction boxes drawn. Draw boxes on areas you want to redact.', 'warning');
-    return;
+function readMetadataForm() {
+  const metadata = {};
+  for (const field of METADATA_FIELDS) {
+    const input = document.getElementById(`metadata-${field.key}`);
+    if (input.value === input.defaultValue) continue;
+
+    const value = input.value.trim();
+    metadata[field.key] = field.type === 'date' && value ? new Date(value) : value;
   }
+  return metadata;
+}
 
-  if (!showConfirm('Apply redaction? This will convert affected pages to images and cannot be undone.')) {
-    return;
-  }
+/**
+ * Format a date for a datetime-local input, in local time
+ * @param {Date} [date] - The date
+ * @returns {string} e.g. "2024-03-01T14:30:05", or '' when not set
+ */
+function formatDateTimeLocal(date) {
+  if (!(date instanceof Date) || isNaN(date.getTime())) return '';
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+    `T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
 
-  showLoading('Applying redaction...');
+/**
+ * Discard unapplied edits in the properties panel
+ */
+function resetMetadataForm() {
+  if (!state.pdfDoc) return;
+  fillMetadataForm(getDocumentMetadata(state.pdfDoc));
+}
 
-  try {
-    // Make a copy to work with
-    state.pdfDoc = await copyPDFDocument(state.pdfDoc);
+/**
+ * Write the properties panel back to the document
+ */
+async function applyMetadataEdits() {
+  await recordHistory('Edit properties');
+  setDocumentMetadata(state.pdfDoc, readMetadataForm());
+  fillMetadataForm(getDocumentMetadata(state.pdfDoc));
+}
 
-    // Apply redactions
-    await applyRedactions(state.pdfDoc, state.pdfJsDoc, state.redactionBoxes, (current, total) => {
-      showLoading(`Redacting page ${current} of ${total}...`);
-    });
+/**
+ * Handle the properties Apply button
+ */
+async function handleApplyMetadata() {
+  if (!state.pdfDoc) return;
 
-    // Refresh PDF.js document
-    const pdfBytes = await state.pdfDoc.save();
-    state.pdfJsDoc = await window.pdfjsLib.getDocument({ data: pdfBytes }).promise;
+  try {
+    await applyMetadataEdits();
+    showAlert('Document properties updated', 'success');
+  } catch (error) {
+    showAlert(`Failed to update properties: ${error.message}`, 'error');
+    console.error('Properties error:', error);
+  }
+}
 
-    // Clear redaction boxes
-    state.redactionBoxes = {};
+// ============ Watermark Functions ============
 
-    // Re-render current page
-    await renderRedactionPage();
+/**
+ * Handle the watermark type select
+ */
+function handleWatermarkTypeChange() {
+  elements.watermarkPanel.dataset.type = elements.watermarkType.value;
+}
 
-    showAlert('Redaction applied successfully. Verify the result and download.', 'success');
-  } catch (error) {
-    showAlert(`Redaction failed: ${error.message}`, 'error');
-    console.error('Redaction error:', error);
+/**
+ * Handle choosing a watermark image
+ */
+async function handleWatermarkImageSelect(e) {
+  const file = e.target.files[0];
+  state.watermarkImage = null;
+  if (!file) return;
+
+  if (file.type !== 'image/png' && file.type !== 'image/jpeg') {
+    showAlert('Please use a PNG or JPEG image', 'error');
+    elements.watermarkImage.value = '';
+    return;
   }
 
-  hideLoading();
+  state.watermarkImage = {
+    bytes: new Uint8Array(await readFileAsArrayBuffer(file)),
+    type: file.type === 'image/png' ? 'png' : 'jpeg'
+  };
 }
 
-// ============ Signature Functions ============
-
 /**
- * Refresh signature library display
+ * Read the watermark panel
+ * @returns {{pageIndices: number[], options: Object}} Pages and options for
+ *   addWatermark
  */
-async function refreshSignatureLibrary() {
-  const signatures = await loadSignatures();
-
-  renderSignatureLibrary(signatures, elements.signatureList, {
-    onSelect: handleSignatureSelect,
-    onDelete: handleSignatureDelete
+function readWatermarkForm() {
+  const pageIndices = getSelectedPages(elements.watermarkPagesSelect.value, getPageCount(state.pdfDoc), {
+    range: elements.watermarkPagesRange.value
   });
+  if (pageIndices.length === 0) {
+    throw new Error('The document has no pages of that kind');
+  }
+
+  const options = {
+    layout: elements.watermarkLayout.value,
+    layer: elements.watermarkLayer.value,
+    opacity: Number(elements.watermarkOpacity.value) / 100,
+    rotation: Number(elements.watermarkRotation.value) || 0
+  };
+
+  if (elements.watermarkType.value === 'image') {
+    if (!state.watermarkImage) {
+      throw new Error('Choose an image for the watermark');
+    }
+    options.image = state.watermarkImage;
+    options.imageScale = Number(elements.watermarkImageScale.value) / 100;
+  } else {
+    if (!elements.watermarkText.value.trim()) {
+      throw new Error('Enter the watermark text');
+    }
+    options.text = elements.watermarkText.value;
+    options.fontSize = Math.min(200, Math.max(8, Number(elements.watermarkFontSize.value) || 60));
+    options.color = elements.watermarkColor.value;
+  }
+
+  return { pageIndices, options };
 }
 
 /**
- * Handle signature selection
+ * Show the watermark on the thumbnails, drawn on a copy of the document
  */
-async function handleSignatureSelect(signature) {
-  state.selectedSignature = signature;
+async function handlePreviewWatermark() {
+  if (!state.pdfDoc) return;
 
-  // Show placement view if PDF is loaded
-  if (state.pdfDoc) {
-    elements.signatureLibrary.classList.add('hidden');
-    elements.signaturePlacement.classList.remove('hidden');
-    state.currentSignPage = 0;
-    await renderSignaturePage();
+  let watermark;
+  try {
+    watermark = readWatermarkForm();
+  } catch (error) {
+    showAlert(error.message, 'warning');
+    return;
+  }
+
+  showLoading('Rendering preview...');
+
+  try {
+    const previewDoc = await copyPDFDocument(state.pdfDoc);
+    await addWatermark(previewDoc, watermark.pageIndices, watermark.options);
+    await renderPreviewThumbnails(previewDoc);
+  } catch (error) {
+    showAlert(`Failed to preview watermark: ${error.message}`, 'error');
+    console.error('Watermark preview error:', error);
   }
+
+  hideLoading();
 }
 
 /**
- * Handle signature deletion
+ * Handle the watermark Apply button
  */
-async function handleSignatureDelete(signatureId) {
-  if (!showConfirm('Delete this signature?')) {
+async function handleApplyWatermark() {
+  if (!state.pdfDoc) return;
+
+  let watermark;
+  try {
+    watermark = readWatermarkForm();
+  } catch (error) {
+    showAlert(error.message, 'warning');
     return;
   }
 
+  showLoading('Adding watermark...');
+
   try {
-    await deleteSignature(signatureId);
-    await refreshSignatureLibrary();
+    await recordHistory('Add watermark');
+    await addWatermark(state.pdfDoc, watermark.pageIndices, watermark.options);
+
+    // Refresh PDF.js document
+    const pdfBytes = await state.pdfDoc.save();
+    state.pdfJsDoc = await window.pdfjsLib.getDocument({ data: pdfBytes }).promise;
+
+    elements.watermarkPanel.classList.add('hidden');
+    await renderPages();
+
+    const count = watermark.pageIndices.length;
+    showAlert(`Watermark added to ${count} page${count === 1 ? '' : 's'}`, 'success');
   } catch (error) {
-    showAlert(`Failed to delete: ${error.message}`, 'error');
+    showAlert(`Failed to add watermark: ${error.message}`, 'error');
+    console.error('Watermark error:', error);
   }
+
+  hideLoading();
 }
 
+// ============ Header and Footer Functions ============
+
 /**
- * Show signature upload dialog
+ * List the fields header and footer text may use
  */
-function showSignatureDialog() {
-  elements.signatureUploadDialog.classList.remove('hidden');
-  elements.signatureName.value = '';
-  elements.signatureFile.value = '';
-  elements.signaturePreviewContainer.classList.add('hidden');
+function renderHeaderFooterFields() {
+  elements.headerFooterFields.textContent = 'Fields: ' +
+    Object.entries(HEADER_FOOTER_FIELDS).map(([field, description]) => `{${field}} ${description.toLowerCase()}`).join('; ');
 }
 
 /**
- * Hide signature upload dialog
+ * Fill slots from a preset, leaving the other slots as they are
+ * @param {string} preset - Key of HEADER_FOOTER_PRESETS
  */
-function hideSignatureDialog() {
-  elements.signatureUploadDialog.classList.add('hidden');
+function applyHeaderFooterPreset(preset) {
+  for (const [slot, text] of Object.entries(HEADER_FOOTER_PRESETS[preset])) {
+    elements.headerFooterSlots.querySelector(`[data-slot="${slot}"]`).value = text;
+  }
 }
 
 /**
- * Handle signature file selection
+ * Read the header and footer panel
+ * @returns {{pageIndices: number[], options: Object}} Pages and options for
+ *   addHeadersAndFooters
  */
-async function handleSignatureFileSelect(e) {
-  const file = e.target.files[0];
-  if (!file) return;
+function readHeaderFooterForm() {
+  const slots = {};
+  for (const input of elements.headerFooterSlots.querySelectorAll('[data-slot]')) {
+    slots[input.dataset.slot] = input.value;
+  }
+  validateHeaderFooterText(slots);
 
-  const validation = validateSignatureImage(file);
-  if (!validation.valid) {
-    showAlert(validation.error, 'error');
-    return;
+  const pageIndices = getSelectedPages(elements.headerFooterPagesSelect.value, getPageCount(state.pdfDoc), {
+    range: elements.headerFooterPagesRange.value
+  });
+  if (pageIndices.length === 0) {
+    throw new Error('The document has no pages of that kind');
   }
 
-  const dataURL = await readFileAsDataURL(file);
-  elements.signaturePreview.src = dataURL;
-  elements.signaturePreviewContainer.classList.remove('hidden');
+  const options = {
+    slots,
+    values: getCurrentStampValues(),
+    bates: {
+      prefix: elements.batesPrefix.value.trim(),
+      start: Math.max(0, parseInt(elements.batesStart.value, 10) || 0),
+      digits: Math.min(12, Math.max(1, parseInt(elements.batesDigits.value, 10) || 1))
+    },
+    fontSize: Math.min(36, Math.max(6, Number(elements.headerFooterFontSize.value) || 10)),
+    color: elements.headerFooterColor.value,
+    marginY: Math.max(0, Number(elements.headerFooterMarginY.value) || 0),
+    marginX: Math.max(0, Number(elements.headerFooterMarginX.value) || 0)
+  };
+
+  return { pageIndices, options };
 }
 
 /**
- * Handle save signature button
+ * Show the headers and footers on the thumbnails, drawn on a copy of the
+ * document
  */
-async function handleSaveSignature() {
-  const name = elements.signatureName.value.trim();
-  const file = elements.signatureFile.files[0];
+async function handlePreviewHeaderFooter() {
+  if (!state.pdfDoc) return;
 
-  if (!file) {
-    showAlert('Please select an image file', 'warning');
+  let headerFooter;
+  try {
+    headerFooter = readHeaderFooterForm();
+  } catch (error) {
+    showAlert(error.message, 'warning');
     return;
   }
 
-  showLoading('Saving signature...');
+  showLoading('Rendering preview...');
 
   try {
-    await saveSignature(name || 'Signature', file);
-    hideSignatureDialog();
-    await refreshSignatureLibrary();
-    showAlert('Signature saved', 'success');
+    const previewDoc = await copyPDFDocument(state.pdfDoc);
+    await addHeadersAndFooters(previewDoc, headerFooter.pageIndices, headerFooter.options);
+    await renderPreviewThumbnails(previewDoc);
   } catch (error) {
-    showAlert(`Failed to save: ${error.message}`, 'error');
+    showAlert(`Failed to preview headers and footers: ${error.message}`, 'error');
+    console.error('Header and footer preview error:', error);
   }
 
   hideLoading();
 }
 
 /**
- * Render signature placement page
+ * Handle the header and footer Apply button
  */
-async function renderSignaturePage() {
+async function handleApplyHeaderFooter() {
+  if (!state.pdfDoc) return;
+
+  let headerFooter;
+  try {
+    headerFooter = readHeaderFooterForm();
+  } catch (error) {
+    showAlert(error.message, 'warning');
+    return;
+  }
+
+  showLoading('Adding headers and footers...');
+
+  try {
+    await recordHistory('Add headers and footers');
+    await addHeadersAndFooters(state.pdfDoc, headerFooter.pageIndices, headerFooter.options);
+
+    // Refresh PDF.js document
+    const pdfBytes = await state.pdfDoc.save();
+    state.pdfJsDoc = await window.pdfjsLib.getDocument({ data: pdfBytes }).promise;
+
+    elements.headerFooterPanel.classList.add('hidden');
+    await renderPages();
+
+    const count = headerFooter.pageIndices.length;
+    showAlert(`Headers and footers added to ${count} page${count === 1 ? '' : 's'}`, 'success');
+  } catch (error) {
+    showAlert(`Failed to add headers and footers: ${error.message}`, 'error');
+    console.error('Header and footer error:', error);
+  }
+
+  hideLoading();
+}
+
+// ============ Sanitize Functions ============
+
+/**
+ * Render one checkbox per sanitize category
+ */
+function renderSanitizeOptions() {
+  for (const category of SANITIZE_CATEGORIES) {
+    const label = document.createElement('label');
+    label.className = 'checkbox-label';
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.value = category.id;
+    checkbox.checked = true;
+
+    label.appendChild(checkbox);
+    label.append(category.label);
+    elements.sanitizeCategories.appendChild(label);
+  }
+}
+
+/**
+ * Get the IDs of the ticked sanitize categories
+ * @returns {string[]} Category IDs
+ */
+function getSelectedSanitizeCategories() {
+  return Array.from(elements.sanitizeCategories.querySelectorAll('input:checked'))
+    .map(checkbox => checkbox.value);
+}
+
+/**
+ * Strip the selected categories from the open document
+ */
+async function handleSanitize() {
+  const categories = getSelectedSanitizeCategories();
+  if (categories.length === 0) {
+    showAlert('Choose at least one category to sanitize', 'warning');
+    return;
+  }
+
+  elements.sanitizeDialog.classList.add('hidden');
+  showLoading('Sanitizing...');
+
+  try {
+    await recordHistory('Sanitize');
+
+    // Work on a copy so a failure leaves the open document untouched
+    const pdfDoc = await copyPDFDocument(state.pdfDoc);
+    const results = await sanitizePDF(pdfDoc, categories);
+    state.pdfDoc = pdfDoc;
+
+    // Refresh PDF.js document
+    const pdfBytes = await state.pdfDoc.save();
+    state.pdfJsDoc = await window.pdfjsLib.getDocument({ data: pdfBytes }).promise;
+
+    await renderCurrentView();
+
+    showAlert(formatSanitizeSummary(results), 'success');
+  } catch (error) {
+    showAlert(`Failed to sanitize: ${error.message}`, 'error');
+    console.error('Sanitize error:', error);
+  }
+
+  hideLoading();
+}
+
+// ============ History Functions ============
+
+/**
+ * Capture the current document state
+ * @param {string} label - Description of the edit about to happen
+ * @returns {Promise<Object>} Snapshot of the document, pending redactions
+ *   and annotations
+ */
+async function captureSnapshot(label) {
+  return {
+    label,
+    pdfBytes: await savePDFToBytes(state.pdfDoc),
+    redactionBoxes: cloneRedactionBoxes(state.redactionBoxes),
+    annotations: cloneAnnotations(state.annotations),
+    templatePlacements: state.templatePlacements.slice()
+  };
+}
+
+/**
+ * Deep-copy the per-page redaction box map
+ */
+function cloneRedactionBoxes(redactionBoxes) {
+  const copy = {};
+  for (const [pageIndex, boxes] of Object.entries(redactionBoxes)) {
+    copy[pageIndex] = boxes.map(box => ({ ...box }));
+  }
+  return copy;
+}
+
+/**
+ * Deep-copy the per-page map of annotations not yet added
+ */
+function cloneAnnotations(annotations) {
+  const copy = {};
+  for (const [pageIndex, pageAnnotations] of Object.entries(annotations)) {
+    copy[pageIndex] = pageAnnotations.map(annotation => ({
+      ...annotation,
+      rect: { ...annotation.rect },
+      quads: annotation.quads && annotation.quads.map(quad => ({ ...quad })),
+      points: annotation.points && annotation.points.map(point => ({ ...point }))
+    }));
+  }
+  return copy;
+}
+
+/**
+ * Record the current state before an edit
+ * @param {string} label - Description of the edit about to happen
+ */
+async function recordHistory(label) {
+  history.record(await captureSnapshot(label));
+  updateHistoryButtons();
+}
+
+/**
+ * Restore a document state from a snapshot
+ */
+async function restoreSnapshot(snapshot) {
+  state.pdfDoc = await loadPDFDocument(snapshot.pdfBytes);
+
+  // PDF.js takes ownership of the buffer it is given, so hand it a copy
+  state.pdfJsDoc = await window.pdfjsLib.getDocument({ data: snapshot.pdfBytes.slice(0) }).promise;
+  state.redactionBoxes = cloneRedactionBoxes(snapshot.redactionBoxes);
+  state.annotations = cloneAnnotations(snapshot.annotations);
+  state.templatePlacements = snapshot.templatePlacements.slice();
+  state.metadataDirty = false;
+  state.formDirty = false;
+  updateSaveTemplateButton();
+
   const pageCount = getPageCount(state.pdfDoc);
-  elements.signPageInfo.textContent = `Page ${state.currentSignPage + 1} of ${pageCount}`;
-  elements.signPrevPage.disabled = state.currentSignPage === 0;
-  elements.signNextPage.disabled = state.currentSignPage >= pageCount - 1;
+  state.currentRedactPage = Math.min(state.currentRedactPage, pageCount - 1);
+  state.currentFormPage = Math.min(state.currentFormPage, pageCount - 1);
+  state.currentAnnotatePage = Math.min(state.currentAnnotatePage, pageCount - 1);
+  state.currentSignPage = Math.min(state.currentSignPage, pageCount - 1);
+  updatePageCount(pageCount);
+
+  await renderCurrentView();
+}
+
+/**
+ * Re-render whichever view is showing after the document changed
+ */
+async function renderCurrentView() {
+  switch (state.currentMode) {
+    case 'pages':
+      await renderPages();
+      break;
+    case 'redact':
+      await renderRedactionPage();
+      break;
+    case 'forms':
+      await renderFormView();
+      break;
+    case 'annotate':
+      await renderAnnotatePage();
+      break;
+    case 'signature':
+      if (state.signaturePlacement) {
+        await renderSignaturePage();
+      }
+      break;
+  }
+}
+
+/**
+ * Handle undo button or shortcut
+ */
+async function handleUndo() {
+  if (!state.pdfDoc || !history.canUndo()) return;
+
+  showLoading('Undoing...');
+
+  try {
+    const snapshot = history.undo(await captureSnapshot());
+    await restoreSnapshot(snapshot);
+  } catch (error) {
+    showAlert(`Failed to undo: ${error.message}`, 'error');
+    console.error('Undo error:', error);
+  }
+
+  updateHistoryButtons();
+  hideLoading();
+}
+
+/**
+ * Handle redo button or shortcut
+ */
+async function handleRedo() {
+  if (!state.pdfDoc || !history.canRedo()) return;
+
+  showLoading('Redoing...');
+
+  try {
+    const snapshot = history.redo(await captureSnapshot());
+    await restoreSnapshot(snapshot);
+  } catch (error) {
+    showAlert(`Failed to redo: ${error.message}`, 'error');
+    console.error('Redo error:', error);
+  }
+
+  updateHistoryButtons();
+  hideLoading();
+}
+
+/**
+ * Handle Ctrl+Z / Ctrl+Shift+Z (and Ctrl+Y) keyboard shortcuts
+ */
+function handleHistoryShortcut(e) {
+  if (!(e.ctrlKey || e.metaKey)) return;
+
+  // Leave text fields their native undo
+  const tag = e.target.tagName;
+  if (tag === 'INPUT' || tag === 'TEXTAREA') return;
+
+  // Dialogs such as the signature pad have their own undo
+  if (document.querySelector('.dialog:not(.hidden)')) return;
+
+  const key = e.key.toLowerCase();
+  if (key === 'z' && !e.shiftKey) {
+    e.preventDefault();
+    handleUndo();
+  } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+    e.preventDefault();
+    handleRedo();
+  }
+}
+
+/**
+ * Sync undo/redo button state and tooltips with the history stack
+ */
+function updateHistoryButtons() {
+  elements.undoBtn.disabled = !history.canUndo();
+  elements.redoBtn.disabled = !history.canRedo();
+  elements.undoBtn.title = history.canUndo() ? `Undo ${history.undoLabel()} (Ctrl+Z)` : 'Undo (Ctrl+Z)';
+  elements.redoBtn.title = history.canRedo() ? `Redo ${history.redoLabel()} (Ctrl+Shift+Z)` : 'Redo (Ctrl+Shift+Z)';
+}
+
+// ============ Redaction Functions ============
+
+/**
+ * Render current redaction page
+ */
+async function renderRedactionPage() {
+  const pageCount = getPageCount(state.pdfDoc);
+  elements.redactPageInfo.textContent = `Page ${state.currentRedactPage + 1} of ${pageCount}`;
+  elements.redactPrevPage.disabled = state.currentRedactPage === 0;
+  elements.redactNextPage.disabled = state.currentRedactPage >= pageCount - 1;
 
   // Get PDF.js page (1-indexed)
-  const pdfJsPage = await state.pdfJsDoc.getPage(state.currentSignPage + 1);
+  const pdfJsPage = await state.pdfJsDoc.getPage(state.currentRedactPage + 1);
 
   // Render page
-  await renderPageForRedaction(
+  const { scale } = await renderPageForRedaction(
     pdfJsPage,
-    elements.signPageCanvas,
-    elements.signOverlayCanvas
+    elements.redactPageCanvas,
+    elements.redactOverlayCanvas
   );
 
-  // Setup signature placement
-  const placementState = {};
-  state.signaturePlacement = setupSignaturePlacement(
-    elements.signPageCanvas,
-    elements.signOverlayCanvas,
-    state.selectedSignature,
-    placementState
-  );
+  // Initialize redaction boxes for this page if not exists
+  const pageIndex = state.currentRedactPage;
+  if (!state.redactionBoxes[pageIndex]) {
+    state.redactionBoxes[pageIndex] = [];
+  }
+
+  // Boxes are stored unscaled; the drawing overlay works in canvas pixels
+  if (state.redactionDrawing) {
+    state.redactionDrawing.destroy();
+  }
+  const boxState = {
+    boxes: state.redactionBoxes[pageIndex].map(box => scaleBox(box, scale)),
+    highlights: state.piiCandidates
+      .filter(candidate => candidate.pageIndex === pageIndex && candidate.accepted)
+      .flatMap(candidate => candidate.boxes.map(box => scaleBox(box, scale)))
+  };
+  state.redactionDrawing = setupRedactionDrawing(elements.redactOverlayCanvas, boxState, (boxes) => {
+    state.redactionBoxes[pageIndex] = boxes.map(box => scaleBox(box, 1 / scale));
+  });
+  state.redactionDrawing.redraw();
 }
 
 /**
- * Navigate signature pages
+ * Scale a redaction box by a factor
  */
-function navigateSignPage(delta) {
-  const newPage = state.currentSignPage + delta;
+function scaleBox(box, factor) {
+  return {
+    x: box.x * factor,
+    y: box.y * factor,
+    width: box.width * factor,
+    height: box.height * factor
+  };
+}
+
+/**
+ * Find text across the document and mark every match for redaction
+ */
+async function handleRedactSearch() {
+  const query = elements.redactSearchInput.value;
+  if (!query.trim()) {
+    showAlert('Enter text or a pattern to search for', 'warning');
+    return;
+  }
+
+  let pattern;
+  try {
+    pattern = createSearchPattern(query, {
+      regex: elements.redactSearchRegex.checked,
+      caseSensitive: elements.redactSearchCase.checked
+    });
+  } catch (error) {
+    showAlert(error.message, 'error');
+    return;
+  }
+
+  showLoading('Searching...');
+
+  try {
+    const matches = await searchDocument(state.pdfJsDoc, pattern, (current, total) => {
+      showLoading(`Searching page ${current} of ${total}...`);
+    });
+
+    const boxesByPage = matchesToRedactionBoxes(matches);
+    for (const [pageIndex, boxes] of Object.entries(boxesByPage)) {
+      state.redactionBoxes[pageIndex] = [...(state.redactionBoxes[pageIndex] || []), ...boxes];
+    }
+
+    await renderRedactionPage();
+    hideLoading();
+
+    if (matches.length === 0) {
+      showAlert('No matches found', 'info');
+    } else {
+      const pageCount = Object.keys(boxesByPage).length;
+      showAlert(`Marked ${matches.length} match(es) on ${pageCount} page(s). Review the boxes, then apply redaction.`, 'success');
+    }
+  } catch (error) {
+    hideLoading();
+    showAlert(`Search failed: ${error.message}`, 'error');
+    console.error('Search error:', error);
+  }
+}
+
+/**
+ * Navigate redaction pages
+ */
+function navigateRedactPage(delta) {
+  const newPage = state.currentRedactPage + delta;
   const pageCount = getPageCount(state.pdfDoc);
 
   if (newPage >= 0 && newPage < pageCount) {
-    state.currentSignPage = newPage;
-    renderSignaturePage();
+    state.currentRedactPage = newPage;
+    renderRedactionPage();
   }
 }
 
 /**
- * Handle place signature button
+ * Clear redaction boxes on current page
  */
-async function handlePlaceSignature() {
-  if (!state.signaturePlacement || !state.selectedSignature) {
+function clearRedactionBoxes() {
+  state.redactionBoxes[state.currentRedactPage] = [];
+  renderRedactionPage();
+}
+
+/**
+ * Render one checkbox per preset PII detector
+ */
+function renderPIIDetectorOptions() {
+  for (const detector of PII_DETECTORS) {
+    const label = document.createElement('label');
+    label.className = 'checkbox-label';
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.value = detector.id;
+    checkbox.checked = true;
+
+    label.appendChild(checkbox);
+    label.append(detector.label);
+    elements.piiDetectors.appendChild(label);
+  }
+}
+
+/**
+ * Scan the document with the selected PII detectors
+ */
+async function handlePIIScan() {
+  const detectorIds = Array.from(elements.piiDetectors.querySelectorAll('input:checked'))
+    .map(checkbox => checkbox.value);
+
+  if (detectorIds.length === 0) {
+    showAlert('Select at least one kind of data to detect', 'warning');
     return;
   }
 
-  showLoading('Placing signature...');
+  showLoading('Scanning for personal data...');
 
   try {
-    const placement = state.signaturePlacement.getPlacement();
-    const addTimestamp = elements.addTimestampCheck.checked;
+    state.piiCandidates = await detectPII(state.pdfJsDoc, detectorIds, (current, total) => {
+      showLoading(`Scanning page ${current} of ${total}...`);
+    });
 
-    // Get the scale factor to convert from canvas to PDF coordinates
-    const pdfJsPage = await state.pdfJsDoc.getPage(state.currentSignPage + 1);
-    const viewport = pdfJsPage.getViewport({ scale: 1 });
-    const canvasScale = elements.signPageCanvas.width / viewport.width;
-
-    // Convert canvas coordinates to PDF coordinates
-    const pdfPlacement = {
-      x: placement.x / canvasScale,
-      y: placement.y / canvasScale,
-      width: placement.width / canvasScale,
-      height: placement.height / canvasScale,
-      rotation: placement.rotation
-    };
+    renderPIIReview();
+    await renderRedactionPage();
+  } catch (error) {
+    showAlert(`Scan failed: ${error.message}`, 'error');
+    console.error('PII scan error:', error);
+  }
 
-    await insertSignatureIntoPDF(
-      state.pdfDoc,
-      state.currentSignPage,
-      state.selectedSignature,
-      pdfPlacement,
-      { addTimestamp }
-    );
+  hideLoading();
+}
 
-    // Refresh PDF.js document
-    const pdfBytes = await state.pdfDoc.save();
-    state.pdfJsDoc = await window.pdfjsLib.getDocument({ data: pdfBytes }).promise;
+/**
+ * Render the PII review list from state
+ */
+function renderPIIReview() {
+  renderPIIReviewList(state.piiCandidates, elements.piiReviewList, {
+    onToggle: (candidateId, accepted) => {
+      const candidate = state.piiCandidates.find(c => c.id === candidateId);
+      if (candidate) {
+        candidate.accepted = accepted;
+        renderRedactionPage();
+      }
+    },
+    onShow: (pageIndex) => {
+      state.currentRedactPage = pageIndex;
+      renderRedactionPage();
+    }
+  });
 
-    // Re-render page
-    await renderSignaturePage();
+  elements.piiReviewActions.classList.toggle('hidden', state.piiCandidates.length === 0);
+}
 
-    showAlert('Signature placed. Add more or download the PDF.', 'success');
-  } catch (error) {
-    showAlert(`Failed to place signature: ${error.message}`, 'error');
-    console.error('Signature placement error:', error);
+/**
+ * Accept or reject every PII hit
+ */
+function setAllPIICandidates(accepted) {
+  for (const candidate of state.piiCandidates) {
+    candidate.accepted = accepted;
   }
+  renderPIIReview();
+  renderRedactionPage();
+}
 
-  hideLoading();
+/**
+ * Turn accepted PII hits into redaction boxes
+ */
+async function handleAddAcceptedPII() {
+  const accepted = state.piiCandidates.filter(candidate => candidate.accepted);
+
+  for (const candidate of accepted) {
+    const pageBoxes = state.redactionBoxes[candidate.pageIndex] || [];
+    state.redactionBoxes[candidate.pageIndex] = [...pageBoxes, ...candidate.boxes.map(box => ({ ...box }))];
+  }
+
+  clearPIIReview();
+  await renderRedactionPage();
+
+  showAlert(`Added ${accepted.length} hit(s) for redaction. Apply redaction when ready.`, 'success');
 }
 
 /**
- * Cancel signature placement
+ * Empty the PII review queue
  */
-function cancelSignaturePlacement() {
-  state.selectedSignature = null;
-  state.signaturePlacement = null;
-  elements.signaturePlacement.classList.add('hidden');
-  elements.signatureLibrary.classList.remove('hidden');
+function clearPIIReview() {
+  state.piiCandidates = [];
+  elements.piiReviewList.innerHTML = '';
+  elements.piiReviewActions.classList.add('hidden');
+}
 
-  // Clear selection in library
-  elements.signatureList.querySelectorAll('.signature-item').forEach(item => {
-    item.classList.remove('selected');
-  });
+/**
+ * Check a redacted PDF and show the report
+ * @returns {Promise<Object>} The verification report
+ */
+async function runRedactionVerification(pdfBytes, appliedBoxes, redactedText) {
+  let report;
+
+  try {
+    report = await verifyRedaction(pdfBytes, appliedBoxes, redactedText);
+  } catch (error) {
+    console.error('Verification error:', error);
+    report = {
+      passed: false,
+      checks: [{
+        id: 'verifier',
+        label: 'Verification could not run',
+        status: 'fail',
+        details: [error.message]
+      }]
+    };
+  }
+
+  renderVerificationReport(report, elements.redactionReportBody);
+  elements.redactionReport.classList.remove('hidden');
+
+  return report;
+}
+
+/**
+ * Describe what the selected redaction mode does to the page
+ */
+function updateRedactionModeWarning() {
+  elements.redactionModeWarning.textContent = elements.redactionModeSelect.value === REDACTION_MODES.VECTOR
+    ? 'Text and images under the boxes are removed; the rest of the page stays selectable'
+    : 'Redacted pages will be converted to images (text will not be selectable)';
+}
+
+/**
+ * Apply redaction to PDF
+ */
+async function applyRedaction() {
+  // Check if there are any redaction boxes
+  const hasRedactions = Object.values(state.redactionBoxes).some(boxes => boxes && boxes.length > 0);
+
+  if (!hasRedactions) {
+    showAlert('No redaction boxes drawn. Draw boxes on areas you want to redact.', 'warning');
+    return;
+  }
+
+  const mode = elements.redactionModeSelect.value;
+  const confirmMessage = mode === REDACTION_MODES.VECTOR
+    ? 'Apply redaction? Text and images under the boxes will be removed.'
+    : 'Apply redaction? This will convert affected pages to images.';
+
+  if (!showConfirm(confirmMessage)) {
+    return;
+  }
+
+  showLoading('Applying redaction...');
+  const fallbacks = [];
+
+  try {
+    await recordHistory('Apply redaction');
+
+    // Remember what is being redacted so the result can be checked
+    const appliedBoxes = cloneRedactionBoxes(state.redactionBoxes);
+    const redactedText = await collectRedactedText(state.pdfJsDoc, appliedBoxes);
+
+    // Make a copy to work with
+    state.pdfDoc = await copyPDFDocument(state.pdfDoc);
+
+    // Apply redactions
+    await applyRedactions(state.pdfDoc, state.pdfJsDoc, state.redactionBoxes, (current, total) => {
+      showLoading(`Redacting page ${current} of ${total}...`);
+    }, {
+      mode,
+      onFallback: (pageIndex, reason) => {
+        fallbacks.push({ page: pageIndex + 1, reason });
+      }
+    });
+
+    const pdfBytes = await state.pdfDoc.save();
+
+    // Verify the saved bytes before PDF.js takes ownership of them
+    showLoading('Verifying redaction...');
+    const report = await runRedactionVerification(pdfBytes, appliedBoxes, redactedText);
+
+    // Refresh PDF.js document
+    state.pdfJsDoc = await window.pdfjsLib.getDocument({ data: pdfBytes }).promise;
+
+    // Clear redaction boxes
+    state.redactionBoxes = {};
+
+    // Re-render current page
+    await renderRedactionPage();
+
+    let message = report.passed
+      ? 'Redaction applied and verified. See the report below, then download.'
+      : 'Redaction applied, but verification found problems. See the report below before downloading.';
+    if (fallbacks.length > 0) {
+      fallbacks.sort((a, b) => a.page - b.page);
+      message += '\n\nThese pages could not be redacted as vector content and were converted to images instead:';
+      fallbacks.forEach(({ page, reason }) => {
+        message += `\nPage ${page}: ${reason}`;
+      });
+    }
+    showAlert(message, report.passed ? 'success' : 'warning');
+  } catch (error) {
+    showAlert(`Redaction failed: ${error.message}`, 'error');
+    console.error('Redaction error:', error);
+  }
+
+  hideLoading();
+}
+
+// ============ Form Functions ============
+
+/**
+ * Render the field list and current page of the forms view, re-reading the
+ * fields unless there are edits not yet applied
+ */
+async function renderFormView() {
+  if (!state.formDirty) {
+    state.formFields = getFormFields(state.pdfDoc);
+    state.formValues = Object.fromEntries(state.formFields.map(field => [field.name, field.value]));
+  }
+
+  renderFormFieldList(state.formFields, elements.formFieldList, {
+    values: state.formValues,
+    onShow: showFormField
+  });
+
+  await renderFormFieldPage();
+}
+
+/**
+ * Render the current form page with inputs over its fields
+ */
+async function renderFormFieldPage() {
+  const pageCount = getPageCount(state.pdfDoc);
+  elements.formPageInfo.textContent = `Page ${state.currentFormPage + 1} of ${pageCount}`;
+  elements.formPrevPage.disabled = state.currentFormPage === 0;
+  elements.formNextPage.disabled = state.currentFormPage >= pageCount - 1;
+
+  // Get PDF.js page (1-indexed)
+  const pdfJsPage = await state.pdfJsDoc.getPage(state.currentFormPage + 1);
+
+  await renderFormPage(
+    pdfJsPage,
+    elements.formPageCanvas,
+    elements.formFieldLayer,
+    state.formFields,
+    state.currentFormPage,
+    {
+      values: state.formValues,
+      onChange: (name, value) => {
+        state.formValues[name] = value;
+        state.formDirty = true;
+      }
+    }
+  );
+}
+
+/**
+ * Navigate form pages
+ */
+function navigateFormPage(delta) {
+  const newPage = state.currentFormPage + delta;
+  const pageCount = getPageCount(state.pdfDoc);
+
+  if (newPage >= 0 && newPage < pageCount) {
+    state.currentFormPage = newPage;
+    renderFormFieldPage();
+  }
+}
+
+/**
+ * Go to the page of a field and focus its input
+ */
+async function showFormField(field) {
+  state.currentFormPage = field.widgets[0].pageIndex;
+  await renderFormFieldPage();
+
+  const input = Array.from(elements.formFieldLayer.querySelectorAll('[data-field]'))
+    .find(element => element.dataset.field === field.name);
+  if (input) {
+    input.scrollIntoView({ block: 'center' });
+    input.focus();
+  }
+}
+
+/**
+ * Get the edited fields whose value differs from the document
+ * @returns {Object} Map of field name to new value
+ */
+function getChangedFormValues() {
+  const changed = {};
+  for (const field of state.formFields) {
+    const value = state.formValues[field.name];
+    if (JSON.stringify(value) !== JSON.stringify(field.value)) {
+      changed[field.name] = value;
+    }
+  }
+  return changed;
+}
+
+/**
+ * Write edited form values back to the document
+ */
+async function applyFormEdits() {
+  const changed = getChangedFormValues();
+  state.formDirty = false;
+  if (Object.keys(changed).length === 0) return;
+
+  await recordHistory('Fill form');
+  fillFormFields(state.pdfDoc, changed);
+
+  // Refresh PDF.js document
+  const pdfBytes = await state.pdfDoc.save();
+  state.pdfJsDoc = await window.pdfjsLib.getDocument({ data: pdfBytes }).promise;
+}
+
+/**
+ * Handle the Apply Values button
+ */
+async function handleApplyForm() {
+  if (!state.pdfDoc) return;
+
+  showLoading('Filling form...');
+
+  try {
+    await applyFormEdits();
+    await renderFormView();
+    showAlert('Form values saved to the document', 'success');
+  } catch (error) {
+    showAlert(`Failed to fill form: ${error.message}`, 'error');
+    console.error('Form fill error:', error);
+  }
+
+  hideLoading();
+}
+
+/**
+ * Discard form edits that have not been applied
+ */
+async function resetFormValues() {
+  state.formDirty = false;
+  await renderFormView();
+}
+
+/**
+ * Flatten the form of the open document, including edits not yet applied
+ */
+async function handleFlattenForm() {
+  if (state.formFields.length === 0) {
+    showAlert('This PDF has no form fields to flatten', 'info');
+    return;
+  }
+
+  if (!showConfirm('Flatten the form? The values become part of the pages and can no longer be edited.')) {
+    return;
+  }
+
+  showLoading('Flattening form...');
+
+  try {
+    await recordHistory('Flatten form');
+
+    // Work on a copy so a failure leaves the open document untouched
+    const pdfDoc = await copyPDFDocument(state.pdfDoc);
+    fillFormFields(pdfDoc, getChangedFormValues());
+    flattenForm(pdfDoc);
+    state.pdfDoc = pdfDoc;
+    state.formDirty = false;
+
+    // Refresh PDF.js document
+    const pdfBytes = await state.pdfDoc.save();
+    state.pdfJsDoc = await window.pdfjsLib.getDocument({ data: pdfBytes }).promise;
+
+    await renderFormView();
+    showAlert('Form flattened', 'success');
+  } catch (error) {
+    showAlert(`Failed to flatten form: ${error.message}`, 'error');
+    console.error('Flatten error:', error);
+  }
+
+  hideLoading();
+}
+
+// ============ Annotation Functions ============
+
+/**
+ * Render the current page of the annotate view with its pending annotations
+ */
+async function renderAnnotatePage() {
+  const pageCount = getPageCount(state.pdfDoc);
+  elements.annotatePageInfo.textContent = `Page ${state.currentAnnotatePage + 1} of ${pageCount}`;
+  elements.annotatePrevPage.disabled = state.currentAnnotatePage === 0;
+  elements.annotateNextPage.disabled = state.currentAnnotatePage >= pageCount - 1;
+
+  // Get PDF.js page (1-indexed)
+  const pdfJsPage = await state.pdfJsDoc.getPage(state.currentAnnotatePage + 1);
+
+  const { scale } = await renderPageForRedaction(
+    pdfJsPage,
+    elements.annotatePageCanvas,
+    elements.annotateOverlayCanvas
+  );
+
+  // Markup is anchored to the text under the drag
+  state.annotationPageText = await getPageText(pdfJsPage);
+
+  const pageIndex = state.currentAnnotatePage;
+  if (!state.annotations[pageIndex]) {
+    state.annotations[pageIndex] = [];
+  }
+
+  if (state.annotationEditing) {
+    state.annotationEditing.destroy();
+  }
+  state.annotationEditing = setupAnnotationEditing(elements.annotateOverlayCanvas, { annotations: state.annotations[pageIndex] }, {
+    scale,
+    getTool: () => state.annotationTool,
+    onDraw: (rect, gesture) => handleAnnotationDraw(pageIndex, rect, gesture),
+    onChange: (annotations) => {
+      state.annotations[pageIndex] = annotations;
+    }
+  });
+  state.annotationEditing.redraw();
+}
+
+/**
+ * Turn a drag or click on the page into an annotation with the current tool
+ * @param {number} pageIndex - Page drawn on
+ * @param {RedactionBox} rect - Box drawn, unscaled; zero-sized for a click
+ * @param {Object} gesture - Start, end and path points of the drag, unscaled
+ */
+async function handleAnnotationDraw(pageIndex, rect, gesture) {
+  const tool = state.annotationTool;
+  const color = elements.annotateColor.value;
+  const isClick = rect.width === 0 && rect.height === 0;
+  let annotation;
+
+  switch (tool) {
+    case ANNOTATION_TOOLS.LINE:
+    case ANNOTATION_TOOLS.ARROW:
+    case ANNOTATION_TOOLS.RECTANGLE:
+    case ANNOTATION_TOOLS.ELLIPSE:
+    case ANNOTATION_TOOLS.INK: {
+      // Shapes need a drag
+      if (isClick) return;
+
+      const strokeWidth = Number(elements.annotateStrokeWidth.value) || 2;
+      annotation = { type: tool, rect, color, strokeWidth };
+
+      if (tool === ANNOTATION_TOOLS.INK) {
+        // The drag box only spans the first and last points
+        const xs = gesture.points.map(point => point.x);
+        const ys = gesture.points.map(point => point.y);
+        annotation.points = gesture.points;
+        annotation.rect = {
+          x: Math.min(...xs),
+          y: Math.min(...ys),
+          width: Math.max(...xs) - Math.min(...xs),
+          height: Math.max(...ys) - Math.min(...ys)
+        };
+      } else if (tool === ANNOTATION_TOOLS.LINE || tool === ANNOTATION_TOOLS.ARROW) {
+        annotation.points = [gesture.start, gesture.end];
+      } else if (elements.annotateFill.checked) {
+        annotation.fillColor = elements.annotateFillColor.value;
+      }
+      break;
+    }
+    case ANNOTATION_TOOLS.FREE_TEXT: {
+      const fontSize = Number(elements.annotateFontSize.value) || 12;
+
+      // A click gets a box two lines high
+      const box = isClick
+        ? { x: rect.x, y: rect.y, width: 180, height: fontSize * 1.2 * 2 + 4 }
+        : rect;
+
+      const text = await showTextPrompt('Add Text');
+      if (!text || !text.trim()) return;
+
+      annotation = { type: tool, rect: box, text, color, font: elements.annotateFont.value, fontSize };
+      break;
+    }
+    case ANNOTATION_TOOLS.NOTE: {
+      const text = await showTextPrompt('Add Note');
+      if (!text || !text.trim()) return;
+
+      annotation = { type: tool, rect: { x: rect.x, y: rect.y, width: NOTE_SIZE, height: NOTE_SIZE }, text, color };
+      break;
+    }
+    default: {
+      const runs = findTextInRect(state.annotationPageText, rect);
+      if (runs.length === 0) {
+        showAlert('No text under the selection. Drag over the words to mark.', 'warning');
+        return;
+      }
+
+      const quads = runs.map(run => run.box);
+      const left = Math.min(...quads.map(quad => quad.x));
+      const top = Math.min(...quads.map(quad => quad.y));
+      const right = Math.max(...quads.map(quad => quad.x + quad.width));
+      const bottom = Math.max(...quads.map(quad => quad.y + quad.height));
+
+      annotation = {
+        type: tool,
+        rect: { x: left, y: top, width: right - left, height: bottom - top },
+        quads,
+        text: runs.map(run => run.text).join(' '),
+        color
+      };
+    }
+  }
+
+  // The page may have changed, or an edit been undone, while the text was
+  // being typed
+  if (!state.annotations[pageIndex]) {
+    state.annotations[pageIndex] = [];
+  }
+  state.annotations[pageIndex].push(annotation);
+  if (pageIndex === state.currentAnnotatePage && state.annotationEditing) {
+    state.annotationEditing.redraw();
+  }
+}
+
+/**
+ * Fill the font list of the free text tool
+ */
+function renderAnnotationFontOptions() {
+  for (const font of ANNOTATION_FONTS) {
+    const option = new Option(font.label, font.id);
+    option.style.fontFamily = font.cssFamily;
+    elements.annotateFont.appendChild(option);
+  }
+}
+
+/**
+ * Make a tool current, with the color last used for it
+ * @param {string} tool - One of ANNOTATION_TOOLS
+ */
+function selectAnnotationTool(tool) {
+  state.annotationTool = tool;
+
+  elements.annotateTools.querySelectorAll('.tool-btn').forEach(btn => {
+    btn.classList.toggle('active', btn.dataset.tool === tool);
+  });
+  elements.annotateTextOptions.classList.toggle('hidden', tool !== ANNOTATION_TOOLS.FREE_TEXT);
+  elements.annotateShapeOptions.classList.toggle('hidden', !SHAPE_TOOLS.includes(tool));
+  elements.annotateFillOptions.classList.toggle('hidden', !FILLABLE_TOOLS.includes(tool));
+  elements.annotateColor.value = state.annotationColors[tool];
+}
+
+/**
+ * Navigate annotate pages
+ */
+function navigateAnnotatePage(delta) {
+  const newPage = state.currentAnnotatePage + delta;
+  const pageCount = getPageCount(state.pdfDoc);
+
+  if (newPage >= 0 && newPage < pageCount) {
+    state.currentAnnotatePage = newPage;
+    renderAnnotatePage();
+  }
+}
+
+/**
+ * Remove the annotations not yet added on the current page
+ */
+function clearAnnotations() {
+  state.annotations[state.currentAnnotatePage] = [];
+  renderAnnotatePage();
+}
+
+/**
+ * Check for annotations drawn but not yet added to the document
+ */
+function hasPendingAnnotations() {
+  return Object.values(state.annotations).some(annotations => annotations && annotations.length > 0);
+}
+
+/**
+ * Write the pending annotations into the document
+ * @returns {Promise<number>} Number of annotations added
+ */
+async function applyAnnotationEdits() {
+  await recordHistory('Add annotations');
+
+  // Work on a copy so a failure leaves the open document untouched
+  const pdfDoc = await copyPDFDocument(state.pdfDoc);
+  const count = await addAnnotations(pdfDoc, state.annotations, {
+    author: elements.annotateAuthor.value.trim(),
+    flatten: elements.annotateFlatten.checked
+  });
+  state.pdfDoc = pdfDoc;
+  state.annotations = {};
+
+  // Refresh PDF.js document
+  const pdfBytes = await state.pdfDoc.save();
+  state.pdfJsDoc = await window.pdfjsLib.getDocument({ data: pdfBytes }).promise;
+
+  return count;
+}
+
+/**
+ * Handle the Add to Document button
+ */
+async function handleApplyAnnotations() {
+  if (!state.pdfDoc) return;
+
+  if (!hasPendingAnnotations()) {
+    showAlert('No annotations to add. Pick a tool and draw on the page.', 'warning');
+    return;
+  }
+
+  showLoading('Adding annotations...');
+
+  try {
+    const flattened = elements.annotateFlatten.checked;
+    const count = await applyAnnotationEdits();
+    await renderAnnotatePage();
+    showAlert(`${count} annotation(s) ${flattened ? 'drawn into the pages' : 'added to the document'}`, 'success');
+  } catch (error) {
+    showAlert(`Failed to add annotations: ${error.message}`, 'error');
+    console.error('Annotation error:', error);
+  }
+
+  hideLoading();
+}
+
+// ============ Signature Functions ============
+
+/**
+ * Refresh signature library display
+ */
+async function refreshSignatureLibrary() {
+  await updateVaultPanel();
+  const signatures = await loadSignatures();
+
+  renderSignatureLibrary(signatures, elements.signatureList, {
+    onSelect: handleSignatureSelect,
+    onDelete: handleSignatureDelete
+  });
+}
+
+/**
+ * Handle signature selection
+ */
+async function handleSignatureSelect(signature) {
+  state.selectedSignature = signature;
+  state.selectedStamp = null;
+  await showSignaturePlacement();
+}
+
+/**
+ * Switch to the placement view for the selected signature or stamp, if a
+ * PDF is loaded
+ */
+async function showSignaturePlacement() {
+  if (!state.pdfDoc) return;
+
+  // Timestamps and digital signatures only go with signatures
+  const isStamp = Boolean(state.selectedStamp);
+  elements.addTimestampLabel.classList.toggle('hidden', isStamp);
+  elements.stampOptionsBtn.classList.toggle('hidden', isStamp);
+  elements.digitalSignBtn.classList.toggle('hidden', isStamp);
+
+  elements.signatureLibrary.classList.add('hidden');
+  elements.signaturePlacement.classList.remove('hidden');
+  state.currentSignPage = 0;
+  await renderSignaturePage();
+}
+
+/**
+ * Handle signature deletion
+ */
+async function handleSignatureDelete(signatureId) {
+  if (!showConfirm('Delete this signature?')) {
+    return;
+  }
+
+  try {
+    await deleteSignature(signatureId);
+    await refreshSignatureLibrary();
+  } catch (error) {
+    showAlert(`Failed to delete: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Show signature upload dialog
+ */
+function showSignatureDialog() {
+  elements.signatureUploadDialog.classList.remove('hidden');
+  elements.signatureName.value = '';
+  elements.signatureFile.value = '';
+  elements.signaturePreview.removeAttribute('src');
+  elements.signaturePreviewContainer.classList.add('hidden');
+  elements.typedSignatureText.value = '';
+  elements.typedSignaturePreviewContainer.classList.add('hidden');
+  switchSignatureSource('upload');
+}
+
+/**
+ * Hide signature upload dialog
+ */
+function hideSignatureDialog() {
+  elements.signatureUploadDialog.classList.add('hidden');
+  destroySignaturePad();
+}
+
+/**
+ * Switch the add signature dialog between upload, draw and type
+ * @param {string} source - 'upload', 'draw' or 'type'
+ */
+function switchSignatureSource(source) {
+  state.signatureSource = source;
+
+  elements.signatureSourceTabs.querySelectorAll('.tab-btn').forEach(btn => {
+    btn.classList.toggle('active', btn.dataset.source === source);
+  });
+  elements.signatureUploadDialog.querySelectorAll('.signature-source-panel').forEach(panel => {
+    panel.classList.toggle('hidden', panel.dataset.source !== source);
+  });
+
+  // The pad sizes itself to the canvas, so create it once it is visible
+  if (source === 'draw' && !state.signaturePad) {
+    state.signaturePad = createSignaturePad(elements.signaturePadCanvas, {
+      onChange: updateSignaturePadButtons
+    });
+    updateSignaturePadButtons();
+  }
+}
+
+/**
+ * Enable the pad's Undo and Clear buttons when there is something drawn
+ */
+function updateSignaturePadButtons() {
+  const empty = state.signaturePad.isEmpty();
+  elements.signaturePadUndoBtn.disabled = empty;
+  elements.signaturePadClearBtn.disabled = empty;
+}
+
+/**
+ * Remove the drawing pad and its strokes
+ */
+function destroySignaturePad() {
+  if (state.signaturePad) {
+    state.signaturePad.destroy();
+    state.signaturePad = null;
+  }
+}
+
+/**
+ * Fill the handwriting style picker
+ */
+function renderSignatureFontOptions() {
+  for (const font of SIGNATURE_FONTS) {
+    const option = new Option(font.label, font.id);
+    option.style.fontFamily = font.family;
+    elements.typedSignatureFont.appendChild(option);
+  }
+}
+
+/**
+ * Show the typed name in the chosen handwriting style
+ */
+function updateTypedSignaturePreview() {
+  const text = elements.typedSignatureText.value.trim();
+  elements.typedSignaturePreviewContainer.classList.toggle('hidden', !text);
+  if (text) {
+    elements.typedSignaturePreview.src = renderTypedSignature(text, elements.typedSignatureFont.value);
+  }
+}
+
+/**
+ * Handle signature file selection
+ */
+async function handleSignatureFileSelect(e) {
+  const file = e.target.files[0];
+  if (!file) return;
+
+  const validation = validateSignatureImage(file);
+  if (!validation.valid) {
+    showAlert(validation.error, 'error');
+    return;
+  }
+
+  const dataURL = await readFileAsDataURL(file);
+  const isSVG = file.type === 'image/svg+xml';
+  elements.signatureCleanupOptions.classList.toggle('hidden', isSVG);
+
+  if (isSVG) {
+    // SVGs skip cleanup; show the paths as they will be embedded
+    try {
+      const vector = parseSVGSignature(await readFileAsText(file));
+      elements.signatureCleanedPreview.src = renderVectorSignature(vector);
+    } catch (error) {
+      showAlert(error.message, 'error');
+      elements.signatureFile.value = '';
+      return;
+    }
+  }
+
+  elements.signaturePreview.src = dataURL;
+  elements.signaturePreviewContainer.classList.remove('hidden');
+  if (!isSVG) {
+    await updateSignatureCleanupPreview();
+  }
+}
+
+/**
+ * Fill the ink color picker of the upload cleanup options
+ */
+function renderInkColorOptions() {
+  for (const color of INK_COLORS) {
+    elements.signatureInkColor.appendChild(new Option(color.label, color.id));
+  }
+}
+
+/**
+ * Read the upload cleanup options
+ * @returns {CleanupOptions|null} Options, or null when cleanup is off
+ */
+function getSignatureCleanupOptions() {
+  if (!elements.signatureCleanupCheck.checked) return null;
+
+  return {
+    sensitivity: Number(elements.signatureSensitivity.value),
+    inkColor: elements.signatureInkColor.value
+  };
+}
+
+/**
+ * Show the uploaded image after cleanup next to the original
+ */
+async function updateSignatureCleanupPreview() {
+  const original = elements.signaturePreview.src;
+  const cleanup = getSignatureCleanupOptions();
+
+  elements.signatureInkColor.disabled = !cleanup;
+  elements.signatureSensitivity.disabled = !cleanup;
+  if (!original) return;
+
+  try {
+    elements.signatureCleanedPreview.src = cleanup
+      ? await cleanSignatureImage(original, cleanup)
+      : original;
+  } catch (error) {
+    showAlert(`Failed to clean up image: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Handle save signature button
+ */
+async function handleSaveSignature() {
+  const name = elements.signatureName.value.trim();
+  const file = elements.signatureFile.files[0];
+  const typedName = elements.typedSignatureText.value.trim();
+
+  if (state.signatureSource === 'upload' && !file) {
+    showAlert('Please select an image file', 'warning');
+    return;
+  }
+
+  if (state.signatureSource === 'draw' && state.signaturePad.isEmpty()) {
+    showAlert('Please draw your signature first', 'warning');
+    return;
+  }
+
+  if (state.signatureSource === 'type' && !typedName) {
+    showAlert('Please type your name', 'warning');
+    return;
+  }
+
+  showLoading('Saving signature...');
+
+  try {
+    switch (state.signatureSource) {
+      case 'upload':
+        await saveSignature(name || 'Signature', file, { cleanup: getSignatureCleanupOptions() });
+        break;
+      case 'draw': {
+        // Drawn strokes are kept as outlines; the image is their preview
+        const vector = state.signaturePad.toVector();
+        await saveSignatureImage(name || 'Signature', renderVectorSignature(vector), { pixelRatio: 2, vector });
+        break;
+      }
+      case 'type':
+        // Rendered at 64px; saved at half size so it matches handwriting
+        await saveSignatureImage(name || typedName, renderTypedSignature(typedName, elements.typedSignatureFont.value), {
+          pixelRatio: 2
+        });
+        break;
+    }
+    hideSignatureDialog();
+    await refreshSignatureLibrary();
+    showAlert('Signature saved', 'success');
+  } catch (error) {
+    showAlert(`Failed to save: ${error.message}`, 'error');
+  }
+
+  hideLoading();
+}
+
+/**
+ * Render signature placement page
+ */
+async function renderSignaturePage() {
+  const pageCount = getPageCount(state.pdfDoc);
+  elements.signPageInfo.textContent = `Page ${state.currentSignPage + 1} of ${pageCount}`;
+  elements.signPrevPage.disabled = state.currentSignPage === 0;
+  elements.signNextPage.disabled = state.currentSignPage >= pageCount - 1;
+
+  // Get PDF.js page (1-indexed)
+  const pdfJsPage = await state.pdfJsDoc.getPage(state.currentSignPage + 1);
+
+  // Render page
+  await renderPageForRedaction(
+    pdfJsPage,
+    elements.signPageCanvas,
+    elements.signOverlayCanvas
+  );
+
+  // Setup signature placement, dropping the previous page's handlers
+  if (state.signaturePlacement) {
+    state.signaturePlacement.destroy();
+  }
+  const placementState = {};
+  state.signaturePlacement = setupSignaturePlacement(
+    elements.signPageCanvas,
+    elements.signOverlayCanvas,
+    state.selectedSignature,
+    placementState
+  );
+}
+
+/**
+ * Navigate signature pages
+ */
+function navigateSignPage(delta) {
+  const newPage = state.currentSignPage + delta;
+  const pageCount = getPageCount(state.pdfDoc);
+
+  if (newPage >= 0 && newPage < pageCount) {
+    state.currentSignPage = newPage;
+    renderSignaturePage();
+  }
+}
+
+/**
+ * Read the signature placement on the page as shown, in points. Page
+ * rotation and crop box are dealt with when the signature is inserted.
+ * @returns {Object} Position, size and rotation in points
+ */
+function getSignaturePlacementInPoints() {
+  const placement = state.signaturePlacement.getPlacement();
+
+  // Scale from canvas pixels to points
+  const { displayWidth } = getPageGeometry(state.pdfDoc.getPage(state.currentSignPage));
+  const canvasScale = elements.signPageCanvas.width / displayWidth;
+
+  return {
+    x: placement.x / canvasScale,
+    y: placement.y / canvasScale,
+    width: placement.width / canvasScale,
+    height: placement.height / canvasScale,
+    rotation: placement.rotation
+  };
+}
+
+/**
+ * Handle place signature button
+ */
+async function handlePlaceSignature() {
+  if (!state.signaturePlacement || !state.selectedSignature) {
+    return;
+  }
+
+  let pageIndices;
+  try {
+    pageIndices = getSelectedPages(elements.signPagesSelect.value, getPageCount(state.pdfDoc), {
+      currentPage: state.currentSignPage,
+      range: elements.signPagesRange.value
+    });
+  } catch (error) {
+    showAlert(error.message, 'warning');
+    return;
+  }
+
+  if (pageIndices.length === 0) {
+    showAlert('The document has no pages of that kind', 'warning');
+    return;
+  }
+
+  const what = state.selectedStamp ? 'stamp' : 'signature';
+  showLoading(pageIndices.length > 1 ? `Placing ${what} on ${pageIndices.length} pages...` : `Placing ${what}...`);
+
+  try {
+    const addTimestamp = elements.addTimestampCheck.checked;
+    const pdfPlacement = getSignaturePlacementInPoints();
+
+    await recordHistory(pageIndices.length > 1 ? `Place ${what} on ${pageIndices.length} pages` : `Place ${what}`);
+
+    if (state.selectedStamp) {
+      await insertStampOnPages(
+        state.pdfDoc,
+        pageIndices,
+        state.currentSignPage,
+        state.selectedStamp,
+        pdfPlacement,
+        getCurrentStampValues()
+      );
+    } else {
+      await insertSignatureOnPages(
+        state.pdfDoc,
+        pageIndices,
+        state.currentSignPage,
+        state.selectedSignature,
+        pdfPlacement,
+        { addTimestamp, stamp: state.stampSettings }
+      );
+
+      // Remember where it went, for saving as a template
+      for (const pageIndex of pageIndices) {
+        state.templatePlacements.push(createTemplatePlacement(
+          state.pdfDoc,
+          pageIndex,
+          state.selectedSignature.id,
+          getPositionOnPage(state.pdfDoc, state.currentSignPage, pageIndex, pdfPlacement),
+          { addTimestamp, stamp: state.stampSettings }
+        ));
+      }
+      updateSaveTemplateButton();
+    }
+
+    // Refresh PDF.js document
+    const pdfBytes = await state.pdfDoc.save();
+    state.pdfJsDoc = await window.pdfjsLib.getDocument({ data: pdfBytes }).promise;
+
+    // Re-render page
+    await renderSignaturePage();
+
+    const placed = pageIndices.length > 1 ? `placed on ${pageIndices.length} pages.` : 'placed.';
+    showAlert(`${state.selectedStamp ? 'Stamp' : 'Signature'} ${placed} Add more or download the PDF.`, 'success');
+  } catch (error) {
+    showAlert(`Failed to place ${what}: ${error.message}`, 'error');
+    console.error('Signature placement error:', error);
+  }
+
+  hideLoading();
+}
+
+/**
+ * Cancel signature placement
+ */
+function cancelSignaturePlacement() {
+  state.selectedSignature = null;
+  state.selectedStamp = null;
+  if (state.signaturePlacement) {
+    state.signaturePlacement.destroy();
+  }
+  state.signaturePlacement = null;
+  elements.signaturePlacement.classList.add('hidden');
+  elements.signatureLibrary.classList.remove('hidden');
+
+  // Clear selection in library
+  elements.signatureList.querySelectorAll('.signature-item').forEach(item => {
+    item.classList.remove('selected');
+  });
+  elements.rubberStampList.querySelectorAll('.signature-item').forEach(item => {
+    item.classList.remove('selected');
+  });
+}
+
+// ============ Signature Library Lock Functions ============
+
+/**
+ * Unlock the signature library with the key kept for this browser session,
+ * and pick up signatures synced since it was last opened
+ */
+async function restoreSignatureVault() {
+  try {
+    if (await restoreVaultSession()) {
+      await mergeSyncedSignatures();
+    }
+  } catch (error) {
+    console.error('Failed to restore signature library:', error);
+  }
+}
+
+/**
+ * Show the library when it is unlocked, or the panel to unlock it or choose
+ * its passphrase
+ */
+async function updateVaultPanel() {
+  const unlocked = isVaultUnlocked();
+  elements.vaultLockPanel.classList.toggle('hidden', unlocked);
+  elements.vaultContents.classList.toggle('hidden', !unlocked);
+
+  if (unlocked) {
+    elements.signatureSyncToggle.checked = await isSyncEnabled();
+    return;
+  }
+
+  if (await isVaultCreated()) {
+    state.vaultMode = 'unlock';
+    elements.vaultLockMessage.textContent = 'Your signatures are encrypted. Enter your passphrase to use them.';
+  } else if (await getSyncedVaultParams()) {
+    state.vaultMode = 'join';
+    elements.vaultLockMessage.textContent = 'Signatures are synced from another computer. Enter the passphrase you chose there.';
+  } else {
+    state.vaultMode = 'create';
+    elements.vaultLockMessage.textContent = 'Choose a passphrase to encrypt your signatures. They cannot be recovered if you forget it.';
+  }
+
+  elements.vaultConfirmGroup.classList.toggle('hidden', state.vaultMode !== 'create');
+  elements.vaultResetBtn.classList.toggle('hidden', state.vaultMode !== 'unlock');
+  elements.vaultUnlockBtn.textContent = state.vaultMode === 'create' ? 'Encrypt Library' : 'Unlock';
+}
+
+/**
+ * Handle the lock panel's button
+ */
+async function handleVaultUnlock() {
+  const passphrase = elements.vaultPassphrase.value;
+
+  if (!passphrase) {
+    showAlert('Please enter your passphrase', 'error');
+    return;
+  }
+  if (state.vaultMode === 'create' && passphrase !== elements.vaultPassphraseConfirm.value) {
+    showAlert('Passphrases do not match', 'error');
+    return;
+  }
+
+  showLoading(state.vaultMode === 'unlock' ? 'Unlocking signatures...' : 'Encrypting signatures...');
+
+  try {
+    if (state.vaultMode === 'unlock') {
+      await unlockVault(passphrase);
+    } else if (state.vaultMode === 'join') {
+      await createVault(passphrase, await getSyncedVaultParams());
+    } else {
+      await createVault(passphrase);
+    }
+
+    elements.vaultPassphrase.value = '';
+    elements.vaultPassphraseConfirm.value = '';
+
+    // Signatures saved by older versions are still unencrypted
+    const migrated = await migrateLegacySignatures();
+
+    if (state.vaultMode === 'join') {
+      await setSyncEnabled(true, await loadSignatures());
+    }
+    await mergeSyncedSignatures();
+
+    await refreshSignatureLibrary();
+
+    if (migrated > 0) {
+      showAlert(`Encrypted ${migrated} saved signature${migrated === 1 ? '' : 's'}`, 'success');
+    }
+  } catch (error) {
+    showAlert(error.message, 'error');
+    console.error('Signature library unlock error:', error);
+  }
+
+  hideLoading();
+}
+
+/**
+ * Lock the signature library until the passphrase is entered again
+ */
+async function handleLockVault() {
+  try {
+    await lockVault();
+    state.selectedSignature = null;
+    await refreshSignatureLibrary();
+  } catch (error) {
+    showAlert(`Failed to lock: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Delete the encrypted library so a new passphrase can be chosen
+ */
+async function handleResetVault() {
+  if (!showConfirm('Without the passphrase your saved signatures cannot be decrypted. Delete them all, here and in sync, and choose a new passphrase?')) {
+    return;
+  }
+
+  try {
+    await resetVault();
+    await clearSyncedSignatures();
+    await refreshSignatureLibrary();
+    showAlert('Signature library deleted', 'success');
+  } catch (error) {
+    showAlert(`Failed to delete library: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Turn syncing of vector signatures on or off
+ */
+async function handleSyncToggle() {
+  const enabled = elements.signatureSyncToggle.checked;
+
+  if (!enabled && !showConfirm('Stop syncing and remove the synced copies? Your signatures stay on this computer.')) {
+    elements.signatureSyncToggle.checked = true;
+    return;
+  }
+
+  showLoading(enabled ? 'Syncing signatures...' : 'Removing synced signatures...');
+
+  try {
+    const signatures = await loadSignatures();
+    const synced = await setSyncEnabled(enabled, signatures);
+
+    if (enabled) {
+      const added = await mergeSyncedSignatures();
+      await refreshSignatureLibrary();
+
+      let message = `Synced ${synced} of ${signatures.length} signature${signatures.length === 1 ? '' : 's'}`;
+      if (added > 0) {
+        message += `, added ${added} from other computers`;
+      }
+      if (synced < signatures.length) {
+        message += '. Only drawn and SVG signatures small enough for Firefox Sync are synced.';
+      }
+      showAlert(message, 'success');
+    }
+  } catch (error) {
+    elements.signatureSyncToggle.checked = !enabled;
+    showAlert(`Failed to change sync: ${error.message}`, 'error');
+    console.error('Signature sync error:', error);
+  }
+
+  hideLoading();
+}
+
+// ============ Stamp Library Functions ============
+
+/**
+ * Refresh the stamp list, with previews of how each stamp looks today
+ */
+async function refreshStampList() {
+  const values = getCurrentStampValues();
+  const stamps = (await loadStamps()).map(stamp => ({
+    ...stamp,
+    imageData: renderStampImage(stamp, values).imageData
+  }));
+
+  renderStampList(stamps, elements.rubberStampList, {
+    onSelect: handleRubberStampSelect,
+    onDelete: handleRubberStampDelete
+  });
+}
+
+/**
+ * Field values for stamps placed now in the open document
+ * @returns {Object<string, string>} Values from getStampFieldValues, with
+ *   the current page for previews
+ */
+function getCurrentStampValues() {
+  const pageCount = state.pdfDoc ? getPageCount(state.pdfDoc) : 1;
+  return {
+    ...getStampFieldValues({
+      date: new Date(),
+      settings: state.stampSettings || DEFAULT_STAMP_SETTINGS,
+      fileName: state.fileName || 'document.pdf',
+      pageCount
+    }),
+    page: String(state.currentSignPage + 1)
+  };
+}
+
+/**
+ * Start placing a stamp, with the same controls as a signature
+ */
+async function handleRubberStampSelect(stamp) {
+  if (!state.pdfDoc) {
+    showAlert('Open a PDF to place the stamp on', 'info');
+    return;
+  }
+
+  state.selectedStamp = stamp;
+  state.currentSignPage = 0;
+  state.selectedSignature = { id: stamp.id, name: stamp.name, ...renderStampImage(stamp, getCurrentStampValues()) };
+  await showSignaturePlacement();
+}
+
+/**
+ * Handle stamp deletion
+ */
+async function handleRubberStampDelete(stampId) {
+  if (!showConfirm('Delete this stamp?')) {
+    return;
+  }
+
+  try {
+    await deleteStamp(stampId);
+    await refreshStampList();
+  } catch (error) {
+    showAlert(`Failed to delete: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Open the new stamp dialog
+ */
+function showRubberStampDialog() {
+  elements.rubberStampName.value = '';
+  elements.rubberStampText.value = '';
+  elements.rubberStampFields.textContent = 'Fields: ' +
+    Object.entries(STAMP_FIELDS).map(([field, description]) => `{${field}} ${description.toLowerCase()}`).join('; ');
+  updateRubberStampPreview();
+  elements.rubberStampDialog.classList.remove('hidden');
+  elements.rubberStampName.focus();
+}
+
+/**
+ * Close the new stamp dialog
+ */
+function hideRubberStampDialog() {
+  elements.rubberStampDialog.classList.add('hidden');
+}
+
+/**
+ * Show the stamp being defined as it would look now
+ */
+function updateRubberStampPreview() {
+  const text = elements.rubberStampText.value.trim();
+  elements.rubberStampPreview.innerHTML = '';
+  elements.rubberStampPreview.classList.remove('invalid');
+
+  if (!text) {
+    elements.rubberStampPreview.classList.add('invalid');
+    elements.rubberStampPreview.textContent = 'Enter the text of the stamp; the first line is shown large.';
+    return;
+  }
+
+  const img = document.createElement('img');
+  img.src = renderStampImage({ text, color: elements.rubberStampColor.value }, getCurrentStampValues()).imageData;
+  elements.rubberStampPreview.appendChild(img);
+}
+
+/**
+ * Save the stamp from the dialog
+ */
+async function handleSaveRubberStamp() {
+  try {
+    const stamp = await saveStamp(elements.rubberStampName.value, elements.rubberStampText.value, elements.rubberStampColor.value);
+    await refreshStampList();
+    hideRubberStampDialog();
+    showAlert(`Stamp "${stamp.name}" saved`, 'success');
+  } catch (error) {
+    showAlert(error.message, 'warning');
+  }
+}
+
+// ============ Signing Template Functions ============
+
+/**
+ * Refresh the signing template list
+ */
+async function refreshTemplateList() {
+  state.signingTemplates = await loadSigningTemplates();
+
+  renderSigningTemplateList(state.signingTemplates, elements.templateList, {
+    onSelect: handleTemplateSelect,
+    onDelete: handleTemplateDelete
+  });
+}
+
+/**
+ * Enable saving a template once signatures have been placed
+ */
+function updateSaveTemplateButton() {
+  elements.saveTemplateBtn.disabled = state.templatePlacements.length === 0;
+}
+
+/**
+ * Open the save template dialog
+ */
+function showTemplateDialog() {
+  if (state.templatePlacements.length === 0) {
+    showAlert('Place your signatures first, then save them as a template.', 'warning');
+    return;
+  }
+
+  elements.templateSummary.textContent =
+    `Saves ${describeSigningTemplate({ placements: state.templatePlacements })}, with their timestamp settings. ` +
+    'A signature placed on the last page goes on the last page of any document.';
+  elements.templateName.value = '';
+  elements.templateDialog.classList.remove('hidden');
+  elements.templateName.focus();
+}
+
+/**
+ * Close the save template dialog
+ */
+function hideTemplateDialog() {
+  elements.templateDialog.classList.add('hidden');
+}
+
+/**
+ * Save the placements made in this document as a template
+ */
+async function handleSaveTemplate() {
+  try {
+    const template = await saveSigningTemplate(elements.templateName.value, state.templatePlacements);
+    await refreshTemplateList();
+    hideTemplateDialog();
+    showAlert(`Template "${template.name}" saved`, 'success');
+  } catch (error) {
+    showAlert(error.message, 'warning');
+  }
+}
+
+/**
+ * Handle template deletion
+ */
+async function handleTemplateDelete(templateId) {
+  if (!showConfirm('Delete this template?')) {
+    return;
+  }
+
+  try {
+    await deleteSigningTemplate(templateId);
+    await refreshTemplateList();
+  } catch (error) {
+    showAlert(`Failed to delete: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Preview a template on a copy of the document before applying it
+ */
+async function handleTemplateSelect(template) {
+  if (!state.pdfDoc) {
+    showAlert('Open a PDF to apply the template to first.', 'warning');
+    return;
+  }
+  if (!isVaultUnlocked()) {
+    showAlert('Unlock your signature library to apply the template.', 'warning');
+    return;
+  }
+
+  showLoading('Preparing preview...');
+
+  try {
+    const preview = await copyPDFDocument(state.pdfDoc);
+    const { pageIndices, skipped } = await applySigningTemplate(preview, template, await loadSignatures());
+
+    if (pageIndices.length === 0) {
+      hideLoading();
+      showAlert(`Nothing to apply. ${skipped.join('. ')}.`, 'warning');
+      return;
+    }
+
+    const previewJsDoc = await window.pdfjsLib.getDocument({ data: await preview.save() }).promise;
+    await renderPagePreviews(previewJsDoc, pageIndices, elements.templatePreviewPages);
+    previewJsDoc.destroy();
+
+    const pageList = pageIndices.map(pageIndex => pageIndex + 1).join(', ');
+    elements.templatePreviewTitle.textContent = `Apply "${template.name}"`;
+    elements.templatePreviewNote.textContent = skipped.length > 0
+      ? `Signs page${pageIndices.length === 1 ? '' : 's'} ${pageList}. Skipped: ${skipped.join('; ')}.`
+      : `Signs page${pageIndices.length === 1 ? '' : 's'} ${pageList}. Check the positions, then apply.`;
+
+    state.templatePreview = template;
+    elements.templatePreviewDialog.classList.remove('hidden');
+  } catch (error) {
+    showAlert(`Failed to preview template: ${error.message}`, 'error');
+    console.error('Template preview error:', error);
+  }
+
+  hideLoading();
+}
+
+/**
+ * Close the template preview without applying it
+ */
+function hideTemplatePreview() {
+  elements.templatePreviewDialog.classList.add('hidden');
+  elements.templatePreviewPages.innerHTML = '';
+  state.templatePreview = null;
+}
+
+/**
+ * Apply the previewed template to the document
+ */
+async function handleApplyTemplate() {
+  const template = state.templatePreview;
+  if (!template) return;
+
+  hideTemplatePreview();
+  showLoading('Applying template...');
+
+  try {
+    await recordHistory(`Apply template "${template.name}"`);
+
+    const { pageIndices } = await applySigningTemplate(state.pdfDoc, template, await loadSignatures());
+
+    // Refresh PDF.js document
+    const pdfBytes = await state.pdfDoc.save();
+    state.pdfJsDoc = await window.pdfjsLib.getDocument({ data: pdfBytes }).promise;
+    await renderCurrentView();
+
+    showAlert(`Signed ${pageIndices.length} page(s) with "${template.name}". Download the PDF when ready.`, 'success');
+  } catch (error) {
+    showAlert(`Failed to apply template: ${error.message}`, 'error');
+    console.error('Template error:', error);
+  }
+
+  hideLoading();
+}
+
+// ============ Timestamp Options Functions ============
+
+/**
+ * Open the timestamp options dialog with the saved settings
+ */
+function showStampDialog() {
+  if (elements.stampTimeZones.options.length === 0 && Intl.supportedValuesOf) {
+    for (const timeZone of ['UTC', ...Intl.supportedValuesOf('timeZone')]) {
+      const option = document.createElement('option');
+      option.value = timeZone;
+      elements.stampTimeZones.appendChild(option);
+    }
+  }
+
+  fillStampForm(state.stampSettings);
+  elements.stampDialog.classList.remove('hidden');
+}
+
+/**
+ * Close the timestamp options dialog without saving
+ */
+function hideStampDialog() {
+  elements.stampDialog.classList.add('hidden');
+}
+
+/**
+ * Show stamp settings in the dialog
+ * @param {StampSettings} settings - Settings to show
+ */
+function fillStampForm(settings) {
+  elements.stampLabel.value = settings.label;
+  elements.stampExtraLines.value = settings.extraLines.join('\n');
+  elements.stampSignerName.value = settings.signerName;
+  elements.stampDateFormat.value = settings.dateFormat;
+  elements.stampLocale.value = settings.locale;
+  elements.stampPattern.value = settings.pattern;
+  elements.stampTimeZone.value = settings.timeZone;
+  elements.stampShowOffset.checked = settings.showOffset;
+  elements.stampPosition.value = settings.position;
+  elements.stampFontSize.value = settings.fontSize;
+  elements.stampColor.value = settings.color;
+
+  updateStampPreview();
+}
+
+/**
+ * Read stamp settings from the dialog
+ * @returns {StampSettings} The entered settings
+ */
+function readStampForm() {
+  return {
+    label: elements.stampLabel.value,
+    extraLines: elements.stampExtraLines.value.split('\n'),
+    signerName: elements.stampSignerName.value.trim(),
+    dateFormat: elements.stampDateFormat.value,
+    pattern: elements.stampPattern.value,
+    locale: elements.stampLocale.value.trim(),
+    timeZone: elements.stampTimeZone.value.trim(),
+    showOffset: elements.stampShowOffset.checked,
+    position: elements.stampPosition.value,
+    fontSize: parseFloat(elements.stampFontSize.value),
+    color: elements.stampColor.value
+  };
+}
+
+/**
+ * Show the stamp as it would read now, or what is wrong with the settings
+ */
+function updateStampPreview() {
+  const settings = readStampForm();
+  const custom = settings.dateFormat === DATE_FORMATS.CUSTOM;
+
+  elements.stampPatternGroup.classList.toggle('hidden', !custom);
+  elements.stampLocaleGroup.classList.toggle('hidden', settings.dateFormat === DATE_FORMATS.ISO);
+
+  try {
+    const lines = getStampLines(new Date(), settings);
+    elements.stampPreview.textContent = lines.join('\n') || '(empty)';
+    elements.stampPreview.style.color = settings.color;
+    elements.stampPreview.classList.remove('invalid');
+  } catch (error) {
+    // Invalid locale or time zone while typing
+    elements.stampPreview.textContent = error.message;
+    elements.stampPreview.style.color = '';
+    elements.stampPreview.classList.add('invalid');
+  }
+}
+
+/**
+ * Save the timestamp options
+ */
+async function handleSaveStampSettings() {
+  const settings = readStampForm();
+  settings.extraLines = settings.extraLines.filter(line => line.trim());
+
+  try {
+    await saveStampSettings(settings);
+  } catch (error) {
+    showAlert(error.message, 'warning');
+    return;
+  }
+
+  state.stampSettings = settings;
+  hideStampDialog();
+  showAlert('Timestamp options saved', 'success');
+
+  // Stamps show the name and date format too
+  await refreshStampList();
+}
+
+// ============ Digital Signature Functions ============
+
+/**
+ * Refresh the digital ID list
+ */
+async function refreshDigitalIDList() {
+  state.digitalIds = await loadDigitalIDs();
+
+  renderDigitalIDList(state.digitalIds, elements.digitalIdList, {
+    onDelete: handleDigitalIDDelete
+  });
+}
+
+/**
+ * Import the chosen .p12/.pfx file, asking for its password
+ */
+async function handleDigitalIDFileSelect(e) {
+  const file = e.target.files[0];
+  e.target.value = '';
+  if (!file) return;
+
+  let message = `Enter the password of the digital ID "${file.name}".`;
+
+  while (true) {
+    const password = await showPasswordPrompt(message);
+    if (password === null) return;
+
+    showLoading('Importing digital ID...');
+
+    try {
+      const digitalId = await importDigitalID(file, password);
+      await refreshDigitalIDList();
+      hideLoading();
+      showAlert(`Imported the digital ID of ${digitalId.name}`, 'success');
+      return;
+    } catch (error) {
+      hideLoading();
+      if (error.message !== 'Incorrect password for this digital ID') {
+        showAlert(`Failed to import digital ID: ${error.message}`, 'error');
+        return;
+      }
+      message = 'Incorrect password. Please try again.';
+    }
+  }
+}
+
+/**
+ * Handle digital ID deletion
+ */
+async function handleDigitalIDDelete(digitalIdId) {
+  if (!showConfirm('Delete this digital ID? You need the original file to import it again.')) {
+    return;
+  }
+
+  try {
+    await deleteDigitalID(digitalIdId);
+    await refreshDigitalIDList();
+  } catch (error) {
+    showAlert(`Failed to delete: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Open the digital sign dialog
+ * @param {SignatureAppearance|null} appearance - Visible signature, or null
+ *   to sign invisibly
+ */
+function showDigitalSignDialog(appearance) {
+  if (!state.pdfDoc) {
+    showAlert('Open a PDF to sign first.', 'warning');
+    return;
+  }
+
+  if (state.digitalIds.length === 0) {
+    showAlert('Import a digital ID (.p12 or .pfx) first.', 'warning');
+    return;
+  }
+
+  state.digitalSignAppearance = appearance;
+
+  elements.digitalSignId.innerHTML = '';
+  for (const digitalId of state.digitalIds) {
+    const option = document.createElement('option');
+    option.value = digitalId.id;
+    option.textContent = digitalId.name;
+    elements.digitalSignId.appendChild(option);
+  }
+
+  elements.digitalSignPassword.value = '';
+  elements.digitalSignDialog.classList.remove('hidden');
+  elements.digitalSignPassword.focus();
+}
+
+/**
+ * Close the digital sign dialog and forget the typed password
+ */
+function hideDigitalSignDialog() {
+  elements.digitalSignDialog.classList.add('hidden');
+  elements.digitalSignPassword.value = '';
+  state.digitalSignAppearance = null;
+}
+
+/**
+ * Sign digitally with the selected signature as the visible appearance
+ */
+async function handleVisibleDigitalSign() {
+  if (!state.signaturePlacement || !state.selectedSignature) {
+    return;
+  }
+
+  showDigitalSignDialog({
+    pageIndex: state.currentSignPage,
+    signature: state.selectedSignature,
+    position: getSignaturePlacementInPoints()
+  });
+}
+
+/**
+ * Sign the document with the chosen digital ID and download the signed copy
+ */
+async function handleDigitalSign() {
+  const digitalId = state.digitalIds.find(entry => entry.id === elements.digitalSignId.value);
+  if (!digitalId) return;
+
+  showLoading('Signing...');
+
+  try {
+    // Properties, form values and annotations not applied yet are signed too
+    if (state.metadataDirty) {
+      await applyMetadataEdits();
+    }
+    if (state.formDirty) {
+      await applyFormEdits();
+    }
+    if (hasPendingAnnotations()) {
+      await applyAnnotationEdits();
+    }
+
+    const unlocked = await unlockDigitalID(digitalId, elements.digitalSignPassword.value);
+
+    // An unedited file is signed as it is, which keeps any signatures
+    // already in it valid; otherwise the edited document is saved first
+    const pdfBytes = !history.canUndo() && !state.pdfEncrypted
+      ? new Uint8Array(state.pdfData.slice(0))
+      : await state.pdfDoc.save();
+
+    const signedBytes = await signPDF(pdfBytes, {
+      digitalId: unlocked,
+      reason: elements.digitalSignReason.value.trim(),
+      location: elements.digitalSignLocation.value.trim(),
+      appearance: state.digitalSignAppearance
+    });
+
+    downloadPDFBytes(signedBytes, state.fileName.replace(/\.pdf$/i, '') + '-signed.pdf');
+
+    hideDigitalSignDialog();
+    hideLoading();
+    showAlert(`Signed as ${unlocked.certificate.subject.displayName}. The signed copy has been downloaded.`, 'success');
+  } catch (error) {
+    hideLoading();
+    showAlert(`Failed to sign: ${error.message}`, 'error');
+    console.error('Digital signature error:', error);
+  }
 }
 
 // Initialize when DOM is ready
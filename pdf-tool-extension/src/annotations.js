@@ -0,0 +1,655 @@
+/**
+ * Annotations Module
+ * Adds review markup to PDFs: free text boxes, sticky notes, highlight,
+ * underline and strikeout markup over text, and lines, arrows, rectangles,
+ * ellipses and freehand ink. Each is written as a standard
+ * annotation with its own appearance stream, so viewers show it the same
+ * way and list it with the document's comments, or drawn into the page
+ * content when flattened.
+ */
+
+import { getPageGeometry, viewportToPdfPoint, viewportRectToPdf } from './page-transform.js';
+import { addAnnotationToPage, hexToComponents } from './pdf-operations.js';
+
+export const ANNOTATION_TOOLS = {
+  FREE_TEXT: 'free-text',
+  NOTE: 'note',
+  HIGHLIGHT: 'highlight',
+  UNDERLINE: 'underline',
+  STRIKEOUT: 'strikeout',
+  LINE: 'line',
+  ARROW: 'arrow',
+  RECTANGLE: 'rectangle',
+  ELLIPSE: 'ellipse',
+  INK: 'ink'
+};
+
+// Tools drawn with a stroke width rather than anchored to text
+export const SHAPE_TOOLS = [
+  ANNOTATION_TOOLS.LINE,
+  ANNOTATION_TOOLS.ARROW,
+  ANNOTATION_TOOLS.RECTANGLE,
+  ANNOTATION_TOOLS.ELLIPSE,
+  ANNOTATION_TOOLS.INK
+];
+
+// Shapes that can be filled
+export const FILLABLE_TOOLS = [ANNOTATION_TOOLS.RECTANGLE, ANNOTATION_TOOLS.ELLIPSE];
+
+// Standard fonts, named in resources as Acrobat names them in forms
+export const ANNOTATION_FONTS = [
+  { id: 'helvetica', label: 'Helvetica', standardFont: 'Helvetica', resourceName: 'Helv', cssFamily: 'Helvetica, Arial, sans-serif' },
+  { id: 'times', label: 'Times', standardFont: 'TimesRoman', resourceName: 'TiRo', cssFamily: '"Times New Roman", Times, serif' },
+  { id: 'courier', label: 'Courier', standardFont: 'Courier', resourceName: 'Cour', cssFamily: '"Courier New", Courier, monospace' }
+];
+
+export const DEFAULT_ANNOTATION_COLORS = {
+  [ANNOTATION_TOOLS.FREE_TEXT]: '#000000',
+  [ANNOTATION_TOOLS.NOTE]: '#ffd400',
+  [ANNOTATION_TOOLS.HIGHLIGHT]: '#ffeb3b',
+  [ANNOTATION_TOOLS.UNDERLINE]: '#2e7d32',
+  [ANNOTATION_TOOLS.STRIKEOUT]: '#e53935',
+  [ANNOTATION_TOOLS.LINE]: '#e53935',
+  [ANNOTATION_TOOLS.ARROW]: '#e53935',
+  [ANNOTATION_TOOLS.RECTANGLE]: '#e53935',
+  [ANNOTATION_TOOLS.ELLIPSE]: '#e53935',
+  [ANNOTATION_TOOLS.INK]: '#1e88e5'
+};
+
+// Size of a sticky note icon, in points
+export const NOTE_SIZE = 20;
+
+const AUTHOR_KEY = 'annotationAuthor';
+
+// Annotation flags (PDF 32000-1, 12.5.3)
+const FLAG_PRINT = 4;
+const FLAG_NO_ZOOM = 8;
+const FLAG_NO_ROTATE = 16;
+
+// Space between a free text box's edge and its text, in points
+const TEXT_PADDING = 2;
+
+// Where underline and strikeout lines cross a text box, as a fraction of
+// its height from the bottom; text boxes reach a quarter em below the
+// baseline
+export const MARKUP_LINE_POSITIONS = {
+  [ANNOTATION_TOOLS.UNDERLINE]: 0.15,
+  [ANNOTATION_TOOLS.STRIKEOUT]: 0.42
+};
+
+// Underline and strikeout thickness as a fraction of the text box height
+export const MARKUP_LINE_WIDTH = 0.07;
+
+// Control point distance for drawing a quarter ellipse with one Bézier curve
+const ELLIPSE_KAPPA = 0.5523;
+
+const SHAPE_SUBTYPES = {
+  [ANNOTATION_TOOLS.RECTANGLE]: 'Square',
+  [ANNOTATION_TOOLS.ELLIPSE]: 'Circle'
+};
+
+const MARKUP_SUBTYPES = {
+  [ANNOTATION_TOOLS.HIGHLIGHT]: 'Highlight',
+  [ANNOTATION_TOOLS.UNDERLINE]: 'Underline',
+  [ANNOTATION_TOOLS.STRIKEOUT]: 'StrikeOut'
+};
+
+/**
+ * @typedef {Object} PendingAnnotation
+ * @property {string} type - One of ANNOTATION_TOOLS
+ * @property {RedactionBox} rect - Box in unscaled viewport units: the text
+ *   box, the note icon, the shape, or the bounds of marked text or a line
+ * @property {RedactionBox[]} [quads] - Boxes of the marked text runs
+ * @property {Array<{x: number, y: number}>} [points] - Start and end of a
+ *   line or arrow, or the points of an ink stroke, in unscaled viewport units
+ * @property {string} [text] - Text of a free text box or note, or the
+ *   marked text
+ * @property {string} color - Color as #rrggbb; the stroke color of shapes
+ * @property {string} [font] - ID from ANNOTATION_FONTS, for free text
+ * @property {number} [fontSize] - Font size in points, for free text
+ * @property {number} [strokeWidth] - Line width in points, for shapes
+ * @property {string} [fillColor] - Fill as #rrggbb, for rectangles and
+ *   ellipses; unfilled if absent
+ */
+
+/**
+ * Load the author name added to new annotations
+ * @returns {Promise<string>} The name, or an empty string
+ */
+export async function loadAnnotationAuthor() {
+  try {
+    const result = await browser.storage.local.get(AUTHOR_KEY);
+    return result[AUTHOR_KEY] || '';
+  } catch (error) {
+    console.error('Failed to load annotation author:', error);
+    return '';
+  }
+}
+
+/**
+ * Save the author name added to new annotations
+ * @param {string} author - The name
+ * @returns {Promise<void>}
+ */
+export async function saveAnnotationAuthor(author) {
+  await browser.storage.local.set({ [AUTHOR_KEY]: author.trim() });
+}
+
+/**
+ * Add annotations to a document
+ * @param {PDFDocument} pdfDoc - PDF-lib document, modified in place
+ * @param {Object<number, PendingAnnotation[]>} annotationsByPage - Map of
+ *   page index to annotations
+ * @param {Object} [options] - Options
+ * @param {string} [options.author] - Name shown as the author
+ * @param {boolean} [options.flatten=false] - Draw the annotations into the
+ *   page content instead, so they can no longer be edited or removed
+ * @param {Date} [options.date=new Date()] - Creation time
+ * @returns {Promise<number>} Number of annotations added
+ */
+export async function addAnnotations(pdfDoc, annotationsByPage, options = {}) {
+  const { context } = pdfDoc;
+  const { PDFString, PDFHexString } = PDFLib;
+  const date = PDFString.fromDate(options.date || new Date());
+  let count = 0;
+
+  for (const [key, annotations] of Object.entries(annotationsByPage)) {
+    if (!annotations || annotations.length === 0) continue;
+
+    const page = pdfDoc.getPage(Number(key));
+    const geometry = getPageGeometry(page);
+
+    for (const annotation of annotations) {
+      const built = await buildAnnotation(pdfDoc, geometry, annotation);
+      const appearanceRef = context.register(context.formXObject(built.operators, {
+        BBox: built.bbox,
+        Matrix: built.matrix,
+        Resources: built.resources
+      }));
+
+      if (options.flatten) {
+        drawAppearance(page, appearanceRef, built);
+      } else {
+        const dict = context.obj({
+          Type: 'Annot',
+          Subtype: built.subtype,
+          Rect: built.rect,
+          Contents: PDFHexString.fromText(annotation.text || ''),
+          C: hexToComponents(annotation.color),
+          F: built.flags,
+          P: page.ref,
+          NM: PDFString.of(`annot_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`),
+          M: date,
+          CreationDate: date,
+          AP: { N: appearanceRef },
+          ...built.entries
+        });
+        if (options.author) {
+          dict.set(PDFLib.PDFName.of('T'), PDFHexString.fromText(options.author));
+        }
+        addAnnotationToPage(page, context.register(dict));
+      }
+
+      count++;
+    }
+  }
+
+  return count;
+}
+
+/**
+ * Build the entries and appearance of one annotation
+ * @returns {Promise<Object>} Subtype, Rect, flags, extra entries, and the
+ *   appearance operators with their BBox, Matrix and Resources
+ */
+async function buildAnnotation(pdfDoc, geometry, annotation) {
+  switch (annotation.type) {
+    case ANNOTATION_TOOLS.FREE_TEXT:
+      return buildFreeText(pdfDoc, geometry, annotation);
+    case ANNOTATION_TOOLS.NOTE:
+      return buildNote(geometry, annotation);
+    case ANNOTATION_TOOLS.HIGHLIGHT:
+    case ANNOTATION_TOOLS.UNDERLINE:
+    case ANNOTATION_TOOLS.STRIKEOUT:
+      return buildTextMarkup(pdfDoc, geometry, annotation);
+    case ANNOTATION_TOOLS.LINE:
+    case ANNOTATION_TOOLS.ARROW:
+      return buildLine(geometry, annotation);
+    case ANNOTATION_TOOLS.RECTANGLE:
+    case ANNOTATION_TOOLS.ELLIPSE:
+      return buildShape(geometry, annotation);
+    case ANNOTATION_TOOLS.INK:
+      return buildInk(geometry, annotation);
+    default:
+      throw new Error(`Unknown annotation type: ${annotation.type}`);
+  }
+}
+
+/**
+ * Free text box, drawn upright as shown however the page is rotated
+ */
+async function buildFreeText(pdfDoc, geometry, annotation) {
+  const {
+    pushGraphicsState, popGraphicsState, rectangle, clip, endPath,
+    beginText, endText, setFontAndSize, setFillingRgbColor, setTextMatrix, showText
+  } = PDFLib;
+
+  const fontInfo = ANNOTATION_FONTS.find(font => font.id === annotation.font) || ANNOTATION_FONTS[0];
+  const font = await pdfDoc.embedFont(PDFLib.StandardFonts[fontInfo.standardFont]);
+  const { width, height } = annotation.rect;
+
+  let layout;
+  try {
+    layout = PDFLib.layoutMultilineText(annotation.text, {
+      alignment: PDFLib.TextAlignment.Left,
+      fontSize: annotation.fontSize,
+      font,
+      bounds: {
+        x: TEXT_PADDING,
+        y: TEXT_PADDING,
+        width: width - TEXT_PADDING * 2,
+        height: height - TEXT_PADDING * 2
+      }
+    });
+  } catch (error) {
+    // Standard fonts only cover the Windows Latin character set
+    throw new Error(`Free text can only use Latin characters: ${error.message}`);
+  }
+
+  const color = hexToComponents(annotation.color);
+  const operators = [
+    pushGraphicsState(),
+    rectangle(0, 0, width, height),
+    clip(),
+    endPath(),
+    beginText(),
+    setFontAndSize(fontInfo.resourceName, layout.fontSize),
+    setFillingRgbColor(...color)
+  ];
+  for (const line of layout.lines) {
+    operators.push(setTextMatrix(1, 0, 0, 1, line.x, line.y), showText(line.encoded));
+  }
+  operators.push(endText(), popGraphicsState());
+
+  return {
+    subtype: 'FreeText',
+    rect: toRectArray(viewportRectToPdf(geometry, annotation.rect)),
+    flags: FLAG_PRINT,
+    entries: {
+      DA: PDFLib.PDFString.of(`/${fontInfo.resourceName} ${layout.fontSize} Tf ${color.join(' ')} rg`),
+      BS: { W: 0 }
+    },
+    operators,
+    bbox: [0, 0, width, height],
+    matrix: getUprightMatrix(geometry.rotation),
+    resources: { Font: { [fontInfo.resourceName]: font.ref } }
+  };
+}
+
+/**
+ * Sticky note: a note icon whose text opens in a pop-up
+ */
+function buildNote(geometry, annotation) {
+  const {
+    pushGraphicsState, popGraphicsState, moveTo, lineTo, closePath, fillAndStroke, stroke,
+    setFillingRgbColor, setStrokingRgbColor, setLineWidth
+  } = PDFLib;
+  const size = NOTE_SIZE;
+
+  // A page with a folded corner and three lines of text
+  const operators = [
+    pushGraphicsState(),
+    setFillingRgbColor(...hexToComponents(annotation.color)),
+    setStrokingRgbColor(0.3, 0.3, 0.3),
+    setLineWidth(1),
+    moveTo(1.5, 1.5),
+    lineTo(size - 1.5, 1.5),
+    lineTo(size - 1.5, size - 6),
+    lineTo(size - 6, size - 1.5),
+    lineTo(1.5, size - 1.5),
+    closePath(),
+    fillAndStroke(),
+    moveTo(size - 6, size - 1.5),
+    lineTo(size - 6, size - 6),
+    lineTo(size - 1.5, size - 6),
+    stroke()
+  ];
+  for (const y of [size - 8, size - 12, size - 16]) {
+    operators.push(moveTo(4.5, y), lineTo(size - 8.5, y), stroke());
+  }
+  operators.push(popGraphicsState());
+
+  return {
+    subtype: 'Text',
+    rect: toRectArray(viewportRectToPdf(geometry, annotation.rect)),
+    // Viewers keep note icons upright and at the same size on screen
+    flags: FLAG_PRINT | FLAG_NO_ZOOM | FLAG_NO_ROTATE,
+    entries: {
+      Name: 'Comment',
+      Open: false
+    },
+    operators,
+    bbox: [0, 0, size, size],
+    matrix: getUprightMatrix(geometry.rotation),
+    resources: {}
+  };
+}
+
+/**
+ * Highlight, underline or strikeout over text runs. Quads go from the top
+ * of the text to the bottom as shown, which viewers use to tell where the
+ * baseline is.
+ */
+function buildTextMarkup(pdfDoc, geometry, annotation) {
+  const {
+    pushGraphicsState, popGraphicsState, moveTo, lineTo, closePath, fill, stroke,
+    setFillingRgbColor, setStrokingRgbColor, setLineWidth, setGraphicsState
+  } = PDFLib;
+
+  const quads = annotation.quads.map(box => ({
+    upperLeft: viewportToPdfPoint(geometry, box.x, box.y),
+    upperRight: viewportToPdfPoint(geometry, box.x + box.width, box.y),
+    lowerLeft: viewportToPdfPoint(geometry, box.x, box.y + box.height),
+    lowerRight: viewportToPdfPoint(geometry, box.x + box.width, box.y + box.height),
+    height: box.height
+  }));
+
+  const color = hexToComponents(annotation.color);
+  const operators = [pushGraphicsState()];
+  const resources = {};
+
+  if (annotation.type === ANNOTATION_TOOLS.HIGHLIGHT) {
+    // Multiply keeps the text under the highlight readable
+    resources.ExtGState = { GS0: pdfDoc.context.obj({ BM: 'Multiply' }) };
+    operators.push(setGraphicsState('GS0'), setFillingRgbColor(...color));
+    for (const quad of quads) {
+      operators.push(
+        moveTo(quad.upperLeft.x, quad.upperLeft.y),
+        lineTo(quad.upperRight.x, quad.upperRight.y),
+        lineTo(quad.lowerRight.x, quad.lowerRight.y),
+        lineTo(quad.lowerLeft.x, quad.lowerLeft.y),
+        closePath(),
+        fill()
+      );
+    }
+  } else {
+    const position = MARKUP_LINE_POSITIONS[annotation.type];
+    operators.push(setStrokingRgbColor(...color));
+    for (const quad of quads) {
+      const start = interpolate(quad.lowerLeft, quad.upperLeft, position);
+      const end = interpolate(quad.lowerRight, quad.upperRight, position);
+      operators.push(
+        setLineWidth(Math.max(0.5, quad.height * MARKUP_LINE_WIDTH)),
+        moveTo(start.x, start.y),
+        lineTo(end.x, end.y),
+        stroke()
+      );
+    }
+  }
+  operators.push(popGraphicsState());
+
+  const points = quads.flatMap(quad => [quad.upperLeft, quad.upperRight, quad.lowerLeft, quad.lowerRight]);
+  const xs = points.map(point => point.x);
+  const ys = points.map(point => point.y);
+  const rect = [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)];
+
+  return {
+    subtype: MARKUP_SUBTYPES[annotation.type],
+    rect,
+    flags: FLAG_PRINT,
+    entries: {
+      QuadPoints: points.flatMap(point => [point.x, point.y])
+    },
+    operators,
+    // Drawn in user space
+    bbox: rect,
+    matrix: [1, 0, 0, 1, 0, 0],
+    resources
+  };
+}
+
+/**
+ * Line, with an open arrowhead at its end for arrows
+ */
+function buildLine(geometry, annotation) {
+  const {
+    pushGraphicsState, popGraphicsState, moveTo, lineTo, stroke,
+    setStrokingRgbColor, setLineWidth, setLineCap, setLineJoin, LineCapStyle, LineJoinStyle
+  } = PDFLib;
+
+  const width = annotation.strokeWidth;
+  const [start, end] = annotation.points.map(point => viewportToPdfPoint(geometry, point.x, point.y));
+  const isArrow = annotation.type === ANNOTATION_TOOLS.ARROW;
+
+  const operators = [
+    pushGraphicsState(),
+    setStrokingRgbColor(...hexToComponents(annotation.color)),
+    setLineWidth(width),
+    setLineCap(LineCapStyle.Round),
+    setLineJoin(LineJoinStyle.Round),
+    moveTo(start.x, start.y),
+    lineTo(end.x, end.y),
+    stroke()
+  ];
+
+  const points = [start, end];
+  if (isArrow) {
+    const [left, right] = getArrowHead(start, end, width);
+    operators.push(moveTo(left.x, left.y), lineTo(end.x, end.y), lineTo(right.x, right.y), stroke());
+    points.push(left, right);
+  }
+  operators.push(popGraphicsState());
+
+  const rect = getBounds(points, width);
+
+  return {
+    subtype: 'Line',
+    rect,
+    flags: FLAG_PRINT,
+    entries: {
+      L: [start.x, start.y, end.x, end.y],
+      LE: ['None', isArrow ? 'OpenArrow' : 'None'],
+      BS: { W: width, S: 'S' }
+    },
+    operators,
+    // Drawn in user space
+    bbox: rect,
+    matrix: [1, 0, 0, 1, 0, 0],
+    resources: {}
+  };
+}
+
+/**
+ * Rectangle or ellipse filling its Rect, the stroke kept inside it
+ */
+function buildShape(geometry, annotation) {
+  const {
+    pushGraphicsState, popGraphicsState, moveTo, appendBezierCurve, closePath, rectangle,
+    stroke, fillAndStroke, setFillingRgbColor, setStrokingRgbColor, setLineWidth
+  } = PDFLib;
+
+  const width = annotation.strokeWidth;
+  const rect = toRectArray(viewportRectToPdf(geometry, annotation.rect));
+  const [x1, y1, x2, y2] = rect;
+
+  // Path through the middle of the stroke
+  const left = x1 + width / 2;
+  const bottom = y1 + width / 2;
+  const w = Math.max(0, x2 - x1 - width);
+  const h = Math.max(0, y2 - y1 - width);
+
+  const operators = [
+    pushGraphicsState(),
+    setStrokingRgbColor(...hexToComponents(annotation.color)),
+    setLineWidth(width)
+  ];
+  if (annotation.fillColor) {
+    operators.push(setFillingRgbColor(...hexToComponents(annotation.fillColor)));
+  }
+
+  if (annotation.type === ANNOTATION_TOOLS.ELLIPSE) {
+    const cx = left + w / 2;
+    const cy = bottom + h / 2;
+    const kx = (w / 2) * ELLIPSE_KAPPA;
+    const ky = (h / 2) * ELLIPSE_KAPPA;
+    operators.push(
+      moveTo(cx + w / 2, cy),
+      appendBezierCurve(cx + w / 2, cy + ky, cx + kx, cy + h / 2, cx, cy + h / 2),
+      appendBezierCurve(cx - kx, cy + h / 2, cx - w / 2, cy + ky, cx - w / 2, cy),
+      appendBezierCurve(cx - w / 2, cy - ky, cx - kx, cy - h / 2, cx, cy - h / 2),
+      appendBezierCurve(cx + kx, cy - h / 2, cx + w / 2, cy - ky, cx + w / 2, cy),
+      closePath()
+    );
+  } else {
+    operators.push(rectangle(left, bottom, w, h));
+  }
+  operators.push(annotation.fillColor ? fillAndStroke() : stroke(), popGraphicsState());
+
+  const entries = { BS: { W: width, S: 'S' } };
+  if (annotation.fillColor) {
+    entries.IC = hexToComponents(annotation.fillColor);
+  }
+
+  return {
+    subtype: SHAPE_SUBTYPES[annotation.type],
+    rect,
+    flags: FLAG_PRINT,
+    entries,
+    operators,
+    // Drawn in user space
+    bbox: rect,
+    matrix: [1, 0, 0, 1, 0, 0],
+    resources: {}
+  };
+}
+
+/**
+ * Freehand ink stroke
+ */
+function buildInk(geometry, annotation) {
+  const {
+    pushGraphicsState, popGraphicsState, moveTo, lineTo, stroke,
+    setStrokingRgbColor, setLineWidth, setLineCap, setLineJoin, LineCapStyle, LineJoinStyle
+  } = PDFLib;
+
+  const width = annotation.strokeWidth;
+  const points = annotation.points.map(point => viewportToPdfPoint(geometry, point.x, point.y));
+
+  const operators = [
+    pushGraphicsState(),
+    setStrokingRgbColor(...hexToComponents(annotation.color)),
+    setLineWidth(width),
+    setLineCap(LineCapStyle.Round),
+    setLineJoin(LineJoinStyle.Round),
+    moveTo(points[0].x, points[0].y)
+  ];
+  for (const point of points.slice(1)) {
+    operators.push(lineTo(point.x, point.y));
+  }
+  operators.push(stroke(), popGraphicsState());
+
+  const rect = getBounds(points, width);
+
+  return {
+    subtype: 'Ink',
+    rect,
+    flags: FLAG_PRINT,
+    entries: {
+      InkList: [points.flatMap(point => [point.x, point.y])],
+      BS: { W: width, S: 'S' }
+    },
+    operators,
+    // Drawn in user space
+    bbox: rect,
+    matrix: [1, 0, 0, 1, 0, 0],
+    resources: {}
+  };
+}
+
+/**
+ * Get the two outer points of an open arrowhead at the end of a line. Works
+ * the same in viewport and PDF coordinates.
+ * @param {{x: number, y: number}} start - Start of the line
+ * @param {{x: number, y: number}} end - Tip of the arrow
+ * @param {number} strokeWidth - Line width
+ * @returns {Array<{x: number, y: number}>} Points either side of the tip
+ */
+export function getArrowHead(start, end, strokeWidth) {
+  const length = Math.max(8, strokeWidth * 4);
+  const angle = Math.atan2(end.y - start.y, end.x - start.x);
+  const spread = Math.PI / 7;
+
+  return [angle - spread, angle + spread].map(side => ({
+    x: end.x - length * Math.cos(side),
+    y: end.y - length * Math.sin(side)
+  }));
+}
+
+/**
+ * PDF Rect around points, with room for the stroke
+ */
+function getBounds(points, strokeWidth) {
+  const xs = points.map(point => point.x);
+  const ys = points.map(point => point.y);
+  const margin = strokeWidth / 2 + 1;
+  return [Math.min(...xs) - margin, Math.min(...ys) - margin, Math.max(...xs) + margin, Math.max(...ys) + margin];
+}
+
+/**
+ * Draw an appearance into the page content, placed as a viewer would place
+ * it in the annotation's Rect
+ */
+function drawAppearance(page, appearanceRef, built) {
+  const { pushGraphicsState, popGraphicsState, concatTransformationMatrix, drawObject } = PDFLib;
+
+  // The form's Matrix applies when it is drawn; what remains is to move and
+  // scale its transformed BBox onto the Rect (PDF 32000-1, 12.5.5)
+  const [a, b, c, d, e, f] = built.matrix;
+  const [bx1, by1, bx2, by2] = built.bbox;
+  const corners = [[bx1, by1], [bx2, by1], [bx1, by2], [bx2, by2]]
+    .map(([x, y]) => [a * x + c * y + e, b * x + d * y + f]);
+  const xs = corners.map(corner => corner[0]);
+  const ys = corners.map(corner => corner[1]);
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+
+  const [rx1, ry1, rx2, ry2] = built.rect;
+  const scaleX = (rx2 - rx1) / (Math.max(...xs) - minX || 1);
+  const scaleY = (ry2 - ry1) / (Math.max(...ys) - minY || 1);
+
+  const name = page.node.newXObject('Annot', appearanceRef);
+  page.pushOperators(
+    pushGraphicsState(),
+    concatTransformationMatrix(scaleX, 0, 0, scaleY, rx1 - minX * scaleX, ry1 - minY * scaleY),
+    drawObject(name),
+    popGraphicsState()
+  );
+}
+
+/**
+ * Matrix that turns content against the page rotation, so it reads upright
+ * as shown
+ */
+function getUprightMatrix(rotation) {
+  const angle = (rotation * Math.PI) / 180;
+  const cos = Math.round(Math.cos(angle));
+  const sin = Math.round(Math.sin(angle));
+  return [cos, sin, -sin, cos, 0, 0];
+}
+
+/**
+ * Point a fraction of the way from one point to another
+ */
+function interpolate(from, to, fraction) {
+  return {
+    x: from.x + (to.x - from.x) * fraction,
+    y: from.y + (to.y - from.y) * fraction
+  };
+}
+
+/**
+ * Convert a rectangle to a PDF Rect array
+ */
+function toRectArray(rect) {
+  return [rect.x, rect.y, rect.x + rect.width, rect.y + rect.height];
+}
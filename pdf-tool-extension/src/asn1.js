@@ -0,0 +1,414 @@
+/**
+ * ASN.1 Module
+ * Minimal DER reader and writer for the certificate, PKCS#12 and CMS
+ * structures used by digital signatures
+ */
+
+import { concatBytes } from './crypto-utils.js';
+
+export const TAGS = {
+  BOOLEAN: 0x01,
+  INTEGER: 0x02,
+  BIT_STRING: 0x03,
+  OCTET_STRING: 0x04,
+  NULL: 0x05,
+  OID: 0x06,
+  UTF8_STRING: 0x0c,
+  PRINTABLE_STRING: 0x13,
+  T61_STRING: 0x14,
+  IA5_STRING: 0x16,
+  UTC_TIME: 0x17,
+  GENERALIZED_TIME: 0x18,
+  BMP_STRING: 0x1e,
+  SEQUENCE: 0x30,
+  SET: 0x31
+};
+
+// Object identifiers by name
+export const OIDS = {
+  // Content types
+  data: '1.2.840.113549.1.7.1',
+  signedData: '1.2.840.113549.1.7.2',
+  encryptedData: '1.2.840.113549.1.7.6',
+
+  // Digests
+  sha1: '1.3.14.3.2.26',
+  sha256: '2.16.840.1.101.3.4.2.1',
+  sha384: '2.16.840.1.101.3.4.2.2',
+  sha512: '2.16.840.1.101.3.4.2.3',
+
+  // Public keys and signatures
+  rsaEncryption: '1.2.840.113549.1.1.1',
+  sha1WithRSAEncryption: '1.2.840.113549.1.1.5',
+  sha256WithRSAEncryption: '1.2.840.113549.1.1.11',
+  sha384WithRSAEncryption: '1.2.840.113549.1.1.12',
+  sha512WithRSAEncryption: '1.2.840.113549.1.1.13',
+  rsassaPss: '1.2.840.113549.1.1.10',
+  ecPublicKey: '1.2.840.10045.2.1',
+  ecdsaWithSHA1: '1.2.840.10045.4.1',
+  ecdsaWithSHA256: '1.2.840.10045.4.3.2',
+  ecdsaWithSHA384: '1.2.840.10045.4.3.3',
+  ecdsaWithSHA512: '1.2.840.10045.4.3.4',
+  prime256v1: '1.2.840.10045.3.1.7',
+  secp384r1: '1.3.132.0.34',
+  secp521r1: '1.3.132.0.35',
+
+  // CMS signed attributes
+  contentType: '1.2.840.113549.1.9.3',
+  messageDigest: '1.2.840.113549.1.9.4',
+  signingTime: '1.2.840.113549.1.9.5',
+  signingCertificateV2: '1.2.840.113549.1.9.16.2.47',
+  timeStampToken: '1.2.840.113549.1.9.16.2.14',
+
+  // PKCS#12 bags and attributes
+  keyBag: '1.2.840.113549.1.12.10.1.1',
+  pkcs8ShroudedKeyBag: '1.2.840.113549.1.12.10.1.2',
+  certBag: '1.2.840.113549.1.12.10.1.3',
+  x509Certificate: '1.2.840.113549.1.9.22.1',
+  localKeyId: '1.2.840.113549.1.9.21',
+
+  // Password-based encryption
+  pbeWithSHAAnd128BitRC2CBC: '1.2.840.113549.1.12.1.5',
+  pbeWithSHAAnd40BitRC2CBC: '1.2.840.113549.1.12.1.6',
+  pbeWithSHAAnd3KeyTripleDESCBC: '1.2.840.113549.1.12.1.3',
+  pbeWithSHAAnd2KeyTripleDESCBC: '1.2.840.113549.1.12.1.4',
+  pbes2: '1.2.840.113549.1.5.13',
+  pbkdf2: '1.2.840.113549.1.5.12',
+  hmacWithSHA1: '1.2.840.113549.2.7',
+  hmacWithSHA256: '1.2.840.113549.2.9',
+  hmacWithSHA384: '1.2.840.113549.2.10',
+  hmacWithSHA512: '1.2.840.113549.2.11',
+  aes128CBC: '2.16.840.1.101.3.4.1.2',
+  aes192CBC: '2.16.840.1.101.3.4.1.22',
+  aes256CBC: '2.16.840.1.101.3.4.1.42',
+  desEde3CBC: '1.2.840.113549.3.7',
+
+  // Distinguished name attributes
+  commonName: '2.5.4.3',
+  countryName: '2.5.4.6',
+  localityName: '2.5.4.7',
+  stateOrProvinceName: '2.5.4.8',
+  organizationName: '2.5.4.10',
+  organizationalUnitName: '2.5.4.11',
+  emailAddress: '1.2.840.113549.1.9.1'
+};
+
+/**
+ * @typedef {Object} Asn1Node
+ * @property {number} tag - Identifier octet: class, constructed bit and number
+ * @property {Uint8Array} bytes - The whole encoding, header included
+ * @property {Uint8Array} content - The content octets
+ * @property {Asn1Node[]|null} children - Parsed children of constructed
+ *   values, null for primitive ones
+ */
+
+/**
+ * Parse one DER value. BER indefinite lengths, which some PKCS#12 writers
+ * still produce, are accepted too.
+ * @param {Uint8Array} bytes - Encoded bytes
+ * @param {number} [offset=0] - Where the value starts
+ * @returns {Asn1Node} The parsed value
+ */
+export function parseDER(bytes, offset = 0) {
+  return readNode(bytes, offset);
+}
+
+/**
+ * Get the bytes of an OCTET STRING, joining the chunks of the constructed
+ * BER form
+ * @param {Asn1Node} node - OCTET STRING value
+ * @returns {Uint8Array} The octets
+ */
+export function getOctets(node) {
+  if (!node.children) return node.content;
+  return concatBytes(...node.children.map(getOctets));
+}
+
+/**
+ * Read an OBJECT IDENTIFIER in dotted form
+ * @param {Asn1Node} node - OID value
+ * @returns {string} Dotted OID
+ */
+export function readOID(node) {
+  const { content } = node;
+  const parts = [Math.min(Math.floor(content[0] / 40), 2)];
+  parts.push(content[0] - parts[0] * 40);
+
+  let value = 0;
+  for (let i = 1; i < content.length; i++) {
+    value = value * 128 + (content[i] & 0x7f);
+    if (!(content[i] & 0x80)) {
+      parts.push(value);
+      value = 0;
+    }
+  }
+  return parts.join('.');
+}
+
+/**
+ * Read a small non-negative INTEGER
+ * @param {Asn1Node} node - INTEGER value
+ * @returns {number} The value
+ */
+export function readInteger(node) {
+  return node.content.reduce((value, byte) => value * 256 + byte, 0);
+}
+
+/**
+ * Read a string value of any of the ASN.1 string types
+ * @param {Asn1Node} node - String value
+ * @returns {string} The text
+ */
+export function readString(node) {
+  const { content } = node;
+  switch (node.tag) {
+    case TAGS.UTF8_STRING:
+      return new TextDecoder().decode(content);
+    case TAGS.BMP_STRING: {
+      let text = '';
+      for (let i = 0; i + 1 < content.length; i += 2) {
+        text += String.fromCharCode((content[i] << 8) | content[i + 1]);
+      }
+      return text;
+    }
+    default:
+      return String.fromCharCode(...content);
+  }
+}
+
+/**
+ * Read a UTCTime or GeneralizedTime
+ * @param {Asn1Node} node - Time value
+ * @returns {Date} The time
+ */
+export function readTime(node) {
+  const text = readString(node);
+  const isUTCTime = node.tag === TAGS.UTC_TIME;
+  const yearDigits = isUTCTime ? '\\d{2}' : '\\d{4}';
+  const match = text.match(new RegExp(`^(${yearDigits})(\\d{2})(\\d{2})(\\d{2})(\\d{2})(\\d{2})?(?:\\.\\d+)?(Z|[+-]\\d{4})?$`));
+  if (!match) {
+    throw new Error(`Invalid time: ${text}`);
+  }
+
+  // UTCTime has two-digit years: 50-99 are 19xx, 00-49 are 20xx
+  let year = Number(match[1]);
+  if (isUTCTime) {
+    year += year < 50 ? 2000 : 1900;
+  }
+
+  const date = new Date(Date.UTC(year, match[2] - 1, match[3], match[4], match[5], match[6] || 0));
+  if (match[7] && match[7] !== 'Z') {
+    const sign = match[7][0] === '+' ? 1 : -1;
+    const minutes = Number(match[7].slice(1, 3)) * 60 + Number(match[7].slice(3, 5));
+    date.setTime(date.getTime() - sign * minutes * 60000);
+  }
+  return date;
+}
+
+/**
+ * Encode a DER value
+ * @param {number} tag - Identifier octet
+ * @param {Uint8Array} content - Content octets
+ * @returns {Uint8Array} The encoding
+ */
+export function encodeDER(tag, content) {
+  let header;
+  if (content.length < 0x80) {
+    header = [tag, content.length];
+  } else {
+    const lengthBytes = [];
+    for (let length = content.length; length > 0; length = Math.floor(length / 256)) {
+      lengthBytes.unshift(length & 0xff);
+    }
+    header = [tag, 0x80 | lengthBytes.length, ...lengthBytes];
+  }
+  return concatBytes(Uint8Array.from(header), content);
+}
+
+/**
+ * Encode a SEQUENCE
+ * @param {...Uint8Array} items - Encoded members
+ * @returns {Uint8Array} The encoding
+ */
+export function derSequence(...items) {
+  return encodeDER(TAGS.SEQUENCE, concatBytes(...items));
+}
+
+/**
+ * Encode a SET OF, sorting the members as DER requires
+ * @param {...Uint8Array} items - Encoded members
+ * @returns {Uint8Array} The encoding
+ */
+export function derSet(...items) {
+  return encodeDER(TAGS.SET, concatBytes(...sortEncodings(items)));
+}
+
+/**
+ * Encode a context-specific tag around encoded content
+ * @param {number} number - Tag number, 0-30
+ * @param {Uint8Array} content - Content octets
+ * @param {boolean} [constructed=true] - Constructed (explicit tagging or an
+ *   implicitly tagged SEQUENCE or SET) rather than primitive
+ * @returns {Uint8Array} The encoding
+ */
+export function derContext(number, content, constructed = true) {
+  return encodeDER((constructed ? 0xa0 : 0x80) | number, content);
+}
+
+/**
+ * Encode an INTEGER
+ * @param {number|Uint8Array} value - Non-negative number, or the big-endian
+ *   bytes of an unsigned value
+ * @returns {Uint8Array} The encoding
+ */
+export function derInteger(value) {
+  let bytes;
+  if (typeof value === 'number') {
+    bytes = [];
+    do {
+      bytes.unshift(value & 0xff);
+      value = Math.floor(value / 256);
+    } while (value > 0);
+    bytes = Uint8Array.from(bytes);
+  } else {
+    bytes = value;
+  }
+
+  // Minimal form, with a zero byte in front of a set high bit
+  let start = 0;
+  while (start < bytes.length - 1 && bytes[start] === 0 && !(bytes[start + 1] & 0x80)) start++;
+  bytes = bytes.subarray(start);
+  if (bytes[0] & 0x80) {
+    bytes = concatBytes(new Uint8Array(1), bytes);
+  }
+  return encodeDER(TAGS.INTEGER, bytes);
+}
+
+/**
+ * Encode an OBJECT IDENTIFIER
+ * @param {string} oid - Dotted OID
+ * @returns {Uint8Array} The encoding
+ */
+export function derOID(oid) {
+  const parts = oid.split('.').map(Number);
+  const bytes = [parts[0] * 40 + parts[1]];
+
+  for (const part of parts.slice(2)) {
+    const groups = [part & 0x7f];
+    for (let value = Math.floor(part / 128); value > 0; value = Math.floor(value / 128)) {
+      groups.unshift(0x80 | (value & 0x7f));
+    }
+    bytes.push(...groups);
+  }
+  return encodeDER(TAGS.OID, Uint8Array.from(bytes));
+}
+
+/**
+ * Encode an OCTET STRING
+ * @param {Uint8Array} bytes - The octets
+ * @returns {Uint8Array} The encoding
+ */
+export function derOctetString(bytes) {
+  return encodeDER(TAGS.OCTET_STRING, bytes);
+}
+
+/**
+ * Encode a NULL
+ * @returns {Uint8Array} The encoding
+ */
+export function derNull() {
+  return Uint8Array.of(TAGS.NULL, 0);
+}
+
+/**
+ * Encode an AlgorithmIdentifier
+ * @param {string} oid - Algorithm OID
+ * @param {Uint8Array} [parameters] - Encoded parameters, if any
+ * @returns {Uint8Array} The encoding
+ */
+export function derAlgorithm(oid, parameters) {
+  return parameters ? derSequence(derOID(oid), parameters) : derSequence(derOID(oid));
+}
+
+/**
+ * Parse the value at an offset, following BER indefinite lengths
+ */
+function readNode(bytes, offset) {
+  const tag = bytes[offset];
+  if (tag === undefined) {
+    throw new Error('Unexpected end of ASN.1 data');
+  }
+  if ((tag & 0x1f) === 0x1f) {
+    throw new Error('Unsupported ASN.1 tag');
+  }
+
+  let position = offset + 1;
+  const first = bytes[position++];
+  const constructed = (tag & 0x20) !== 0;
+  let length;
+
+  if (first === 0x80) {
+    // Indefinite length: children up to an end-of-contents marker
+    if (!constructed) {
+      throw new Error('Invalid ASN.1 length');
+    }
+    const children = [];
+    while (bytes[position] !== 0 || bytes[position + 1] !== 0) {
+      const child = readNode(bytes, position);
+      children.push(child);
+      position += child.bytes.length;
+    }
+    const contentStart = offset + 2;
+    return {
+      tag,
+      bytes: bytes.subarray(offset, position + 2),
+      content: bytes.subarray(contentStart, position),
+      children
+    };
+  }
+
+  if (first & 0x80) {
+    const count = first & 0x7f;
+    length = 0;
+    for (let i = 0; i < count; i++) {
+      length = length * 256 + bytes[position++];
+    }
+  } else {
+    length = first;
+  }
+
+  const end = position + length;
+  if (end > bytes.length) {
+    throw new Error('ASN.1 value runs past the end of the data');
+  }
+
+  const node = {
+    tag,
+    bytes: bytes.subarray(offset, end),
+    content: bytes.subarray(position, end),
+    children: null
+  };
+
+  if (constructed) {
+    node.children = [];
+    for (let child = position; child < end;) {
+      const parsed = readNode(bytes, child);
+      node.children.push(parsed);
+      child += parsed.bytes.length;
+    }
+  }
+
+  return node;
+}
+
+/**
+ * Sort encodings in ascending byte order
+ */
+function sortEncodings(items) {
+  return [...items].sort((a, b) => {
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+      if (a[i] !== b[i]) return a[i] - b[i];
+    }
+    return a.length - b.length;
+  });
+}
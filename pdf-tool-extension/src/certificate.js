@@ -0,0 +1,119 @@
+/**
+ * Certificate Module
+ * Reads the parts of X.509 certificates that signing and signature
+ * checks need: names, serial number, validity and public key
+ */
+
+import { OIDS, parseDER, readOID, readString, readTime } from './asn1.js';
+
+// Short labels for the name attributes shown to users
+const NAME_LABELS = {
+  [OIDS.commonName]: 'CN',
+  [OIDS.organizationalUnitName]: 'OU',
+  [OIDS.organizationName]: 'O',
+  [OIDS.localityName]: 'L',
+  [OIDS.stateOrProvinceName]: 'ST',
+  [OIDS.countryName]: 'C',
+  [OIDS.emailAddress]: 'E'
+};
+
+/**
+ * @typedef {Object} DistinguishedName
+ * @property {Uint8Array} der - The encoded Name, as CMS needs it
+ * @property {string} text - Readable form, e.g. "CN=Jane Doe, O=Example"
+ * @property {string} displayName - Common name, else organization, else text
+ */
+
+/**
+ * @typedef {Object} Certificate
+ * @property {Uint8Array} der - The encoded certificate
+ * @property {Uint8Array} serialNumber - Serial number bytes, as encoded
+ * @property {DistinguishedName} issuer - Who issued the certificate
+ * @property {DistinguishedName} subject - Who the certificate belongs to
+ * @property {Date} notBefore - Start of validity
+ * @property {Date} notAfter - End of validity
+ * @property {Object} publicKey - Subject public key
+ * @property {string} publicKey.algorithm - Key algorithm OID
+ * @property {string|null} publicKey.curve - Named curve OID for EC keys
+ * @property {Uint8Array} publicKey.spki - The encoded SubjectPublicKeyInfo
+ */
+
+/**
+ * Parse a DER-encoded X.509 certificate
+ * @param {Uint8Array} der - Certificate bytes
+ * @returns {Certificate} The certificate fields
+ */
+export function parseCertificate(der) {
+  let tbs;
+  try {
+    tbs = parseDER(der).children[0].children;
+  } catch (error) {
+    throw new Error('The certificate could not be read');
+  }
+
+  // The version field is optional and tagged [0]
+  const fields = tbs[0].tag === 0xa0 ? tbs.slice(1) : tbs;
+  const [serialNumber, , issuer, validity, subject, spki] = fields;
+  const keyAlgorithm = spki.children[0].children;
+
+  return {
+    der,
+    serialNumber: serialNumber.content,
+    issuer: readName(issuer),
+    subject: readName(subject),
+    notBefore: readTime(validity.children[0]),
+    notAfter: readTime(validity.children[1]),
+    publicKey: {
+      algorithm: readOID(keyAlgorithm[0]),
+      curve: keyAlgorithm[1] && keyAlgorithm[1].tag === 0x06 ? readOID(keyAlgorithm[1]) : null,
+      spki: spki.bytes
+    }
+  };
+}
+
+/**
+ * Format a serial number as colon-separated hex
+ * @param {Uint8Array} serialNumber - Serial number bytes
+ * @returns {string} e.g. "0a:1b:2c"
+ */
+export function formatSerialNumber(serialNumber) {
+  return Array.from(serialNumber, byte => byte.toString(16).padStart(2, '0')).join(':');
+}
+
+/**
+ * Check whether two names are the same, byte for byte
+ * @param {DistinguishedName} a - First name
+ * @param {DistinguishedName} b - Second name
+ * @returns {boolean} True if equal
+ */
+export function namesEqual(a, b) {
+  return a.der.length === b.der.length && a.der.every((byte, i) => byte === b.der[i]);
+}
+
+/**
+ * Read a Name into its readable forms
+ * @param {Asn1Node} node - The Name SEQUENCE
+ * @returns {DistinguishedName} The name
+ */
+function readName(node) {
+  const parts = [];
+  const values = {};
+
+  for (const rdn of node.children) {
+    for (const attribute of rdn.children) {
+      const oid = readOID(attribute.children[0]);
+      const value = readString(attribute.children[1]);
+      values[oid] = values[oid] || value;
+      parts.push(`${NAME_LABELS[oid] || oid}=${value}`);
+    }
+  }
+
+  // Names are stored most general first; people read them the other way
+  const text = parts.reverse().join(', ');
+
+  return {
+    der: node.bytes,
+    text,
+    displayName: values[OIDS.commonName] || values[OIDS.organizationName] || values[OIDS.emailAddress] || text
+  };
+}
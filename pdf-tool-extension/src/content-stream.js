@@ -0,0 +1,407 @@
+/**
+ * Content Stream Module
+ * Tokenizes PDF page content streams and provides matrix helpers, plus
+ * cleanup of the objects that edited streams leave behind
+ */
+
+/**
+ * @typedef {Object} ContentOperation
+ * @property {string} operator - Operator keyword, e.g. 'Tj' or 'cm'
+ * @property {Array} operands - Parsed operands
+ * @property {number} start - Offset of the first operand in the source
+ * @property {number} end - Offset after the operator in the source
+ */
+
+// Operands are plain JS values except for these wrappers:
+//   { type: 'name', value: 'F1' }
+//   { type: 'string', value: '<bytes as latin1 string>' }
+//   { type: 'dict', value: { Key: operand } }
+
+export const IDENTITY_MATRIX = [1, 0, 0, 1, 0, 0];
+
+const WHITESPACE = '\x00\t\n\f\r ';
+const DELIMITERS = '()<>[]{}/%';
+
+/**
+ * Convert bytes to a latin1 string, one character per byte
+ * @param {Uint8Array} bytes - The bytes
+ * @returns {string} The latin1 string
+ */
+export function bytesToLatin1(bytes) {
+  let result = '';
+  const CHUNK = 0x8000;
+  for (let i = 0; i < bytes.length; i += CHUNK) {
+    result += String.fromCharCode.apply(null, bytes.subarray(i, i + CHUNK));
+  }
+  return result;
+}
+
+/**
+ * Convert a latin1 string back to bytes
+ * @param {string} str - The latin1 string
+ * @returns {Uint8Array} The bytes
+ */
+export function latin1ToBytes(str) {
+  const bytes = new Uint8Array(str.length);
+  for (let i = 0; i < str.length; i++) {
+    bytes[i] = str.charCodeAt(i) & 0xff;
+  }
+  return bytes;
+}
+
+/**
+ * Get the decoded content of a page, joining multiple streams
+ * @param {PDFPage} page - PDF-lib page
+ * @returns {string} Content as a latin1 string
+ */
+export function readPageContent(page) {
+  const contents = page.node.Contents();
+  if (!contents) return '';
+
+  const streams = contents instanceof PDFLib.PDFArray
+    ? contents.asArray().map(ref => page.doc.context.lookup(ref))
+    : [contents];
+
+  return streams.map(stream => bytesToLatin1(decodeStream(stream))).join('\n');
+}
+
+/**
+ * Replace the content of a page with a single compressed stream
+ * @param {PDFPage} page - PDF-lib page
+ * @param {string} content - New content as a latin1 string
+ */
+export function writePageContent(page, content) {
+  const context = page.doc.context;
+  const stream = context.flateStream(latin1ToBytes(content));
+  page.node.set(PDFLib.PDFName.of('Contents'), context.register(stream));
+}
+
+/**
+ * Decode a stream object to raw bytes
+ * @param {PDFStream} stream - Stream from the document
+ * @returns {Uint8Array} Decoded bytes
+ */
+export function decodeStream(stream) {
+  if (stream instanceof PDFLib.PDFRawStream) {
+    return PDFLib.decodePDFRawStream(stream).decode();
+  }
+  // Streams created in this session (e.g. by drawText) are not yet encoded
+  return stream.getUnencodedContents();
+}
+
+/**
+ * Delete indirect objects that can no longer be reached from the trailer
+ * save() writes every registered object, so anything unlinked from the
+ * document (old content streams, removed images and annotations) would
+ * otherwise still be in the file.
+ * @param {PDFContext} context - Context of the document
+ */
+export function removeUnreachableObjects(context) {
+  const { PDFRef, PDFDict, PDFArray, PDFStream } = PDFLib;
+  const reachable = new Set();
+
+  const visit = (object) => {
+    if (object instanceof PDFRef) {
+      const key = object.toString();
+      if (reachable.has(key)) return;
+      reachable.add(key);
+      visit(context.lookup(object));
+    } else if (object instanceof PDFStream) {
+      visit(object.dict);
+    } else if (object instanceof PDFDict) {
+      for (const [, value] of object.entries()) visit(value);
+    } else if (object instanceof PDFArray) {
+      object.asArray().forEach(visit);
+    }
+  };
+
+  const { Root, Info, Encrypt } = context.trailerInfo;
+  [Root, Info, Encrypt].forEach(visit);
+
+  for (const [ref] of context.enumerateIndirectObjects()) {
+    if (!reachable.has(ref.toString())) {
+      context.delete(ref);
+    }
+  }
+}
+
+/**
+ * Split a content stream into operations
+ * @param {string} src - Decoded content stream as a latin1 string
+ * @returns {ContentOperation[]} Operations in stream order
+ */
+export function tokenizeContentStream(src) {
+  const operations = [];
+  let pos = 0;
+  let operands = [];
+  let operandStart = -1;
+
+  function skipWhitespace() {
+    while (pos < src.length) {
+      const char = src[pos];
+      if (WHITESPACE.includes(char)) {
+        pos++;
+      } else if (char === '%') {
+        while (pos < src.length && src[pos] !== '\n' && src[pos] !== '\r') pos++;
+      } else {
+        break;
+      }
+    }
+  }
+
+  function readRegular() {
+    const start = pos;
+    while (pos < src.length && !WHITESPACE.includes(src[pos]) && !DELIMITERS.includes(src[pos])) {
+      pos++;
+    }
+    return src.slice(start, pos);
+  }
+
+  function readLiteralString() {
+    pos++; // (
+    let depth = 1;
+    let value = '';
+
+    while (pos < src.length) {
+      const char = src[pos++];
+      if (char === '\\') {
+        const next = src[pos++];
+        const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+        if (next in escapes) {
+          value += escapes[next];
+        } else if (next >= '0' && next <= '7') {
+          let octal = next;
+          while (octal.length < 3 && src[pos] >= '0' && src[pos] <= '7') {
+            octal += src[pos++];
+          }
+          value += String.fromCharCode(parseInt(octal, 8) & 0xff);
+        } else if (next === '\r') {
+          // Line continuation
+          if (src[pos] === '\n') pos++;
+        } else if (next !== '\n') {
+          value += next;
+        }
+      } else if (char === '(') {
+        depth++;
+        value += char;
+      } else if (char === ')') {
+        if (--depth === 0) break;
+        value += char;
+      } else {
+        value += char;
+      }
+    }
+
+    return { type: 'string', value };
+  }
+
+  function readHexString() {
+    pos++; // <
+    const end = src.indexOf('>', pos);
+    let hex = src.slice(pos, end === -1 ? src.length : end).replace(/[^0-9a-fA-F]/g, '');
+    pos = end === -1 ? src.length : end + 1;
+
+    if (hex.length % 2 === 1) hex += '0';
+    let value = '';
+    for (let i = 0; i < hex.length; i += 2) {
+      value += String.fromCharCode(parseInt(hex.slice(i, i + 2), 16));
+    }
+    return { type: 'string', value };
+  }
+
+  function readName() {
+    pos++; // /
+    const raw = readRegular();
+    return { type: 'name', value: raw.replace(/#([0-9a-fA-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16))) };
+  }
+
+  function readDict() {
+    pos += 2; // <<
+    const value = {};
+    while (true) {
+      skipWhitespace();
+      if (pos >= src.length) break;
+      if (src.startsWith('>>', pos)) {
+        pos += 2;
+        break;
+      }
+      const key = readObject();
+      skipWhitespace();
+      const entry = readObject();
+      if (key && key.type === 'name') {
+        value[key.value] = entry;
+      }
+    }
+    return { type: 'dict', value };
+  }
+
+  function readArray() {
+    pos++; // [
+    const value = [];
+    while (true) {
+      skipWhitespace();
+      if (pos >= src.length) break;
+      if (src[pos] === ']') {
+        pos++;
+        break;
+      }
+      value.push(readObject());
+    }
+    return value;
+  }
+
+  /**
+   * Read one operand; keywords come back as { type: 'keyword' }
+   */
+  function readObject() {
+    const char = src[pos];
+
+    if (char === '(') return readLiteralString();
+    if (char === '/') return readName();
+    if (char === '[') return readArray();
+    if (char === '<') return src[pos + 1] === '<' ? readDict() : readHexString();
+
+    // Stray closing delimiters are skipped
+    if (DELIMITERS.includes(char)) {
+      pos++;
+      return null;
+    }
+
+    const word = readRegular();
+    if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) return parseFloat(word);
+    if (word === 'true') return true;
+    if (word === 'false') return false;
+    if (word === 'null') return null;
+    return { type: 'keyword', value: word };
+  }
+
+  /**
+   * Read inline image data after the ID operator, up to the closing EI
+   */
+  function skipInlineImageData() {
+    pos++; // single whitespace after ID
+    const pattern = /[\x00\t\n\f\r ]EI(?=[\x00\t\n\f\r ]|$)/g;
+    pattern.lastIndex = pos;
+    const match = pattern.exec(src);
+    pos = match ? match.index + 3 : src.length;
+  }
+
+  while (true) {
+    skipWhitespace();
+    if (pos >= src.length) break;
+
+    const tokenStart = pos;
+    const token = readObject();
+
+    if (token && token.type === 'keyword') {
+      const operation = {
+        operator: token.value,
+        operands,
+        start: operandStart === -1 ? tokenStart : operandStart,
+        end: pos
+      };
+
+      if (token.value === 'BI') {
+        // Inline image: key/value pairs, then ID and binary data, then EI
+        const dict = {};
+        while (true) {
+          skipWhitespace();
+          if (pos >= src.length) break;
+          const key = readObject();
+          if (key && key.type === 'keyword' && key.value === 'ID') {
+            skipInlineImageData();
+            break;
+          }
+          skipWhitespace();
+          const value = readObject();
+          if (key && key.type === 'name') dict[key.value] = value;
+        }
+        operation.operands = [{ type: 'dict', value: dict }];
+        operation.end = pos;
+      }
+
+      operations.push(operation);
+      operands = [];
+      operandStart = -1;
+    } else {
+      if (operandStart === -1) operandStart = tokenStart;
+      operands.push(token);
+    }
+  }
+
+  return operations;
+}
+
+/**
+ * Multiply two PDF matrices (m1 applied first, then m2)
+ * @param {number[]} m1 - First matrix [a b c d e f]
+ * @param {number[]} m2 - Second matrix [a b c d e f]
+ * @returns {number[]} The product
+ */
+export function multiplyMatrices(m1, m2) {
+  return [
+    m1[0] * m2[0] + m1[1] * m2[2],
+    m1[0] * m2[1] + m1[1] * m2[3],
+    m1[2] * m2[0] + m1[3] * m2[2],
+    m1[2] * m2[1] + m1[3] * m2[3],
+    m1[4] * m2[0] + m1[5] * m2[2] + m2[4],
+    m1[4] * m2[1] + m1[5] * m2[3] + m2[5]
+  ];
+}
+
+/**
+ * Apply a matrix to a point
+ * @param {number[]} m - Matrix [a b c d e f]
+ * @param {number} x - X coordinate
+ * @param {number} y - Y coordinate
+ * @returns {number[]} Transformed [x, y]
+ */
+export function transformPoint(m, x, y) {
+  return [m[0] * x + m[2] * y + m[4], m[1] * x + m[3] * y + m[5]];
+}
+
+/**
+ * Get the axis-aligned bounds of a rectangle after a transform
+ * @param {number[]} m - Matrix [a b c d e f]
+ * @param {number} x0 - Left
+ * @param {number} y0 - Bottom
+ * @param {number} x1 - Right
+ * @param {number} y1 - Top
+ * @returns {{x: number, y: number, width: number, height: number}} Bounds
+ */
+export function transformRect(m, x0, y0, x1, y1) {
+  const points = [
+    transformPoint(m, x0, y0),
+    transformPoint(m, x1, y0),
+    transformPoint(m, x1, y1),
+    transformPoint(m, x0, y1)
+  ];
+  const xs = points.map(point => point[0]);
+  const ys = points.map(point => point[1]);
+  const x = Math.min(...xs);
+  const y = Math.min(...ys);
+  return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+}
+
+/**
+ * Format a number for a content stream
+ * @param {number} value - The number
+ * @returns {string} Compact decimal representation
+ */
+export function formatNumber(value) {
+  const rounded = Math.round(value * 10000) / 10000;
+  return Object.is(rounded, -0) ? '0' : String(rounded);
+}
+
+/**
+ * Encode a byte string as a PDF hex string
+ * @param {string} value - Bytes as a latin1 string
+ * @returns {string} Hex string token, e.g. <48656C6C6F>
+ */
+export function toHexStringToken(value) {
+  let hex = '';
+  for (let i = 0; i < value.length; i++) {
+    hex += value.charCodeAt(i).toString(16).padStart(2, '0').toUpperCase();
+  }
+  return `<${hex}>`;
+}
@@ -0,0 +1,527 @@
+/**
+ * Crypto Utilities Module
+ * Byte helpers and the hash and cipher primitives PDF security needs.
+ * MD5, RC4, Triple DES and RC2 are not offered by Web Crypto, so they are
+ * implemented here; everything else goes through crypto.subtle.
+ */
+
+// Per-round shift amounts and constants for MD5 (RFC 1321)
+const MD5_SHIFTS = [
+  7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22,
+  5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20,
+  4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23,
+  6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21
+];
+const MD5_CONSTANTS = Array.from({ length: 64 }, (_, i) => Math.floor(Math.abs(Math.sin(i + 1)) * 2 ** 32) >>> 0);
+
+// DES bit permutations and substitution boxes (FIPS 46-3). Positions count
+// from 1 at the most significant bit.
+const DES_IP = [
+  58, 50, 42, 34, 26, 18, 10, 2, 60, 52, 44, 36, 28, 20, 12, 4,
+  62, 54, 46, 38, 30, 22, 14, 6, 64, 56, 48, 40, 32, 24, 16, 8,
+  57, 49, 41, 33, 25, 17, 9, 1, 59, 51, 43, 35, 27, 19, 11, 3,
+  61, 53, 45, 37, 29, 21, 13, 5, 63, 55, 47, 39, 31, 23, 15, 7
+];
+const DES_FP = [
+  40, 8, 48, 16, 56, 24, 64, 32, 39, 7, 47, 15, 55, 23, 63, 31,
+  38, 6, 46, 14, 54, 22, 62, 30, 37, 5, 45, 13, 53, 21, 61, 29,
+  36, 4, 44, 12, 52, 20, 60, 28, 35, 3, 43, 11, 51, 19, 59, 27,
+  34, 2, 42, 10, 50, 18, 58, 26, 33, 1, 41, 9, 49, 17, 57, 25
+];
+const DES_E = [
+  32, 1, 2, 3, 4, 5, 4, 5, 6, 7, 8, 9, 8, 9, 10, 11,
+  12, 13, 12, 13, 14, 15, 16, 17, 16, 17, 18, 19, 20, 21, 20, 21,
+  22, 23, 24, 25, 24, 25, 26, 27, 28, 29, 28, 29, 30, 31, 32, 1
+];
+const DES_P = [
+  16, 7, 20, 21, 29, 12, 28, 17, 1, 15, 23, 26, 5, 18, 31, 10,
+  2, 8, 24, 14, 32, 27, 3, 9, 19, 13, 30, 6, 22, 11, 4, 25
+];
+const DES_PC1 = [
+  57, 49, 41, 33, 25, 17, 9, 1, 58, 50, 42, 34, 26, 18,
+  10, 2, 59, 51, 43, 35, 27, 19, 11, 3, 60, 52, 44, 36,
+  63, 55, 47, 39, 31, 23, 15, 7, 62, 54, 46, 38, 30, 22,
+  14, 6, 61, 53, 45, 37, 29, 21, 13, 5, 28, 20, 12, 4
+];
+const DES_PC2 = [
+  14, 17, 11, 24, 1, 5, 3, 28, 15, 6, 21, 10,
+  23, 19, 12, 4, 26, 8, 16, 7, 27, 20, 13, 2,
+  41, 52, 31, 37, 47, 55, 30, 40, 51, 45, 33, 48,
+  44, 49, 39, 56, 34, 53, 46, 42, 50, 36, 29, 32
+];
+const DES_SHIFTS = [1, 1, 2, 2, 2, 2, 2, 2, 1, 2, 2, 2, 2, 2, 2, 1];
+const DES_SBOXES = [
+  [14, 4, 13, 1, 2, 15, 11, 8, 3, 10, 6, 12, 5, 9, 0, 7, 0, 15, 7, 4, 14, 2, 13, 1, 10, 6, 12, 11, 9, 5, 3, 8,
+    4, 1, 14, 8, 13, 6, 2, 11, 15, 12, 9, 7, 3, 10, 5, 0, 15, 12, 8, 2, 4, 9, 1, 7, 5, 11, 3, 14, 10, 0, 6, 13],
+  [15, 1, 8, 14, 6, 11, 3, 4, 9, 7, 2, 13, 12, 0, 5, 10, 3, 13, 4, 7, 15, 2, 8, 14, 12, 0, 1, 10, 6, 9, 11, 5,
+    0, 14, 7, 11, 10, 4, 13, 1, 5, 8, 12, 6, 9, 3, 2, 15, 13, 8, 10, 1, 3, 15, 4, 2, 11, 6, 7, 12, 0, 5, 14, 9],
+  [10, 0, 9, 14, 6, 3, 15, 5, 1, 13, 12, 7, 11, 4, 2, 8, 13, 7, 0, 9, 3, 4, 6, 10, 2, 8, 5, 14, 12, 11, 15, 1,
+    13, 6, 4, 9, 8, 15, 3, 0, 11, 1, 2, 12, 5, 10, 14, 7, 1, 10, 13, 0, 6, 9, 8, 7, 4, 15, 14, 3, 11, 5, 2, 12],
+  [7, 13, 14, 3, 0, 6, 9, 10, 1, 2, 8, 5, 11, 12, 4, 15, 13, 8, 11, 5, 6, 15, 0, 3, 4, 7, 2, 12, 1, 10, 14, 9,
+    10, 6, 9, 0, 12, 11, 7, 13, 15, 1, 3, 14, 5, 2, 8, 4, 3, 15, 0, 6, 10, 1, 13, 8, 9, 4, 5, 11, 12, 7, 2, 14],
+  [2, 12, 4, 1, 7, 10, 11, 6, 8, 5, 3, 15, 13, 0, 14, 9, 14, 11, 2, 12, 4, 7, 13, 1, 5, 0, 15, 10, 3, 9, 8, 6,
+    4, 2, 1, 11, 10, 13, 7, 8, 15, 9, 12, 5, 6, 3, 0, 14, 11, 8, 12, 7, 1, 14, 2, 13, 6, 15, 0, 9, 10, 4, 5, 3],
+  [12, 1, 10, 15, 9, 2, 6, 8, 0, 13, 3, 4, 14, 7, 5, 11, 10, 15, 4, 2, 7, 12, 9, 5, 6, 1, 13, 14, 0, 11, 3, 8,
+    9, 14, 15, 5, 2, 8, 12, 3, 7, 0, 4, 10, 1, 13, 11, 6, 4, 3, 2, 12, 9, 5, 15, 10, 11, 14, 1, 7, 6, 0, 8, 13],
+  [4, 11, 2, 14, 15, 0, 8, 13, 3, 12, 9, 7, 5, 10, 6, 1, 13, 0, 11, 7, 4, 9, 1, 10, 14, 3, 5, 12, 2, 15, 8, 6,
+    1, 4, 11, 13, 12, 3, 7, 14, 10, 15, 6, 8, 0, 5, 9, 2, 6, 11, 13, 8, 1, 4, 10, 7, 9, 5, 0, 15, 14, 2, 3, 12],
+  [13, 2, 8, 4, 6, 15, 11, 1, 10, 9, 3, 14, 5, 0, 12, 7, 1, 15, 13, 8, 10, 3, 7, 4, 12, 5, 6, 11, 0, 14, 9, 2,
+    7, 11, 4, 1, 9, 12, 14, 2, 0, 6, 10, 13, 15, 3, 5, 8, 2, 1, 14, 7, 4, 10, 8, 13, 15, 12, 9, 0, 3, 5, 6, 11]
+];
+
+// RC2 key expansion table (RFC 2268), derived from the digits of pi
+const RC2_PITABLE = [
+  0xd9, 0x78, 0xf9, 0xc4, 0x19, 0xdd, 0xb5, 0xed, 0x28, 0xe9, 0xfd, 0x79, 0x4a, 0xa0, 0xd8, 0x9d,
+  0xc6, 0x7e, 0x37, 0x83, 0x2b, 0x76, 0x53, 0x8e, 0x62, 0x4c, 0x64, 0x88, 0x44, 0x8b, 0xfb, 0xa2,
+  0x17, 0x9a, 0x59, 0xf5, 0x87, 0xb3, 0x4f, 0x13, 0x61, 0x45, 0x6d, 0x8d, 0x09, 0x81, 0x7d, 0x32,
+  0xbd, 0x8f, 0x40, 0xeb, 0x86, 0xb7, 0x7b, 0x0b, 0xf0, 0x95, 0x21, 0x22, 0x5c, 0x6b, 0x4e, 0x82,
+  0x54, 0xd6, 0x65, 0x93, 0xce, 0x60, 0xb2, 0x1c, 0x73, 0x56, 0xc0, 0x14, 0xa7, 0x8c, 0xf1, 0xdc,
+  0x12, 0x75, 0xca, 0x1f, 0x3b, 0xbe, 0xe4, 0xd1, 0x42, 0x3d, 0xd4, 0x30, 0xa3, 0x3c, 0xb6, 0x26,
+  0x6f, 0xbf, 0x0e, 0xda, 0x46, 0x69, 0x07, 0x57, 0x27, 0xf2, 0x1d, 0x9b, 0xbc, 0x94, 0x43, 0x03,
+  0xf8, 0x11, 0xc7, 0xf6, 0x90, 0xef, 0x3e, 0xe7, 0x06, 0xc3, 0xd5, 0x2f, 0xc8, 0x66, 0x1e, 0xd7,
+  0x08, 0xe8, 0xea, 0xde, 0x80, 0x52, 0xee, 0xf7, 0x84, 0xaa, 0x72, 0xac, 0x35, 0x4d, 0x6a, 0x2a,
+  0x96, 0x1a, 0xd2, 0x71, 0x5a, 0x15, 0x49, 0x74, 0x4b, 0x9f, 0xd0, 0x5e, 0x04, 0x18, 0xa4, 0xec,
+  0xc2, 0xe0, 0x41, 0x6e, 0x0f, 0x51, 0xcb, 0xcc, 0x24, 0x91, 0xaf, 0x50, 0xa1, 0xf4, 0x70, 0x39,
+  0x99, 0x7c, 0x3a, 0x85, 0x23, 0xb8, 0xb4, 0x7a, 0xfc, 0x02, 0x36, 0x5b, 0x25, 0x55, 0x97, 0x31,
+  0x2d, 0x5d, 0xfa, 0x98, 0xe3, 0x8a, 0x92, 0xae, 0x05, 0xdf, 0x29, 0x10, 0x67, 0x6c, 0xba, 0xc9,
+  0xd3, 0x00, 0xe6, 0xcf, 0xe1, 0x9e, 0xa8, 0x2c, 0x63, 0x16, 0x01, 0x3f, 0x58, 0xe2, 0x89, 0xa9,
+  0x0d, 0x38, 0x34, 0x1b, 0xab, 0x33, 0xff, 0xb0, 0xbb, 0x48, 0x0c, 0x5f, 0xb9, 0xb1, 0xcd, 0x2e,
+  0xc5, 0xf3, 0xdb, 0x47, 0xe5, 0xa5, 0x9c, 0x77, 0x0a, 0xa6, 0x20, 0x68, 0xfe, 0x7f, 0xc1, 0xad
+];
+
+/**
+ * Concatenate byte arrays
+ * @param {...Uint8Array} arrays - Arrays to join
+ * @returns {Uint8Array} The joined bytes
+ */
+export function concatBytes(...arrays) {
+  const result = new Uint8Array(arrays.reduce((total, array) => total + array.length, 0));
+  let offset = 0;
+  for (const array of arrays) {
+    result.set(array, offset);
+    offset += array.length;
+  }
+  return result;
+}
+
+/**
+ * Compare two byte arrays
+ * @param {Uint8Array} a - First array
+ * @param {Uint8Array} b - Second array
+ * @returns {boolean} True if they hold the same bytes
+ */
+export function bytesEqual(a, b) {
+  if (a.length !== b.length) return false;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return false;
+  }
+  return true;
+}
+
+/**
+ * Encode bytes as base64
+ * @param {Uint8Array} bytes - Input bytes
+ * @returns {string} Base64 text
+ */
+export function bytesToBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Decode base64 into bytes
+ * @param {string} base64 - Base64 text
+ * @returns {Uint8Array} Decoded bytes
+ */
+export function base64ToBytes(base64) {
+  return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+/**
+ * Generate cryptographically secure random bytes
+ * @param {number} length - Number of bytes
+ * @returns {Uint8Array} Random bytes
+ */
+export function randomBytes(length) {
+  return crypto.getRandomValues(new Uint8Array(length));
+}
+
+/**
+ * Compute an MD5 digest
+ * @param {Uint8Array} data - Input bytes
+ * @returns {Uint8Array} 16-byte digest
+ */
+export function md5(data) {
+  // Pad to a multiple of 64 bytes: 0x80, zeros, then the bit length
+  const paddedLength = (((data.length + 8) >> 6) + 1) << 6;
+  const padded = new Uint8Array(paddedLength);
+  padded.set(data);
+  padded[data.length] = 0x80;
+  const view = new DataView(padded.buffer);
+  view.setUint32(paddedLength - 8, (data.length * 8) >>> 0, true);
+  view.setUint32(paddedLength - 4, Math.floor(data.length / 0x20000000), true);
+
+  let a0 = 0x67452301;
+  let b0 = 0xefcdab89;
+  let c0 = 0x98badcfe;
+  let d0 = 0x10325476;
+  const words = new Uint32Array(16);
+
+  for (let offset = 0; offset < paddedLength; offset += 64) {
+    for (let i = 0; i < 16; i++) {
+      words[i] = view.getUint32(offset + i * 4, true);
+    }
+
+    let a = a0;
+    let b = b0;
+    let c = c0;
+    let d = d0;
+
+    for (let i = 0; i < 64; i++) {
+      let f;
+      let g;
+      if (i < 16) {
+        f = (b & c) | (~b & d);
+        g = i;
+      } else if (i < 32) {
+        f = (d & b) | (~d & c);
+        g = (5 * i + 1) % 16;
+      } else if (i < 48) {
+        f = b ^ c ^ d;
+        g = (3 * i + 5) % 16;
+      } else {
+        f = c ^ (b | ~d);
+        g = (7 * i) % 16;
+      }
+
+      const sum = (a + f + MD5_CONSTANTS[i] + words[g]) >>> 0;
+      a = d;
+      d = c;
+      c = b;
+      b = (b + ((sum << MD5_SHIFTS[i]) | (sum >>> (32 - MD5_SHIFTS[i])))) >>> 0;
+    }
+
+    a0 = (a0 + a) >>> 0;
+    b0 = (b0 + b) >>> 0;
+    c0 = (c0 + c) >>> 0;
+    d0 = (d0 + d) >>> 0;
+  }
+
+  const digest = new Uint8Array(16);
+  const digestView = new DataView(digest.buffer);
+  [a0, b0, c0, d0].forEach((word, i) => digestView.setUint32(i * 4, word, true));
+  return digest;
+}
+
+/**
+ * Encrypt or decrypt with RC4 (the same operation both ways)
+ * @param {Uint8Array} key - Key bytes
+ * @param {Uint8Array} data - Input bytes
+ * @returns {Uint8Array} Output bytes
+ */
+export function rc4(key, data) {
+  const s = new Uint8Array(256);
+  for (let i = 0; i < 256; i++) s[i] = i;
+
+  for (let i = 0, j = 0; i < 256; i++) {
+    j = (j + s[i] + key[i % key.length]) & 0xff;
+    [s[i], s[j]] = [s[j], s[i]];
+  }
+
+  const output = new Uint8Array(data.length);
+  for (let n = 0, i = 0, j = 0; n < data.length; n++) {
+    i = (i + 1) & 0xff;
+    j = (j + s[i]) & 0xff;
+    [s[i], s[j]] = [s[j], s[i]];
+    output[n] = data[n] ^ s[(s[i] + s[j]) & 0xff];
+  }
+  return output;
+}
+
+/**
+ * Compute a SHA digest
+ * @param {string} algorithm - 'SHA-1', 'SHA-256', 'SHA-384' or 'SHA-512'
+ * @param {Uint8Array} data - Input bytes
+ * @returns {Promise<Uint8Array>} The digest
+ */
+export async function sha(algorithm, data) {
+  return new Uint8Array(await crypto.subtle.digest(algorithm, data));
+}
+
+/**
+ * Encrypt with AES in CBC mode
+ * @param {Uint8Array} key - 16 or 32 byte key
+ * @param {Uint8Array} iv - 16 byte initialization vector
+ * @param {Uint8Array} data - Plain bytes
+ * @param {Object} [options] - Cipher options
+ * @param {boolean} [options.padding=true] - Add PKCS#7 padding; without it
+ *   the data length must be a multiple of 16
+ * @returns {Promise<Uint8Array>} Cipher bytes
+ */
+export async function aesCbcEncrypt(key, iv, data, options = {}) {
+  const cryptoKey = await importAesKey(key, 'encrypt');
+  const encrypted = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-CBC', iv }, cryptoKey, data));
+
+  // Web Crypto always pads; the final block is pure padding when the input
+  // is block-aligned, so dropping it gives the unpadded result
+  return options.padding === false ? encrypted.slice(0, data.length) : encrypted;
+}
+
+/**
+ * Decrypt with AES in CBC mode
+ * @param {Uint8Array} key - 16 or 32 byte key
+ * @param {Uint8Array} iv - 16 byte initialization vector
+ * @param {Uint8Array} data - Cipher bytes, a multiple of 16 long
+ * @param {Object} [options] - Cipher options
+ * @param {boolean} [options.padding=true] - Strip PKCS#7 padding
+ * @returns {Promise<Uint8Array>} Plain bytes
+ */
+export async function aesCbcDecrypt(key, iv, data, options = {}) {
+  const cryptoKey = await importAesKey(key, 'decrypt');
+
+  if (options.padding !== false) {
+    return new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-CBC', iv }, cryptoKey, data));
+  }
+
+  // Web Crypto insists on valid padding, so append a block that decrypts to
+  // a full padding block: E(padding XOR previous cipher block)
+  const previous = data.length >= 16 ? data.slice(data.length - 16) : iv;
+  const padding = new Uint8Array(16).fill(16);
+  const extra = await aesCbcEncrypt(key, previous, padding, { padding: false });
+  const decrypted = await crypto.subtle.decrypt({ name: 'AES-CBC', iv }, cryptoKey, concatBytes(data, extra));
+  return new Uint8Array(decrypted);
+}
+
+/**
+ * Import raw AES key bytes for Web Crypto
+ */
+function importAesKey(key, usage) {
+  return crypto.subtle.importKey('raw', key, { name: 'AES-CBC' }, false, [usage]);
+}
+
+/**
+ * Compute an HMAC
+ * @param {string} algorithm - 'SHA-1', 'SHA-256', 'SHA-384' or 'SHA-512'
+ * @param {Uint8Array} key - Key bytes
+ * @param {Uint8Array} data - Input bytes
+ * @returns {Promise<Uint8Array>} The MAC
+ */
+export async function hmac(algorithm, key, data) {
+  const cryptoKey = await crypto.subtle.importKey('raw', key, { name: 'HMAC', hash: algorithm }, false, ['sign']);
+  return new Uint8Array(await crypto.subtle.sign('HMAC', cryptoKey, data));
+}
+
+/**
+ * Derive key bytes from a password with PBKDF2
+ * @param {string} algorithm - HMAC hash: 'SHA-1', 'SHA-256', 'SHA-384' or 'SHA-512'
+ * @param {Uint8Array} password - Password bytes
+ * @param {Uint8Array} salt - Salt bytes
+ * @param {number} iterations - Iteration count
+ * @param {number} length - Number of bytes to derive
+ * @returns {Promise<Uint8Array>} The derived bytes
+ */
+export async function pbkdf2(algorithm, password, salt, iterations, length) {
+  const baseKey = await crypto.subtle.importKey('raw', password, 'PBKDF2', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', hash: algorithm, salt, iterations },
+    baseKey,
+    length * 8
+  );
+  return new Uint8Array(bits);
+}
+
+/**
+ * Decrypt with Triple DES (EDE) in CBC mode and strip PKCS#7 padding
+ * @param {Uint8Array} key - 24 byte key, or 16 bytes for two-key Triple DES
+ * @param {Uint8Array} iv - 8 byte initialization vector
+ * @param {Uint8Array} data - Cipher bytes, a multiple of 8 long
+ * @returns {Uint8Array} Plain bytes
+ */
+export function tripleDesCbcDecrypt(key, iv, data) {
+  const k3 = key.length === 16 ? key.subarray(0, 8) : key.subarray(16, 24);
+  const subkeys = [key.subarray(0, 8), key.subarray(8, 16), k3].map(desSubkeys);
+
+  return cbcDecrypt(iv, data, block => {
+    // EDE decryption: decrypt with K3, encrypt with K2, decrypt with K1
+    let bits = bytesToBits(block);
+    bits = desBlock(bits, [...subkeys[2]].reverse());
+    bits = desBlock(bits, subkeys[1]);
+    bits = desBlock(bits, [...subkeys[0]].reverse());
+    return bitsToBytes(bits);
+  });
+}
+
+/**
+ * Decrypt with RC2 in CBC mode and strip PKCS#7 padding
+ * @param {Uint8Array} key - Key bytes
+ * @param {Uint8Array} iv - 8 byte initialization vector
+ * @param {Uint8Array} data - Cipher bytes, a multiple of 8 long
+ * @param {number} effectiveBits - Effective key length in bits, e.g. 40 or 128
+ * @returns {Uint8Array} Plain bytes
+ */
+export function rc2CbcDecrypt(key, iv, data, effectiveBits) {
+  const expanded = rc2ExpandKey(key, effectiveBits);
+  return cbcDecrypt(iv, data, block => rc2DecryptBlock(expanded, block));
+}
+
+/**
+ * Run CBC decryption over 8 byte blocks and remove the PKCS#7 padding
+ * @param {Uint8Array} iv - Initialization vector
+ * @param {Uint8Array} data - Cipher bytes
+ * @param {Function} decryptBlock - Decrypts one block
+ * @returns {Uint8Array} Plain bytes
+ */
+function cbcDecrypt(iv, data, decryptBlock) {
+  if (data.length === 0 || data.length % 8 !== 0) {
+    throw new Error('Encrypted data has an invalid length');
+  }
+
+  const output = new Uint8Array(data.length);
+  let previous = iv;
+  for (let offset = 0; offset < data.length; offset += 8) {
+    const block = data.subarray(offset, offset + 8);
+    const plain = decryptBlock(block);
+    for (let i = 0; i < 8; i++) {
+      output[offset + i] = plain[i] ^ previous[i];
+    }
+    previous = block;
+  }
+
+  // A wrong key almost always leaves invalid padding
+  const padding = output[output.length - 1];
+  if (padding < 1 || padding > 8 || output.subarray(output.length - padding).some(byte => byte !== padding)) {
+    throw new Error('Decryption failed');
+  }
+  return output.slice(0, output.length - padding);
+}
+
+/**
+ * Split bytes into bits, most significant first
+ */
+function bytesToBits(bytes) {
+  const bits = [];
+  for (const byte of bytes) {
+    for (let bit = 7; bit >= 0; bit--) bits.push((byte >> bit) & 1);
+  }
+  return bits;
+}
+
+/**
+ * Join bits, most significant first, into bytes
+ */
+function bitsToBytes(bits) {
+  const bytes = new Uint8Array(bits.length / 8);
+  bits.forEach((bit, i) => { bytes[i >> 3] |= bit << (7 - (i & 7)); });
+  return bytes;
+}
+
+/**
+ * Compute the 16 round keys of a DES key
+ * @param {Uint8Array} key - 8 byte key
+ * @returns {number[][]} Round keys of 48 bits each
+ */
+function desSubkeys(key) {
+  const bits = bytesToBits(key);
+  let halves = DES_PC1.map(position => bits[position - 1]);
+  const subkeys = [];
+
+  for (const shift of DES_SHIFTS) {
+    const c = halves.slice(0, 28);
+    const d = halves.slice(28);
+    halves = [...c.slice(shift), ...c.slice(0, shift), ...d.slice(shift), ...d.slice(0, shift)];
+    subkeys.push(DES_PC2.map(position => halves[position - 1]));
+  }
+  return subkeys;
+}
+
+/**
+ * Run one 64-bit block through the DES rounds; pass the round keys in
+ * reverse order to decrypt
+ * @param {number[]} block - 64 bits
+ * @param {number[][]} subkeys - Round keys in the order to apply them
+ * @returns {number[]} 64 bits
+ */
+function desBlock(block, subkeys) {
+  const permuted = DES_IP.map(position => block[position - 1]);
+  let left = permuted.slice(0, 32);
+  let right = permuted.slice(32);
+
+  for (const subkey of subkeys) {
+    const expanded = DES_E.map((position, i) => right[position - 1] ^ subkey[i]);
+    const substituted = [];
+    for (let box = 0; box < 8; box++) {
+      const b = expanded.slice(box * 6, box * 6 + 6);
+      // Outer bits pick the row, inner bits the column
+      const value = DES_SBOXES[box][(b[0] << 5) | (b[5] << 4) | (b[1] << 3) | (b[2] << 2) | (b[3] << 1) | b[4]];
+      for (let bit = 3; bit >= 0; bit--) substituted.push((value >> bit) & 1);
+    }
+    const mixed = DES_P.map(position => substituted[position - 1]);
+    [left, right] = [right, left.map((bit, i) => bit ^ mixed[i])];
+  }
+
+  // The halves are swapped once more before the final permutation
+  const joined = [...right, ...left];
+  return DES_FP.map(position => joined[position - 1]);
+}
+
+/**
+ * Expand an RC2 key into 64 16-bit words (RFC 2268, section 2)
+ */
+function rc2ExpandKey(key, effectiveBits) {
+  const l = new Uint8Array(128);
+  l.set(key);
+  for (let i = key.length; i < 128; i++) {
+    l[i] = RC2_PITABLE[(l[i - 1] + l[i - key.length]) & 0xff];
+  }
+
+  const t8 = Math.ceil(effectiveBits / 8);
+  const tm = 0xff % 2 ** (8 + effectiveBits - 8 * t8);
+  l[128 - t8] = RC2_PITABLE[l[128 - t8] & tm];
+  for (let i = 127 - t8; i >= 0; i--) {
+    l[i] = RC2_PITABLE[l[i + 1] ^ l[i + t8]];
+  }
+
+  const words = new Uint16Array(64);
+  for (let i = 0; i < 64; i++) {
+    words[i] = l[2 * i] | (l[2 * i + 1] << 8);
+  }
+  return words;
+}
+
+/**
+ * Decrypt one 8 byte RC2 block (RFC 2268, section 4)
+ */
+function rc2DecryptBlock(k, block) {
+  const r = [0, 1, 2, 3].map(i => block[2 * i] | (block[2 * i + 1] << 8));
+  const shifts = [1, 2, 3, 5];
+  let j = 63;
+
+  const mix = () => {
+    for (let i = 3; i >= 0; i--) {
+      const value = ((r[i] >> shifts[i]) | (r[i] << (16 - shifts[i]))) & 0xffff;
+      r[i] = (value - k[j] - (r[(i + 3) % 4] & r[(i + 2) % 4]) - (~r[(i + 3) % 4] & r[(i + 1) % 4])) & 0xffff;
+      j--;
+    }
+  };
+  const mash = () => {
+    for (let i = 3; i >= 0; i--) {
+      r[i] = (r[i] - k[r[(i + 3) % 4] & 63]) & 0xffff;
+    }
+  };
+
+  for (let round = 0; round < 5; round++) mix();
+  mash();
+  for (let round = 0; round < 6; round++) mix();
+  mash();
+  for (let round = 0; round < 5; round++) mix();
+
+  const output = new Uint8Array(8);
+  r.forEach((word, i) => {
+    output[2 * i] = word & 0xff;
+    output[2 * i + 1] = word >> 8;
+  });
+  return output;
+}
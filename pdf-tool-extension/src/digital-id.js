@@ -0,0 +1,186 @@
+/**
+ * Digital ID Module
+ * Keeps imported PKCS#12 digital IDs in extension storage and unlocks them
+ * for signing. The file is stored as imported, still encrypted; its password
+ * is asked for each time it is used and never stored.
+ */
+
+import { readFileAsArrayBuffer } from './file-handler.js';
+import { parsePKCS12 } from './pkcs12.js';
+import { formatSerialNumber } from './certificate.js';
+import { OIDS } from './asn1.js';
+import { bytesToBase64, base64ToBytes } from './crypto-utils.js';
+
+const STORAGE_KEY = 'digitalIds';
+const MAX_ID_FILE_SIZE = 100 * 1024; // 100KB
+
+// Web Crypto parameters for each supported EC curve
+const EC_CURVES = {
+  [OIDS.prime256v1]: { namedCurve: 'P-256', hash: 'SHA-256' },
+  [OIDS.secp384r1]: { namedCurve: 'P-384', hash: 'SHA-384' },
+  [OIDS.secp521r1]: { namedCurve: 'P-521', hash: 'SHA-512' }
+};
+
+/**
+ * @typedef {Object} DigitalID
+ * @property {string} id - Unique identifier
+ * @property {string} name - Certificate holder's name
+ * @property {string} subject - Full subject name
+ * @property {string} issuer - Issuer's name
+ * @property {string} serialNumber - Serial number as hex
+ * @property {string} notBefore - ISO date the certificate becomes valid
+ * @property {string} notAfter - ISO date the certificate expires
+ * @property {string} pfx - The PKCS#12 file, base64 encoded
+ * @property {string} created - ISO date string
+ */
+
+/**
+ * @typedef {Object} UnlockedDigitalID
+ * @property {CryptoKey} signingKey - Private key for signing
+ * @property {string} keyAlgorithm - Key algorithm OID
+ * @property {string} hash - Digest to sign with, e.g. 'SHA-256'
+ * @property {Certificate} certificate - Signer certificate
+ * @property {Certificate[]} chain - Other certificates to embed
+ */
+
+/**
+ * Load all digital IDs from storage
+ * @returns {Promise<DigitalID[]>} Saved digital IDs
+ */
+export async function loadDigitalIDs() {
+  try {
+    const result = await browser.storage.local.get(STORAGE_KEY);
+    return result[STORAGE_KEY] || [];
+  } catch (error) {
+    console.error('Failed to load digital IDs:', error);
+    return [];
+  }
+}
+
+/**
+ * Import a PKCS#12 file. The password is checked and the key tested, but
+ * only the encrypted file is stored.
+ * @param {File} file - A .p12 or .pfx file
+ * @param {string} password - The file's password
+ * @returns {Promise<DigitalID>} The saved digital ID
+ */
+export async function importDigitalID(file, password) {
+  if (!/\.(p12|pfx)$/i.test(file.name)) {
+    throw new Error('Please choose a .p12 or .pfx file');
+  }
+  if (file.size > MAX_ID_FILE_SIZE) {
+    throw new Error('The file is too large. Maximum size is 100KB.');
+  }
+
+  const bytes = new Uint8Array(await readFileAsArrayBuffer(file));
+  const contents = await parsePKCS12(bytes, password);
+  await importSigningKey(contents.privateKey);
+
+  const { certificate } = contents;
+  const digitalIds = await loadDigitalIDs();
+
+  const serialNumber = formatSerialNumber(certificate.serialNumber);
+  if (digitalIds.some(entry => entry.serialNumber === serialNumber && entry.issuer === certificate.issuer.displayName)) {
+    throw new Error('This digital ID has already been imported');
+  }
+
+  const digitalId = {
+    id: `id_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    name: certificate.subject.displayName,
+    subject: certificate.subject.text,
+    issuer: certificate.issuer.displayName,
+    serialNumber,
+    notBefore: certificate.notBefore.toISOString(),
+    notAfter: certificate.notAfter.toISOString(),
+    pfx: bytesToBase64(bytes),
+    created: new Date().toISOString()
+  };
+
+  digitalIds.push(digitalId);
+  await browser.storage.local.set({ [STORAGE_KEY]: digitalIds });
+
+  return digitalId;
+}
+
+/**
+ * Delete a digital ID by ID
+ * @param {string} digitalIdId - ID of the digital ID to delete
+ * @returns {Promise<void>}
+ */
+export async function deleteDigitalID(digitalIdId) {
+  const digitalIds = await loadDigitalIDs();
+  const filtered = digitalIds.filter(entry => entry.id !== digitalIdId);
+
+  if (filtered.length === digitalIds.length) {
+    throw new Error('Digital ID not found');
+  }
+
+  await browser.storage.local.set({ [STORAGE_KEY]: filtered });
+}
+
+/**
+ * Decrypt a stored digital ID for signing
+ * @param {DigitalID} digitalId - The stored digital ID
+ * @param {string} password - Its password
+ * @returns {Promise<UnlockedDigitalID>} Key and certificates
+ */
+export async function unlockDigitalID(digitalId, password) {
+  const contents = await parsePKCS12(base64ToBytes(digitalId.pfx), password);
+  const { key, hash } = await importSigningKey(contents.privateKey);
+
+  return {
+    signingKey: key,
+    keyAlgorithm: contents.privateKey.algorithm,
+    hash,
+    certificate: contents.certificate,
+    chain: contents.chain
+  };
+}
+
+/**
+ * Check whether a digital ID's certificate is valid at a given time
+ * @param {DigitalID} digitalId - The stored digital ID
+ * @param {Date} [date=new Date()] - Time to check
+ * @returns {boolean} True if within the validity period
+ */
+export function isDigitalIDCurrent(digitalId, date = new Date()) {
+  return date >= new Date(digitalId.notBefore) && date <= new Date(digitalId.notAfter);
+}
+
+/**
+ * Describe a stored digital ID for lists, from the fields saved at import
+ * @param {DigitalID} digitalId - The stored digital ID
+ * @returns {string} One-line description
+ */
+export function describeDigitalID(digitalId) {
+  const expires = new Date(digitalId.notAfter).toLocaleDateString();
+  return `Issued by ${digitalId.issuer}, expires ${expires}`;
+}
+
+/**
+ * Import a PKCS#8 private key into Web Crypto
+ * @param {PrivateKeyInfo} privateKey - The key
+ * @returns {Promise<{key: CryptoKey, hash: string}>} The key and the digest
+ *   to sign with
+ */
+async function importSigningKey(privateKey) {
+  let algorithm;
+  let hash;
+
+  if (privateKey.algorithm === OIDS.rsaEncryption) {
+    hash = 'SHA-256';
+    algorithm = { name: 'RSASSA-PKCS1-v1_5', hash };
+  } else if (privateKey.algorithm === OIDS.ecPublicKey && EC_CURVES[privateKey.curve]) {
+    hash = EC_CURVES[privateKey.curve].hash;
+    algorithm = { name: 'ECDSA', namedCurve: EC_CURVES[privateKey.curve].namedCurve };
+  } else {
+    throw new Error('Only RSA and ECDSA (P-256, P-384, P-521) digital IDs are supported');
+  }
+
+  try {
+    const key = await crypto.subtle.importKey('pkcs8', privateKey.der, algorithm, false, ['sign']);
+    return { key, hash };
+  } catch (error) {
+    throw new Error('The private key of this digital ID could not be loaded');
+  }
+}
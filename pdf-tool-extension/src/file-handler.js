@@ -3,6 +3,11 @@
  * Handles PDF file uploads, validation, and exports
  */
 
+import { copyPDFDocument } from './pdf-operations.js';
+import { sanitizePDF } from './sanitize.js';
+import { flattenForm } from './form-fields.js';
+import { encryptPDF } from './pdf-security.js';
+
 const MAX_FILE_SIZE = 50 * 1024 * 1024; // 50MB
 
 /**
@@ -33,6 +38,20 @@ export function readFileAsDataURL(file) {
   });
 }
 
+/**
+ * Read a file as text
+ * @param {File} file - The file to read
+ * @returns {Promise<string>} The file contents as text
+ */
+export function readFileAsText(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(new Error('Failed to read file'));
+    reader.readAsText(file);
+  });
+}
+
 /**
  * Validate a PDF file
  * @param {File} file - The file to validate
@@ -87,12 +106,47 @@ export async function loadPDFFile(file) {
 }
 
 /**
- * Export a PDF document as a downloadable file
+ * Export a PDF document as a downloadable file. Flattening, sanitizing and
+ * protection apply to the downloaded copy; the document is left unchanged.
  * @param {PDFDocument} pdfDoc - The PDF-lib document to export
  * @param {string} filename - The filename for the download
+ * @param {Object} [options] - Export options
+ * @param {boolean} [options.flatten] - Flatten form fields
+ * @param {string[]} [options.sanitize] - Sanitize categories to strip
+ * @param {ProtectionOptions} [options.protect] - Encrypt with these passwords
+ *   and permissions
+ * @returns {Promise<SanitizeResult[]|null>} What was sanitized, if requested
+ */
+export async function exportPDF(pdfDoc, filename, options = {}) {
+  let sanitizeResults = null;
+  const sanitize = options.sanitize && options.sanitize.length > 0;
+
+  if (options.flatten || sanitize) {
+    pdfDoc = await copyPDFDocument(pdfDoc);
+  }
+
+  if (options.flatten) {
+    flattenForm(pdfDoc);
+  }
+
+  if (sanitize) {
+    sanitizeResults = await sanitizePDF(pdfDoc, options.sanitize);
+  }
+
+  const pdfBytes = options.protect
+    ? await encryptPDF(pdfDoc, options.protect)
+    : await pdfDoc.save();
+  downloadPDFBytes(pdfBytes, filename);
+
+  return sanitizeResults;
+}
+
+/**
+ * Download PDF bytes as a file
+ * @param {Uint8Array} pdfBytes - The PDF file contents
+ * @param {string} filename - The filename for the download
  */
-export async function exportPDF(pdfDoc, filename) {
-  const pdfBytes = await pdfDoc.save();
+export function downloadPDFBytes(pdfBytes, filename) {
   const blob = new Blob([pdfBytes], { type: 'application/pdf' });
 
   // Create download link
@@ -134,10 +188,10 @@ export async function exportMultiplePDFs(pdfDocs, baseFilename) {
  */
 export function validateSignatureImage(file) {
   const MAX_IMAGE_SIZE = 500 * 1024; // 500KB
-  const ALLOWED_TYPES = ['image/png', 'image/jpeg'];
+  const ALLOWED_TYPES = ['image/png', 'image/jpeg', 'image/svg+xml'];
 
   if (!ALLOWED_TYPES.includes(file.type)) {
-    return { valid: false, error: 'Please use PNG or JPEG format' };
+    return { valid: false, error: 'Please use PNG, JPEG or SVG format' };
   }
 
   if (file.size > MAX_IMAGE_SIZE) {
@@ -0,0 +1,241 @@
+/**
+ * Form Fields Module
+ * Lists AcroForm fields with their values and widget positions, writes
+ * values back and flattens forms, using PDF-lib's form API
+ */
+
+export const FIELD_TYPES = {
+  TEXT: 'text',
+  CHECKBOX: 'checkbox',
+  RADIO: 'radio',
+  DROPDOWN: 'dropdown',
+  OPTION_LIST: 'optionList',
+  SIGNATURE: 'signature'
+};
+
+/**
+ * @typedef {Object} FormWidget
+ * @property {number} pageIndex - Page the widget is on
+ * @property {{x: number, y: number, width: number, height: number}} rect -
+ *   Widget rectangle in PDF user space
+ * @property {string} [option] - Value the widget stands for (radio buttons)
+ */
+
+/**
+ * @typedef {Object} FormField
+ * @property {string} name - Fully qualified field name
+ * @property {string} type - One of FIELD_TYPES
+ * @property {string|boolean|string[]|null} value - Text, checked state,
+ *   selected radio option, or selected choices
+ * @property {string[]} options - Choices for radio groups, dropdowns and lists
+ * @property {boolean} readOnly - Field cannot be changed
+ * @property {boolean} multiline - Text field spans several lines
+ * @property {boolean} multiSelect - More than one choice can be selected
+ * @property {number|undefined} maxLength - Maximum text length
+ * @property {FormWidget[]} widgets - Where the field appears
+ */
+
+/**
+ * Check whether a document has an interactive form, without creating one
+ * @param {PDFDocument} pdfDoc - PDF-lib document
+ * @returns {boolean} True if the catalog has an AcroForm
+ */
+export function hasForm(pdfDoc) {
+  return pdfDoc.catalog.has(PDFLib.PDFName.of('AcroForm'));
+}
+
+/**
+ * List the fields of a document's form
+ * @param {PDFDocument} pdfDoc - PDF-lib document
+ * @returns {FormField[]} Fields in form order; push buttons are left out
+ */
+export function getFormFields(pdfDoc) {
+  if (!hasForm(pdfDoc)) return [];
+
+  const pageIndexByRef = mapAnnotationPages(pdfDoc);
+  const fields = [];
+
+  for (const field of pdfDoc.getForm().getFields()) {
+    const type = getFieldType(field);
+    if (!type) continue;
+
+    const info = {
+      name: field.getName(),
+      type,
+      value: getFieldValue(field, type),
+      options: [],
+      readOnly: field.isReadOnly(),
+      multiline: type === FIELD_TYPES.TEXT && field.isMultiline(),
+      multiSelect: type === FIELD_TYPES.OPTION_LIST && field.isMultiselect(),
+      maxLength: type === FIELD_TYPES.TEXT ? field.getMaxLength() : undefined,
+      widgets: []
+    };
+
+    if (type === FIELD_TYPES.RADIO || type === FIELD_TYPES.DROPDOWN || type === FIELD_TYPES.OPTION_LIST) {
+      info.options = field.getOptions();
+    }
+
+    field.acroField.getWidgets().forEach((widget, index) => {
+      const ref = pdfDoc.context.getObjectRef(widget.dict);
+      const pageIndex = findWidgetPage(pdfDoc, widget, ref, pageIndexByRef);
+      if (pageIndex === -1) return;
+
+      const entry = { pageIndex, rect: widget.getRectangle() };
+      if (type === FIELD_TYPES.RADIO) {
+        entry.option = info.options[index];
+      }
+      info.widgets.push(entry);
+    });
+
+    fields.push(info);
+  }
+
+  return fields;
+}
+
+/**
+ * Write values into form fields
+ * @param {PDFDocument} pdfDoc - PDF-lib document, modified in place
+ * @param {Object<string, string|boolean|string[]|null>} values - Map of field
+ *   name to value, in the same shape getFormFields returns
+ * @returns {number} Number of fields changed
+ */
+export function fillFormFields(pdfDoc, values) {
+  if (!hasForm(pdfDoc)) return 0;
+
+  const form = pdfDoc.getForm();
+  let changed = 0;
+
+  for (const [name, value] of Object.entries(values)) {
+    const field = form.getFieldMaybe(name);
+    if (!field || field.isReadOnly()) continue;
+
+    switch (getFieldType(field)) {
+      case FIELD_TYPES.TEXT:
+        field.setText(value ? String(value) : undefined);
+        break;
+      case FIELD_TYPES.CHECKBOX:
+        if (value) {
+          field.check();
+        } else {
+          field.uncheck();
+        }
+        break;
+      case FIELD_TYPES.RADIO:
+        if (value) {
+          field.select(value);
+        } else {
+          field.clear();
+        }
+        break;
+      case FIELD_TYPES.DROPDOWN:
+      case FIELD_TYPES.OPTION_LIST: {
+        const selected = [].concat(value || []);
+        if (selected.length > 0) {
+          field.select(selected);
+        } else {
+          field.clear();
+        }
+        break;
+      }
+      default:
+        continue;
+    }
+    changed++;
+  }
+
+  return changed;
+}
+
+/**
+ * Draw every field's value into the page content and remove the form, so
+ * the values can no longer be edited
+ * @param {PDFDocument} pdfDoc - PDF-lib document, modified in place
+ * @returns {number} Number of fields flattened
+ */
+export function flattenForm(pdfDoc) {
+  if (!hasForm(pdfDoc)) return 0;
+
+  const form = pdfDoc.getForm();
+  const count = form.getFields().length;
+
+  try {
+    form.flatten();
+  } catch (error) {
+    // The standard font behind regenerated appearances covers Latin text only
+    throw new Error(`Could not flatten the form: ${error.message}`);
+  }
+
+  return count;
+}
+
+/**
+ * Map a PDF-lib field to one of FIELD_TYPES
+ * @returns {string|null} The type, or null for fields that cannot be filled
+ */
+function getFieldType(field) {
+  const { PDFTextField, PDFCheckBox, PDFRadioGroup, PDFDropdown, PDFOptionList, PDFSignature } = PDFLib;
+
+  if (field instanceof PDFTextField) return FIELD_TYPES.TEXT;
+  if (field instanceof PDFCheckBox) return FIELD_TYPES.CHECKBOX;
+  if (field instanceof PDFRadioGroup) return FIELD_TYPES.RADIO;
+  if (field instanceof PDFDropdown) return FIELD_TYPES.DROPDOWN;
+  if (field instanceof PDFOptionList) return FIELD_TYPES.OPTION_LIST;
+  if (field instanceof PDFSignature) return FIELD_TYPES.SIGNATURE;
+  return null;
+}
+
+/**
+ * Read a field's current value
+ */
+function getFieldValue(field, type) {
+  switch (type) {
+    case FIELD_TYPES.TEXT:
+      return field.getText() || '';
+    case FIELD_TYPES.CHECKBOX:
+      return field.isChecked();
+    case FIELD_TYPES.RADIO:
+      return field.getSelected() || null;
+    case FIELD_TYPES.DROPDOWN:
+    case FIELD_TYPES.OPTION_LIST:
+      return field.getSelected();
+    default:
+      return null;
+  }
+}
+
+/**
+ * Map each annotation reference to the index of the page listing it
+ * @returns {Map<string, number>} Reference string to page index
+ */
+function mapAnnotationPages(pdfDoc) {
+  const pageIndexByRef = new Map();
+
+  pdfDoc.getPages().forEach((page, pageIndex) => {
+    const annots = page.node.Annots();
+    if (!annots) return;
+    for (let i = 0; i < annots.size(); i++) {
+      const ref = annots.get(i);
+      if (ref instanceof PDFLib.PDFRef) {
+        pageIndexByRef.set(ref.toString(), pageIndex);
+      }
+    }
+  });
+
+  return pageIndexByRef;
+}
+
+/**
+ * Find the page a widget sits on, preferring the page's Annots over the
+ * widget's own P entry, which some writers leave out or get wrong
+ * @returns {number} Page index, or -1 if the widget is not on any page
+ */
+function findWidgetPage(pdfDoc, widget, ref, pageIndexByRef) {
+  if (ref && pageIndexByRef.has(ref.toString())) {
+    return pageIndexByRef.get(ref.toString());
+  }
+
+  const pageRef = widget.P();
+  if (!pageRef) return -1;
+  return pdfDoc.getPages().findIndex(page => page.ref === pageRef);
+}
@@ -0,0 +1,71 @@
+/**
+ * History Module
+ * Snapshot-based undo/redo stack for document edits
+ */
+
+const MAX_HISTORY = 20;
+
+/**
+ * @typedef {Object} Snapshot
+ * @property {string} label - Description of the edit the snapshot precedes
+ * @property {Uint8Array} pdfBytes - Saved PDF bytes
+ * @property {Object<number, Object[]>} redactionBoxes - Pending redaction boxes
+ */
+
+/**
+ * Create a history stack
+ * @param {number} [limit=MAX_HISTORY] - Maximum number of undo steps kept
+ * @returns {Object} Controller object with methods
+ */
+export function createHistory(limit = MAX_HISTORY) {
+  let undoStack = [];
+  let redoStack = [];
+
+  return {
+    /**
+     * Record the state before an edit. Clears the redo stack.
+     * @param {Snapshot} snapshot - State before the edit
+     */
+    record(snapshot) {
+      undoStack.push(snapshot);
+      if (undoStack.length > limit) {
+        undoStack.shift();
+      }
+      redoStack = [];
+    },
+
+    /**
+     * Step back one edit
+     * @param {Snapshot} current - The current state, kept for redo
+     * @returns {Snapshot|null} The state to restore
+     */
+    undo(current) {
+      if (undoStack.length === 0) return null;
+      const snapshot = undoStack.pop();
+      redoStack.push({ ...current, label: snapshot.label });
+      return snapshot;
+    },
+
+    /**
+     * Step forward one edit
+     * @param {Snapshot} current - The current state, kept for undo
+     * @returns {Snapshot|null} The state to restore
+     */
+    redo(current) {
+      if (redoStack.length === 0) return null;
+      const snapshot = redoStack.pop();
+      undoStack.push({ ...current, label: snapshot.label });
+      return snapshot;
+    },
+
+    canUndo: () => undoStack.length > 0,
+    canRedo: () => redoStack.length > 0,
+    undoLabel: () => undoStack.length > 0 ? undoStack[undoStack.length - 1].label : null,
+    redoLabel: () => redoStack.length > 0 ? redoStack[redoStack.length - 1].label : null,
+
+    clear() {
+      undoStack = [];
+      redoStack = [];
+    }
+  };
+}
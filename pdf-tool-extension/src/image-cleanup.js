@@ -0,0 +1,260 @@
+/**
+ * Image Cleanup Module
+ * Turns photos and scans of signatures on paper into clean ink on a
+ * transparent background: evens out lighting, removes the paper, drops
+ * specks, crops to the ink and optionally recolors it
+ */
+
+import { trimCanvas } from './signature-creator.js';
+
+export const INK_COLORS = [
+  { id: 'original', label: 'Keep original' },
+  { id: 'black', label: 'Black', rgb: [20, 20, 20] },
+  { id: 'blue', label: 'Blue', rgb: [22, 48, 140] }
+];
+
+// Photos are scaled down to this many pixels on the long side
+const MAX_DIMENSION = 1200;
+
+/**
+ * @typedef {Object} CleanupOptions
+ * @property {number} [sensitivity=0] - Shifts the ink/paper threshold, from
+ *   -50 (keep only dark ink) to 50 (keep faint strokes)
+ * @property {boolean} [despeckle=true] - Remove small isolated dots
+ * @property {string} [inkColor='original'] - One of INK_COLORS
+ */
+
+/**
+ * Remove the background of a signature image and crop it to the ink
+ * @param {string} imageData - PNG or JPEG data URL
+ * @param {CleanupOptions} [options] - Cleanup options
+ * @returns {Promise<string>} PNG data URL with a transparent background
+ */
+export async function cleanSignatureImage(imageData, options = {}) {
+  const image = await loadImage(imageData);
+  const scale = Math.min(1, MAX_DIMENSION / Math.max(image.width, image.height));
+
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(image.width * scale));
+  canvas.height = Math.max(1, Math.round(image.height * scale));
+
+  // Transparent areas of PNGs count as paper
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = 'white';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+  const imageDataObj = ctx.getImageData(0, 0, canvas.width, canvas.height);
+  const { width, height, data } = imageDataObj;
+
+  const luminance = normalizeLighting(getLuminance(data), width, height);
+  const threshold = clamp(otsuThreshold(luminance) + (options.sensitivity || 0), 1, 254);
+  // Pixels just below the threshold fade in, so stroke edges stay smooth
+  const softness = Math.max(16, threshold * 0.15);
+
+  const alpha = new Uint8ClampedArray(width * height);
+  for (let i = 0; i < alpha.length; i++) {
+    alpha[i] = clamp((threshold - luminance[i]) / softness, 0, 1) * 255;
+  }
+
+  if (options.despeckle !== false) {
+    despeckle(alpha, width, height, Math.max(4, Math.round(width * height * 0.00005)));
+  }
+
+  const ink = INK_COLORS.find(color => color.id === options.inkColor);
+  for (let i = 0; i < alpha.length; i++) {
+    if (ink && ink.rgb) {
+      [data[i * 4], data[i * 4 + 1], data[i * 4 + 2]] = ink.rgb;
+    }
+    data[i * 4 + 3] = alpha[i];
+  }
+
+  ctx.putImageData(imageDataObj, 0, 0);
+  return trimCanvas(canvas).toDataURL('image/png');
+}
+
+/**
+ * Load a data URL into an image element
+ */
+function loadImage(dataURL) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error('Failed to load image'));
+    img.src = dataURL;
+  });
+}
+
+/**
+ * Compute the luminance of each pixel
+ * @param {Uint8ClampedArray} data - RGBA pixels
+ * @returns {Float32Array} Luminance per pixel, 0-255
+ */
+function getLuminance(data) {
+  const luminance = new Float32Array(data.length / 4);
+  for (let i = 0; i < luminance.length; i++) {
+    luminance[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+  }
+  return luminance;
+}
+
+/**
+ * Divide out uneven lighting such as shadows and vignetting in photos.
+ * The paper brightness is estimated as the brightest value in a coarse grid
+ * of cells, smoothed and interpolated, so the paper becomes evenly white
+ * while ink stays dark.
+ * @param {Float32Array} luminance - Luminance per pixel, changed in place
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {Float32Array} The normalized luminance
+ */
+function normalizeLighting(luminance, width, height) {
+  const cellSize = Math.max(24, Math.round(Math.min(width, height) / 12));
+  const cols = Math.ceil(width / cellSize);
+  const rows = Math.ceil(height / cellSize);
+
+  const cells = new Float32Array(cols * rows);
+  for (let y = 0; y < height; y++) {
+    const row = Math.floor(y / cellSize) * cols;
+    for (let x = 0; x < width; x++) {
+      const cell = row + Math.floor(x / cellSize);
+      cells[cell] = Math.max(cells[cell], luminance[y * width + x]);
+    }
+  }
+
+  // Average each cell with its neighbours to hide cells filled by ink
+  const smoothed = new Float32Array(cells.length);
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      let sum = 0;
+      let count = 0;
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const r = row + dy;
+          const c = col + dx;
+          if (r < 0 || r >= rows || c < 0 || c >= cols) continue;
+          sum += cells[r * cols + c];
+          count++;
+        }
+      }
+      smoothed[row * cols + col] = Math.max(sum / count, 1);
+    }
+  }
+
+  for (let y = 0; y < height; y++) {
+    const fy = clamp(y / cellSize - 0.5, 0, rows - 1);
+    const r0 = Math.floor(fy);
+    const r1 = Math.min(r0 + 1, rows - 1);
+    const ty = fy - r0;
+
+    for (let x = 0; x < width; x++) {
+      const fx = clamp(x / cellSize - 0.5, 0, cols - 1);
+      const c0 = Math.floor(fx);
+      const c1 = Math.min(c0 + 1, cols - 1);
+      const tx = fx - c0;
+
+      const top = smoothed[r0 * cols + c0] * (1 - tx) + smoothed[r0 * cols + c1] * tx;
+      const bottom = smoothed[r1 * cols + c0] * (1 - tx) + smoothed[r1 * cols + c1] * tx;
+      const paper = top * (1 - ty) + bottom * ty;
+
+      const i = y * width + x;
+      luminance[i] = Math.min(255, (luminance[i] / paper) * 255);
+    }
+  }
+
+  return luminance;
+}
+
+/**
+ * Pick the threshold that best separates ink from paper (Otsu's method)
+ * @param {Float32Array} luminance - Luminance per pixel, 0-255
+ * @returns {number} Threshold, 0-255
+ */
+function otsuThreshold(luminance) {
+  const histogram = new Float64Array(256);
+  for (let i = 0; i < luminance.length; i++) {
+    histogram[Math.round(luminance[i])]++;
+  }
+
+  const total = luminance.length;
+  let sumAll = 0;
+  for (let i = 0; i < 256; i++) sumAll += i * histogram[i];
+
+  let sumBackground = 0;
+  let weightBackground = 0;
+  let bestVariance = -1;
+  let threshold = 128;
+
+  for (let t = 0; t < 256; t++) {
+    weightBackground += histogram[t];
+    if (weightBackground === 0) continue;
+    const weightForeground = total - weightBackground;
+    if (weightForeground === 0) break;
+
+    sumBackground += t * histogram[t];
+    const meanBackground = sumBackground / weightBackground;
+    const meanForeground = (sumAll - sumBackground) / weightForeground;
+    const variance = weightBackground * weightForeground * (meanBackground - meanForeground) ** 2;
+
+    if (variance > bestVariance) {
+      bestVariance = variance;
+      threshold = t;
+    }
+  }
+
+  // A blank page has no real split; keep only clearly dark pixels then
+  return Math.min(threshold + 1, 200);
+}
+
+/**
+ * Clear groups of connected ink pixels smaller than a minimum size
+ * @param {Uint8ClampedArray} alpha - Alpha per pixel, changed in place
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} minArea - Smallest group to keep, in pixels
+ */
+function despeckle(alpha, width, height, minArea) {
+  const visited = new Uint8Array(alpha.length);
+  const stack = new Int32Array(alpha.length);
+  const component = [];
+
+  for (let start = 0; start < alpha.length; start++) {
+    if (alpha[start] === 0 || visited[start]) continue;
+
+    // Flood fill the group, 8-connected
+    component.length = 0;
+    let top = 0;
+    stack[top++] = start;
+    visited[start] = 1;
+
+    while (top > 0) {
+      const index = stack[--top];
+      component.push(index);
+      const x = index % width;
+      const y = (index - x) / width;
+
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const nx = x + dx;
+          const ny = y + dy;
+          if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
+          const next = ny * width + nx;
+          if (alpha[next] === 0 || visited[next]) continue;
+          visited[next] = 1;
+          stack[top++] = next;
+        }
+      }
+    }
+
+    if (component.length < minArea) {
+      component.forEach(index => { alpha[index] = 0; });
+    }
+  }
+}
+
+/**
+ * Limit a value to a range
+ */
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
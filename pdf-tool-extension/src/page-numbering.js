@@ -0,0 +1,160 @@
+/**
+ * Page Numbering Module
+ * Headers and footers stamped on a run of pages: page numbers such as
+ * "Page 3 of 12", Bates numbers for legal productions, and custom text with
+ * fields like {date}. Text is laid out on each page as it is shown, so it
+ * reads upright on rotated pages and keeps its margins on pages of any size.
+ */
+
+import { addTextToPage, hexToComponents } from './pdf-operations.js';
+import { getPageGeometry, viewportToPdfPoint } from './page-transform.js';
+import { STAMP_FIELDS } from './stamp-library.js';
+
+// Fields that can be used in header and footer text
+export const HEADER_FOOTER_FIELDS = {
+  ...STAMP_FIELDS,
+  bates: 'Bates number'
+};
+
+/**
+ * Header and footer positions: the page edge and the alignment along it
+ */
+export const HEADER_FOOTER_SLOTS = {
+  headerLeft: { edge: 'top', align: 'left' },
+  headerCenter: { edge: 'top', align: 'center' },
+  headerRight: { edge: 'top', align: 'right' },
+  footerLeft: { edge: 'bottom', align: 'left' },
+  footerCenter: { edge: 'bottom', align: 'center' },
+  footerRight: { edge: 'bottom', align: 'right' }
+};
+
+/**
+ * Common layouts, as text for some of the slots
+ */
+export const HEADER_FOOTER_PRESETS = {
+  'page-of-pages': { footerCenter: 'Page {page} of {pages}' },
+  bates: { footerRight: '{bates}' }
+};
+
+const CAP_HEIGHT = 0.72;
+
+/**
+ * Format a Bates number
+ * @param {number} number - The number
+ * @param {Object} bates - Bates options
+ * @param {string} [bates.prefix=''] - Text before the number, e.g. "ACME"
+ * @param {number} [bates.digits=6] - Zero-pad the number to this many digits
+ * @returns {string} e.g. "ACME000042"
+ */
+export function formatBatesNumber(number, bates) {
+  return `${bates.prefix || ''}${String(number).padStart(bates.digits ?? 6, '0')}`;
+}
+
+/**
+ * Check header and footer text for fields that do not exist
+ * @param {Object<string, string>} slots - Text keyed by HEADER_FOOTER_SLOTS
+ *   key
+ * @throws {Error} If no slot has text, or a field is unknown
+ */
+export function validateHeaderFooterText(slots) {
+  const texts = Object.values(slots).filter(text => text && text.trim());
+  if (texts.length === 0) {
+    throw new Error('Enter the text of a header or footer');
+  }
+
+  const unknown = texts
+    .flatMap(text => [...text.matchAll(/\{(\w+)\}/g)].map(match => match[1]))
+    .filter(field => !(field in HEADER_FOOTER_FIELDS));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown field {${unknown[0]}}. Use ${Object.keys(HEADER_FOOTER_FIELDS).map(field => `{${field}}`).join(', ')}.`);
+  }
+}
+
+/**
+ * Add headers and footers to pages
+ * @param {PDFDocument} pdfDoc - The PDF document
+ * @param {number[]} pageIndices - Zero-based indices of the pages, in order;
+ *   Bates numbers count up through them
+ * @param {Object} options - Header and footer options
+ * @param {Object<string, string>} options.slots - Text keyed by
+ *   HEADER_FOOTER_SLOTS key; may hold HEADER_FOOTER_FIELDS in braces
+ * @param {Object<string, string>} [options.values] - Values of the fields
+ *   other than {page}, {pages} and {bates}, e.g. from getStampFieldValues
+ * @param {Object} [options.bates] - Bates options, as for
+ *   formatBatesNumber, plus the first number as start (default 1)
+ * @param {number} [options.fontSize=10] - Font size in points
+ * @param {string} [options.color='#000000'] - Text color as #rrggbb
+ * @param {number} [options.marginY=36] - Distance of the text from the top
+ *   and bottom edges, in points
+ * @param {number} [options.marginX=36] - Distance of left and right aligned
+ *   text from the side edges, in points
+ * @returns {Promise<PDFDocument>} The modified PDF document
+ */
+export async function addHeadersAndFooters(pdfDoc, pageIndices, options) {
+  validateHeaderFooterText(options.slots);
+
+  const font = await pdfDoc.embedFont(PDFLib.StandardFonts.Helvetica);
+  const size = options.fontSize || 10;
+  const [r, g, b] = hexToComponents(options.color || '#000000');
+  const marginX = options.marginX ?? 36;
+  const marginY = options.marginY ?? 36;
+  const bates = options.bates || {};
+  const start = bates.start ?? 1;
+  const pageCount = pdfDoc.getPageCount();
+
+  for (const [i, pageIndex] of pageIndices.entries()) {
+    const values = {
+      ...options.values,
+      page: String(pageIndex + 1),
+      pages: String(pageCount),
+      bates: formatBatesNumber(start + i, bates)
+    };
+    const geometry = getPageGeometry(pdfDoc.getPage(pageIndex));
+
+    for (const [key, template] of Object.entries(options.slots)) {
+      const text = fillFields(template || '', values);
+      if (!text) continue;
+
+      let width;
+      try {
+        width = font.widthOfTextAtSize(text, size);
+      } catch (error) {
+        throw new Error(`Headers and footers can only use Latin characters: ${text}`);
+      }
+
+      // Lay out on the page as shown, with y pointing down like a viewport,
+      // then turn with the page so the text reads upright
+      const { edge, align } = HEADER_FOOTER_SLOTS[key];
+      const x = align === 'left'
+        ? marginX
+        : align === 'right'
+          ? geometry.displayWidth - marginX - width
+          : (geometry.displayWidth - width) / 2;
+      const baseline = edge === 'top'
+        ? marginY + size * CAP_HEIGHT
+        : geometry.displayHeight - marginY;
+      const point = viewportToPdfPoint(geometry, x, baseline);
+
+      await addTextToPage(pdfDoc, pageIndex, text, {
+        x: point.x,
+        y: point.y,
+        size,
+        color: { r, g, b },
+        rotation: geometry.rotation,
+        font
+      });
+    }
+  }
+
+  return pdfDoc;
+}
+
+/**
+ * Fill in the fields of header or footer text, on one line
+ */
+function fillFields(template, values) {
+  return template
+    .replace(/\{(\w+)\}/g, (field, name) => (name in values ? values[name] : field))
+    .replace(/\s+/g, ' ')
+    .trim();
+}
@@ -0,0 +1,281 @@
+/**
+ * Page Transform Module
+ * Converts between a page as it is shown and PDF user space. A page is
+ * shown cropped to its crop box (within the media box, which need not
+ * start at 0,0) and turned clockwise by its /Rotate, exactly as PDF.js
+ * renders it. Redaction boxes, signature placements and other tools that
+ * let the user draw on a rendered page all go through here.
+ *
+ * Viewport coordinates match a PDF.js viewport: origin at the top-left of
+ * the page as shown, y pointing down, in points times the render scale.
+ */
+
+/**
+ * @typedef {Object} PageGeometry
+ * @property {number} x - Left edge of the visible area in user space
+ * @property {number} y - Bottom edge of the visible area in user space
+ * @property {number} width - Width of the visible area in user space
+ * @property {number} height - Height of the visible area in user space
+ * @property {number} rotation - Page rotation: 0, 90, 180 or 270
+ * @property {number} displayWidth - Width as shown, in points
+ * @property {number} displayHeight - Height as shown, in points
+ */
+
+/**
+ * Read the visible area and rotation of a page
+ * @param {PDFPage} page - PDF-lib page
+ * @returns {PageGeometry} The page geometry
+ */
+export function getPageGeometry(page) {
+  const media = page.getMediaBox();
+  const crop = page.getCropBox();
+
+  // Like PDF.js, show the part of the crop box inside the media box, or the
+  // whole media box if they do not overlap
+  const x0 = Math.max(media.x, crop.x);
+  const y0 = Math.max(media.y, crop.y);
+  const x1 = Math.min(media.x + media.width, crop.x + crop.width);
+  const y1 = Math.min(media.y + media.height, crop.y + crop.height);
+  const box = x1 > x0 && y1 > y0
+    ? { x: x0, y: y0, width: x1 - x0, height: y1 - y0 }
+    : media;
+
+  // Rotations that are not a multiple of 90 are ignored by viewers
+  let rotation = ((page.getRotation().angle % 360) + 360) % 360;
+  if (rotation % 90 !== 0) {
+    rotation = 0;
+  }
+
+  const sideways = rotation === 90 || rotation === 270;
+
+  return {
+    x: box.x,
+    y: box.y,
+    width: box.width,
+    height: box.height,
+    rotation,
+    displayWidth: sideways ? box.height : box.width,
+    displayHeight: sideways ? box.width : box.height
+  };
+}
+
+/**
+ * Read the visible area and rotation of a page from PDF.js, for code that
+ * has the rendered page rather than the PDF-lib one
+ * @param {PDFPageProxy} pdfJsPage - PDF.js page
+ * @returns {PageGeometry} The page geometry
+ */
+export function getPdfJsPageGeometry(pdfJsPage) {
+  // PDF.js has already clipped the crop box to the media box
+  const [x0, y0, x1, y1] = pdfJsPage.view;
+  const rotation = ((pdfJsPage.rotate % 360) + 360) % 360;
+  const sideways = rotation === 90 || rotation === 270;
+
+  return {
+    x: x0,
+    y: y0,
+    width: x1 - x0,
+    height: y1 - y0,
+    rotation,
+    displayWidth: sideways ? y1 - y0 : x1 - x0,
+    displayHeight: sideways ? x1 - x0 : y1 - y0
+  };
+}
+
+/**
+ * Convert a viewport point to user space
+ * @param {PageGeometry} geometry - The page geometry
+ * @param {number} x - Viewport x
+ * @param {number} y - Viewport y
+ * @param {number} [scale=1] - Render scale of the viewport
+ * @returns {{x: number, y: number}} Point in user space
+ */
+export function viewportToPdfPoint(geometry, x, y, scale = 1) {
+  const u = x / scale;
+  const v = y / scale;
+
+  switch (geometry.rotation) {
+    case 90:
+      return { x: geometry.x + v, y: geometry.y + u };
+    case 180:
+      return { x: geometry.x + geometry.width - u, y: geometry.y + v };
+    case 270:
+      return { x: geometry.x + geometry.width - v, y: geometry.y + geometry.height - u };
+    default:
+      return { x: geometry.x + u, y: geometry.y + geometry.height - v };
+  }
+}
+
+/**
+ * Convert a user space point to viewport coordinates
+ * @param {PageGeometry} geometry - The page geometry
+ * @param {number} x - User space x
+ * @param {number} y - User space y
+ * @param {number} [scale=1] - Render scale of the viewport
+ * @returns {{x: number, y: number}} Point in the viewport
+ */
+export function pdfToViewportPoint(geometry, x, y, scale = 1) {
+  const dx = x - geometry.x;
+  const dy = y - geometry.y;
+  let u;
+  let v;
+
+  switch (geometry.rotation) {
+    case 90:
+      u = dy;
+      v = dx;
+      break;
+    case 180:
+      u = geometry.width - dx;
+      v = dy;
+      break;
+    case 270:
+      u = geometry.height - dy;
+      v = geometry.width - dx;
+      break;
+    default:
+      u = dx;
+      v = geometry.height - dy;
+  }
+
+  return { x: u * scale, y: v * scale };
+}
+
+/**
+ * Convert an axis-aligned viewport rectangle, such as a redaction box, to
+ * a user space rectangle
+ * @param {PageGeometry} geometry - The page geometry
+ * @param {{x: number, y: number, width: number, height: number}} rect -
+ *   Rectangle in the viewport, from its top-left corner
+ * @param {number} [scale=1] - Render scale of the viewport
+ * @returns {{x: number, y: number, width: number, height: number}} Rectangle
+ *   in user space, from its bottom-left corner
+ */
+export function viewportRectToPdf(geometry, rect, scale = 1) {
+  const a = viewportToPdfPoint(geometry, rect.x, rect.y, scale);
+  const b = viewportToPdfPoint(geometry, rect.x + rect.width, rect.y + rect.height, scale);
+
+  return {
+    x: Math.min(a.x, b.x),
+    y: Math.min(a.y, b.y),
+    width: Math.abs(b.x - a.x),
+    height: Math.abs(b.y - a.y)
+  };
+}
+
+/**
+ * Convert a user space rectangle, such as a widget or annotation /Rect, to
+ * the axis-aligned viewport rectangle it covers
+ * @param {PageGeometry} geometry - The page geometry
+ * @param {{x: number, y: number, width: number, height: number}} rect -
+ *   Rectangle in user space, from its bottom-left corner
+ * @param {number} [scale=1] - Render scale of the viewport
+ * @returns {{x: number, y: number, width: number, height: number}} Rectangle
+ *   in the viewport, from its top-left corner
+ */
+export function pdfRectToViewport(geometry, rect, scale = 1) {
+  const a = pdfToViewportPoint(geometry, rect.x, rect.y, scale);
+  const b = pdfToViewportPoint(geometry, rect.x + rect.width, rect.y + rect.height, scale);
+
+  return {
+    x: Math.min(a.x, b.x),
+    y: Math.min(a.y, b.y),
+    width: Math.abs(b.x - a.x),
+    height: Math.abs(b.y - a.y)
+  };
+}
+
+/**
+ * Get the matrix that maps the page as shown, with its origin at the
+ * bottom-left and y pointing up, to user space. Content drawn after
+ * concatenating it is laid out as the reader sees the page, whatever its
+ * rotation and crop box.
+ * @param {PageGeometry} geometry - The page geometry
+ * @returns {number[]} Matrix [a, b, c, d, e, f] for the cm operator
+ */
+export function getDisplayMatrix(geometry) {
+  const bottom = geometry.displayHeight;
+  const origin = viewportToPdfPoint(geometry, 0, bottom);
+  const right = viewportToPdfPoint(geometry, 1, bottom);
+  const up = viewportToPdfPoint(geometry, 0, bottom - 1);
+
+  return [right.x - origin.x, right.y - origin.y, up.x - origin.x, up.y - origin.y, origin.x, origin.y];
+}
+
+/**
+ * Convert a placed box, such as a signature, from the page as shown to user
+ * space. The box is given as it appears before its own rotation, which
+ * turns it clockwise about its center as in the placement overlay. The
+ * result is rotated counterclockwise about its lower-left corner instead,
+ * as PDF-lib's drawImage and the other drawing functions expect.
+ * @param {PageGeometry} geometry - The page geometry
+ * @param {Object} placement - Box as shown, in points
+ * @param {number} placement.x - Left edge, from the left of the page
+ * @param {number} placement.y - Bottom edge, from the bottom of the page
+ * @param {number} placement.width - Width
+ * @param {number} placement.height - Height
+ * @param {number} [placement.rotation=0] - Clockwise rotation in degrees
+ * @returns {{x: number, y: number, width: number, height: number,
+ *   rotation: number}} Box in user space
+ */
+export function placementToPdf(geometry, placement) {
+  const { width, height } = placement;
+  const turn = -(placement.rotation || 0);
+  const angle = (turn * Math.PI) / 180;
+
+  // Lower-left corner after turning about the center, bottom-up as shown
+  const centerX = placement.x + width / 2;
+  const centerY = placement.y + height / 2;
+  const cornerX = centerX - (width / 2) * Math.cos(angle) + (height / 2) * Math.sin(angle);
+  const cornerY = centerY - (width / 2) * Math.sin(angle) - (height / 2) * Math.cos(angle);
+
+  const corner = viewportToPdfPoint(geometry, cornerX, geometry.displayHeight - cornerY);
+
+  return {
+    x: corner.x,
+    y: corner.y,
+    width,
+    height,
+    // The page turns its content clockwise when shown
+    rotation: (((turn + geometry.rotation) % 360) + 360) % 360
+  };
+}
+
+/**
+ * Get the upright box a rotated placement covers on the page as shown
+ * @param {Object} placement - Box as for placementToPdf
+ * @returns {{x: number, y: number, width: number, height: number}} Bounds,
+ *   bottom-up as shown
+ */
+export function getPlacementBounds(placement) {
+  const angle = ((placement.rotation || 0) * Math.PI) / 180;
+  const cos = Math.abs(Math.cos(angle));
+  const sin = Math.abs(Math.sin(angle));
+  const width = placement.width * cos + placement.height * sin;
+  const height = placement.width * sin + placement.height * cos;
+
+  return {
+    x: placement.x + (placement.width - width) / 2,
+    y: placement.y + (placement.height - height) / 2,
+    width,
+    height
+  };
+}
+
+/**
+ * Check whether two boxes overlap. Boxes that only touch along an edge do
+ * not, unless includeEdges is set.
+ * @param {{x: number, y: number, width: number, height: number}} a - First box
+ * @param {{x: number, y: number, width: number, height: number}} b - Second
+ *   box, in the same coordinates
+ * @param {boolean} [includeEdges=false] - Count touching boxes as overlapping
+ * @returns {boolean} True if the boxes overlap
+ */
+export function boxesOverlap(a, b, includeEdges = false) {
+  if (includeEdges) {
+    return a.x <= b.x + b.width && b.x <= a.x + a.width &&
+      a.y <= b.y + b.height && b.y <= a.y + a.height;
+  }
+  return a.x < b.x + b.width && b.x < a.x + a.width &&
+    a.y < b.y + b.height && b.y < a.y + a.height;
+}
@@ -3,6 +3,8 @@
  * Core PDF manipulation functions using PDF-lib
  */
 
+import { getPageGeometry, getDisplayMatrix } from './page-transform.js';
+
 // PDF-lib is loaded globally from the script tag
 
 /**
@@ -11,8 +13,12 @@
  * @returns {Promise<PDFDocument>} The loaded PDF document
  */
 export async function loadPDFDocument(data) {
+  // Encrypted files must be decrypted first (see pdf-security.js); PDF-lib
+  // would otherwise load scrambled strings and streams
   const pdfDoc = await PDFLib.PDFDocument.load(data, {
-    ignoreEncryption: true
+    // Keep the document info as it is; otherwise PDF-lib stamps its own
+    // Producer and dates, undoing a sanitize on every reload
+    updateMetadata: false
   });
   return pdfDoc;
 }
@@ -58,7 +64,8 @@ export function deletePages(pdfDoc, pageIndices) {
  * @returns {Promise<PDFDocument>} A new PDF document with reordered pages
  */
 export async function reorderPages(pdfDoc, newOrder) {
-  const newPdfDoc = await PDFLib.PDFDocument.create();
+  const newPdfDoc = await PDFLib.PDFDocument.create({ updateMetadata: false });
+  setDocumentMetadata(newPdfDoc, getDocumentMetadata(pdfDoc));
 
   for (const oldIndex of newOrder) {
     const [copiedPage] = await newPdfDoc.copyPages(pdfDoc, [oldIndex]);
@@ -94,7 +101,9 @@ export async function extractPages(pdfDoc, pageIndices) {
  * @returns {Promise<PDFDocument>} A new merged PDF document
  */
 export async function mergePDFs(pdfDocs) {
-  const mergedPdf = await PDFLib.PDFDocument.create();
+  // The merged document keeps the metadata of the first one
+  const mergedPdf = await PDFLib.PDFDocument.create({ updateMetadata: false });
+  setDocumentMetadata(mergedPdf, getDocumentMetadata(pdfDocs[0]));
 
   for (const pdfDoc of pdfDocs) {
     const pageCount = pdfDoc.getPageCount();
@@ -128,6 +137,75 @@ export async function splitPDF(pdfDoc) {
   return individualPDFs;
 }
 
+/**
+ * Document information fields, in display order
+ * key is the property name used by get/setDocumentMetadata, infoKey the
+ * entry in the PDF document information dictionary
+ */
+export const METADATA_FIELDS = [
+  { key: 'title', infoKey: 'Title', label: 'Title', type: 'text' },
+  { key: 'author', infoKey: 'Author', label: 'Author', type: 'text' },
+  { key: 'subject', infoKey: 'Subject', label: 'Subject', type: 'text' },
+  { key: 'keywords', infoKey: 'Keywords', label: 'Keywords', type: 'text' },
+  { key: 'creator', infoKey: 'Creator', label: 'Creator', type: 'text' },
+  { key: 'producer', infoKey: 'Producer', label: 'Producer', type: 'text' },
+  { key: 'creationDate', infoKey: 'CreationDate', label: 'Created', type: 'date' },
+  { key: 'modificationDate', infoKey: 'ModDate', label: 'Modified', type: 'date' }
+];
+
+/**
+ * Read the document information fields
+ * @param {PDFDocument} pdfDoc - The PDF document
+ * @returns {Object} Values keyed by METADATA_FIELDS key; strings for text
+ *   fields, Date for dates, undefined when not set
+ */
+export function getDocumentMetadata(pdfDoc) {
+  return {
+    title: pdfDoc.getTitle(),
+    author: pdfDoc.getAuthor(),
+    subject: pdfDoc.getSubject(),
+    keywords: pdfDoc.getKeywords(),
+    creator: pdfDoc.getCreator(),
+    producer: pdfDoc.getProducer(),
+    creationDate: pdfDoc.getCreationDate(),
+    modificationDate: pdfDoc.getModificationDate()
+  };
+}
+
+/**
+ * Write the document information fields
+ * Empty values remove the entry rather than storing an empty string; fields
+ * whose key is missing from metadata are left as they are.
+ * @param {PDFDocument} pdfDoc - The PDF document
+ * @param {Object} metadata - Values keyed by METADATA_FIELDS key
+ */
+export function setDocumentMetadata(pdfDoc, metadata) {
+  const setters = {
+    title: value => pdfDoc.setTitle(value),
+    author: value => pdfDoc.setAuthor(value),
+    subject: value => pdfDoc.setSubject(value),
+    keywords: value => pdfDoc.setKeywords([value]),
+    creator: value => pdfDoc.setCreator(value),
+    producer: value => pdfDoc.setProducer(value),
+    creationDate: value => pdfDoc.setCreationDate(value),
+    modificationDate: value => pdfDoc.setModificationDate(value)
+  };
+
+  for (const field of METADATA_FIELDS) {
+    if (!(field.key in metadata)) continue;
+
+    const value = metadata[field.key];
+    const empty = value === undefined || value === null || value === '' ||
+      (value instanceof Date && isNaN(value.getTime()));
+
+    if (empty) {
+      pdfDoc.getInfoDict().delete(PDFLib.PDFName.of(field.infoKey));
+    } else {
+      setters[field.key](value);
+    }
+  }
+}
+
 /**
  * Get page dimensions
  * @param {PDFDocument} pdfDoc - The PDF document
@@ -135,16 +213,84 @@ export async function splitPDF(pdfDoc) {
  * @returns {{width: number, height: number}} Page dimensions in points
  */
 export function getPageDimensions(pdfDoc, pageIndex) {
-  const page = pdfDoc.getPage(pageIndex);
-  const { width, height } = page.getSize();
-  const rotation = page.getRotation().angle;
+  // As shown: cropped and turned by the page rotation
+  const { displayWidth, displayHeight } = getPageGeometry(pdfDoc.getPage(pageIndex));
+  return { width: displayWidth, height: displayHeight };
+}
+
+/**
+ * Page selections for applying something to several pages at once
+ */
+export const PAGE_SELECTIONS = {
+  CURRENT: 'current',
+  ALL: 'all',
+  ODD: 'odd',
+  EVEN: 'even',
+  ALL_BUT_LAST: 'all-but-last',
+  RANGE: 'range'
+};
+
+/**
+ * Get the pages a selection covers
+ * @param {string} selection - One of PAGE_SELECTIONS
+ * @param {number} pageCount - Pages in the document
+ * @param {Object} [options]
+ * @param {number} [options.currentPage] - Zero-based page for CURRENT
+ * @param {string} [options.range] - Page list for RANGE, e.g. "1-3, 5"
+ * @returns {number[]} Zero-based page indices in order
+ */
+export function getSelectedPages(selection, pageCount, options = {}) {
+  const all = Array.from({ length: pageCount }, (_, i) => i);
+
+  switch (selection) {
+    case PAGE_SELECTIONS.ALL:
+      return all;
+    case PAGE_SELECTIONS.ODD:
+      return all.filter(i => i % 2 === 0);
+    case PAGE_SELECTIONS.EVEN:
+      return all.filter(i => i % 2 === 1);
+    case PAGE_SELECTIONS.ALL_BUT_LAST:
+      return all.slice(0, -1);
+    case PAGE_SELECTIONS.RANGE:
+      return parsePageRange(options.range || '', pageCount);
+    default:
+      return [options.currentPage || 0];
+  }
+}
+
+/**
+ * Parse a list of page numbers and ranges such as "1-3, 5, 8-" (open ranges
+ * run to the last page)
+ * @param {string} text - The list, with one-based page numbers
+ * @param {number} pageCount - Pages in the document
+ * @returns {number[]} Zero-based page indices, sorted, without duplicates
+ */
+export function parsePageRange(text, pageCount) {
+  const pages = new Set();
+
+  for (const part of text.split(/[,;]/).map(item => item.trim()).filter(Boolean)) {
+    const match = part.match(/^(\d+)?\s*(?:(-)\s*(\d+)?)?$/);
+    if (!match || (!match[1] && !match[3])) {
+      throw new Error(`"${part}" is not a page number or range`);
+    }
+
+    const first = match[1] ? parseInt(match[1], 10) : 1;
+    const last = match[2] ? (match[3] ? parseInt(match[3], 10) : pageCount) : first;
+
+    if (first < 1 || last > pageCount || first > last) {
+      throw new Error(`"${part}" is outside pages 1-${pageCount}`);
+    }
 
-  // Account for rotation
-  if (rotation === 90 || rotation === 270) {
-    return { width: height, height: width };
+    for (let page = first; page <= last; page++) {
+      pages.add(page - 1);
+    }
+  }
+
+  if (pages.size === 0) {
+    throw new Error('Enter the pages, e.g. 1-3, 5');
   }
 
-  return { width, height };
+  return [...pages].sort((a, b) => a - b);
 }
 
 /**
@@ -156,8 +302,9 @@ export function getPageDimensions(pdfDoc, pageIndex) {
  * @returns {Promise<PDFDocument>} The modified PDF document
  */
 export async function replacePageWithImage(pdfDoc, pageIndex, imageBytes, imageType) {
-  const page = pdfDoc.getPage(pageIndex);
-  const { width, height } = page.getSize();
+  // The image shows the page as rendered, so the new page takes that size
+  // and no rotation
+  const { width, height } = getPageDimensions(pdfDoc, pageIndex);
 
   // Embed the image
   let embeddedImage;
@@ -221,6 +368,76 @@ export async function insertImageOnPage(pdfDoc, pageIndex, imageBytes, imageType
   return pdfDoc;
 }
 
+/**
+ * Draw vector paths onto a page, scaled to fill a box
+ * @param {PDFDocument} pdfDoc - The PDF document
+ * @param {number} pageIndex - Zero-based page index
+ * @param {VectorSignature} vector - Paths and the size of their drawing area
+ * @param {Object} options - Placement options
+ * @param {number} options.x - X position in points
+ * @param {number} options.y - Y position in points
+ * @param {number} options.width - Width in points
+ * @param {number} options.height - Height in points
+ * @param {number} [options.rotation=0] - Rotation in degrees, about the
+ *   lower-left corner like insertImageOnPage
+ * @returns {PDFDocument} The modified PDF document
+ */
+export function insertVectorOnPage(pdfDoc, pageIndex, vector, options) {
+  pdfDoc.getPage(pageIndex).pushOperators(...getVectorOperators(vector, options));
+  return pdfDoc;
+}
+
+/**
+ * Build the content stream operators that draw vector paths into a box,
+ * for pages and for appearance streams alike
+ * @param {VectorSignature} vector - Paths and the size of their drawing area
+ * @param {Object} options - Placement options, as for insertVectorOnPage
+ * @returns {PDFOperator[]} The operators
+ */
+export function getVectorOperators(vector, options) {
+  const { pushGraphicsState, popGraphicsState, translate, rotateDegrees, scale, concatTransformationMatrix } = PDFLib;
+
+  // Map the drawing area onto the box. drawSvgPath flips the y axis itself,
+  // so start from the top edge of the box
+  const operators = [
+    pushGraphicsState(),
+    translate(options.x, options.y),
+    rotateDegrees(options.rotation || 0),
+    scale(options.width / vector.width, options.height / vector.height),
+    translate(0, vector.height)
+  ];
+
+  for (const path of vector.paths) {
+    // Path matrices are in SVG's y-down space; mirror them to match the flip
+    const [a, b, c, d, e, f] = path.matrix;
+    operators.push(pushGraphicsState(), concatTransformationMatrix(a, -b, -c, d, e, -f));
+
+    const drawOptions = { x: 0, y: 0 };
+    if (path.fill) {
+      drawOptions.color = PDFLib.rgb(...hexToComponents(path.fill));
+    }
+    if (path.stroke) {
+      drawOptions.borderColor = PDFLib.rgb(...hexToComponents(path.stroke));
+      drawOptions.borderWidth = path.strokeWidth;
+      drawOptions.borderLineCap = PDFLib.LineCapStyle.Round;
+    }
+    operators.push(...PDFLib.drawSvgPath(path.d, drawOptions), popGraphicsState());
+  }
+
+  operators.push(popGraphicsState());
+  return operators;
+}
+
+/**
+ * Convert a #rrggbb color to RGB components between 0 and 1
+ * @param {string} hex - Color as #rrggbb
+ * @returns {number[]} Red, green and blue
+ */
+export function hexToComponents(hex) {
+  const value = parseInt(hex.slice(1), 16);
+  return [(value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff].map(component => component / 255);
+}
+
 /**
  * Add text to a page
  * @param {PDFDocument} pdfDoc - The PDF document
@@ -230,14 +447,20 @@ export async function insertImageOnPage(pdfDoc, pageIndex, imageBytes, imageType
  * @param {number} options.x - X position in points
  * @param {number} options.y - Y position in points
  * @param {number} [options.size=12] - Font size in points
+ * @param {number} [options.lineHeight] - Distance between the baselines of
+ *   lines separated by \n
  * @param {Object} [options.color] - RGB color object
+ * @param {number} [options.rotation=0] - Rotation in degrees about the
+ *   start of the first baseline
+ * @param {PDFFont} [options.font] - Font already embedded in the document,
+ *   to share one across many calls; Helvetica if not given
  * @returns {Promise<PDFDocument>} The modified PDF document
  */
 export async function addTextToPage(pdfDoc, pageIndex, text, options) {
   const page = pdfDoc.getPage(pageIndex);
 
   // Use standard font
-  const font = await pdfDoc.embedFont(PDFLib.StandardFonts.Helvetica);
+  const font = options.font || await pdfDoc.embedFont(PDFLib.StandardFonts.Helvetica);
 
   const color = options.color || { r: 0.5, g: 0.5, b: 0.5 };
 
@@ -245,6 +468,8 @@ export async function addTextToPage(pdfDoc, pageIndex, text, options) {
     x: options.x,
     y: options.y,
     size: options.size || 12,
+    lineHeight: options.lineHeight,
+    rotate: PDFLib.degrees(options.rotation || 0),
     font: font,
     color: PDFLib.rgb(color.r, color.g, color.b)
   });
@@ -252,6 +477,229 @@ export async function addTextToPage(pdfDoc, pageIndex, text, options) {
   return pdfDoc;
 }
 
+/**
+ * Watermark layouts: one mark across the middle of the page, or marks
+ * repeated over the whole page
+ */
+export const WATERMARK_LAYOUTS = {
+  CENTER: 'center',
+  TILED: 'tiled'
+};
+
+/**
+ * Whether a watermark is drawn over the page content or behind it
+ */
+export const WATERMARK_LAYERS = {
+  ABOVE: 'above',
+  BELOW: 'below'
+};
+
+/**
+ * Add a text or image watermark to pages
+ * @param {PDFDocument} pdfDoc - The PDF document
+ * @param {number[]} pageIndices - Zero-based indices of the pages to mark
+ * @param {Object} options - Watermark options
+ * @param {string} [options.text] - Text, with lines separated by \n
+ * @param {Object} [options.image] - Image to use instead of text
+ * @param {Uint8Array} options.image.bytes - PNG or JPEG image bytes
+ * @param {string} options.image.type - 'png' or 'jpeg'
+ * @param {string} [options.layout='center'] - One of WATERMARK_LAYOUTS
+ * @param {string} [options.layer='above'] - One of WATERMARK_LAYERS
+ * @param {number} [options.fontSize=60] - Font size in points
+ * @param {string} [options.color='#ff0000'] - Text color as #rrggbb
+ * @param {number} [options.imageScale=0.5] - Image width as a fraction of
+ *   the page width
+ * @param {number} [options.opacity=0.3] - Opacity (0-1)
+ * @param {number} [options.rotation=45] - Counterclockwise rotation in
+ *   degrees, as the page is shown
+ * @returns {Promise<PDFDocument>} The modified PDF document
+ */
+export async function addWatermark(pdfDoc, pageIndices, options) {
+  const { pushGraphicsState, popGraphicsState, concatTransformationMatrix, translate, rotateDegrees, scale, setGraphicsState, drawObject } = PDFLib;
+  const { context } = pdfDoc;
+  const rotation = options.rotation ?? 45;
+
+  const mark = options.image
+    ? await createImageWatermark(pdfDoc, options.image)
+    : await createTextWatermark(pdfDoc, options.text, options.fontSize || 60, options.color || '#ff0000');
+
+  const opacity = options.opacity ?? 0.3;
+  const graphicsState = context.register(context.obj({ Type: 'ExtGState', ca: opacity, CA: opacity }));
+
+  for (const pageIndex of pageIndices) {
+    const page = pdfDoc.getPage(pageIndex);
+    const geometry = getPageGeometry(page);
+
+    // Images follow the page size; text keeps its font size on every page
+    const markScale = options.image
+      ? geometry.displayWidth * (options.imageScale || 0.5) / mark.width
+      : 1;
+
+    const centers = options.layout === WATERMARK_LAYOUTS.TILED
+      ? getTileCenters(geometry, mark.width * markScale, mark.height * markScale, rotation)
+      : [{ x: geometry.displayWidth / 2, y: geometry.displayHeight / 2 }];
+
+    const markName = page.node.newXObject('Watermark', mark.ref);
+    const stateName = page.node.newExtGState('GS', graphicsState);
+
+    // Lay the marks out on the page as shown, so they read the same way
+    // whatever the page rotation
+    const operators = [
+      pushGraphicsState(),
+      concatTransformationMatrix(...getDisplayMatrix(geometry)),
+      setGraphicsState(stateName)
+    ];
+    for (const center of centers) {
+      operators.push(
+        pushGraphicsState(),
+        translate(center.x, center.y),
+        rotateDegrees(rotation),
+        scale(markScale, markScale),
+        drawObject(markName),
+        popGraphicsState()
+      );
+    }
+    operators.push(popGraphicsState());
+
+    if (options.layer === WATERMARK_LAYERS.BELOW) {
+      // Draw before the existing content streams so the page paints over it
+      const streamRef = context.register(context.contentStream(operators));
+      page.node.normalize();
+      const contents = page.node.Contents();
+      if (contents instanceof PDFLib.PDFArray) {
+        contents.insert(0, streamRef);
+      } else {
+        page.node.set(PDFLib.PDFName.of('Contents'), context.obj([streamRef]));
+      }
+    } else {
+      page.pushOperators(...operators);
+    }
+  }
+
+  return pdfDoc;
+}
+
+/**
+ * Build a form XObject holding watermark text, centered on its origin
+ * @returns {Promise<{ref: PDFRef, width: number, height: number}>}
+ */
+async function createTextWatermark(pdfDoc, text, fontSize, color) {
+  const lines = (text || '').split('\n').map(line => line.trim()).filter(Boolean);
+  if (!lines.length) {
+    throw new Error('Enter the watermark text');
+  }
+
+  const font = await pdfDoc.embedFont(PDFLib.StandardFonts.HelveticaBold);
+  const lineHeight = fontSize * 1.2;
+
+  let widths;
+  try {
+    widths = lines.map(line => font.widthOfTextAtSize(line, fontSize));
+  } catch (error) {
+    throw new Error(`Watermarks can only use Latin characters: ${text}`);
+  }
+
+  // Center the block on the capital letters; the box leaves room for
+  // ascenders and descenders
+  const width = Math.max(...widths);
+  const height = fontSize * 0.72 + lineHeight * (lines.length - 1);
+  const padding = fontSize * 0.3;
+
+  const { beginText, endText, setFontAndSize, moveText, showText, setFillingColor } = PDFLib;
+  const operators = [beginText(), setFontAndSize('F', fontSize), setFillingColor(PDFLib.rgb(...hexToComponents(color)))];
+  lines.forEach((line, i) => {
+    const baseline = height / 2 - fontSize * 0.72 - i * lineHeight;
+    operators.push(moveText(-widths[i] / 2, baseline), showText(font.encodeText(line)), moveText(widths[i] / 2, -baseline));
+  });
+  operators.push(endText());
+
+  const ref = pdfDoc.context.register(pdfDoc.context.formXObject(operators, {
+    BBox: [-width / 2, -height / 2 - padding, width / 2, height / 2 + padding],
+    Resources: { Font: { F: font.ref } }
+  }));
+
+  return { ref, width, height: height + padding * 2 };
+}
+
+/**
+ * Build a form XObject holding a watermark image at one point per pixel,
+ * centered on its origin
+ * @returns {Promise<{ref: PDFRef, width: number, height: number}>}
+ */
+async function createImageWatermark(pdfDoc, image) {
+  const embedded = image.type === 'png'
+    ? await pdfDoc.embedPng(image.bytes)
+    : await pdfDoc.embedJpg(image.bytes);
+  const { width, height } = embedded;
+
+  const operators = [
+    PDFLib.concatTransformationMatrix(width, 0, 0, height, -width / 2, -height / 2),
+    PDFLib.drawObject('Img')
+  ];
+
+  const ref = pdfDoc.context.register(pdfDoc.context.formXObject(operators, {
+    BBox: [-width / 2, -height / 2, width / 2, height / 2],
+    Resources: { XObject: { Img: embedded.ref } }
+  }));
+
+  return { ref, width, height };
+}
+
+/**
+ * Get the centers of tiled watermarks covering a page as shown, in rows
+ * offset by half a step like brickwork
+ * @returns {{x: number, y: number}[]} Centers, origin at the bottom-left
+ */
+function getTileCenters(geometry, width, height, rotation) {
+  // Step by the size of the turned mark plus a gap
+  const radians = rotation * Math.PI / 180;
+  const cos = Math.abs(Math.cos(radians));
+  const sin = Math.abs(Math.sin(radians));
+  const boundsWidth = width * cos + height * sin;
+  const boundsHeight = width * sin + height * cos;
+  const gap = Math.max(24, Math.min(boundsWidth, boundsHeight) / 2);
+  const stepX = boundsWidth + gap;
+  const stepY = boundsHeight + gap;
+
+  const { displayWidth, displayHeight } = geometry;
+  const columns = Math.ceil(displayWidth / 2 / stepX) + 1;
+  const rows = Math.ceil(displayHeight / 2 / stepY) + 1;
+  const centers = [];
+
+  for (let row = -rows; row <= rows; row++) {
+    const offset = row % 2 === 0 ? 0 : stepX / 2;
+    for (let column = -columns; column <= columns; column++) {
+      const x = displayWidth / 2 + column * stepX + offset;
+      const y = displayHeight / 2 + row * stepY;
+
+      // Skip marks that would fall entirely off the page
+      if (x + boundsWidth / 2 > 0 && x - boundsWidth / 2 < displayWidth &&
+          y + boundsHeight / 2 > 0 && y - boundsHeight / 2 < displayHeight) {
+        centers.push({ x, y });
+      }
+    }
+  }
+
+  return centers;
+}
+
+/**
+ * Add an annotation to a page, editing its Annots array in place when there
+ * is one so that only that object changes, as incremental updates need
+ * @param {PDFPage} page - The page
+ * @param {PDFRef} annotRef - Reference to the annotation dictionary
+ */
+export function addAnnotationToPage(page, annotRef) {
+  const { PDFName, PDFArray } = PDFLib;
+  const annots = page.node.lookupMaybe(PDFName.of('Annots'), PDFArray);
+
+  if (annots) {
+    annots.push(annotRef);
+  } else {
+    page.node.set(PDFName.of('Annots'), page.doc.context.obj([annotRef]));
+  }
+}
+
 /**
  * Get the page count of a PDF document
  * @param {PDFDocument} pdfDoc - The PDF document
@@ -277,5 +725,5 @@ export async function savePDFToBytes(pdfDoc) {
  */
 export async function copyPDFDocument(pdfDoc) {
   const pdfBytes = await pdfDoc.save();
-  return await PDFLib.PDFDocument.load(pdfBytes);
+  return await PDFLib.PDFDocument.load(pdfBytes, { updateMetadata: false });
 }
@@ -0,0 +1,746 @@
+/**
+ * PDF Security Module
+ * Implements the PDF standard security handler (revisions 2 to 6: RC4,
+ * AES-128 and AES-256), so that encrypted documents can be opened and
+ * edited with PDF-lib, and exported documents can be password protected.
+ * PDF-lib cannot do either on its own.
+ */
+
+import {
+  concatBytes,
+  bytesEqual,
+  md5,
+  rc4,
+  sha,
+  aesCbcEncrypt,
+  aesCbcDecrypt,
+  randomBytes
+} from './crypto-utils.js';
+
+// Padding string from the PDF specification, used to pad passwords to 32 bytes
+const PASSWORD_PADDING = Uint8Array.from([
+  0x28, 0xbf, 0x4e, 0x5e, 0x4e, 0x75, 0x8a, 0x41, 0x64, 0x00, 0x4e, 0x56, 0xff, 0xfa, 0x01, 0x08,
+  0x2e, 0x2e, 0x00, 0xb6, 0xd0, 0x68, 0x3e, 0x80, 0x2f, 0x0c, 0xa9, 0xfe, 0x64, 0x53, 0x69, 0x7a
+]);
+
+const AES_SALT = Uint8Array.from([0x73, 0x41, 0x6c, 0x54]); // "sAlT"
+
+export const ENCRYPTION_METHODS = {
+  AES_128: 'AES-128',
+  AES_256: 'AES-256'
+};
+
+// Bits of the P entry (1-based) cleared when a permission is withheld.
+// Bits 1-2 are always 0; all other bits stay set.
+const PERMISSION_BITS = {
+  print: [3, 12],     // Print, and print at full quality
+  modify: [4, 6, 11], // Change content, add comments and fill forms, assemble
+  copy: [5]           // Copy text and graphics
+};
+
+/**
+ * @typedef {Object} ProtectionOptions
+ * @property {string} userPassword - Password needed to open the document
+ * @property {string} [ownerPassword] - Password that lifts the restrictions;
+ *   a random one is used when empty
+ * @property {string} [method='AES-256'] - One of ENCRYPTION_METHODS
+ * @property {Object} [permissions] - Allowed actions, all true by default
+ * @property {boolean} [permissions.print] - Allow printing
+ * @property {boolean} [permissions.copy] - Allow copying text and graphics
+ * @property {boolean} [permissions.modify] - Allow editing and commenting
+ */
+
+/**
+ * @typedef {Object} SecurityHandler
+ * @property {number} revision - Standard security handler revision (R)
+ * @property {Uint8Array} fileKey - Document encryption key
+ * @property {string} stringMethod - 'RC4', 'AESV2', 'AESV3' or 'Identity'
+ * @property {string} streamMethod - 'RC4', 'AESV2', 'AESV3' or 'Identity'
+ * @property {boolean} encryptMetadata - Whether XMP metadata streams are encrypted
+ */
+
+/**
+ * Decrypt an encrypted PDF
+ * The user or the owner password may be given. Documents that are not
+ * encrypted are returned unchanged.
+ * @param {ArrayBuffer|Uint8Array} pdfBytes - The encrypted PDF
+ * @param {string} [password=''] - User or owner password
+ * @returns {Promise<Uint8Array>} An equivalent PDF without encryption
+ */
+export async function decryptPDF(pdfBytes, password = '') {
+  const { PDFParser, PDFWriter, PDFRef, PDFDict } = PDFLib;
+  const bytes = new Uint8Array(pdfBytes);
+
+  // PDF-lib parses the structure fine; only strings and streams are scrambled
+  const context = await PDFParser.forBytesWithOptions(bytes).parseDocument();
+  const encryptRef = context.trailerInfo.Encrypt;
+  if (!encryptRef) {
+    return bytes;
+  }
+
+  const encrypt = context.lookup(encryptRef);
+  if (!(encrypt instanceof PDFDict)) {
+    throw new Error('The encryption dictionary is missing or damaged');
+  }
+
+  const handler = await createSecurityHandler(encrypt, getFileId(context), password);
+  await decryptObjects(context, handler, encryptRef);
+
+  context.trailerInfo.Encrypt = undefined;
+  if (encryptRef instanceof PDFRef) {
+    context.delete(encryptRef);
+  }
+
+  return await PDFWriter.forContext(context, 50).serializeToBuffer();
+}
+
+/**
+ * Encrypt a document with a user password, owner password and permissions
+ * @param {PDFDocument} pdfDoc - PDF-lib document, left unchanged
+ * @param {ProtectionOptions} options - Passwords, cipher and permissions
+ * @returns {Promise<Uint8Array>} The encrypted PDF
+ */
+export async function encryptPDF(pdfDoc, options) {
+  const { PDFParser, PDFWriter, PDFHexString } = PDFLib;
+
+  if (!options.userPassword) {
+    throw new Error('A password is required to protect the PDF');
+  }
+
+  // Work on a parsed copy without object streams, whose contents could not
+  // be encrypted object by object
+  const bytes = await pdfDoc.save({ useObjectStreams: false });
+  const context = await PDFParser.forBytesWithOptions(bytes).parseDocument();
+
+  // The keys depend on the file ID, so make sure there is one
+  if (getFileId(context).length === 0) {
+    const id = PDFHexString.of(toHex(randomBytes(16)));
+    context.trailerInfo.ID = context.obj([id, id]);
+  }
+  const fileId = getFileId(context);
+
+  const ownerPassword = options.ownerPassword || toHex(randomBytes(16));
+  const permissions = computePermissions(options.permissions || {});
+
+  const { handler, entries } = options.method === ENCRYPTION_METHODS.AES_128
+    ? createAes128Encryption(fileId, options.userPassword, ownerPassword, permissions)
+    : await createAes256Encryption(options.userPassword, ownerPassword, permissions);
+
+  await encryptObjects(context, handler);
+
+  context.trailerInfo.Encrypt = context.register(context.obj(entries));
+
+  return await PDFWriter.forContext(context, 50).serializeToBuffer();
+}
+
+/**
+ * Compute the P entry from allowed actions
+ * @param {Object} allowed - Map of permission name to boolean
+ * @returns {number} Signed 32-bit permission flags
+ */
+function computePermissions(allowed) {
+  let flags = ~3; // Bits 1-2 must be 0
+  for (const [name, bits] of Object.entries(PERMISSION_BITS)) {
+    if (allowed[name] === false) {
+      bits.forEach(bit => { flags &= ~(1 << (bit - 1)); });
+    }
+  }
+  return flags | 0;
+}
+
+/**
+ * Build an AES-128 (V4, R4) encryption dictionary and handler
+ */
+function createAes128Encryption(fileId, userPassword, ownerPassword, permissions) {
+  const { PDFHexString } = PDFLib;
+  const params = {
+    revision: 4,
+    keyLength: 16,
+    encryptMetadata: true,
+    fileId,
+    permissions
+  };
+
+  const userBytes = encodeLegacyPassword(userPassword);
+  params.owner = computeRC4OwnerEntry(params, encodeLegacyPassword(ownerPassword), userBytes);
+  const fileKey = computeRC4FileKey(params, padPassword(userBytes));
+  const user = computeRC4UserEntry(params, fileKey);
+
+  return {
+    handler: { revision: 4, fileKey, stringMethod: 'AESV2', streamMethod: 'AESV2', encryptMetadata: true },
+    entries: {
+      Filter: 'Standard',
+      V: 4,
+      R: 4,
+      Length: 128,
+      CF: { StdCF: { AuthEvent: 'DocOpen', CFM: 'AESV2', Length: 16 } },
+      StmF: 'StdCF',
+      StrF: 'StdCF',
+      O: PDFHexString.of(toHex(params.owner)),
+      U: PDFHexString.of(toHex(user)),
+      P: permissions
+    }
+  };
+}
+
+/**
+ * Build an AES-256 (V5, R6) encryption dictionary and handler (Algorithms 8-10)
+ */
+async function createAes256Encryption(userPassword, ownerPassword, permissions) {
+  const { PDFHexString, PDFBool } = PDFLib;
+  const fileKey = randomBytes(32);
+  const iv = new Uint8Array(16);
+  const userBytes = encodeUnicodePassword(userPassword);
+  const ownerBytes = encodeUnicodePassword(ownerPassword);
+
+  const userSalts = randomBytes(16);
+  const user = concatBytes(
+    await computeAesHash(6, userBytes, userSalts.slice(0, 8), new Uint8Array(0)),
+    userSalts
+  );
+  const userKey = await aesCbcEncrypt(
+    await computeAesHash(6, userBytes, userSalts.slice(8), new Uint8Array(0)), iv, fileKey, { padding: false }
+  );
+
+  const ownerSalts = randomBytes(16);
+  const owner = concatBytes(await computeAesHash(6, ownerBytes, ownerSalts.slice(0, 8), user), ownerSalts);
+  const ownerKey = await aesCbcEncrypt(
+    await computeAesHash(6, ownerBytes, ownerSalts.slice(8), user), iv, fileKey, { padding: false }
+  );
+
+  // Perms: P, then 0xFFFFFFFF, "T" (metadata encrypted), "adb" and 4 random
+  // bytes, encrypted as a single block
+  const perms = new Uint8Array(16);
+  new DataView(perms.buffer).setInt32(0, permissions, true);
+  perms.set([0xff, 0xff, 0xff, 0xff, 0x54, 0x61, 0x64, 0x62], 4);
+  perms.set(randomBytes(4), 12);
+
+  return {
+    handler: { revision: 6, fileKey, stringMethod: 'AESV3', streamMethod: 'AESV3', encryptMetadata: true },
+    entries: {
+      Filter: 'Standard',
+      V: 5,
+      R: 6,
+      Length: 256,
+      CF: { StdCF: { AuthEvent: 'DocOpen', CFM: 'AESV3', Length: 32 } },
+      StmF: 'StdCF',
+      StrF: 'StdCF',
+      O: PDFHexString.of(toHex(owner)),
+      U: PDFHexString.of(toHex(user)),
+      OE: PDFHexString.of(toHex(ownerKey)),
+      UE: PDFHexString.of(toHex(userKey)),
+      P: permissions,
+      Perms: PDFHexString.of(toHex(await aesCbcEncrypt(fileKey, iv, perms, { padding: false }))),
+      EncryptMetadata: PDFBool.True
+    }
+  };
+}
+
+/**
+ * Read the encryption dictionary and derive the file key from a password
+ * @param {PDFDict} encrypt - The encryption dictionary
+ * @param {Uint8Array} fileId - First element of the trailer ID
+ * @param {string} password - User or owner password
+ * @returns {Promise<SecurityHandler>} The security handler
+ */
+async function createSecurityHandler(encrypt, fileId, password) {
+  const { PDFName, PDFNumber, PDFBool } = PDFLib;
+
+  const filter = encrypt.lookup(PDFName.of('Filter'));
+  if (filter !== PDFName.of('Standard')) {
+    const name = filter instanceof PDFName ? filter.decodeText() : 'unknown';
+    throw new Error(`This PDF uses the "${name}" security handler, which is not supported`);
+  }
+
+  const number = (key, fallback) => {
+    const value = encrypt.lookup(PDFName.of(key));
+    return value instanceof PDFNumber ? value.asNumber() : fallback;
+  };
+  const string = (key) => getStringBytes(encrypt.lookup(PDFName.of(key)));
+
+  const version = number('V', 0);
+  const revision = number('R', 2);
+  const encryptMetadata = encrypt.lookup(PDFName.of('EncryptMetadata')) !== PDFBool.False;
+
+  let keyLength = version === 1 ? 5 : number('Length', 40) / 8;
+  let stringMethod = 'RC4';
+  let streamMethod = 'RC4';
+
+  if (version >= 4) {
+    stringMethod = getCryptFilterMethod(encrypt, 'StrF');
+    streamMethod = getCryptFilterMethod(encrypt, 'StmF');
+    if (stringMethod === 'AESV2' || streamMethod === 'AESV2') keyLength = 16;
+  }
+  if (version === 5) keyLength = 32;
+
+  if (![1, 2, 4, 5].includes(version) || revision < 2 || revision > 6) {
+    throw new Error(`Unsupported encryption (V${version}, R${revision})`);
+  }
+
+  const params = {
+    revision,
+    keyLength,
+    encryptMetadata,
+    fileId,
+    owner: string('O'),
+    user: string('U'),
+    ownerKey: string('OE'),
+    userKey: string('UE'),
+    permissions: number('P', 0)
+  };
+
+  const fileKey = revision >= 5
+    ? await getAesFileKey(params, password)
+    : getRC4FileKey(params, password);
+
+  if (!fileKey) {
+    throw new Error('Incorrect password');
+  }
+
+  return { revision, fileKey, stringMethod, streamMethod, encryptMetadata };
+}
+
+/**
+ * Get the cipher a V4/V5 crypt filter uses
+ * @param {PDFDict} encrypt - The encryption dictionary
+ * @param {string} key - 'StrF' or 'StmF'
+ * @returns {string} 'RC4', 'AESV2', 'AESV3' or 'Identity'
+ */
+function getCryptFilterMethod(encrypt, key) {
+  const { PDFName, PDFDict } = PDFLib;
+  const name = encrypt.lookup(PDFName.of(key));
+  if (!(name instanceof PDFName) || name === PDFName.of('Identity')) return 'Identity';
+
+  const filters = encrypt.lookup(PDFName.of('CF'));
+  const filter = filters instanceof PDFDict ? filters.lookup(name) : null;
+  const method = filter instanceof PDFDict ? filter.lookup(PDFName.of('CFM')) : null;
+
+  if (method === PDFName.of('AESV2')) return 'AESV2';
+  if (method === PDFName.of('AESV3')) return 'AESV3';
+  if (method === PDFName.of('V2')) return 'RC4';
+  return 'Identity';
+}
+
+// ============ Revisions 2-4 (RC4 and AES-128) ============
+
+/**
+ * Pad or truncate a password to 32 bytes
+ * @param {Uint8Array} password - Password bytes
+ * @returns {Uint8Array} Padded password
+ */
+function padPassword(password) {
+  return concatBytes(password.slice(0, 32), PASSWORD_PADDING).slice(0, 32);
+}
+
+/**
+ * Encode a password for revisions 2-4, one byte per character
+ */
+function encodeLegacyPassword(password) {
+  return Uint8Array.from(password, char => char.charCodeAt(0) & 0xff);
+}
+
+/**
+ * Compute the file key from a padded user password (Algorithm 2)
+ * @param {Object} params - Encryption parameters
+ * @param {Uint8Array} paddedPassword - 32-byte padded user password
+ * @returns {Uint8Array} The file key
+ */
+function computeRC4FileKey(params, paddedPassword) {
+  const p = params.permissions;
+  const parts = [
+    paddedPassword,
+    params.owner.slice(0, 32),
+    Uint8Array.from([p & 0xff, (p >> 8) & 0xff, (p >> 16) & 0xff, (p >> 24) & 0xff]),
+    params.fileId
+  ];
+  if (params.revision >= 4 && !params.encryptMetadata) {
+    parts.push(Uint8Array.from([0xff, 0xff, 0xff, 0xff]));
+  }
+
+  let hash = md5(concatBytes(...parts));
+  if (params.revision >= 3) {
+    for (let i = 0; i < 50; i++) {
+      hash = md5(hash.slice(0, params.keyLength));
+    }
+  }
+  return hash.slice(0, params.keyLength);
+}
+
+/**
+ * Compute the U entry for a file key (Algorithms 4 and 5)
+ * @param {Object} params - Encryption parameters
+ * @param {Uint8Array} fileKey - The file key
+ * @returns {Uint8Array} 32-byte U value; only the first 16 bytes are
+ *   significant for revision 3 and later
+ */
+function computeRC4UserEntry(params, fileKey) {
+  if (params.revision === 2) {
+    return rc4(fileKey, PASSWORD_PADDING);
+  }
+
+  let value = md5(concatBytes(PASSWORD_PADDING, params.fileId));
+  for (let i = 0; i < 20; i++) {
+    value = rc4(fileKey.map(byte => byte ^ i), value);
+  }
+  return concatBytes(value, new Uint8Array(16));
+}
+
+/**
+ * Compute the RC4 key derived from an owner password (Algorithm 3, steps a-d)
+ */
+function computeOwnerKey(params, ownerPassword) {
+  let hash = md5(padPassword(ownerPassword));
+  if (params.revision >= 3) {
+    for (let i = 0; i < 50; i++) {
+      hash = md5(hash);
+    }
+  }
+  return hash.slice(0, params.revision === 2 ? 5 : params.keyLength);
+}
+
+/**
+ * Compute the O entry from the owner and user passwords (Algorithm 3)
+ * @param {Object} params - Encryption parameters
+ * @param {Uint8Array} ownerPassword - Owner password bytes
+ * @param {Uint8Array} userPassword - User password bytes
+ * @returns {Uint8Array} 32-byte O value
+ */
+function computeRC4OwnerEntry(params, ownerPassword, userPassword) {
+  const key = computeOwnerKey(params, ownerPassword);
+  let value = rc4(key, padPassword(userPassword));
+  if (params.revision >= 3) {
+    for (let i = 1; i <= 19; i++) {
+      value = rc4(key.map(byte => byte ^ i), value);
+    }
+  }
+  return value;
+}
+
+/**
+ * Authenticate a password and return the file key (Algorithms 6 and 7)
+ * @returns {Uint8Array|null} The file key, or null if the password is wrong
+ */
+function getRC4FileKey(params, password) {
+  const passwordBytes = encodeLegacyPassword(password);
+  const significant = params.revision === 2 ? 32 : 16;
+
+  const checkUserPassword = (paddedPassword) => {
+    const fileKey = computeRC4FileKey(params, paddedPassword);
+    const expected = computeRC4UserEntry(params, fileKey);
+    return bytesEqual(expected.slice(0, significant), params.user.slice(0, significant)) ? fileKey : null;
+  };
+
+  const userKey = checkUserPassword(padPassword(passwordBytes));
+  if (userKey) return userKey;
+
+  // Treat the password as the owner password and recover the user password
+  const key = computeOwnerKey(params, passwordBytes);
+  let userPassword = params.owner.slice(0, 32);
+  if (params.revision === 2) {
+    userPassword = rc4(key, userPassword);
+  } else {
+    for (let i = 19; i >= 0; i--) {
+      userPassword = rc4(key.map(byte => byte ^ i), userPassword);
+    }
+  }
+  return checkUserPassword(userPassword);
+}
+
+// ============ Revisions 5-6 (AES-256) ============
+
+/**
+ * Encode a password for revisions 5-6 as UTF-8, at most 127 bytes
+ */
+function encodeUnicodePassword(password) {
+  return new TextEncoder().encode(password.normalize('NFKC')).slice(0, 127);
+}
+
+/**
+ * Compute a revision 5 or 6 password hash (Algorithm 2.B for revision 6)
+ * @param {number} revision - 5 or 6
+ * @param {Uint8Array} password - UTF-8 password
+ * @param {Uint8Array} salt - 8-byte salt
+ * @param {Uint8Array} userData - The 48-byte U value when hashing an owner
+ *   password, otherwise empty
+ * @returns {Promise<Uint8Array>} 32-byte hash
+ */
+async function computeAesHash(revision, password, salt, userData) {
+  let hash = await sha('SHA-256', concatBytes(password, salt, userData));
+  if (revision === 5) return hash;
+
+  for (let round = 0; ; round++) {
+    const block = concatBytes(password, hash, userData);
+    const repeated = new Uint8Array(block.length * 64);
+    for (let i = 0; i < 64; i++) repeated.set(block, i * block.length);
+
+    const encrypted = await aesCbcEncrypt(hash.slice(0, 16), hash.slice(16, 32), repeated, { padding: false });
+
+    // The first 16 bytes as a big-endian number, mod 3, picks the next hash
+    const remainder = encrypted.slice(0, 16).reduce((sum, byte) => sum + byte, 0) % 3;
+    hash = await sha(['SHA-256', 'SHA-384', 'SHA-512'][remainder], encrypted);
+
+    if (round >= 63 && encrypted[encrypted.length - 1] <= round - 31) break;
+  }
+
+  return hash.slice(0, 32);
+}
+
+/**
+ * Authenticate a password and return the file key (Algorithm 2.A)
+ * @returns {Promise<Uint8Array|null>} The file key, or null if the password is wrong
+ */
+async function getAesFileKey(params, password) {
+  const { revision, owner, user } = params;
+  const passwordBytes = encodeUnicodePassword(password);
+  const iv = new Uint8Array(16);
+
+  const ownerHash = await computeAesHash(revision, passwordBytes, owner.slice(32, 40), user.slice(0, 48));
+  if (bytesEqual(ownerHash, owner.slice(0, 32))) {
+    const key = await computeAesHash(revision, passwordBytes, owner.slice(40, 48), user.slice(0, 48));
+    return await aesCbcDecrypt(key, iv, params.ownerKey, { padding: false });
+  }
+
+  const userHash = await computeAesHash(revision, passwordBytes, user.slice(32, 40), new Uint8Array(0));
+  if (bytesEqual(userHash, user.slice(0, 32))) {
+    const key = await computeAesHash(revision, passwordBytes, user.slice(40, 48), new Uint8Array(0));
+    return await aesCbcDecrypt(key, iv, params.userKey, { padding: false });
+  }
+
+  return null;
+}
+
+// ============ Object Encryption and Decryption ============
+
+/**
+ * Get the key for one object (Algorithm 1); AES-256 uses the file key as is
+ */
+function getObjectKey(handler, method, ref) {
+  if (method === 'AESV3') return handler.fileKey;
+
+  const { objectNumber: num, generationNumber: gen } = ref;
+  const parts = [
+    handler.fileKey,
+    Uint8Array.from([num & 0xff, (num >> 8) & 0xff, (num >> 16) & 0xff, gen & 0xff, (gen >> 8) & 0xff])
+  ];
+  if (method === 'AESV2') parts.push(AES_SALT);
+
+  return md5(concatBytes(...parts)).slice(0, Math.min(handler.fileKey.length + 5, 16));
+}
+
+/**
+ * Decrypt the bytes of one string or stream
+ * @param {SecurityHandler} handler - The security handler
+ * @param {string} method - Cipher to use
+ * @param {PDFRef} ref - The object the data belongs to
+ * @param {Uint8Array} data - Encrypted bytes
+ * @returns {Promise<Uint8Array>} Plain bytes
+ */
+async function decryptData(handler, method, ref, data) {
+  if (method === 'Identity') return data;
+
+  const key = getObjectKey(handler, method, ref);
+  if (method === 'RC4') return rc4(key, data);
+
+  // AES: a 16-byte IV followed by the padded cipher text
+  if (data.length < 32) return new Uint8Array(0);
+  const iv = data.slice(0, 16);
+  const cipherText = data.slice(16, 16 + Math.floor((data.length - 16) / 16) * 16);
+
+  try {
+    return await aesCbcDecrypt(key, iv, cipherText);
+  } catch (error) {
+    // Some writers get the padding wrong; keep the bytes rather than fail
+    return await aesCbcDecrypt(key, iv, cipherText, { padding: false });
+  }
+}
+
+/**
+ * Encrypt the bytes of one string or stream with AES
+ * @param {SecurityHandler} handler - The security handler
+ * @param {PDFRef} ref - The object the data belongs to
+ * @param {Uint8Array} data - Plain bytes
+ * @returns {Promise<Uint8Array>} A random IV followed by the cipher text
+ */
+async function encryptData(handler, ref, data) {
+  const key = getObjectKey(handler, handler.streamMethod, ref);
+  const iv = randomBytes(16);
+  return concatBytes(iv, await aesCbcEncrypt(key, iv, data));
+}
+
+/**
+ * Encrypt every string and stream in the document, in place
+ * @param {PDFContext} context - Parsed document without object streams
+ * @param {SecurityHandler} handler - The security handler
+ */
+async function encryptObjects(context, handler) {
+  const { PDFRawStream } = PDFLib;
+
+  for (const [ref, object] of context.enumerateIndirectObjects()) {
+    const encryptString = bytes => encryptData(handler, ref, bytes);
+
+    if (object instanceof PDFRawStream) {
+      await transformStrings(object.dict, encryptString);
+      context.assign(ref, PDFRawStream.of(object.dict, await encryptData(handler, ref, object.contents)));
+    } else {
+      const encrypted = await transformStrings(object, encryptString);
+      if (encrypted !== object) context.assign(ref, encrypted);
+    }
+  }
+}
+
+/**
+ * Decrypt every string and stream in the document, in place
+ * @param {PDFContext} context - Parsed document
+ * @param {SecurityHandler} handler - The security handler
+ * @param {PDFRef|PDFDict} encryptRef - The encryption dictionary, left untouched
+ */
+async function decryptObjects(context, handler, encryptRef) {
+  const { PDFName, PDFArray, PDFRawStream, PDFInvalidObject, PDFObjectParser } = PDFLib;
+  const objectStreams = [];
+
+  for (const [ref, object] of context.enumerateIndirectObjects()) {
+    if (ref === encryptRef) continue;
+
+    let stream = object;
+
+    // PDF-lib cannot unpack an encrypted object stream and keeps it as an
+    // invalid object; parse it again here so it can be decrypted
+    if (object instanceof PDFInvalidObject) {
+      try {
+        stream = PDFObjectParser.forBytes(object.data, context).parseObject();
+      } catch (error) {
+        continue;
+      }
+      if (!(stream instanceof PDFRawStream)) continue;
+    }
+
+    const decryptString = bytes => decryptData(handler, handler.stringMethod, ref, bytes);
+
+    if (!(stream instanceof PDFRawStream)) {
+      const decrypted = await transformStrings(object, decryptString);
+      if (decrypted !== object) context.assign(ref, decrypted);
+      continue;
+    }
+
+    await transformStrings(stream.dict, decryptString);
+
+    const type = stream.dict.lookup(PDFName.of('Type'));
+    if (type === PDFName.of('XRef')) continue;
+
+    let method = handler.streamMethod;
+    if (type === PDFName.of('Metadata') && !handler.encryptMetadata) {
+      method = 'Identity';
+    }
+
+    // A Crypt filter on the stream itself overrides the default (only
+    // Identity is supported); it has no meaning once decrypted, so drop it
+    const filters = stream.dict.lookup(PDFName.of('Filter'));
+    if (filters instanceof PDFArray && filters.asArray().includes(PDFName.of('Crypt'))) {
+      method = 'Identity';
+      const index = filters.asArray().indexOf(PDFName.of('Crypt'));
+      filters.remove(index);
+      const parms = stream.dict.lookup(PDFName.of('DecodeParms'));
+      if (parms instanceof PDFArray) parms.remove(index);
+    }
+
+    const decrypted = PDFRawStream.of(stream.dict, await decryptData(handler, method, ref, stream.contents));
+
+    if (type === PDFName.of('ObjStm')) {
+      objectStreams.push({ ref, stream: decrypted });
+      context.delete(ref);
+    } else {
+      context.assign(ref, decrypted);
+    }
+  }
+
+  // Newer object streams usually have higher numbers; objects defined
+  // directly in the file, or in a newer stream, win
+  objectStreams.sort((a, b) => b.ref.objectNumber - a.ref.objectNumber);
+  for (const { stream } of objectStreams) {
+    unpackObjectStream(context, stream);
+  }
+}
+
+/**
+ * Encrypt or decrypt a string, or the strings inside a dictionary or array
+ * in place
+ * @param {PDFObject} value - String, dictionary, array or other value
+ * @param {Function} transform - Async (bytes) => bytes
+ * @returns {Promise<PDFObject>} A new string for strings, otherwise the value
+ */
+async function transformStrings(value, transform) {
+  const { PDFName, PDFDict, PDFArray, PDFString, PDFHexString } = PDFLib;
+
+  if (value instanceof PDFString || value instanceof PDFHexString) {
+    return PDFHexString.of(toHex(await transform(value.asBytes())));
+  }
+
+  if (value instanceof PDFDict) {
+    // Signature values are never encrypted
+    const isSignature = value.get(PDFName.of('Type')) === PDFName.of('Sig') || value.has(PDFName.of('ByteRange'));
+
+    for (const [key, item] of value.entries()) {
+      if (isSignature && key === PDFName.of('Contents')) continue;
+      const result = await transformStrings(item, transform);
+      if (result !== item) value.set(key, result);
+    }
+  } else if (value instanceof PDFArray) {
+    for (let i = 0; i < value.size(); i++) {
+      const item = value.get(i);
+      const result = await transformStrings(item, transform);
+      if (result !== item) value.set(i, result);
+    }
+  }
+
+  return value;
+}
+
+/**
+ * Add the objects of a decrypted object stream to the document, unless an
+ * object with the same number is already there
+ * @param {PDFContext} context - Parsed document
+ * @param {PDFRawStream} stream - Decrypted object stream
+ */
+function unpackObjectStream(context, stream) {
+  const { PDFName, PDFNumber, PDFRef, PDFObjectParser, decodePDFRawStream } = PDFLib;
+
+  const decoded = decodePDFRawStream(stream).decode();
+  const count = stream.dict.lookup(PDFName.of('N'), PDFNumber).asNumber();
+  const first = stream.dict.lookup(PDFName.of('First'), PDFNumber).asNumber();
+
+  const header = String.fromCharCode(...decoded.subarray(0, first)).trim().split(/\s+/).map(Number);
+
+  for (let i = 0; i < count; i++) {
+    const ref = PDFRef.of(header[i * 2], 0);
+    if (context.lookup(ref) !== undefined) continue;
+
+    const offset = first + header[i * 2 + 1];
+    const object = PDFObjectParser.forBytes(decoded.subarray(offset), context).parseObject();
+    context.assign(ref, object);
+  }
+}
+
+/**
+ * Get the first element of the trailer ID, which the keys depend on
+ */
+function getFileId(context) {
+  const { PDFArray } = PDFLib;
+  const id = context.trailerInfo.ID;
+  const array = id instanceof PDFArray ? id : context.lookup(id);
+  return array instanceof PDFArray ? getStringBytes(array.get(0)) : new Uint8Array(0);
+}
+
+/**
+ * Get the raw bytes of a string object
+ */
+function getStringBytes(value) {
+  const { PDFString, PDFHexString } = PDFLib;
+  return value instanceof PDFString || value instanceof PDFHexString ? value.asBytes() : new Uint8Array(0);
+}
+
+/**
+ * Encode bytes as a hex string
+ */
+function toHex(bytes) {
+  return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
@@ -0,0 +1,517 @@
+/**
+ * PDF Signer Module
+ * Digitally signs PDFs with a digital ID. A signature field is appended in
+ * an incremental update, leaving the original bytes untouched, with a
+ * placeholder for the signature; the detached CMS (CAdES) signature over
+ * every byte outside the placeholder is then written into it.
+ */
+
+import {
+  OIDS,
+  TAGS,
+  encodeDER,
+  derSequence,
+  derSet,
+  derContext,
+  derInteger,
+  derOID,
+  derOctetString,
+  derNull,
+  derAlgorithm
+} from './asn1.js';
+import { concatBytes, sha } from './crypto-utils.js';
+import { bytesToLatin1, latin1ToBytes } from './content-stream.js';
+import { dataURLToBytes } from './file-handler.js';
+import { getVectorOperators, addAnnotationToPage } from './pdf-operations.js';
+import { getPageGeometry, placementToPdf } from './page-transform.js';
+
+const DIGEST_OIDS = {
+  'SHA-256': OIDS.sha256,
+  'SHA-384': OIDS.sha384,
+  'SHA-512': OIDS.sha512
+};
+
+const ECDSA_OIDS = {
+  'SHA-256': OIDS.ecdsaWithSHA256,
+  'SHA-384': OIDS.ecdsaWithSHA384,
+  'SHA-512': OIDS.ecdsaWithSHA512
+};
+
+// Space reserved for the CMS structure and signature value, on top of the
+// embedded certificates
+const SIGNATURE_OVERHEAD = 4096;
+
+// Wide enough for any offset below 10GB; overwritten once offsets are known
+const BYTE_RANGE_PLACEHOLDER = '/ByteRange [0 0000000000 0000000000 0000000000]';
+
+// Annotation flags: Print (4) and Locked (128)
+const WIDGET_FLAGS = 132;
+
+// AcroForm SigFlags: SignaturesExist (1) and AppendOnly (2)
+const SIG_FLAGS = 3;
+
+/**
+ * @typedef {Object} SignatureAppearance
+ * @property {number} pageIndex - Page to show the signature on
+ * @property {Signature} signature - Saved signature to draw
+ * @property {Object} position - Position and size in points, as for
+ *   insertSignatureIntoPDF
+ */
+
+/**
+ * @typedef {Object} SignOptions
+ * @property {UnlockedDigitalID} digitalId - Key and certificates to sign with
+ * @property {string} [reason] - Reason for signing
+ * @property {string} [location] - Where the document was signed
+ * @property {SignatureAppearance} [appearance] - Visible signature; the
+ *   signature is invisible if left out
+ * @property {Date} [date=new Date()] - Signing time
+ */
+
+/**
+ * Digitally sign a PDF
+ * @param {Uint8Array} pdfBytes - The document to sign; its bytes are kept as
+ *   they are, so signatures already in it stay valid
+ * @param {SignOptions} options - Signing options
+ * @returns {Promise<Uint8Array>} The signed document
+ */
+export async function signPDF(pdfBytes, options) {
+  const pdfDoc = await PDFLib.PDFDocument.load(pdfBytes, { updateMetadata: false });
+  const { context } = pdfDoc;
+  const { PDFString } = PDFLib;
+  const previousXref = findLastXrefOffset(pdfBytes);
+  const unchanged = snapshotObjects(context);
+
+  // PDF-lib drops object and cross-reference streams when loading, so new
+  // objects must be numbered past everything the file already uses
+  context.largestObjectNumber = Math.max(context.largestObjectNumber, readTrailerSize(pdfBytes, previousXref) - 1);
+  const date = options.date || new Date();
+
+  // Widget and field in one dictionary, pointing at the signature value
+  const page = pdfDoc.getPage(options.appearance ? options.appearance.pageIndex : 0);
+  const signatureRef = context.nextRef();
+  const widget = {
+    Type: 'Annot',
+    Subtype: 'Widget',
+    FT: 'Sig',
+    T: PDFString.of(getUniqueFieldName(pdfDoc)),
+    V: signatureRef,
+    F: WIDGET_FLAGS,
+    P: page.ref,
+    Rect: [0, 0, 0, 0]
+  };
+
+  if (options.appearance) {
+    const { rect, appearanceRef } = await createAppearanceStream(pdfDoc, options.appearance);
+    widget.Rect = rect;
+    widget.AP = { N: appearanceRef };
+  }
+
+  const widgetRef = context.register(context.obj(widget));
+  addAnnotationToPage(page, widgetRef);
+  addSignatureField(pdfDoc, widgetRef);
+
+  const { digitalId } = options;
+  const certificates = [digitalId.certificate, ...digitalId.chain];
+  const contentsLength = certificates.reduce((total, cert) => total + cert.der.length, 0) + SIGNATURE_OVERHEAD;
+  const signatureDict = buildSignatureDictionary(options, date, contentsLength);
+
+  const { bytes, signatureOffset } = writeIncrementalUpdate(
+    pdfBytes,
+    previousXref,
+    context,
+    getChangedObjects(context, unchanged),
+    signatureRef,
+    signatureDict
+  );
+
+  // The signature covers everything except the /Contents hex string
+  const contentsStart = signatureOffset + signatureDict.indexOf('/Contents <') + '/Contents '.length;
+  const contentsEnd = contentsStart + contentsLength * 2 + 2;
+  const byteRange = `/ByteRange [0 ${contentsStart} ${contentsEnd} ${bytes.length - contentsEnd}]`;
+  bytes.set(latin1ToBytes(byteRange.padEnd(BYTE_RANGE_PLACEHOLDER.length, ' ')), signatureOffset + signatureDict.indexOf(BYTE_RANGE_PLACEHOLDER));
+
+  const digest = await sha(digitalId.hash, concatBytes(bytes.subarray(0, contentsStart), bytes.subarray(contentsEnd)));
+  const cms = await createSignedData(digest, digitalId);
+  if (cms.length > contentsLength) {
+    throw new Error('The signature is larger than the space reserved for it');
+  }
+
+  const hex = Array.from(cms, byte => byte.toString(16).padStart(2, '0')).join('');
+  bytes.set(latin1ToBytes(hex), contentsStart + 1);
+
+  return bytes;
+}
+
+/**
+ * Build the signature dictionary with placeholders for the byte range and
+ * the signature
+ * @returns {string} The dictionary source
+ */
+function buildSignatureDictionary(options, date, contentsLength) {
+  const { PDFString, PDFHexString } = PDFLib;
+  const lines = [
+    '/Type /Sig',
+    '/Filter /Adobe.PPKLite',
+    '/SubFilter /ETSI.CAdES.detached',
+    BYTE_RANGE_PLACEHOLDER,
+    `/Contents <${'0'.repeat(contentsLength * 2)}>`,
+    `/M ${PDFString.fromDate(date).toString()}`,
+    `/Name ${PDFHexString.fromText(options.digitalId.certificate.subject.displayName).toString()}`
+  ];
+
+  if (options.reason) {
+    lines.push(`/Reason ${PDFHexString.fromText(options.reason).toString()}`);
+  }
+  if (options.location) {
+    lines.push(`/Location ${PDFHexString.fromText(options.location).toString()}`);
+  }
+
+  return `<<\n${lines.join('\n')}\n>>`;
+}
+
+/**
+ * Create the appearance of a visible signature. The bounding box is given
+ * in page space, so the stream can draw at the same coordinates as
+ * insertSignatureIntoPDF.
+ * @param {PDFDocument} pdfDoc - The document
+ * @param {SignatureAppearance} appearance - What to draw and where
+ * @returns {Promise<{rect: number[], appearanceRef: PDFRef}>} Widget
+ *   rectangle and appearance stream
+ */
+async function createAppearanceStream(pdfDoc, appearance) {
+  const { signature } = appearance;
+  const position = placementToPdf(getPageGeometry(pdfDoc.getPage(appearance.pageIndex)), appearance.position);
+  const { pushGraphicsState, popGraphicsState, translate, rotateDegrees, scale, drawObject } = PDFLib;
+
+  // Bounding box of the rotated signature; rotation is about the
+  // lower-left corner
+  const angle = ((position.rotation || 0) * Math.PI) / 180;
+  const corners = [[0, 0], [position.width, 0], [0, position.height], [position.width, position.height]]
+    .map(([x, y]) => [
+      position.x + x * Math.cos(angle) - y * Math.sin(angle),
+      position.y + x * Math.sin(angle) + y * Math.cos(angle)
+    ]);
+  const xs = corners.map(corner => corner[0]);
+  const ys = corners.map(corner => corner[1]);
+  const rect = [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)];
+
+  let operators;
+  const resources = {};
+
+  if (signature.vector) {
+    operators = getVectorOperators(signature.vector, position);
+  } else {
+    const imageBytes = dataURLToBytes(signature.imageData);
+    const image = signature.imageData.includes('image/png')
+      ? await pdfDoc.embedPng(imageBytes)
+      : await pdfDoc.embedJpg(imageBytes);
+    // Embedding normally happens on save, which an incremental update skips
+    await image.embed();
+
+    resources.XObject = { Image: image.ref };
+    operators = [
+      pushGraphicsState(),
+      translate(position.x, position.y),
+      rotateDegrees(position.rotation || 0),
+      scale(position.width, position.height),
+      drawObject('Image'),
+      popGraphicsState()
+    ];
+  }
+
+  const stream = pdfDoc.context.formXObject(operators, { BBox: rect, Resources: resources });
+  return { rect, appearanceRef: pdfDoc.context.register(stream) };
+}
+
+/**
+ * Pick a field name not used by any top-level field
+ * @returns {string} e.g. "Signature1"
+ */
+function getUniqueFieldName(pdfDoc) {
+  const { PDFName, PDFDict, PDFArray, PDFString, PDFHexString } = PDFLib;
+  const names = new Set();
+
+  const acroForm = pdfDoc.catalog.lookupMaybe(PDFName.of('AcroForm'), PDFDict);
+  const fields = acroForm && acroForm.lookupMaybe(PDFName.of('Fields'), PDFArray);
+  if (fields) {
+    for (let i = 0; i < fields.size(); i++) {
+      const field = fields.lookup(i);
+      const name = field instanceof PDFDict && field.lookupMaybe(PDFName.of('T'), PDFString, PDFHexString);
+      if (name) names.add(name.decodeText());
+    }
+  }
+
+  let index = 1;
+  while (names.has(`Signature${index}`)) index++;
+  return `Signature${index}`;
+}
+
+/**
+ * Add a signature field to the form, creating the form if needed
+ */
+function addSignatureField(pdfDoc, fieldRef) {
+  const { PDFName, PDFDict, PDFArray, PDFNumber } = PDFLib;
+  const { context, catalog } = pdfDoc;
+
+  let acroForm = catalog.lookupMaybe(PDFName.of('AcroForm'), PDFDict);
+  if (!acroForm) {
+    acroForm = context.obj({});
+    catalog.set(PDFName.of('AcroForm'), context.register(acroForm));
+  }
+
+  let fields = acroForm.lookupMaybe(PDFName.of('Fields'), PDFArray);
+  if (!fields) {
+    fields = context.obj([]);
+    acroForm.set(PDFName.of('Fields'), fields);
+  }
+
+  fields.push(fieldRef);
+  acroForm.set(PDFName.of('SigFlags'), PDFNumber.of(SIG_FLAGS));
+}
+
+/**
+ * Record the serialized form of every non-stream object
+ * @returns {Map<string, string|null>} Reference to source; null for streams,
+ *   which signing never changes
+ */
+function snapshotObjects(context) {
+  const snapshot = new Map();
+  for (const [ref, object] of context.enumerateIndirectObjects()) {
+    snapshot.set(ref.toString(), object instanceof PDFLib.PDFStream ? null : object.toString());
+  }
+  return snapshot;
+}
+
+/**
+ * List the objects that are new or differ from a snapshot
+ * @returns {Array<[PDFRef, PDFObject]>} Changed objects
+ */
+function getChangedObjects(context, snapshot) {
+  return context.enumerateIndirectObjects().filter(([ref, object]) => {
+    const key = ref.toString();
+    if (!snapshot.has(key)) return true;
+    const before = snapshot.get(key);
+    return before !== null && object.toString() !== before;
+  });
+}
+
+/**
+ * Append objects to a PDF as an incremental update, with a cross-reference
+ * section in the same form as the document's last one
+ * @param {Uint8Array} pdfBytes - The original document
+ * @param {number} previousXref - Offset of its last cross-reference section
+ * @param {PDFContext} context - Context the objects belong to
+ * @param {Array<[PDFRef, PDFObject]>} objects - Objects to write
+ * @param {PDFRef} signatureRef - Reference of the signature dictionary
+ * @param {string} signatureDict - Source of the signature dictionary
+ * @returns {{bytes: Uint8Array, signatureOffset: number}} The updated
+ *   document and where the signature dictionary starts in it
+ */
+function writeIncrementalUpdate(pdfBytes, previousXref, context, objects, signatureRef, signatureDict) {
+  const { PDFName } = PDFLib;
+  const useXrefStream = !startsWith(pdfBytes, previousXref, 'xref');
+
+  const chunks = [];
+  const entries = [];
+  let offset = pdfBytes.length;
+  const write = bytes => {
+    chunks.push(bytes);
+    offset += bytes.length;
+  };
+  const writeObject = (ref, body) => {
+    entries.push({ ref, offset });
+    write(latin1ToBytes(`${ref.objectNumber} ${ref.generationNumber} obj\n`));
+    write(body);
+    write(latin1ToBytes('\nendobj\n'));
+  };
+
+  const last = pdfBytes[pdfBytes.length - 1];
+  if (last !== 0x0a && last !== 0x0d) {
+    write(latin1ToBytes('\n'));
+  }
+
+  for (const [ref, object] of objects) {
+    writeObject(ref, serializeObject(object));
+  }
+
+  const signatureOffset = offset + `${signatureRef.objectNumber} ${signatureRef.generationNumber} obj\n`.length;
+  writeObject(signatureRef, latin1ToBytes(signatureDict));
+
+  const { Root, Info, ID } = context.trailerInfo;
+  const xrefOffset = offset;
+
+  if (useXrefStream) {
+    // The stream lists itself too
+    const xrefRef = context.nextRef();
+    entries.push({ ref: xrefRef, offset: xrefOffset });
+    entries.sort((a, b) => a.ref.objectNumber - b.ref.objectNumber);
+
+    // Each entry: type 1, 4-byte offset, 2-byte generation
+    const data = new Uint8Array(entries.length * 7);
+    entries.forEach((entry, i) => {
+      const view = new DataView(data.buffer, i * 7, 7);
+      view.setUint8(0, 1);
+      view.setUint32(1, entry.offset);
+      view.setUint16(5, entry.ref.generationNumber);
+    });
+
+    const dict = context.obj({
+      Type: 'XRef',
+      Size: context.largestObjectNumber + 1,
+      Index: getSubsections(entries).flatMap(section => [section.start, section.entries.length]),
+      W: [1, 4, 2],
+      Prev: previousXref
+    });
+    if (Root) dict.set(PDFName.of('Root'), Root);
+    if (Info) dict.set(PDFName.of('Info'), Info);
+    if (ID) dict.set(PDFName.of('ID'), ID);
+
+    writeObject(xrefRef, serializeObject(context.stream(data, dict)));
+  } else {
+    entries.sort((a, b) => a.ref.objectNumber - b.ref.objectNumber);
+
+    let table = 'xref\n';
+    for (const section of getSubsections(entries)) {
+      table += `${section.start} ${section.entries.length}\n`;
+      for (const entry of section.entries) {
+        table += `${String(entry.offset).padStart(10, '0')} ${String(entry.ref.generationNumber).padStart(5, '0')} n\r\n`;
+      }
+    }
+
+    const trailer = context.obj({ Size: context.largestObjectNumber + 1, Prev: previousXref });
+    if (Root) trailer.set(PDFName.of('Root'), Root);
+    if (Info) trailer.set(PDFName.of('Info'), Info);
+    if (ID) trailer.set(PDFName.of('ID'), ID);
+
+    write(latin1ToBytes(`${table}trailer\n${trailer.toString()}\n`));
+  }
+
+  write(latin1ToBytes(`startxref\n${xrefOffset}\n%%EOF\n`));
+
+  return { bytes: concatBytes(pdfBytes, ...chunks), signatureOffset };
+}
+
+/**
+ * Group sorted cross-reference entries into runs of consecutive numbers
+ */
+function getSubsections(entries) {
+  const sections = [];
+  for (const entry of entries) {
+    const current = sections[sections.length - 1];
+    if (current && entry.ref.objectNumber === current.start + current.entries.length) {
+      current.entries.push(entry);
+    } else {
+      sections.push({ start: entry.ref.objectNumber, entries: [entry] });
+    }
+  }
+  return sections;
+}
+
+/**
+ * Find the offset of the last cross-reference section from the startxref
+ * at the end of the file
+ */
+function findLastXrefOffset(pdfBytes) {
+  const tail = String.fromCharCode(...pdfBytes.subarray(Math.max(0, pdfBytes.length - 1024)));
+  const matches = [...tail.matchAll(/startxref\s+(\d+)/g)];
+  if (matches.length === 0) {
+    throw new Error('The PDF has no cross-reference table and cannot be signed');
+  }
+  return Number(matches[matches.length - 1][1]);
+}
+
+/**
+ * Read the /Size of the last cross-reference section, one more than the
+ * highest object number in the file
+ */
+function readTrailerSize(pdfBytes, xrefOffset) {
+  // The last section runs to the end of the file
+  const match = bytesToLatin1(pdfBytes.subarray(xrefOffset)).match(/\/Size\s+(\d+)/);
+  return match ? Number(match[1]) : 0;
+}
+
+/**
+ * Check whether the bytes at an offset start with a keyword
+ */
+function startsWith(bytes, offset, keyword) {
+  for (let i = 0; i < keyword.length; i++) {
+    if (bytes[offset + i] !== keyword.charCodeAt(i)) return false;
+  }
+  return true;
+}
+
+/**
+ * Serialize a PDF-lib object
+ */
+function serializeObject(object) {
+  const bytes = new Uint8Array(object.sizeInBytes());
+  object.copyBytesInto(bytes, 0);
+  return bytes;
+}
+
+/**
+ * Create a detached CMS SignedData over a document digest, with the
+ * attributes CAdES requires
+ * @param {Uint8Array} digest - Digest of the signed byte ranges
+ * @param {UnlockedDigitalID} digitalId - Key and certificates
+ * @returns {Promise<Uint8Array>} The encoded ContentInfo
+ */
+async function createSignedData(digest, digitalId) {
+  const { certificate, chain, hash, signingKey, keyAlgorithm } = digitalId;
+  const digestAlgorithm = derAlgorithm(DIGEST_OIDS[hash], derNull());
+  const issuerAndSerial = derSequence(certificate.issuer.der, encodeDER(TAGS.INTEGER, certificate.serialNumber));
+
+  // ESS signing-certificate-v2 binds the signature to the certificate
+  const essCertId = derSequence(
+    derOctetString(await sha('SHA-256', certificate.der)),
+    derSequence(derSequence(derContext(4, certificate.issuer.der)), encodeDER(TAGS.INTEGER, certificate.serialNumber))
+  );
+
+  const signedAttributes = derSet(
+    attribute(OIDS.contentType, derOID(OIDS.data)),
+    attribute(OIDS.messageDigest, derOctetString(digest)),
+    attribute(OIDS.signingCertificateV2, derSequence(derSequence(essCertId)))
+  );
+
+  // The signature is over the attributes as a SET; in the SignerInfo they
+  // are tagged [0] instead
+  let signature;
+  let signatureAlgorithm;
+  if (keyAlgorithm === OIDS.rsaEncryption) {
+    signature = new Uint8Array(await crypto.subtle.sign('RSASSA-PKCS1-v1_5', signingKey, signedAttributes));
+    signatureAlgorithm = derAlgorithm(OIDS.rsaEncryption, derNull());
+  } else {
+    // Web Crypto returns r and s side by side; CMS wants them DER encoded
+    const raw = new Uint8Array(await crypto.subtle.sign({ name: 'ECDSA', hash }, signingKey, signedAttributes));
+    const half = raw.length / 2;
+    signature = derSequence(derInteger(raw.subarray(0, half)), derInteger(raw.subarray(half)));
+    signatureAlgorithm = derAlgorithm(ECDSA_OIDS[hash]);
+  }
+
+  const signerInfo = derSequence(
+    derInteger(1),
+    issuerAndSerial,
+    digestAlgorithm,
+    concatBytes(Uint8Array.of(0xa0), signedAttributes.subarray(1)),
+    signatureAlgorithm,
+    derOctetString(signature)
+  );
+
+  const signedData = derSequence(
+    derInteger(1),
+    derSet(digestAlgorithm),
+    derSequence(derOID(OIDS.data)),
+    derContext(0, concatBytes(...[certificate, ...chain].map(cert => cert.der))),
+    derSet(signerInfo)
+  );
+
+  return derSequence(derOID(OIDS.signedData), derContext(0, signedData));
+}
+
+/**
+ * Encode a CMS attribute with a single value
+ */
+function attribute(oid, value) {
+  return derSequence(derOID(oid), derSet(value));
+}
@@ -0,0 +1,159 @@
+/**
+ * PII Detectors Module
+ * Preset patterns for finding personal data to redact
+ */
+
+import { getPageText, findMatchesInPageText } from './text-search.js';
+
+/**
+ * @typedef {Object} PIIDetector
+ * @property {string} id - Unique identifier
+ * @property {string} label - Display name
+ * @property {RegExp} pattern - Global pattern run against page text
+ * @property {number} [group] - Capture group holding the sensitive part
+ * @property {Function} [validate] - Extra check on the matched text
+ */
+
+/**
+ * @typedef {Object} PIICandidate
+ * @property {string} id - Unique identifier
+ * @property {string} detectorId - ID of the detector that found it
+ * @property {string} label - Detector display name
+ * @property {number} pageIndex - Zero-based page index
+ * @property {string} text - The matched text
+ * @property {RedactionBox[]} boxes - Boxes in unscaled viewport units
+ * @property {boolean} accepted - Whether the hit should be redacted
+ */
+
+const DATE_PATTERN = String.raw`\d{1,2}[./-]\d{1,2}[./-]\d{2,4}|\d{4}-\d{2}-\d{2}|\d{1,2}\s+[a-z]{3,9}\.?\s+\d{4}|[a-z]{3,9}\.?\s+\d{1,2},?\s+\d{4}`;
+
+/** @type {PIIDetector[]} */
+export const PII_DETECTORS = [
+  {
+    id: 'credit-card',
+    label: 'Credit card number',
+    pattern: /(?<![\d-])\d(?:[ -]?\d){12,18}(?![\d-])/g,
+    validate: isValidCardNumber
+  },
+  {
+    id: 'iban',
+    label: 'IBAN',
+    pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]){11,30}\b/g,
+    validate: isValidIBAN
+  },
+  {
+    id: 'ssn',
+    label: 'US Social Security number',
+    pattern: /(?<![\d-])(?!000|666|9\d\d)\d{3}([- ])(?!00)\d{2}\1(?!0000)\d{4}(?![\d-])/g
+  },
+  {
+    id: 'phone',
+    label: 'Phone number',
+    pattern: /(?<![\w+]|\d[ .-])(?:\+\d{1,3}[ .-]?)?(?:\(\d{2,4}\)[ .-]?|\d{2,4}[ .-])\d{3,4}[ .-]\d{3,4}(?![ .-]?\d|\w)/g
+  },
+  {
+    id: 'email',
+    label: 'Email address',
+    pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}/g
+  },
+  {
+    id: 'date-of-birth',
+    label: 'Date of birth',
+    pattern: new RegExp(String.raw`\b(?:DOB|D\.O\.B\.?|Date of birth|Birth ?date|Born(?: on)?)\s*[:.-]?\s*(${DATE_PATTERN})`, 'gid'),
+    group: 1
+  }
+];
+
+/**
+ * Check a number with the Luhn checksum
+ * @param {string} digits - Digits only
+ * @returns {boolean} True if the checksum is valid
+ */
+export function passesLuhn(digits) {
+  let sum = 0;
+  let double = false;
+
+  for (let i = digits.length - 1; i >= 0; i--) {
+    let digit = digits.charCodeAt(i) - 48;
+    if (double) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+    double = !double;
+  }
+
+  return sum % 10 === 0;
+}
+
+/**
+ * Validate a credit card number candidate
+ * @param {string} text - Matched text, may contain spaces or dashes
+ * @returns {boolean} True if it looks like a real card number
+ */
+export function isValidCardNumber(text) {
+  const digits = text.replace(/[ -]/g, '');
+  return digits.length >= 13 && digits.length <= 19 && passesLuhn(digits);
+}
+
+/**
+ * Validate an IBAN with its ISO 7064 mod-97 check digits
+ * @param {string} text - Matched text, may contain spaces
+ * @returns {boolean} True if the check digits are valid
+ */
+export function isValidIBAN(text) {
+  const iban = text.replace(/ /g, '').toUpperCase();
+  if (iban.length < 15 || iban.length > 34) return false;
+
+  // Move the country code and check digits to the end, letters become 10..35
+  const rearranged = iban.slice(4) + iban.slice(0, 4);
+  let remainder = 0;
+  for (const char of rearranged) {
+    const value = parseInt(char, 36);
+    remainder = (value > 9 ? remainder * 100 : remainder * 10) + value;
+    remainder %= 97;
+  }
+
+  return remainder === 1;
+}
+
+/**
+ * Scan a document for personal data
+ * @param {Object} pdfJsDoc - PDF.js document
+ * @param {string[]} detectorIds - IDs of detectors to run
+ * @param {Function} [onProgress] - Progress callback (pageNumber, totalPages)
+ * @returns {Promise<PIICandidate[]>} Candidates in page order, all accepted
+ */
+export async function detectPII(pdfJsDoc, detectorIds, onProgress) {
+  const detectors = PII_DETECTORS.filter(detector => detectorIds.includes(detector.id));
+  const candidates = [];
+
+  for (let pageNum = 1; pageNum <= pdfJsDoc.numPages; pageNum++) {
+    const page = await pdfJsDoc.getPage(pageNum);
+    const pageText = await getPageText(page);
+
+    for (const detector of detectors) {
+      const matches = findMatchesInPageText(pageText, detector.pattern, { group: detector.group });
+
+      for (const match of matches) {
+        if (detector.validate && !detector.validate(match.text)) continue;
+
+        candidates.push({
+          id: `${detector.id}_${match.pageIndex}_${match.index}`,
+          detectorId: detector.id,
+          label: detector.label,
+          pageIndex: match.pageIndex,
+          text: match.text,
+          boxes: match.boxes,
+          accepted: true
+        });
+      }
+    }
+
+    if (onProgress) {
+      onProgress(pageNum, pdfJsDoc.numPages);
+    }
+  }
+
+  return candidates;
+}
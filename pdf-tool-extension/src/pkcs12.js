@@ -0,0 +1,315 @@
+/**
+ * PKCS#12 Module
+ * Opens .p12/.pfx digital ID files: checks the password against the file's
+ * MAC, decrypts the key and certificate bags, and picks out the signing key
+ * with its certificate chain
+ */
+
+import { OIDS, parseDER, getOctets, readOID, readInteger } from './asn1.js';
+import { parseCertificate } from './certificate.js';
+import {
+  concatBytes,
+  bytesEqual,
+  sha,
+  hmac,
+  pbkdf2,
+  aesCbcDecrypt,
+  tripleDesCbcDecrypt,
+  rc2CbcDecrypt
+} from './crypto-utils.js';
+
+// Digest names for the hash OIDs a MAC or PBKDF2 may use
+const HASHES = {
+  [OIDS.sha1]: 'SHA-1',
+  [OIDS.sha256]: 'SHA-256',
+  [OIDS.sha384]: 'SHA-384',
+  [OIDS.sha512]: 'SHA-512',
+  [OIDS.hmacWithSHA1]: 'SHA-1',
+  [OIDS.hmacWithSHA256]: 'SHA-256',
+  [OIDS.hmacWithSHA384]: 'SHA-384',
+  [OIDS.hmacWithSHA512]: 'SHA-512'
+};
+
+const HASH_LENGTHS = { 'SHA-1': 20, 'SHA-256': 32, 'SHA-384': 48, 'SHA-512': 64 };
+
+// Legacy PKCS#12 password-based ciphers, all keyed through SHA-1
+const PKCS12_CIPHERS = {
+  [OIDS.pbeWithSHAAnd3KeyTripleDESCBC]: { keyLength: 24, decrypt: tripleDesCbcDecrypt },
+  [OIDS.pbeWithSHAAnd2KeyTripleDESCBC]: { keyLength: 16, decrypt: tripleDesCbcDecrypt },
+  [OIDS.pbeWithSHAAnd128BitRC2CBC]: { keyLength: 16, decrypt: (key, iv, data) => rc2CbcDecrypt(key, iv, data, 128) },
+  [OIDS.pbeWithSHAAnd40BitRC2CBC]: { keyLength: 5, decrypt: (key, iv, data) => rc2CbcDecrypt(key, iv, data, 40) }
+};
+
+// PBES2 ciphers and their key lengths
+const PBES2_CIPHERS = {
+  [OIDS.aes128CBC]: 16,
+  [OIDS.aes192CBC]: 24,
+  [OIDS.aes256CBC]: 32,
+  [OIDS.desEde3CBC]: 24
+};
+
+/**
+ * @typedef {Object} PrivateKeyInfo
+ * @property {Uint8Array} der - The PKCS#8 PrivateKeyInfo
+ * @property {string} algorithm - Key algorithm OID
+ * @property {string|null} curve - Named curve OID for EC keys
+ */
+
+/**
+ * @typedef {Object} DigitalIDContents
+ * @property {PrivateKeyInfo} privateKey - The signing key
+ * @property {Certificate} certificate - The certificate of the signing key
+ * @property {Certificate[]} chain - Other certificates in the file, usually
+ *   the issuing CAs
+ */
+
+/**
+ * Open a PKCS#12 file
+ * @param {Uint8Array} bytes - File contents
+ * @param {string} password - File password
+ * @returns {Promise<DigitalIDContents>} The key and certificates
+ */
+export async function parsePKCS12(bytes, password) {
+  let authSafe;
+  let macData;
+  try {
+    [, authSafe, macData] = parseDER(bytes).children;
+  } catch (error) {
+    throw new Error('The file is not a PKCS#12 digital ID');
+  }
+
+  if (readOID(authSafe.children[0]) !== OIDS.data) {
+    throw new Error('Digital IDs protected with a public key are not supported');
+  }
+  const authSafeBytes = getOctets(authSafe.children[1].children[0]);
+
+  const passwords = {
+    bmp: macData ? await verifyMac(macData, authSafeBytes, password) : toBMPString(password),
+    utf8: new TextEncoder().encode(password)
+  };
+
+  const keys = [];
+  const certificates = [];
+
+  for (const contentInfo of parseDER(authSafeBytes).children) {
+    const type = readOID(contentInfo.children[0]);
+    let safeContents;
+
+    if (type === OIDS.data) {
+      safeContents = getOctets(contentInfo.children[1].children[0]);
+    } else if (type === OIDS.encryptedData) {
+      const [, algorithm, encrypted] = contentInfo.children[1].children[0].children[1].children;
+      safeContents = await decryptWithPassword(algorithm, getOctets(encrypted), passwords);
+    } else {
+      continue;
+    }
+
+    await readSafeBags(parseDER(safeContents).children, passwords, keys, certificates);
+  }
+
+  if (keys.length === 0) {
+    throw new Error('The digital ID does not contain a private key');
+  }
+  if (certificates.length === 0) {
+    throw new Error('The digital ID does not contain a certificate');
+  }
+
+  // The key and its certificate share a local key ID; otherwise take the
+  // certificate that did not issue any of the others
+  const key = keys[0];
+  const signer = certificates.find(cert => key.localKeyId && cert.localKeyId && bytesEqual(cert.localKeyId, key.localKeyId)) ||
+    certificates.find(cert => !certificates.some(other => other !== cert && bytesEqual(other.certificate.issuer.der, cert.certificate.subject.der))) ||
+    certificates[0];
+
+  const keyAlgorithm = parseDER(key.der).children[1].children;
+
+  return {
+    privateKey: {
+      der: key.der,
+      algorithm: readOID(keyAlgorithm[0]),
+      curve: keyAlgorithm[1] && keyAlgorithm[1].tag === 0x06 ? readOID(keyAlgorithm[1]) : null
+    },
+    certificate: signer.certificate,
+    chain: certificates.filter(cert => cert !== signer).map(cert => cert.certificate)
+  };
+}
+
+/**
+ * Check the password against the file's MAC
+ * @param {Asn1Node} macData - The MacData
+ * @param {Uint8Array} data - The authenticated safe bytes the MAC covers
+ * @param {string} password - The password
+ * @returns {Promise<Uint8Array>} The password bytes that matched
+ */
+async function verifyMac(macData, data, password) {
+  const [digestInfo, saltNode, iterationsNode] = macData.children;
+  const hash = HASHES[readOID(digestInfo.children[0].children[0])];
+  if (!hash) {
+    throw new Error('The digital ID uses an unsupported integrity check');
+  }
+
+  const expected = digestInfo.children[1].content;
+  const salt = saltNode.content;
+  const iterations = iterationsNode ? readInteger(iterationsNode) : 1;
+
+  // An empty password is written either as a lone terminator or as nothing
+  const candidates = password ? [toBMPString(password)] : [toBMPString(''), new Uint8Array(0)];
+  for (const candidate of candidates) {
+    const key = await deriveKey(hash, candidate, salt, 3, iterations, HASH_LENGTHS[hash]);
+    if (bytesEqual(await hmac(hash, key, data), expected)) {
+      return candidate;
+    }
+  }
+
+  throw new Error('Incorrect password for this digital ID');
+}
+
+/**
+ * Collect keys and certificates from a list of safe bags
+ */
+async function readSafeBags(bags, passwords, keys, certificates) {
+  for (const bag of bags) {
+    const type = readOID(bag.children[0]);
+    const value = bag.children[1].children[0];
+    const localKeyId = getLocalKeyId(bag.children[2]);
+
+    switch (type) {
+      case OIDS.keyBag:
+        keys.push({ der: value.bytes, localKeyId });
+        break;
+      case OIDS.pkcs8ShroudedKeyBag: {
+        const [algorithm, encrypted] = value.children;
+        keys.push({ der: await decryptWithPassword(algorithm, getOctets(encrypted), passwords), localKeyId });
+        break;
+      }
+      case OIDS.certBag:
+        if (readOID(value.children[0]) === OIDS.x509Certificate) {
+          const der = getOctets(value.children[1].children[0]);
+          certificates.push({ certificate: parseCertificate(der), localKeyId });
+        }
+        break;
+    }
+  }
+}
+
+/**
+ * Find the localKeyId attribute of a safe bag
+ * @returns {Uint8Array|null} The ID, or null if the bag has none
+ */
+function getLocalKeyId(attributes) {
+  if (!attributes) return null;
+  const attribute = attributes.children.find(attr => readOID(attr.children[0]) === OIDS.localKeyId);
+  return attribute ? attribute.children[1].children[0].content : null;
+}
+
+/**
+ * Decrypt data protected by password-based encryption
+ * @param {Asn1Node} algorithm - The encryption AlgorithmIdentifier
+ * @param {Uint8Array} data - Encrypted bytes
+ * @param {{bmp: Uint8Array, utf8: Uint8Array}} passwords - The password in
+ *   the encodings PKCS#12 and PBES2 use
+ * @returns {Promise<Uint8Array>} Decrypted bytes
+ */
+async function decryptWithPassword(algorithm, data, passwords) {
+  const oid = readOID(algorithm.children[0]);
+  const params = algorithm.children[1];
+
+  try {
+    const legacy = PKCS12_CIPHERS[oid];
+    if (legacy) {
+      const salt = params.children[0].content;
+      const iterations = readInteger(params.children[1]);
+      const key = await deriveKey('SHA-1', passwords.bmp, salt, 1, iterations, legacy.keyLength);
+      const iv = await deriveKey('SHA-1', passwords.bmp, salt, 2, iterations, 8);
+      return legacy.decrypt(key, iv, data);
+    }
+
+    if (oid === OIDS.pbes2) {
+      const [kdf, scheme] = params.children;
+      const cipher = readOID(scheme.children[0]);
+      if (readOID(kdf.children[0]) !== OIDS.pbkdf2 || !PBES2_CIPHERS[cipher]) {
+        throw new Error('unsupported');
+      }
+
+      // PBKDF2 params: salt, iterations, optional key length and PRF
+      const [salt, iterations, ...rest] = kdf.children[1].children;
+      const prf = rest.find(node => node.tag === 0x30);
+      const hash = prf ? HASHES[readOID(prf.children[0])] : 'SHA-1';
+      const key = await pbkdf2(hash, passwords.utf8, salt.content, readInteger(iterations), PBES2_CIPHERS[cipher]);
+      const iv = scheme.children[1].content;
+
+      return cipher === OIDS.desEde3CBC
+        ? tripleDesCbcDecrypt(key, iv, data)
+        : await aesCbcDecrypt(key, iv, data);
+    }
+  } catch (error) {
+    if (error.message === 'unsupported') {
+      throw new Error('The digital ID uses an unsupported encryption method');
+    }
+    // Without a MAC, a wrong password first shows up as bad padding
+    throw new Error('Incorrect password for this digital ID');
+  }
+
+  throw new Error('The digital ID uses an unsupported encryption method');
+}
+
+/**
+ * Derive key material with the PKCS#12 key derivation function
+ * (RFC 7292, appendix B.2)
+ * @param {string} hash - Digest name
+ * @param {Uint8Array} password - Password as a BMPString
+ * @param {Uint8Array} salt - Salt
+ * @param {number} id - 1 for keys, 2 for IVs, 3 for MAC keys
+ * @param {number} iterations - Iteration count
+ * @param {number} length - Number of bytes to derive
+ * @returns {Promise<Uint8Array>} The derived bytes
+ */
+async function deriveKey(hash, password, salt, id, iterations, length) {
+  const u = HASH_LENGTHS[hash];
+  const v = u > 32 ? 128 : 64;
+
+  // Repeat a value to fill whole blocks of v bytes
+  const fill = (bytes, size = v * Math.ceil(bytes.length / v)) => {
+    const filled = new Uint8Array(size);
+    for (let i = 0; i < size; i++) filled[i] = bytes[i % bytes.length];
+    return filled;
+  };
+
+  const diversifier = new Uint8Array(v).fill(id);
+  const input = concatBytes(salt.length ? fill(salt) : salt, password.length ? fill(password) : password);
+  const result = new Uint8Array(length);
+
+  for (let offset = 0; offset < length; offset += u) {
+    let a = await sha(hash, concatBytes(diversifier, input));
+    for (let i = 1; i < iterations; i++) {
+      a = await sha(hash, a);
+    }
+    result.set(a.subarray(0, Math.min(u, length - offset)), offset);
+
+    // Each block of the input becomes (block + B + 1) mod 2^(8v)
+    const b = fill(a, v);
+    for (let start = 0; start < input.length; start += v) {
+      let carry = 1;
+      for (let i = v - 1; i >= 0; i--) {
+        const sum = input[start + i] + b[i] + carry;
+        input[start + i] = sum & 0xff;
+        carry = sum >> 8;
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Encode a password as a null-terminated big-endian BMPString
+ */
+function toBMPString(password) {
+  const bytes = new Uint8Array((password.length + 1) * 2);
+  for (let i = 0; i < password.length; i++) {
+    const code = password.charCodeAt(i);
+    bytes[i * 2] = code >> 8;
+    bytes[i * 2 + 1] = code & 0xff;
+  }
+  return bytes;
+}
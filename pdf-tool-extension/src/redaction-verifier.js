@@ -0,0 +1,417 @@
+/**
+ * Redaction Verifier Module
+ * Re-opens a redacted PDF and checks that the redacted text is really gone
+ */
+
+import { getPageText, getTextRangeBox } from './text-search.js';
+import { decodeStream, bytesToLatin1 } from './content-stream.js';
+import { getPdfJsPageGeometry, pdfRectToViewport, boxesOverlap } from './page-transform.js';
+
+/**
+ * @typedef {Object} VerificationCheck
+ * @property {string} id - Check identifier
+ * @property {string} label - Display name
+ * @property {string} status - 'pass', 'warn' or 'fail'
+ * @property {string[]} details - Findings, empty when passed
+ */
+
+/**
+ * @typedef {Object} VerificationReport
+ * @property {boolean} passed - True if no check failed
+ * @property {VerificationCheck[]} checks - Individual checks
+ */
+
+// Redacted strings shorter than this (ignoring spaces) are too common to search for
+const MIN_NEEDLE_LENGTH = 4;
+
+/**
+ * Find the text under and around a box on a page
+ * A glyph is "under" the box if its centre lies inside it, and "around" it
+ * if it only overlaps the box edge.
+ * @param {PageText} pageText - Text extracted with getPageText
+ * @param {RedactionBox} box - Box in unscaled viewport units
+ * @returns {{under: string[], around: string[]}} Runs of text in each category
+ */
+export function getTextAtBox(pageText, box) {
+  const under = [];
+  const around = [];
+
+  for (const { item } of pageText.segments) {
+    const fontFamily = pageText.styles[item.fontName]?.fontFamily;
+
+    // Skip items nowhere near the box
+    if (!boxesOverlap(getTextRangeBox(item, 0, item.str.length, pageText.viewport, fontFamily), box)) {
+      continue;
+    }
+
+    let underRun = '';
+    let aroundRun = '';
+
+    for (let i = 0; i < item.str.length; i++) {
+      const glyph = getTextRangeBox(item, i, i + 1, pageText.viewport, fontFamily);
+      const centerX = glyph.x + glyph.width / 2;
+      const centerY = glyph.y + glyph.height / 2;
+      const centered = centerX >= box.x && centerX <= box.x + box.width &&
+        centerY >= box.y && centerY <= box.y + box.height;
+
+      if (centered) {
+        underRun += item.str[i];
+      } else if (boxesOverlap(shrinkBox(glyph), box)) {
+        aroundRun += item.str[i];
+      } else {
+        if (underRun.trim()) under.push(underRun.trim());
+        if (aroundRun.trim()) around.push(aroundRun.trim());
+        underRun = '';
+        aroundRun = '';
+      }
+    }
+
+    if (underRun.trim()) under.push(underRun.trim());
+    if (aroundRun.trim()) around.push(aroundRun.trim());
+  }
+
+  return { under, around };
+}
+
+/**
+ * Collect the text that sits under the redaction boxes, before they are applied
+ * @param {Object} pdfJsDoc - PDF.js document
+ * @param {Object<number, RedactionBox[]>} redactionsByPage - Map of page index to boxes
+ * @returns {Promise<string[]>} Distinct redacted strings
+ */
+export async function collectRedactedText(pdfJsDoc, redactionsByPage) {
+  const strings = new Set();
+
+  for (const [pageIndex, boxes] of Object.entries(redactionsByPage)) {
+    if (!boxes || boxes.length === 0) continue;
+
+    const pageText = await getPageText(await pdfJsDoc.getPage(Number(pageIndex) + 1));
+    for (const box of boxes) {
+      getTextAtBox(pageText, box).under.forEach(text => strings.add(text));
+    }
+  }
+
+  return [...strings];
+}
+
+/**
+ * Verify a redacted PDF
+ * @param {Uint8Array} pdfBytes - The saved, redacted PDF
+ * @param {Object<number, RedactionBox[]>} redactionsByPage - Boxes that were applied
+ * @param {string[]} redactedText - Text that was under the boxes beforehand
+ * @returns {Promise<VerificationReport>} The report
+ */
+export async function verifyRedaction(pdfBytes, redactionsByPage, redactedText) {
+  const pdfJsDoc = await window.pdfjsLib.getDocument({ data: pdfBytes.slice(0) }).promise;
+  const needles = redactedText
+    .map(text => ({ text, normalized: normalizeText(text) }))
+    .filter(needle => needle.normalized.length >= MIN_NEEDLE_LENGTH);
+
+  // Text still shown on a page is reported there; the file check looks for
+  // the rest, which should be nowhere in the file
+  const shownNeedles = new Set();
+
+  try {
+    const checks = [
+      await checkTextUnderBoxes(pdfJsDoc, redactionsByPage),
+      await checkPageText(pdfJsDoc, needles, shownNeedles),
+      await checkAnnotations(pdfJsDoc, redactionsByPage, needles),
+      await checkFormFields(pdfJsDoc, needles),
+      await checkMetadata(pdfJsDoc, needles),
+      await checkAttachments(pdfJsDoc, needles),
+      await checkBookmarks(pdfJsDoc, needles),
+      await checkFileObjects(pdfBytes, needles.filter(needle => !shownNeedles.has(needle)))
+    ];
+
+    return {
+      passed: checks.every(check => check.status !== 'fail'),
+      checks
+    };
+  } finally {
+    await pdfJsDoc.destroy();
+  }
+}
+
+/**
+ * No text may remain under a redaction box
+ */
+async function checkTextUnderBoxes(pdfJsDoc, redactionsByPage) {
+  const failures = [];
+  const warnings = [];
+
+  for (const [pageIndex, boxes] of Object.entries(redactionsByPage)) {
+    if (!boxes || boxes.length === 0) continue;
+
+    const pageNum = Number(pageIndex) + 1;
+    const pageText = await getPageText(await pdfJsDoc.getPage(pageNum));
+
+    for (const box of boxes) {
+      const { under, around } = getTextAtBox(pageText, box);
+      under.forEach(text => failures.push(`Page ${pageNum}: "${text}" is still under a box`));
+      around.forEach(text => warnings.push(`Page ${pageNum}: "${text}" is partly covered by a box edge`));
+    }
+  }
+
+  return makeCheck('text-under-boxes', 'Text under redaction boxes', failures, warnings);
+}
+
+/**
+ * Redacted strings should not appear elsewhere in the page text
+ * @param {Set<Object>} shownNeedles - Filled with the needles found
+ */
+async function checkPageText(pdfJsDoc, needles, shownNeedles) {
+  const warnings = [];
+
+  for (let pageNum = 1; pageNum <= pdfJsDoc.numPages; pageNum++) {
+    const { text } = await getPageText(await pdfJsDoc.getPage(pageNum));
+    const found = findNeedle(text, needles);
+    if (found) {
+      warnings.push(`Page ${pageNum}: redacted text "${found}" also appears unredacted`);
+      const haystack = normalizeText(text);
+      needles.filter(needle => haystack.includes(needle.normalized)).forEach(needle => shownNeedles.add(needle));
+    }
+  }
+
+  return makeCheck('page-text', 'Redacted text elsewhere in the document', [], warnings);
+}
+
+/**
+ * Annotations must not hold redacted text, and should not sit under a box
+ */
+async function checkAnnotations(pdfJsDoc, redactionsByPage, needles) {
+  const failures = [];
+  const warnings = [];
+
+  for (let pageNum = 1; pageNum <= pdfJsDoc.numPages; pageNum++) {
+    const page = await pdfJsDoc.getPage(pageNum);
+    const annotations = await page.getAnnotations();
+    const geometry = getPdfJsPageGeometry(page);
+    const boxes = redactionsByPage[pageNum - 1] || [];
+
+    for (const annotation of annotations) {
+      const values = [
+        annotation.contentsObj?.str,
+        annotation.titleObj?.str,
+        annotation.fieldValue,
+        annotation.alternativeText,
+        annotation.url
+      ].flat().filter(value => typeof value === 'string');
+
+      const found = findNeedle(values.join(' '), needles);
+      if (found) {
+        failures.push(`Page ${pageNum}: ${annotation.subtype} annotation contains "${found}"`);
+      }
+
+      if (annotation.rect && boxes.length > 0) {
+        const [x0, y0, x1, y1] = annotation.rect;
+        const rect = pdfRectToViewport(geometry, { x: x0, y: y0, width: x1 - x0, height: y1 - y0 });
+        if (boxes.some(box => boxesOverlap(rect, box))) {
+          warnings.push(`Page ${pageNum}: ${annotation.subtype} annotation overlaps a redaction box`);
+        }
+      }
+    }
+  }
+
+  return makeCheck('annotations', 'Annotations and comments', failures, warnings);
+}
+
+/**
+ * Form field values must not hold redacted text
+ */
+async function checkFormFields(pdfJsDoc, needles) {
+  const failures = [];
+  const fields = await pdfJsDoc.getFieldObjects();
+
+  for (const [name, widgets] of Object.entries(fields || {})) {
+    for (const widget of widgets) {
+      const values = [widget.value, widget.defaultValue].flat().filter(value => typeof value === 'string');
+      const found = findNeedle(values.join(' '), needles);
+      if (found) {
+        failures.push(`Field "${name}" contains "${found}"`);
+        break;
+      }
+    }
+  }
+
+  return makeCheck('form-fields', 'Form field values', failures, []);
+}
+
+/**
+ * Document info and XMP metadata must not hold redacted text
+ */
+async function checkMetadata(pdfJsDoc, needles) {
+  const failures = [];
+  const { info, metadata } = await pdfJsDoc.getMetadata();
+
+  for (const [key, value] of Object.entries(info || {})) {
+    if (typeof value !== 'string') continue;
+    const found = findNeedle(value, needles);
+    if (found) {
+      failures.push(`Info entry ${key} contains "${found}"`);
+    }
+  }
+
+  if (metadata) {
+    const found = findNeedle(Object.values(metadata.getAll()).join(' '), needles);
+    if (found) {
+      failures.push(`XMP metadata contains "${found}"`);
+    }
+  }
+
+  return makeCheck('metadata', 'Document metadata', failures, []);
+}
+
+/**
+ * Attachments must not hold redacted text; any attachment is worth a look
+ */
+async function checkAttachments(pdfJsDoc, needles) {
+  const failures = [];
+  const warnings = [];
+  const attachments = await pdfJsDoc.getAttachments();
+
+  for (const attachment of Object.values(attachments || {})) {
+    const content = attachment.content ? new TextDecoder('latin1').decode(attachment.content) : '';
+    const found = findNeedle(`${attachment.filename} ${content}`, needles);
+    if (found) {
+      failures.push(`Attachment "${attachment.filename}" contains "${found}"`);
+    } else {
+      warnings.push(`Attachment "${attachment.filename}" is embedded; check it manually`);
+    }
+  }
+
+  return makeCheck('attachments', 'Embedded attachments', failures, warnings);
+}
+
+/**
+ * Bookmark titles must not hold redacted text
+ */
+async function checkBookmarks(pdfJsDoc, needles) {
+  const failures = [];
+  const outline = await pdfJsDoc.getOutline();
+
+  const visit = (items) => {
+    for (const item of items || []) {
+      const found = findNeedle(item.title || '', needles);
+      if (found) {
+        failures.push(`Bookmark "${item.title}" contains "${found}"`);
+      }
+      visit(item.items);
+    }
+  };
+  visit(outline);
+
+  return makeCheck('bookmarks', 'Bookmarks', failures, []);
+}
+
+/**
+ * No object in the file may hold redacted text, whether or not anything
+ * still uses it. Streams are decoded, and hex strings in them read as text,
+ * so content like <534543524554> Tj is caught too.
+ */
+async function checkFileObjects(pdfBytes, needles) {
+  const { PDFDocument, PDFStream, PDFDict, PDFArray, PDFString, PDFHexString, PDFName } = PDFLib;
+  const failures = [];
+  const warnings = [];
+  if (needles.length === 0) {
+    return makeCheck('file-objects', 'Objects in the saved file', failures, warnings);
+  }
+
+  const pdfDoc = await PDFDocument.load(pdfBytes, { ignoreEncryption: true, updateMetadata: false });
+
+  // Text of the strings held directly in an object
+  const collectStrings = (object, strings) => {
+    if (object instanceof PDFString || object instanceof PDFHexString) {
+      strings.push(object.decodeText());
+    } else if (object instanceof PDFStream) {
+      collectStrings(object.dict, strings);
+    } else if (object instanceof PDFDict) {
+      for (const [, value] of object.entries()) collectStrings(value, strings);
+    } else if (object instanceof PDFArray) {
+      object.asArray().forEach(value => collectStrings(value, strings));
+    }
+    return strings;
+  };
+
+  for (const [ref, object] of pdfDoc.context.enumerateIndirectObjects()) {
+    const texts = collectStrings(object, []);
+
+    if (object instanceof PDFStream) {
+      try {
+        const content = bytesToLatin1(decodeStream(object));
+        const hexStrings = [...content.matchAll(/<([0-9A-Fa-f\s]+)>/g)]
+          .map(match => hexToLatin1(match[1]));
+        texts.push(content, ...hexStrings);
+      } catch (error) {
+        // Images in formats that cannot be decoded here hold no text
+        if (object.dict.get(PDFName.of('Subtype')) !== PDFName.of('Image')) {
+          warnings.push(`Object ${ref} could not be decoded (${error.message}); check it manually`);
+        }
+      }
+    }
+
+    const found = texts.map(text => findNeedle(text, needles)).find(Boolean);
+    if (found) {
+      failures.push(`Object ${ref} in the saved file contains "${found}"`);
+    }
+  }
+
+  return makeCheck('file-objects', 'Objects in the saved file', failures, warnings);
+}
+
+/**
+ * Read the digits of a hex string as a latin1 string
+ */
+function hexToLatin1(hex) {
+  const digits = hex.replace(/\s+/g, '');
+  let result = '';
+  for (let i = 0; i < digits.length; i += 2) {
+    result += String.fromCharCode(parseInt(digits.slice(i, i + 2).padEnd(2, '0'), 16));
+  }
+  return result;
+}
+
+/**
+ * Build a check result from its findings
+ */
+function makeCheck(id, label, failures, warnings) {
+  let status = 'pass';
+  if (failures.length > 0) {
+    status = 'fail';
+  } else if (warnings.length > 0) {
+    status = 'warn';
+  }
+  return { id, label, status, details: [...failures, ...warnings] };
+}
+
+/**
+ * Lowercase and strip whitespace so "4111 1111" matches "41111111"
+ */
+function normalizeText(text) {
+  return text.toLowerCase().replace(/\s+/g, '');
+}
+
+/**
+ * Find the first redacted string contained in some text
+ * @returns {string|null} The redacted string as it appeared on the page
+ */
+function findNeedle(text, needles) {
+  if (!text || needles.length === 0) return null;
+  const haystack = normalizeText(text);
+  const found = needles.find(needle => haystack.includes(needle.normalized));
+  return found ? found.text : null;
+}
+
+/**
+ * Shrink a glyph box to its core, ignoring padding and the ascender and
+ * descender room that neighbouring lines share
+ */
+function shrinkBox(box) {
+  const insetX = box.width * 0.2;
+  const insetY = box.height * 0.25;
+  return {
+    x: box.x + insetX,
+    y: box.y + insetY,
+    width: box.width - insetX * 2,
+    height: box.height - insetY * 2
+  };
+}
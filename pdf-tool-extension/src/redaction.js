@@ -1,21 +1,37 @@
 /**
  * Redaction Module
- * Implements secure page-reconstruction redaction
+ * Implements secure redaction, either by page reconstruction (rasterize)
+ * or by removing content under the boxes from the page (vector)
  */
 
-import { replacePageWithImage, getPageDimensions } from './pdf-operations.js';
+import { replacePageWithImage } from './pdf-operations.js';
+import { redactPageContent } from './vector-redaction.js';
+import { removeUnreachableObjects } from './content-stream.js';
+import { getPageGeometry, viewportRectToPdf, boxesOverlap } from './page-transform.js';
 
 /**
  * @typedef {Object} RedactionBox
- * @property {number} x - X position (from left, in canvas coordinates)
- * @property {number} y - Y position (from top, in canvas coordinates)
- * @property {number} width - Width in canvas pixels
- * @property {number} height - Height in canvas pixels
+ * Boxes are in unscaled viewport units: the PDF.js viewport at scale 1,
+ * measured from the top-left of the page as displayed.
+ * @property {number} x - X position (from left)
+ * @property {number} y - Y position (from top)
+ * @property {number} width - Width
+ * @property {number} height - Height
  */
 
 // Rendering scale for high-quality output
 const RENDER_SCALE = 2.5;
 
+/**
+ * Redaction modes
+ * - vector: remove text and images under the boxes, keep the rest selectable
+ * - rasterize: replace the whole page with an image ("paranoid" mode)
+ */
+export const REDACTION_MODES = {
+  VECTOR: 'vector',
+  RASTERIZE: 'rasterize'
+};
+
 /**
  * Render a PDF page to a canvas using PDF.js
  * @param {Object} pdfJsPage - PDF.js page object
@@ -94,7 +110,7 @@ export function canvasToImageBytes(canvas) {
  * @param {PDFDocument} pdfDoc - PDF-lib document
  * @param {Object} pdfJsPage - PDF.js page object for rendering
  * @param {number} pageIndex - Zero-based page index
- * @param {RedactionBox[]} boxes - Redaction boxes (in display coordinates)
+ * @param {RedactionBox[]} boxes - Redaction boxes (in unscaled viewport units)
  * @returns {Promise<PDFDocument>} The modified PDF document
  */
 export async function applyRedactionToPage(pdfDoc, pdfJsPage, pageIndex, boxes) {
@@ -117,15 +133,48 @@ export async function applyRedactionToPage(pdfDoc, pdfJsPage, pageIndex, boxes)
   return pdfDoc;
 }
 
+/**
+ * Convert a redaction box to a rectangle in PDF user space
+ * @param {RedactionBox} box - Box in unscaled viewport units
+ * @param {PageGeometry} geometry - Geometry of the page it was drawn on
+ * @returns {{x: number, y: number, width: number, height: number}} Rect with bottom-left origin
+ */
+export function boxToPdfRect(box, geometry) {
+  return viewportRectToPdf(geometry, box);
+}
+
+/**
+ * Apply vector redaction to a single page
+ * Text-showing operators whose glyphs intersect a box are removed, images
+ * fully under a box are dropped, and a black fill is painted over each box.
+ *
+ * @param {PDFDocument} pdfDoc - PDF-lib document
+ * @param {number} pageIndex - Zero-based page index
+ * @param {RedactionBox[]} boxes - Redaction boxes (in unscaled viewport units)
+ * @returns {VectorRedactionResult} Result; supported is false if the page
+ *   has content that can only be redacted by rasterizing
+ */
+export function applyVectorRedactionToPage(pdfDoc, pageIndex, boxes) {
+  const geometry = getPageGeometry(pdfDoc.getPage(pageIndex));
+  const rects = boxes.map(box => boxToPdfRect(box, geometry));
+  return redactPageContent(pdfDoc, pageIndex, rects);
+}
+
 /**
  * Apply redactions to multiple pages
  * @param {PDFDocument} pdfDoc - PDF-lib document
  * @param {Object} pdfJsDoc - PDF.js document for rendering
  * @param {Object<number, RedactionBox[]>} redactionsByPage - Map of page index to redaction boxes
  * @param {Function} [onProgress] - Progress callback (pageIndex, totalPages)
+ * @param {Object} [options] - Redaction options
+ * @param {string} [options.mode='rasterize'] - One of REDACTION_MODES
+ * @param {Function} [options.onFallback] - Called with (pageIndex, reason) when
+ *   a page cannot be vector-redacted and is rasterized instead
  * @returns {Promise<PDFDocument>} The modified PDF document
  */
-export async function applyRedactions(pdfDoc, pdfJsDoc, redactionsByPage, onProgress) {
+export async function applyRedactions(pdfDoc, pdfJsDoc, redactionsByPage, onProgress, options = {}) {
+  const mode = options.mode || REDACTION_MODES.RASTERIZE;
+
   const pageIndices = Object.keys(redactionsByPage).map(Number).sort((a, b) => a - b);
 
   // Process pages in reverse order to avoid index shifting issues
@@ -138,7 +187,17 @@ export async function applyRedactions(pdfDoc, pdfJsDoc, redactionsByPage, onProg
       // Get the PDF.js page (1-indexed)
       const pdfJsPage = await pdfJsDoc.getPage(pageIndex + 1);
 
-      await applyRedactionToPage(pdfDoc, pdfJsPage, pageIndex, boxes);
+      if (mode === REDACTION_MODES.VECTOR) {
+        const result = applyVectorRedactionToPage(pdfDoc, pageIndex, boxes);
+        if (!result.supported) {
+          if (options.onFallback) {
+            options.onFallback(pageIndex, result.reason);
+          }
+          await applyRedactionToPage(pdfDoc, pdfJsPage, pageIndex, boxes);
+        }
+      } else {
+        await applyRedactionToPage(pdfDoc, pdfJsPage, pageIndex, boxes);
+      }
 
       if (onProgress) {
         onProgress(pageIndices.length - i, pageIndices.length);
@@ -146,6 +205,11 @@ export async function applyRedactions(pdfDoc, pdfJsDoc, redactionsByPage, onProg
     }
   }
 
+  // The replaced content streams, pages, images and annotations are still
+  // registered, and save() would write them out with the redacted content
+  await pdfDoc.flush();
+  removeUnreachableObjects(pdfDoc.context);
+
   return pdfDoc;
 }
 
@@ -201,8 +265,8 @@ export function mergeOverlappingBoxes(boxes) {
 
         const other = boxes[j];
 
-        // Check if boxes overlap
-        if (boxesOverlap(current, other)) {
+        // Check if boxes overlap; boxes that touch are merged too
+        if (boxesOverlap(current, other, true)) {
           // Merge boxes
           const minX = Math.min(current.x, other.x);
           const minY = Math.min(current.y, other.y);
@@ -228,21 +292,6 @@ export function mergeOverlappingBoxes(boxes) {
   return merged;
 }
 
-/**
- * Check if two boxes overlap
- * @param {RedactionBox} a - First box
- * @param {RedactionBox} b - Second box
- * @returns {boolean} True if boxes overlap
- */
-function boxesOverlap(a, b) {
-  return !(
-    a.x + a.width < b.x ||
-    b.x + b.width < a.x ||
-    a.y + a.height < b.y ||
-    b.y + b.height < a.y
-  );
-}
-
 /**
  * Create a preview of redaction (draws semi-transparent boxes)
  * @param {CanvasRenderingContext2D} ctx - Canvas context
@@ -0,0 +1,539 @@
+/**
+ * Sanitize Module
+ * Strips hidden data (metadata, scripts, attachments, comments, hidden layers)
+ * from a PDF before it is shared
+ */
+
+import {
+  readPageContent,
+  writePageContent,
+  decodeStream,
+  bytesToLatin1,
+  latin1ToBytes,
+  tokenizeContentStream,
+  removeUnreachableObjects
+} from './content-stream.js';
+
+/**
+ * @typedef {Object} SanitizeResult
+ * @property {string} id - Category identifier
+ * @property {string} label - Category display name
+ * @property {string[]} removed - Description of each item removed
+ */
+
+export const SANITIZE_CATEGORIES = [
+  { id: 'metadata', label: 'Document info (author, producer, dates)' },
+  { id: 'xmp', label: 'XMP metadata' },
+  { id: 'javascript', label: 'JavaScript and actions' },
+  { id: 'attachments', label: 'Embedded files' },
+  { id: 'annotations', label: 'Comments and markup' },
+  { id: 'hiddenLayers', label: 'Hidden layers' }
+];
+
+// Annotations that are part of the page rather than comments on it
+const KEPT_ANNOTATION_TYPES = ['Link', 'Widget', 'Watermark', 'PrinterMark', 'TrapNet'];
+
+// Actions that can run code or open other files
+const UNSAFE_ACTION_TYPES = ['JavaScript', 'Launch', 'ImportData', 'Rendition', 'SubmitForm'];
+
+/**
+ * Remove hidden data from a document, in place
+ * @param {PDFDocument} pdfDoc - PDF-lib document
+ * @param {string[]} categoryIds - IDs from SANITIZE_CATEGORIES to strip
+ * @returns {Promise<SanitizeResult[]>} What was removed, per category
+ */
+export async function sanitizePDF(pdfDoc, categoryIds) {
+  // Write out embedded fonts and images so they are part of the object graph
+  await pdfDoc.flush();
+
+  const steps = {
+    metadata: removeDocumentInfo,
+    xmp: removeXMPMetadata,
+    javascript: removeJavaScript,
+    attachments: removeAttachments,
+    annotations: removeAnnotations,
+    hiddenLayers: removeHiddenLayers
+  };
+
+  const results = [];
+  for (const category of SANITIZE_CATEGORIES) {
+    if (!categoryIds.includes(category.id)) continue;
+    results.push({
+      id: category.id,
+      label: category.label,
+      removed: steps[category.id](pdfDoc)
+    });
+  }
+
+  // Unlinked objects would still be written out by save(), so drop them
+  removeUnreachableObjects(pdfDoc.context);
+
+  return results;
+}
+
+/**
+ * Describe sanitize results for display
+ * @param {SanitizeResult[]} results - Results from sanitizePDF
+ * @returns {string} One line per category
+ */
+export function formatSanitizeSummary(results) {
+  return results.map(result => {
+    if (result.removed.length === 0) {
+      return `${result.label}: nothing found`;
+    }
+    return `${result.label}: removed ${result.removed.join(', ')}`;
+  }).join('\n');
+}
+
+/**
+ * Clear the document information dictionary
+ */
+function removeDocumentInfo(pdfDoc) {
+  const info = pdfDoc.getInfoDict();
+  const removed = [];
+
+  for (const key of info.keys()) {
+    removed.push(key.decodeText());
+    info.delete(key);
+  }
+
+  return removed;
+}
+
+/**
+ * Remove XMP metadata streams from the catalog, pages and every other object
+ */
+function removeXMPMetadata(pdfDoc) {
+  const { PDFName } = PDFLib;
+  let count = 0;
+
+  forEachDict(pdfDoc.context, dict => {
+    if (dict.has(PDFName.of('Metadata'))) {
+      dict.delete(PDFName.of('Metadata'));
+      count++;
+    }
+  });
+
+  return count > 0 ? [pluralize(count, 'XMP packet')] : [];
+}
+
+/**
+ * Remove document-level scripts, open actions, additional actions and
+ * actions that run code
+ */
+function removeJavaScript(pdfDoc) {
+  const { PDFName, PDFDict } = PDFLib;
+  const catalog = pdfDoc.catalog;
+  const removed = [];
+
+  const names = catalog.lookupMaybe(PDFName.of('Names'), PDFDict);
+  if (names?.has(PDFName.of('JavaScript'))) {
+    const count = countNameTreeEntries(names.lookup(PDFName.of('JavaScript')));
+    names.delete(PDFName.of('JavaScript'));
+    removed.push(pluralize(count, 'document script'));
+  }
+
+  const acroForm = catalog.lookupMaybe(PDFName.of('AcroForm'), PDFDict);
+  if (acroForm?.has(PDFName.of('XFA'))) {
+    acroForm.delete(PDFName.of('XFA'));
+    removed.push('XFA form');
+  }
+
+  let triggers = 0;
+  let actions = 0;
+
+  forEachDict(pdfDoc.context, dict => {
+    if (dict.has(PDFName.of('AA'))) {
+      dict.delete(PDFName.of('AA'));
+      triggers++;
+    }
+    for (const key of ['OpenAction', 'A']) {
+      const action = dict.lookup(PDFName.of(key));
+      if (action instanceof PDFDict && isUnsafeAction(action)) {
+        dict.delete(PDFName.of(key));
+        actions++;
+      }
+    }
+  });
+
+  if (triggers > 0) removed.push(pluralize(triggers, 'event trigger'));
+  if (actions > 0) removed.push(pluralize(actions, 'script or launch action'));
+
+  return removed;
+}
+
+/**
+ * Check if an action, or any action chained after it, can run code
+ */
+function isUnsafeAction(action) {
+  const { PDFName, PDFDict, PDFArray } = PDFLib;
+  const type = action.lookup(PDFName.of('S'));
+  if (type instanceof PDFName && UNSAFE_ACTION_TYPES.includes(type.decodeText())) {
+    return true;
+  }
+
+  const next = action.lookup(PDFName.of('Next'));
+  if (next instanceof PDFDict) return isUnsafeAction(next);
+  if (next instanceof PDFArray) {
+    return next.asArray().some((_, i) => {
+      const item = next.lookup(i);
+      return item instanceof PDFDict && isUnsafeAction(item);
+    });
+  }
+  return false;
+}
+
+/**
+ * Remove embedded files and file attachment annotations
+ */
+function removeAttachments(pdfDoc) {
+  const { PDFName, PDFDict, PDFString, PDFHexString } = PDFLib;
+  const catalog = pdfDoc.catalog;
+  const removed = [];
+
+  const names = catalog.lookupMaybe(PDFName.of('Names'), PDFDict);
+  if (names?.has(PDFName.of('EmbeddedFiles'))) {
+    const tree = names.lookup(PDFName.of('EmbeddedFiles'));
+    forEachNameTreeEntry(tree, (name) => {
+      removed.push(name instanceof PDFString || name instanceof PDFHexString ? name.decodeText() : 'file');
+    });
+    names.delete(PDFName.of('EmbeddedFiles'));
+  }
+
+  // Associated files (PDF 2.0)
+  if (catalog.has(PDFName.of('AF'))) {
+    catalog.delete(PDFName.of('AF'));
+  }
+
+  const annotCount = filterAnnotations(pdfDoc, subtype => subtype !== 'FileAttachment');
+  if (annotCount > 0) {
+    removed.push(pluralize(annotCount, 'file attachment annotation'));
+  }
+
+  return removed;
+}
+
+/**
+ * Remove comments and markup, keeping links and form fields
+ */
+function removeAnnotations(pdfDoc) {
+  const count = filterAnnotations(pdfDoc, subtype => KEPT_ANNOTATION_TYPES.includes(subtype));
+  return count > 0 ? [pluralize(count, 'annotation')] : [];
+}
+
+/**
+ * Remove content, XObjects and annotations in layers that are switched off
+ * by default, then drop the layer definitions. If some content's visibility
+ * cannot be worked out, the layer definitions are kept so that viewers still
+ * hide what was hidden.
+ */
+function removeHiddenLayers(pdfDoc) {
+  const { PDFName, PDFDict, PDFArray, PDFRef, PDFRawStream } = PDFLib;
+  const context = pdfDoc.context;
+  const catalog = pdfDoc.catalog;
+
+  const ocProperties = catalog.lookupMaybe(PDFName.of('OCProperties'), PDFDict);
+  if (!ocProperties) return [];
+
+  const refsIn = (array) => (array ? array.asArray().filter(ref => ref instanceof PDFRef).map(ref => ref.toString()) : []);
+  const allGroups = refsIn(ocProperties.lookupMaybe(PDFName.of('OCGs'), PDFArray));
+  const defaults = ocProperties.lookupMaybe(PDFName.of('D'), PDFDict);
+  const on = new Set(refsIn(defaults?.lookupMaybe(PDFName.of('ON'), PDFArray)));
+  const off = refsIn(defaults?.lookupMaybe(PDFName.of('OFF'), PDFArray));
+
+  // With /BaseState /OFF every group starts off and /ON lists the exceptions;
+  // otherwise groups start on and /OFF lists the exceptions
+  const hiddenGroups = defaults?.get(PDFName.of('BaseState')) === PDFName.of('OFF')
+    ? new Set(allGroups.filter(ref => !on.has(ref)))
+    : new Set(off);
+
+  let sections = 0;
+  let xobjects = 0;
+  let annotations = 0;
+  let unresolved = false; // Some membership could not be evaluated
+
+  /**
+   * Check if an /OC entry points at a hidden group, or a membership
+   * dictionary whose policy makes it hidden
+   */
+  const isHidden = (ocEntry) => {
+    if (ocEntry instanceof PDFRef && hiddenGroups.has(ocEntry.toString())) return true;
+
+    const oc = ocEntry instanceof PDFRef ? context.lookup(ocEntry) : ocEntry;
+    if (!(oc instanceof PDFDict) || oc.get(PDFName.of('Type')) !== PDFName.of('OCMD')) return false;
+
+    // Visibility expressions take precedence over the policy; leave them to
+    // the viewer
+    if (oc.has(PDFName.of('VE'))) {
+      unresolved = true;
+      return false;
+    }
+
+    const groups = oc.get(PDFName.of('OCGs'));
+    const refs = (groups instanceof PDFArray ? groups.asArray() : [groups]).filter(ref => ref instanceof PDFRef);
+    if (refs.length === 0) return false;
+
+    const hidden = refs.map(ref => hiddenGroups.has(ref.toString()));
+    const policy = oc.get(PDFName.of('P'));
+
+    switch (policy?.toString() ?? '/AnyOn') {
+      case '/AnyOn':
+        return hidden.every(Boolean);
+      case '/AllOn':
+        return hidden.some(Boolean);
+      case '/AnyOff':
+        return !hidden.some(Boolean);
+      case '/AllOff':
+        return !hidden.every(Boolean);
+      default:
+        unresolved = true;
+        return false;
+    }
+  };
+
+  // Page content. Checked even when no group is off, since membership
+  // dictionaries with an /AnyOff or /AllOff policy hide content then
+  for (const page of pdfDoc.getPages()) {
+    const source = readPageContent(page);
+    const filtered = filterHiddenContent(source, page.node.Resources(), context, isHidden);
+    if (filtered.sections + filtered.xobjects > 0) {
+      writePageContent(page, filtered.content);
+      sections += filtered.sections;
+      xobjects += filtered.xobjects;
+    }
+  }
+
+  // Form XObjects, which can carry their own marked layers
+  for (const [ref, object] of context.enumerateIndirectObjects()) {
+    if (!(object instanceof PDFRawStream) || object.dict.get(PDFName.of('Subtype')) !== PDFName.of('Form')) {
+      continue;
+    }
+    const resources = object.dict.lookupMaybe(PDFName.of('Resources'), PDFDict);
+    const filtered = filterHiddenContent(bytesToLatin1(decodeStream(object)), resources, context, isHidden);
+    if (filtered.sections + filtered.xobjects > 0) {
+      context.assign(ref, rebuildStream(context, object, filtered.content));
+      sections += filtered.sections;
+      xobjects += filtered.xobjects;
+    }
+  }
+
+  annotations = filterAnnotations(pdfDoc, (subtype, annot) => !isHidden(annot.get(PDFName.of('OC'))));
+
+  let groups = 0;
+  if (!unresolved) {
+    groups = allGroups.length;
+    catalog.delete(PDFName.of('OCProperties'));
+  }
+
+  return [
+    [sections, 'hidden content section'],
+    [xobjects, 'hidden image or form'],
+    [annotations, 'hidden annotation'],
+    [groups, 'layer definition']
+  ].filter(([count]) => count > 0).map(([count, noun]) => pluralize(count, noun));
+}
+
+/**
+ * Drop marked-content sections and XObjects that belong to hidden layers
+ * @param {string} source - Decoded content stream
+ * @param {PDFDict} resources - Resources the stream uses
+ * @param {PDFContext} context - Document context
+ * @param {Function} isHidden - Checks an /OC reference
+ * @returns {{content: string, sections: number, xobjects: number}} Filtered content
+ */
+function filterHiddenContent(source, resources, context, isHidden) {
+  const { PDFName, PDFDict } = PDFLib;
+  const properties = resources?.lookupMaybe(PDFName.of('Properties'), PDFDict);
+  const xobjectDict = resources?.lookupMaybe(PDFName.of('XObject'), PDFDict);
+
+  const output = [];
+  let sections = 0;
+  let xobjects = 0;
+  let depth = 0;        // Marked-content nesting depth
+  let hiddenDepth = -1; // Depth at which a hidden section started
+
+  for (const op of tokenizeContentStream(source)) {
+    const skipping = hiddenDepth !== -1;
+
+    if (op.operator === 'BDC' || op.operator === 'BMC') {
+      depth++;
+      const [tag, props] = op.operands;
+      if (!skipping && op.operator === 'BDC' && tag?.value === 'OC' && props?.type === 'name') {
+        if (isHidden(properties?.get(PDFName.of(props.value)))) {
+          hiddenDepth = depth;
+          sections++;
+        }
+      }
+    } else if (op.operator === 'EMC') {
+      if (depth === hiddenDepth) {
+        hiddenDepth = -1;
+        depth--;
+        continue;
+      }
+      depth--;
+    } else if (op.operator === 'Do' && !skipping) {
+      const ref = xobjectDict?.get(PDFName.of(op.operands[0]?.value ?? ''));
+      const xobject = ref ? context.lookup(ref) : null;
+      if (xobject && isHidden(xobject.dict.get(PDFName.of('OC')))) {
+        xobjects++;
+        continue;
+      }
+    }
+
+    if (hiddenDepth === -1) {
+      output.push(source.slice(op.start, op.end));
+    }
+  }
+
+  return { content: output.join('\n'), sections, xobjects };
+}
+
+/**
+ * Build a compressed copy of a stream with new content and the same entries
+ */
+function rebuildStream(context, stream, content) {
+  const { PDFName } = PDFLib;
+  const skipped = ['Length', 'Filter', 'DecodeParms'].map(name => PDFName.of(name));
+  const rebuilt = context.flateStream(latin1ToBytes(content));
+
+  for (const [key, value] of stream.dict.entries()) {
+    if (!skipped.includes(key)) rebuilt.dict.set(key, value);
+  }
+  return rebuilt;
+}
+
+/**
+ * Keep only the annotations a predicate accepts, on every page
+ * Popups belonging to removed annotations go with them.
+ * @param {PDFDocument} pdfDoc - PDF-lib document
+ * @param {Function} keep - (subtype, annotDict) => boolean
+ * @returns {number} Number of annotations removed, not counting popups
+ */
+function filterAnnotations(pdfDoc, keep) {
+  const { PDFName, PDFDict, PDFArray } = PDFLib;
+  const context = pdfDoc.context;
+  let removedCount = 0;
+
+  for (const page of pdfDoc.getPages()) {
+    const annots = page.node.Annots();
+    if (!annots) continue;
+
+    const entries = annots.asArray().map(ref => ({ ref, dict: context.lookup(ref) }));
+    const removedPopups = new Set();
+
+    for (const entry of entries) {
+      if (!(entry.dict instanceof PDFDict)) continue;
+      const subtype = entry.dict.get(PDFName.of('Subtype'))?.decodeText?.() || '';
+      if (subtype === 'Popup') continue;
+
+      entry.removed = !keep(subtype, entry.dict);
+      if (entry.removed) {
+        removedCount++;
+        const popup = entry.dict.get(PDFName.of('Popup'));
+        if (popup) removedPopups.add(popup.toString());
+      }
+    }
+
+    // A popup goes if its parent went
+    for (const entry of entries) {
+      if (entry.dict instanceof PDFDict && entry.dict.get(PDFName.of('Subtype')) === PDFName.of('Popup')) {
+        const parent = entry.dict.get(PDFName.of('Parent'));
+        const parentRemoved = parent && entries.some(other => other.removed && other.ref.toString() === parent.toString());
+        entry.removed = parentRemoved || removedPopups.has(entry.ref.toString());
+      }
+    }
+
+    const kept = entries.filter(entry => !entry.removed).map(entry => entry.ref);
+    if (kept.length === entries.length) continue;
+
+    if (kept.length > 0) {
+      page.node.set(PDFName.of('Annots'), context.obj(kept));
+    } else {
+      page.node.delete(PDFName.of('Annots'));
+    }
+  }
+
+  // Form fields whose widgets were removed must leave the field tree too
+  const acroForm = pdfDoc.catalog.lookupMaybe(PDFName.of('AcroForm'), PDFDict);
+  const fields = acroForm?.lookupMaybe(PDFName.of('Fields'), PDFArray);
+  if (fields && removedCount > 0) {
+    const remaining = new Set();
+    for (const page of pdfDoc.getPages()) {
+      page.node.Annots()?.asArray().forEach(ref => remaining.add(ref.toString()));
+    }
+    const keptFields = fields.asArray().filter(ref => {
+      const field = context.lookup(ref);
+      return !(field instanceof PDFDict) || field.has(PDFName.of('Kids')) ||
+        !field.has(PDFName.of('Subtype')) || remaining.has(ref.toString());
+    });
+    if (keptFields.length !== fields.size()) {
+      acroForm.set(PDFName.of('Fields'), context.obj(keptFields));
+    }
+  }
+
+  return removedCount;
+}
+
+/**
+ * Call a function for every dictionary in the document, including stream
+ * dictionaries and dictionaries nested inside other objects
+ */
+function forEachDict(context, callback) {
+  const { PDFDict, PDFArray, PDFStream } = PDFLib;
+  const seen = new Set();
+
+  const visit = (object) => {
+    if (object instanceof PDFStream) {
+      visit(object.dict);
+    } else if (object instanceof PDFDict) {
+      if (seen.has(object)) return;
+      seen.add(object);
+      callback(object);
+      for (const [, value] of object.entries()) visit(value);
+    } else if (object instanceof PDFArray) {
+      object.asArray().forEach(visit);
+    }
+  };
+
+  for (const [, object] of context.enumerateIndirectObjects()) {
+    visit(object);
+  }
+}
+
+/**
+ * Call a function for every key in a name tree
+ */
+function forEachNameTreeEntry(node, callback) {
+  const { PDFName, PDFDict, PDFArray } = PDFLib;
+  if (!(node instanceof PDFDict)) return;
+
+  const names = node.lookupMaybe(PDFName.of('Names'), PDFArray);
+  if (names) {
+    for (let i = 0; i + 1 < names.size(); i += 2) {
+      callback(names.lookup(i), names.lookup(i + 1));
+    }
+  }
+
+  const kids = node.lookupMaybe(PDFName.of('Kids'), PDFArray);
+  if (kids) {
+    for (let i = 0; i < kids.size(); i++) {
+      forEachNameTreeEntry(kids.lookup(i), callback);
+    }
+  }
+}
+
+/**
+ * Count the entries in a name tree
+ */
+function countNameTreeEntries(node) {
+  let count = 0;
+  forEachNameTreeEntry(node, () => count++);
+  return count;
+}
+
+/**
+ * Format a count with a singular or plural noun
+ */
+function pluralize(count, noun) {
+  return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
@@ -0,0 +1,396 @@
+/**
+ * Signature Creator Module
+ * Drawing pad and typed-name generator for making signature images
+ * without a scanned original
+ */
+
+// Handwriting fonts that ship with common operating systems; the first one
+// installed is used
+export const SIGNATURE_FONTS = [
+  {
+    id: 'script',
+    label: 'Script',
+    family: '"Segoe Script", "Snell Roundhand", "URW Chancery L", "Brush Script MT", cursive'
+  },
+  {
+    id: 'brush',
+    label: 'Brush',
+    family: '"Brush Script MT", "Brush Script Std", "Segoe Print", "Bradley Hand", cursive'
+  },
+  {
+    id: 'calligraphy',
+    label: 'Calligraphy',
+    family: '"Lucida Calligraphy", "Apple Chancery", "Monotype Corsiva", "Z003", cursive'
+  },
+  {
+    id: 'casual',
+    label: 'Casual',
+    family: '"Lucida Handwriting", "Segoe Print", "Bradley Hand", "Comic Neue", cursive'
+  }
+];
+
+const INK_COLOR = '#1a1a2e';
+const TRIM_PADDING = 8;
+const CURVE_STEPS = 4; // Samples per curve segment when outlining strokes
+
+/**
+ * @typedef {Object} StrokePoint
+ * @property {number} x - X in canvas pixels
+ * @property {number} y - Y in canvas pixels
+ * @property {number} width - Line width at this point
+ */
+
+/**
+ * Turn a canvas into a signature pad that records pen strokes
+ * @param {HTMLCanvasElement} canvas - The pad canvas; its pixel size is
+ *   matched to its displayed size times the device pixel ratio
+ * @param {Object} [options] - Pad options
+ * @param {number} [options.minWidth=1] - Thinnest line, in CSS pixels
+ * @param {number} [options.maxWidth=3.5] - Thickest line, in CSS pixels
+ * @param {Function} [options.onChange] - Called after a stroke, undo or clear
+ * @returns {Object} Controller with undo, clear, isEmpty, toDataURL, toVector
+ *   and destroy
+ */
+export function createSignaturePad(canvas, options = {}) {
+  const ctx = canvas.getContext('2d');
+  const ratio = window.devicePixelRatio || 1;
+  const minWidth = (options.minWidth || 1) * ratio;
+  const maxWidth = (options.maxWidth || 3.5) * ratio;
+  // Aborted by destroy() so reopening the pad does not stack handlers
+  const listeners = new AbortController();
+  const { signal } = listeners;
+
+  const strokes = [];
+  let currentStroke = null;
+  let lastTime = 0;
+
+  const rect = canvas.getBoundingClientRect();
+  canvas.width = Math.round(rect.width * ratio);
+  canvas.height = Math.round(rect.height * ratio);
+
+  function getPoint(e) {
+    const bounds = canvas.getBoundingClientRect();
+    return {
+      x: (e.clientX - bounds.left) * (canvas.width / bounds.width),
+      y: (e.clientY - bounds.top) * (canvas.height / bounds.height)
+    };
+  }
+
+  /**
+   * Pen pressure when the device reports it, otherwise speed: fast
+   * movements draw thinner lines, like a real pen
+   */
+  function getTargetWidth(e, point, previous) {
+    if (e.pointerType === 'pen' && e.pressure > 0) {
+      return minWidth + (maxWidth - minWidth) * e.pressure;
+    }
+
+    const elapsed = Math.max(e.timeStamp - lastTime, 1);
+    const distance = Math.hypot(point.x - previous.x, point.y - previous.y) / ratio;
+    const speed = distance / elapsed; // CSS pixels per millisecond
+    return Math.max(minWidth, maxWidth - (maxWidth - minWidth) * Math.min(speed / 2.5, 1));
+  }
+
+  function handlePointerDown(e) {
+    if (e.button !== 0) return;
+    e.preventDefault();
+    canvas.setPointerCapture(e.pointerId);
+
+    const point = getPoint(e);
+    currentStroke = [{ ...point, width: (minWidth + maxWidth) / 2 }];
+    strokes.push(currentStroke);
+    lastTime = e.timeStamp;
+    redraw();
+  }
+
+  function handlePointerMove(e) {
+    if (!currentStroke) return;
+
+    const previous = currentStroke[currentStroke.length - 1];
+    const point = getPoint(e);
+    if (Math.hypot(point.x - previous.x, point.y - previous.y) < ratio) return;
+
+    // Ease the width towards its target so lines swell and taper smoothly
+    const width = previous.width * 0.7 + getTargetWidth(e, point, previous) * 0.3;
+    currentStroke.push({ ...point, width });
+    lastTime = e.timeStamp;
+    redraw();
+  }
+
+  function handlePointerUp() {
+    if (!currentStroke) return;
+    currentStroke = null;
+    if (options.onChange) options.onChange();
+  }
+
+  function redraw() {
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    strokes.forEach(stroke => drawStroke(ctx, stroke));
+  }
+
+  canvas.addEventListener('pointerdown', handlePointerDown, { signal });
+  canvas.addEventListener('pointermove', handlePointerMove, { signal });
+  canvas.addEventListener('pointerup', handlePointerUp, { signal });
+  canvas.addEventListener('pointercancel', handlePointerUp, { signal });
+
+  redraw();
+
+  return {
+    /**
+     * Remove the last stroke
+     */
+    undo() {
+      strokes.pop();
+      redraw();
+      if (options.onChange) options.onChange();
+    },
+
+    /**
+     * Remove all strokes
+     */
+    clear() {
+      strokes.length = 0;
+      redraw();
+      if (options.onChange) options.onChange();
+    },
+
+    /**
+     * @returns {boolean} True if nothing has been drawn
+     */
+    isEmpty() {
+      return strokes.length === 0;
+    },
+
+    /**
+     * Export the drawing cropped to the ink, on a transparent background
+     * @returns {string} PNG data URL
+     */
+    toDataURL() {
+      return trimCanvas(canvas).toDataURL('image/png');
+    },
+
+    /**
+     * Export the drawing as filled outlines, cropped to the ink
+     * @returns {VectorSignature} Vector signature in CSS pixels
+     */
+    toVector() {
+      return strokesToVector(strokes, ratio);
+    },
+
+    destroy() {
+      listeners.abort();
+    }
+  };
+}
+
+/**
+ * Draw one stroke as smooth curves through the midpoints between samples
+ * @param {CanvasRenderingContext2D} ctx - Target context
+ * @param {StrokePoint[]} stroke - Recorded points
+ */
+function drawStroke(ctx, stroke) {
+  ctx.fillStyle = INK_COLOR;
+  ctx.strokeStyle = INK_COLOR;
+  ctx.lineCap = 'round';
+  ctx.lineJoin = 'round';
+
+  if (stroke.length === 1) {
+    const [point] = stroke;
+    ctx.beginPath();
+    ctx.arc(point.x, point.y, point.width / 2, 0, Math.PI * 2);
+    ctx.fill();
+    return;
+  }
+
+  // Each segment gets its own width, so the line thickens and thins along
+  // the stroke
+  let start = stroke[0];
+  for (let i = 1; i < stroke.length; i++) {
+    const point = stroke[i];
+    const next = stroke[i + 1];
+    const end = next ? { x: (point.x + next.x) / 2, y: (point.y + next.y) / 2 } : point;
+
+    ctx.beginPath();
+    ctx.lineWidth = (start.width + point.width) / 2;
+    ctx.moveTo(start.x, start.y);
+    ctx.quadraticCurveTo(point.x, point.y, end.x, end.y);
+    ctx.stroke();
+
+    start = { ...end, width: point.width };
+  }
+}
+
+/**
+ * Walk the same smoothed curve drawStroke paints, as sampled points
+ * @param {StrokePoint[]} stroke - Recorded points
+ * @returns {StrokePoint[]} Points along the curve with interpolated widths
+ */
+function sampleStroke(stroke) {
+  const samples = [stroke[0]];
+  let start = stroke[0];
+
+  for (let i = 1; i < stroke.length; i++) {
+    const point = stroke[i];
+    const next = stroke[i + 1];
+    const end = next ? { x: (point.x + next.x) / 2, y: (point.y + next.y) / 2 } : point;
+
+    for (let step = 1; step <= CURVE_STEPS; step++) {
+      const t = step / CURVE_STEPS;
+      const u = 1 - t;
+      samples.push({
+        x: u * u * start.x + 2 * u * t * point.x + t * t * end.x,
+        y: u * u * start.y + 2 * u * t * point.y + t * t * end.y,
+        width: start.width + (point.width - start.width) * t
+      });
+    }
+
+    start = { ...end, width: point.width };
+  }
+
+  return samples;
+}
+
+/**
+ * Outline each stroke as a filled shape: along the left edge, round the end,
+ * back along the right edge and round the start. Every outline winds the
+ * same way, so overlapping strokes stay filled under the nonzero rule.
+ * @param {StrokePoint[][]} strokes - Recorded strokes in canvas pixels
+ * @param {number} ratio - Canvas pixels per CSS pixel
+ * @returns {VectorSignature} One ink path, cropped with a little padding
+ */
+function strokesToVector(strokes, ratio) {
+  const n = value => Math.round((value / ratio) * 100) / 100;
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  let d = '';
+
+  for (const stroke of strokes) {
+    const samples = sampleStroke(stroke);
+    samples.forEach(({ x, y, width }) => {
+      minX = Math.min(minX, x - width / 2);
+      minY = Math.min(minY, y - width / 2);
+      maxX = Math.max(maxX, x + width / 2);
+      maxY = Math.max(maxY, y + width / 2);
+    });
+
+    if (samples.length === 1 || samples.every(p => p.x === samples[0].x && p.y === samples[0].y)) {
+      const { x, y, width } = samples[0];
+      const r = n(width / 2);
+      d += `M${n(x + width / 2)} ${n(y)}A${r} ${r} 0 1 0 ${n(x - width / 2)} ${n(y)}A${r} ${r} 0 1 0 ${n(x + width / 2)} ${n(y)}Z`;
+      continue;
+    }
+
+    // Normal at each sample, from the direction between its neighbours
+    const left = [];
+    const right = [];
+    let normal = { x: 0, y: -1 };
+    samples.forEach((point, i) => {
+      const before = samples[Math.max(i - 1, 0)];
+      const after = samples[Math.min(i + 1, samples.length - 1)];
+      const length = Math.hypot(after.x - before.x, after.y - before.y);
+      if (length > 0) {
+        normal = { x: -(after.y - before.y) / length, y: (after.x - before.x) / length };
+      }
+      const half = point.width / 2;
+      left.push([point.x + normal.x * half, point.y + normal.y * half]);
+      right.push([point.x - normal.x * half, point.y - normal.y * half]);
+    });
+
+    const last = samples.length - 1;
+    const endRadius = n(samples[last].width / 2);
+    const startRadius = n(samples[0].width / 2);
+
+    d += `M${n(left[0][0])} ${n(left[0][1])}`;
+    for (let i = 1; i <= last; i++) d += `L${n(left[i][0])} ${n(left[i][1])}`;
+    d += `A${endRadius} ${endRadius} 0 0 0 ${n(right[last][0])} ${n(right[last][1])}`;
+    for (let i = last - 1; i >= 0; i--) d += `L${n(right[i][0])} ${n(right[i][1])}`;
+    d += `A${startRadius} ${startRadius} 0 0 0 ${n(left[0][0])} ${n(left[0][1])}Z`;
+  }
+
+  const padding = TRIM_PADDING * ratio;
+  const originX = minX - padding;
+  const originY = minY - padding;
+
+  return {
+    width: n(maxX - minX + padding * 2),
+    height: n(maxY - minY + padding * 2),
+    paths: [{
+      d,
+      fill: INK_COLOR,
+      stroke: null,
+      strokeWidth: 0,
+      matrix: [1, 0, 0, 1, -n(originX), -n(originY)]
+    }]
+  };
+}
+
+/**
+ * Render a name in a handwriting font
+ * @param {string} text - The name to write
+ * @param {string} fontId - One of SIGNATURE_FONTS
+ * @param {Object} [options] - Render options
+ * @param {number} [options.fontSize=64] - Font size in pixels
+ * @returns {string} PNG data URL cropped to the text, on a transparent background
+ */
+export function renderTypedSignature(text, fontId, options = {}) {
+  const font = SIGNATURE_FONTS.find(item => item.id === fontId) || SIGNATURE_FONTS[0];
+  const fontSize = options.fontSize || 64;
+  const fontSpec = `${fontSize}px ${font.family}`;
+
+  // Measure first, then size the canvas with room for swashes
+  const canvas = document.createElement('canvas');
+  const ctx = canvas.getContext('2d');
+  ctx.font = fontSpec;
+  const width = Math.ceil(ctx.measureText(text).width);
+
+  canvas.width = width + fontSize * 2;
+  canvas.height = fontSize * 2.5;
+
+  // Resizing resets the context state
+  ctx.font = fontSpec;
+  ctx.fillStyle = INK_COLOR;
+  ctx.textBaseline = 'middle';
+  ctx.fillText(text, fontSize, canvas.height / 2);
+
+  return trimCanvas(canvas).toDataURL('image/png');
+}
+
+/**
+ * Copy the inked part of a canvas, with a little padding
+ * @param {HTMLCanvasElement} canvas - Source canvas
+ * @returns {HTMLCanvasElement} Cropped canvas
+ */
+export function trimCanvas(canvas) {
+  const { width, height } = canvas;
+  const pixels = canvas.getContext('2d').getImageData(0, 0, width, height).data;
+  let top = height;
+  let left = width;
+  let bottom = -1;
+  let right = -1;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (pixels[(y * width + x) * 4 + 3] === 0) continue;
+      if (y < top) top = y;
+      if (y > bottom) bottom = y;
+      if (x < left) left = x;
+      if (x > right) right = x;
+    }
+  }
+
+  const trimmed = document.createElement('canvas');
+  if (bottom === -1) {
+    trimmed.width = 1;
+    trimmed.height = 1;
+    return trimmed;
+  }
+
+  left = Math.max(left - TRIM_PADDING, 0);
+  top = Math.max(top - TRIM_PADDING, 0);
+  trimmed.width = Math.min(right + TRIM_PADDING, width - 1) - left + 1;
+  trimmed.height = Math.min(bottom + TRIM_PADDING, height - 1) - top + 1;
+  trimmed.getContext('2d').drawImage(canvas, left, top, trimmed.width, trimmed.height, 0, 0, trimmed.width, trimmed.height);
+  return trimmed;
+}
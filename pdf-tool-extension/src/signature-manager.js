@@ -1,24 +1,35 @@
 /**
  * Signature Manager Module
- * Manages signature storage and insertion into PDFs
+ * Manages signature storage and insertion into PDFs. Signatures are kept in
+ * the encrypted signature vault, so the library must be unlocked first.
  */
 
 import {
   readFileAsDataURL,
+  readFileAsText,
   getImageDimensions,
   validateSignatureImage,
   dataURLToBytes
 } from './file-handler.js';
-import { insertImageOnPage, addTextToPage } from './pdf-operations.js';
+import { insertImageOnPage, insertVectorOnPage, addTextToPage } from './pdf-operations.js';
+import { getPageGeometry, placementToPdf, getPlacementBounds, viewportToPdfPoint } from './page-transform.js';
+import { cleanSignatureImage } from './image-cleanup.js';
+import { parseSVGSignature, renderVectorSignature } from './vector-signature.js';
+import { DEFAULT_STAMP_SETTINGS, getStampLines, layoutStamp } from './signature-stamp.js';
+import { isVaultUnlocked, readVaultItems, writeVaultItem, deleteVaultItem } from './signature-vault.js';
+import { pushSignature, removeSyncedSignature, pullSignatures } from './signature-sync.js';
 
-const STORAGE_KEY = 'signatures';
-const MAX_SIGNATURES = 10;
+// Where older versions kept signatures, unencrypted
+const LEGACY_STORAGE_KEY = 'signatures';
 
 /**
  * @typedef {Object} Signature
  * @property {string} id - Unique identifier
  * @property {string} name - Display name
- * @property {string} imageData - Base64 data URL
+ * @property {string} imageData - Base64 data URL, also used as the preview
+ *   of vector signatures
+ * @property {VectorSignature} [vector] - Paths for signatures drawn on the
+ *   pad or uploaded as SVG, embedded instead of the image
  * @property {number} width - Default width in points
  * @property {number} height - Default height in points
  * @property {string} created - ISO date string
@@ -26,65 +37,127 @@ const MAX_SIGNATURES = 10;
 
 /**
  * Load all signatures from storage
- * @returns {Promise<Signature[]>} Array of saved signatures
+ * @returns {Promise<Signature[]>} Array of saved signatures, empty while the
+ *   library is locked
  */
 export async function loadSignatures() {
+  if (!isVaultUnlocked()) {
+    return [];
+  }
+
   try {
-    const result = await browser.storage.local.get(STORAGE_KEY);
-    return result[STORAGE_KEY] || [];
+    return await readVaultItems();
   } catch (error) {
     console.error('Failed to load signatures:', error);
     return [];
   }
 }
 
+/**
+ * Move signatures saved unencrypted by older versions into the unlocked
+ * library, then remove the unencrypted copies
+ * @returns {Promise<number>} Number of signatures moved
+ */
+export async function migrateLegacySignatures() {
+  const result = await browser.storage.local.get(LEGACY_STORAGE_KEY);
+  const legacy = result[LEGACY_STORAGE_KEY] || [];
+
+  for (const signature of legacy) {
+    await writeVaultItem(signature);
+    await pushSignature(signature);
+  }
+
+  await browser.storage.local.remove(LEGACY_STORAGE_KEY);
+  return legacy.length;
+}
+
+/**
+ * Add signatures synced from other computers that this library lacks
+ * @returns {Promise<number>} Number of signatures added
+ */
+export async function mergeSyncedSignatures() {
+  const existing = new Set((await loadSignatures()).map(sig => sig.id));
+  let added = 0;
+
+  for (const synced of await pullSignatures()) {
+    if (existing.has(synced.id)) continue;
+
+    await writeVaultItem({ ...synced, imageData: renderVectorSignature(synced.vector, 2) });
+    added++;
+  }
+
+  return added;
+}
+
 /**
  * Save a new signature
  * @param {string} name - Display name for the signature
- * @param {File} imageFile - Image file (PNG or JPEG)
+ * @param {File} imageFile - Image file (PNG, JPEG or SVG)
+ * @param {Object} [options] - Save options
+ * @param {CleanupOptions} [options.cleanup] - Remove the paper background and
+ *   crop to the ink before saving; ignored for SVG files
  * @returns {Promise<Signature>} The saved signature object
  */
-export async function saveSignature(name, imageFile) {
+export async function saveSignature(name, imageFile, options = {}) {
   // Validate the image
   const validation = validateSignatureImage(imageFile);
   if (!validation.valid) {
     throw new Error(validation.error);
   }
 
+  // SVG files are kept as vectors; SVG units are CSS pixels
+  if (imageFile.type === 'image/svg+xml') {
+    const vector = parseSVGSignature(await readFileAsText(imageFile));
+    return await saveSignatureImage(name, renderVectorSignature(vector, 2), { pixelRatio: 2, vector });
+  }
+
   // Read image as data URL
-  const imageData = await readFileAsDataURL(imageFile);
+  let imageData = await readFileAsDataURL(imageFile);
+
+  if (options.cleanup) {
+    imageData = await cleanSignatureImage(imageData, options.cleanup);
+  }
 
+  return await saveSignatureImage(name, imageData);
+}
+
+/**
+ * Save a new signature from image data, such as a drawn or typed signature
+ * @param {string} name - Display name for the signature
+ * @param {string} imageData - PNG or JPEG data URL
+ * @param {Object} [options] - Save options
+ * @param {number} [options.pixelRatio=1] - Image pixels per screen pixel, for
+ *   images rendered at high resolution
+ * @param {VectorSignature} [options.vector] - Vector version of the image,
+ *   embedded instead of it
+ * @returns {Promise<Signature>} The saved signature object
+ */
+export async function saveSignatureImage(name, imageData, options = {}) {
   // Get image dimensions
   const dimensions = await getImageDimensions(imageData);
 
   // Convert pixels to points (assuming 96 DPI screen, PDF uses 72 DPI)
-  const scale = 72 / 96;
+  const scale = 72 / 96 / (options.pixelRatio || 1);
   const width = dimensions.width * scale;
   const height = dimensions.height * scale;
 
+  // Cap the default size, keeping the aspect ratio
+  const fit = Math.min(1, 200 / width, 100 / height);
+
   // Create signature object
   const signature = {
     id: `sig_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
     name: name.trim() || 'Unnamed Signature',
     imageData: imageData,
-    width: Math.min(width, 200), // Cap default width
-    height: Math.min(height, 100), // Cap default height
+    width: width * fit,
+    height: height * fit,
+    ...(options.vector && { vector: options.vector }),
     created: new Date().toISOString()
   };
 
-  // Load existing signatures
-  const signatures = await loadSignatures();
-
-  // Check if we've reached the limit
-  if (signatures.length >= MAX_SIGNATURES) {
-    throw new Error(`Maximum of ${MAX_SIGNATURES} signatures allowed. Please delete an existing signature first.`);
-  }
-
-  // Add new signature
-  signatures.push(signature);
-
-  // Save to storage
-  await browser.storage.local.set({ [STORAGE_KEY]: signatures });
+  // Save to storage, and to other computers if it is small enough
+  await writeVaultItem(signature);
+  await pushSignature(signature);
 
   return signature;
 }
@@ -95,14 +168,11 @@ export async function saveSignature(name, imageFile) {
  * @returns {Promise<void>}
  */
 export async function deleteSignature(signatureId) {
-  const signatures = await loadSignatures();
-  const filtered = signatures.filter(sig => sig.id !== signatureId);
-
-  if (filtered.length === signatures.length) {
+  if (!(await deleteVaultItem(signatureId))) {
     throw new Error('Signature not found');
   }
 
-  await browser.storage.local.set({ [STORAGE_KEY]: filtered });
+  await removeSyncedSignature(signatureId);
 }
 
 /**
@@ -123,17 +193,17 @@ export async function getSignature(signatureId) {
  * @returns {Promise<void>}
  */
 export async function updateSignatureDimensions(signatureId, width, height) {
-  const signatures = await loadSignatures();
-  const index = signatures.findIndex(sig => sig.id === signatureId);
+  const signature = await getSignature(signatureId);
 
-  if (index === -1) {
+  if (!signature) {
     throw new Error('Signature not found');
   }
 
-  signatures[index].width = width;
-  signatures[index].height = height;
+  signature.width = width;
+  signature.height = height;
 
-  await browser.storage.local.set({ [STORAGE_KEY]: signatures });
+  await writeVaultItem(signature);
+  await pushSignature(signature);
 }
 
 /**
@@ -141,84 +211,127 @@ export async function updateSignatureDimensions(signatureId, width, height) {
  * @param {PDFDocument} pdfDoc - The PDF document
  * @param {number} pageIndex - Zero-based page index
  * @param {Signature} signature - The signature to insert
- * @param {Object} position - Position and size
+ * @param {Object} position - Position and size on the page as displayed,
+ *   so rotated and cropped pages need no special handling
  * @param {number} position.x - X position in points (from left)
  * @param {number} position.y - Y position in points (from bottom)
  * @param {number} position.width - Width in points
  * @param {number} position.height - Height in points
- * @param {number} [position.rotation=0] - Rotation in degrees
+ * @param {number} [position.rotation=0] - Clockwise rotation in degrees
+ *   about the center
  * @param {Object} [options] - Additional options
- * @param {boolean} [options.addTimestamp=false] - Add timestamp below signature
+ * @param {boolean} [options.addTimestamp=false] - Add a timestamp next to
+ *   the signature
+ * @param {StampSettings} [options.stamp] - Label, date format and layout of
+ *   the timestamp; the defaults give "Signed: <date>" below the signature
+ * @param {Date} [options.date=new Date()] - Time shown in the timestamp
  * @returns {Promise<PDFDocument>} The modified PDF document
  */
 export async function insertSignatureIntoPDF(pdfDoc, pageIndex, signature, position, options = {}) {
-  // Convert data URL to bytes
-  const imageBytes = dataURLToBytes(signature.imageData);
-
-  // Determine image type from data URL
-  const imageType = signature.imageData.includes('image/png') ? 'png' : 'jpeg';
-
-  // Insert the signature image
-  await insertImageOnPage(pdfDoc, pageIndex, imageBytes, imageType, {
-    x: position.x,
-    y: position.y,
-    width: position.width,
-    height: position.height,
-    rotation: position.rotation || 0,
-    opacity: 1
-  });
+  const geometry = getPageGeometry(pdfDoc.getPage(pageIndex));
+  const placement = placementToPdf(geometry, position);
+
+  if (signature.vector) {
+    // Vector signatures stay sharp at any zoom
+    insertVectorOnPage(pdfDoc, pageIndex, signature.vector, placement);
+  } else {
+    // Convert data URL to bytes
+    const imageBytes = dataURLToBytes(signature.imageData);
+
+    // Determine image type from data URL
+    const imageType = signature.imageData.includes('image/png') ? 'png' : 'jpeg';
+
+    // Insert the signature image
+    await insertImageOnPage(pdfDoc, pageIndex, imageBytes, imageType, {
+      ...placement,
+      opacity: 1
+    });
+  }
 
   // Add timestamp if requested
   if (options.addTimestamp) {
-    const timestamp = formatTimestamp(new Date());
+    const settings = { ...DEFAULT_STAMP_SETTINGS, ...options.stamp };
+    const lines = getStampLines(options.date || new Date(), settings);
+
+    if (lines.length > 0) {
+      // Laid out as displayed, then turned with the page so it reads upright
+      const stamp = layoutStamp(lines, getPlacementBounds(position), settings);
+      const start = viewportToPdfPoint(geometry, stamp.x, geometry.displayHeight - stamp.y);
+      await addTextToPage(pdfDoc, pageIndex, stamp.text, { ...stamp, ...start, rotation: geometry.rotation });
+    }
+  }
 
-    await addTextToPage(pdfDoc, pageIndex, `Signed: ${timestamp}`, {
-      x: position.x,
-      y: position.y - 12, // Below signature
-      size: 8,
-      color: { r: 0.4, g: 0.4, b: 0.4 }
-    });
+  return pdfDoc;
+}
+
+/**
+ * Insert a signature into several pages at the same relative position, e.g.
+ * initials on every page. The signature keeps its size; on pages of another
+ * size its center sits at the same fraction of the page's width and height,
+ * moved inwards where it would stick out.
+ * @param {PDFDocument} pdfDoc - The PDF document
+ * @param {number[]} pageIndices - Zero-based indices of the pages
+ * @param {number} sourcePageIndex - Page the position was chosen on
+ * @param {Signature} signature - The signature to insert
+ * @param {Object} position - Position on the source page, as for
+ *   insertSignatureIntoPDF
+ * @param {Object} [options] - Options as for insertSignatureIntoPDF
+ * @returns {Promise<PDFDocument>} The modified PDF document
+ */
+export async function insertSignatureOnPages(pdfDoc, pageIndices, sourcePageIndex, signature, position, options = {}) {
+  // One signing time for every page
+  const pageOptions = { ...options, date: options.date || new Date() };
+
+  for (const pageIndex of pageIndices) {
+    const pagePosition = getPositionOnPage(pdfDoc, sourcePageIndex, pageIndex, position);
+    await insertSignatureIntoPDF(pdfDoc, pageIndex, signature, pagePosition, pageOptions);
   }
 
   return pdfDoc;
 }
 
 /**
- * Format a date as a timestamp string
- * @param {Date} date - The date to format
- * @returns {string} Formatted timestamp
+ * Move a position chosen on one page to the same relative place on another,
+ * as insertSignatureOnPages does
+ * @param {PDFDocument} pdfDoc - The PDF document
+ * @param {number} sourcePageIndex - Page the position was chosen on
+ * @param {number} pageIndex - Page to move it to
+ * @param {Object} position - Position on the source page
+ * @returns {Object} Position on the other page
  */
-function formatTimestamp(date) {
-  const options = {
-    year: 'numeric',
-    month: 'short',
-    day: 'numeric',
-    hour: '2-digit',
-    minute: '2-digit'
+export function getPositionOnPage(pdfDoc, sourcePageIndex, pageIndex, position) {
+  const source = getPageGeometry(pdfDoc.getPage(sourcePageIndex));
+  const target = getPageGeometry(pdfDoc.getPage(pageIndex));
+  const x = (position.x + position.width / 2) / source.displayWidth * target.displayWidth - position.width / 2;
+  const y = (position.y + position.height / 2) / source.displayHeight * target.displayHeight - position.height / 2;
+
+  return {
+    ...position,
+    x: clamp(x, 0, target.displayWidth - position.width),
+    y: clamp(y, 0, target.displayHeight - position.height)
   };
-  return date.toLocaleDateString('en-US', options);
+}
+
+/**
+ * Keep a value within a range; a range too small for it keeps its start
+ */
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(value, max));
 }
 
 /**
  * Check storage usage for signatures
- * @returns {Promise<{used: number, limit: number, signatures: number}>}
+ * @returns {Promise<{used: number, limit: number, signatures: number}>} Bytes
+ *   used and available to the extension, as reported by the browser
  */
 export async function getStorageUsage() {
   const signatures = await loadSignatures();
-
-  // Estimate size of stored data
-  let totalSize = 0;
-  for (const sig of signatures) {
-    totalSize += sig.imageData.length;
-    totalSize += sig.name.length;
-    totalSize += 100; // Rough estimate for other fields
-  }
+  const { usage = 0, quota = 0 } = await navigator.storage.estimate();
 
   return {
-    used: totalSize,
-    limit: 5 * 1024 * 1024, // 5MB typical extension storage limit
-    signatures: signatures.length,
-    maxSignatures: MAX_SIGNATURES
+    used: usage,
+    limit: quota,
+    signatures: signatures.length
   };
 }
 
@@ -251,15 +364,16 @@ export async function importSignatures(jsonString, replace = false) {
     }
   }
 
-  let signatures;
   if (replace) {
-    signatures = imported.slice(0, MAX_SIGNATURES);
-  } else {
-    const existing = await loadSignatures();
-    signatures = [...existing, ...imported].slice(0, MAX_SIGNATURES);
+    for (const sig of await loadSignatures()) {
+      await deleteSignature(sig.id);
+    }
   }
 
-  await browser.storage.local.set({ [STORAGE_KEY]: signatures });
+  for (const sig of imported) {
+    await writeVaultItem(sig);
+    await pushSignature(sig);
+  }
 
   return imported.length;
 }
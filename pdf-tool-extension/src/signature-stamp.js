@@ -0,0 +1,315 @@
+/**
+ * Signature Stamp Module
+ * Settings and layout of the text added next to placed signatures: the
+ * "Signed:" line with its date and time, and optional extra lines
+ */
+
+import { hexToComponents } from './pdf-operations.js';
+
+const STORAGE_KEY = 'stampSettings';
+
+export const DATE_FORMATS = {
+  LOCALE: 'locale',
+  ISO: 'iso',
+  CUSTOM: 'custom'
+};
+
+export const STAMP_POSITIONS = {
+  BELOW: 'below',
+  ABOVE: 'above',
+  RIGHT: 'right'
+};
+
+// Space between the signature and the stamp, in points
+const STAMP_GAP = 4;
+
+// Line spacing as a multiple of the font size
+const LINE_HEIGHT = 1.25;
+
+const MIN_FONT_SIZE = 4;
+const MAX_FONT_SIZE = 36;
+
+/**
+ * @typedef {Object} StampSettings
+ * @property {string} label - First line; {date} and {name} are filled in
+ * @property {string[]} extraLines - Further lines, with the same placeholders
+ * @property {string} signerName - Text for {name}
+ * @property {string} dateFormat - One of DATE_FORMATS
+ * @property {string} pattern - Pattern for the custom format, e.g.
+ *   "DD.MM.YYYY HH:mm"
+ * @property {string} locale - Locale for the locale format and month names,
+ *   e.g. "de-DE"; empty for the browser's
+ * @property {string} timeZone - IANA time zone, e.g. "Europe/Berlin"; empty
+ *   for the computer's
+ * @property {boolean} showOffset - Add the UTC offset, e.g. "UTC+02:00"
+ * @property {string} position - One of STAMP_POSITIONS
+ * @property {number} fontSize - Font size in points
+ * @property {string} color - Text color as #rrggbb
+ */
+
+/** @type {StampSettings} */
+export const DEFAULT_STAMP_SETTINGS = {
+  label: 'Signed: {date}',
+  extraLines: [],
+  signerName: '',
+  dateFormat: DATE_FORMATS.LOCALE,
+  pattern: 'DD.MM.YYYY HH:mm',
+  locale: 'en-US',
+  timeZone: '',
+  showOffset: false,
+  position: STAMP_POSITIONS.BELOW,
+  fontSize: 8,
+  color: '#666666'
+};
+
+/**
+ * Load the stamp settings, filling in defaults for anything not saved
+ * @returns {Promise<StampSettings>} The settings
+ */
+export async function loadStampSettings() {
+  try {
+    const result = await browser.storage.local.get(STORAGE_KEY);
+    return { ...DEFAULT_STAMP_SETTINGS, ...result[STORAGE_KEY] };
+  } catch (error) {
+    console.error('Failed to load stamp settings:', error);
+    return { ...DEFAULT_STAMP_SETTINGS };
+  }
+}
+
+/**
+ * Check and save the stamp settings
+ * @param {StampSettings} settings - The settings
+ * @returns {Promise<void>}
+ */
+export async function saveStampSettings(settings) {
+  validateStampSettings(settings);
+  await browser.storage.local.set({ [STORAGE_KEY]: settings });
+}
+
+/**
+ * Check stamp settings, throwing an error that describes the first problem
+ * @param {StampSettings} settings - The settings
+ */
+export function validateStampSettings(settings) {
+  if (!(settings.fontSize >= MIN_FONT_SIZE && settings.fontSize <= MAX_FONT_SIZE)) {
+    throw new Error(`Font size must be between ${MIN_FONT_SIZE} and ${MAX_FONT_SIZE}`);
+  }
+
+  if (!/^#[0-9a-f]{6}$/i.test(settings.color)) {
+    throw new Error('Color must be in #rrggbb form');
+  }
+
+  if (settings.dateFormat === DATE_FORMATS.CUSTOM && !settings.pattern.trim()) {
+    throw new Error('Enter a date pattern, e.g. DD.MM.YYYY HH:mm');
+  }
+
+  try {
+    new Intl.DateTimeFormat(settings.locale || undefined);
+  } catch (error) {
+    throw new Error(`"${settings.locale}" is not a valid locale, e.g. de-DE`);
+  }
+
+  try {
+    new Intl.DateTimeFormat(undefined, { timeZone: settings.timeZone || undefined });
+  } catch (error) {
+    throw new Error(`"${settings.timeZone}" is not a valid time zone, e.g. Europe/Berlin or UTC`);
+  }
+
+  // Stamps are drawn in Helvetica, which only has Latin characters
+  const font = PDFLib.StandardFontEmbedder.for(PDFLib.StandardFonts.Helvetica);
+  const canDraw = text => {
+    try {
+      font.encodeText(text);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  };
+
+  const text = [settings.label, ...settings.extraLines, settings.signerName].find(line => !canDraw(line));
+  if (text !== undefined) {
+    throw new Error(`Stamps can only use Latin characters: ${text}`);
+  }
+
+  // Every month, in case only some month names are not Latin
+  const samples = Array.from({ length: 12 }, (_, month) => new Date(2024, month, 15, 13, 5, 9));
+  const date = samples.map(sample => formatStampDate(sample, settings)).find(line => !canDraw(line));
+  if (date !== undefined) {
+    throw new Error(`Dates in this format use characters stamps cannot show (${date}). Choose a Latin-script locale or the ISO format.`);
+  }
+}
+
+/**
+ * Get the lines of a stamp with their placeholders filled in
+ * @param {Date} date - Signing time
+ * @param {StampSettings} settings - Stamp settings
+ * @returns {string[]} Non-empty lines
+ */
+export function getStampLines(date, settings) {
+  const dateText = formatStampDate(date, settings);
+
+  return [settings.label, ...settings.extraLines]
+    .map(line => line.replace(/\{date\}/g, dateText).replace(/\{name\}/g, settings.signerName).trim())
+    .filter(Boolean);
+}
+
+/**
+ * Lay out stamp lines next to a signature
+ * @param {string[]} lines - Lines from getStampLines
+ * @param {Object} position - Signature position and size in points
+ * @param {StampSettings} settings - Stamp settings
+ * @returns {Object} Text block for addTextToPage: text, x and y of the first
+ *   baseline, size, lineHeight and color
+ */
+export function layoutStamp(lines, position, settings) {
+  const size = settings.fontSize;
+  const lineHeight = size * LINE_HEIGHT;
+  let x = position.x;
+  let y;
+
+  switch (settings.position) {
+    case STAMP_POSITIONS.ABOVE:
+      // Last line just clears the top edge, descenders included
+      y = position.y + position.height + STAMP_GAP + size * 0.25 + (lines.length - 1) * lineHeight;
+      break;
+    case STAMP_POSITIONS.RIGHT:
+      // First line level with the top edge
+      x = position.x + position.width + STAMP_GAP;
+      y = position.y + position.height - size;
+      break;
+    default:
+      y = position.y - STAMP_GAP - size;
+  }
+
+  const [r, g, b] = hexToComponents(settings.color);
+
+  return {
+    text: lines.join('\n'),
+    x,
+    y,
+    size,
+    lineHeight,
+    color: { r, g, b }
+  };
+}
+
+/**
+ * Format the signing time as the settings ask
+ * @param {Date} date - The time
+ * @param {StampSettings} settings - Stamp settings
+ * @returns {string} Formatted date and time
+ */
+export function formatStampDate(date, settings) {
+  const timeZone = settings.timeZone || undefined;
+  const parts = getZonedParts(date, timeZone);
+  let text;
+
+  switch (settings.dateFormat) {
+    case DATE_FORMATS.ISO:
+      // Always carries its offset
+      return `${pad(parts.year, 4)}-${pad(parts.month)}-${pad(parts.day)}T` +
+        `${pad(parts.hour)}:${pad(parts.minute)}:${pad(parts.second)}` +
+        (parts.offset === 0 ? 'Z' : formatOffset(parts.offset));
+    case DATE_FORMATS.CUSTOM:
+      text = formatPattern(settings.pattern, parts, settings.locale || undefined, date, timeZone);
+      break;
+    default:
+      text = new Intl.DateTimeFormat(settings.locale || undefined, {
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit',
+        timeZone
+      }).format(date);
+  }
+
+  // Locales may use narrow or no-break spaces, which the standard PDF font
+  // cannot encode
+  text = text.replace(/\s/g, ' ');
+
+  return settings.showOffset ? `${text} UTC${formatOffset(parts.offset)}` : text;
+}
+
+/**
+ * Fill in a date pattern. Tokens: YYYY, YY, MMMM, MMM, MM, M, DD, D, HH, H,
+ * hh, h, mm, ss, A and Z (UTC offset); text in [brackets] is kept as it is.
+ */
+function formatPattern(pattern, parts, locale, date, timeZone) {
+  const monthName = style => new Intl.DateTimeFormat(locale, { month: style, timeZone }).format(date);
+  const hour12 = parts.hour % 12 || 12;
+
+  const tokens = {
+    YYYY: () => pad(parts.year, 4),
+    YY: () => pad(parts.year % 100),
+    MMMM: () => monthName('long'),
+    MMM: () => monthName('short'),
+    MM: () => pad(parts.month),
+    M: () => String(parts.month),
+    DD: () => pad(parts.day),
+    D: () => String(parts.day),
+    HH: () => pad(parts.hour),
+    H: () => String(parts.hour),
+    hh: () => pad(hour12),
+    h: () => String(hour12),
+    mm: () => pad(parts.minute),
+    ss: () => pad(parts.second),
+    A: () => (parts.hour < 12 ? 'AM' : 'PM'),
+    Z: () => formatOffset(parts.offset)
+  };
+
+  return pattern.replace(/\[([^\]]*)\]|YYYY|YY|MMMM|MMM|MM|M|DD|D|HH|H|hh|h|mm|ss|A|Z/g,
+    (token, literal) => (literal !== undefined ? literal : tokens[token]()));
+}
+
+/**
+ * Get the calendar fields of a time in a time zone, with the zone's offset
+ * from UTC in minutes
+ */
+function getZonedParts(date, timeZone) {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  });
+  const values = {};
+  for (const part of formatter.formatToParts(date)) {
+    values[part.type] = Number(part.value);
+  }
+
+  const parts = {
+    year: values.year,
+    month: values.month,
+    day: values.day,
+    hour: values.hour % 24,
+    minute: values.minute,
+    second: values.second
+  };
+
+  // The wall-clock time read as UTC, minus the real time, is the offset
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  parts.offset = Math.round((wallClock - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+
+  return parts;
+}
+
+/**
+ * Format a UTC offset in minutes as +hh:mm
+ */
+function formatOffset(minutes) {
+  const sign = minutes < 0 ? '-' : '+';
+  const absolute = Math.abs(minutes);
+  return `${sign}${pad(Math.floor(absolute / 60))}:${pad(absolute % 60)}`;
+}
+
+/**
+ * Zero-pad a number
+ */
+function pad(value, length = 2) {
+  return String(value).padStart(length, '0');
+}
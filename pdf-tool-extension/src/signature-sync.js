@@ -0,0 +1,166 @@
+/**
+ * Signature Sync Module
+ * Optionally copies small vector signatures to browser.storage.sync, so
+ * they follow the user to their other computers. Synced signatures are
+ * encrypted with the library key, and the vault parameters are synced with
+ * them so the same passphrase unlocks them elsewhere. Images are never
+ * synced; they do not fit the sync quota.
+ */
+
+import { getVaultParams, encryptJSON, decryptJSON } from './signature-vault.js';
+
+const ENABLED_KEY = 'signatureSyncEnabled';
+const VAULT_KEY = 'signatureVault';
+const ITEM_PREFIX = 'syncedSignature_';
+
+// storage.sync allows 8KB per item, counting the key
+const MAX_ITEM_BYTES = 8192;
+
+/**
+ * Check whether syncing is turned on for this browser
+ * @returns {Promise<boolean>} True if signatures are synced
+ */
+export async function isSyncEnabled() {
+  try {
+    const result = await browser.storage.local.get(ENABLED_KEY);
+    return Boolean(result[ENABLED_KEY]);
+  } catch (error) {
+    console.error('Failed to load sync setting:', error);
+    return false;
+  }
+}
+
+/**
+ * Turn syncing on or off. Turning it on uploads the vault parameters and
+ * every signature that fits; turning it off removes the synced copies.
+ * @param {boolean} enabled - Whether to sync
+ * @param {Signature[]} signatures - The unlocked library
+ * @returns {Promise<number>} Number of signatures synced
+ */
+export async function setSyncEnabled(enabled, signatures) {
+  if (!enabled) {
+    await browser.storage.local.set({ [ENABLED_KEY]: false });
+    const synced = await browser.storage.sync.get(null);
+    await browser.storage.sync.remove(Object.keys(synced).filter(key => key.startsWith(ITEM_PREFIX)));
+    return 0;
+  }
+
+  const params = await getVaultParams();
+  const syncedParams = await getSyncedVaultParams();
+
+  // Signatures synced from another computer under a different passphrase
+  // could never be decrypted here
+  if (syncedParams && syncedParams.salt !== params.salt) {
+    throw new Error('Your other computer syncs signatures with a different passphrase. Turn sync off there first.');
+  }
+
+  await browser.storage.sync.set({ [VAULT_KEY]: params });
+  await browser.storage.local.set({ [ENABLED_KEY]: true });
+
+  let count = 0;
+  for (const signature of signatures) {
+    if (await pushSignature(signature)) {
+      count++;
+    }
+  }
+  return count;
+}
+
+/**
+ * Remove everything synced, including the vault parameters, after the
+ * library was deleted for a forgotten passphrase
+ * @returns {Promise<void>}
+ */
+export async function clearSyncedSignatures() {
+  await browser.storage.local.set({ [ENABLED_KEY]: false });
+  const synced = await browser.storage.sync.get(null);
+  await browser.storage.sync.remove(Object.keys(synced).filter(key => key === VAULT_KEY || key.startsWith(ITEM_PREFIX)));
+}
+
+/**
+ * Get the vault parameters synced from another computer
+ * @returns {Promise<VaultParams|null>} The parameters, or null if none
+ */
+export async function getSyncedVaultParams() {
+  try {
+    const result = await browser.storage.sync.get(VAULT_KEY);
+    return result[VAULT_KEY] || null;
+  } catch (error) {
+    console.error('Failed to load synced vault:', error);
+    return null;
+  }
+}
+
+/**
+ * Check whether a signature can be synced at all
+ * @param {Signature} signature - The signature
+ * @returns {boolean} True for vector signatures
+ */
+export function isSyncable(signature) {
+  return Boolean(signature.vector);
+}
+
+/**
+ * Upload a signature if syncing is on and it is a small vector signature
+ * @param {Signature} signature - The signature
+ * @returns {Promise<boolean>} True if it was synced
+ */
+export async function pushSignature(signature) {
+  if (!isSyncable(signature) || !(await isSyncEnabled())) {
+    return false;
+  }
+
+  // The preview image is rebuilt from the paths on the other side
+  const { id, name, vector, width, height, created } = signature;
+  const key = ITEM_PREFIX + id;
+  const value = await encryptJSON({ id, name, vector, width, height, created });
+
+  if (key.length + JSON.stringify(value).length > MAX_ITEM_BYTES) {
+    return false;
+  }
+
+  try {
+    await browser.storage.sync.set({ [key]: value });
+    return true;
+  } catch (error) {
+    // Over the total sync quota; the signature stays in the local library
+    console.error('Failed to sync signature:', error);
+    return false;
+  }
+}
+
+/**
+ * Remove a signature's synced copy, if any
+ * @param {string} signatureId - ID of the signature
+ * @returns {Promise<void>}
+ */
+export async function removeSyncedSignature(signatureId) {
+  if (await isSyncEnabled()) {
+    await browser.storage.sync.remove(ITEM_PREFIX + signatureId);
+  }
+}
+
+/**
+ * Download and decrypt the synced signatures
+ * @returns {Promise<Object[]>} Signatures without their preview images
+ */
+export async function pullSignatures() {
+  if (!(await isSyncEnabled())) {
+    return [];
+  }
+
+  const synced = await browser.storage.sync.get(null);
+  const signatures = [];
+
+  for (const [key, value] of Object.entries(synced)) {
+    if (!key.startsWith(ITEM_PREFIX)) continue;
+
+    try {
+      signatures.push(await decryptJSON(value));
+    } catch (error) {
+      console.error('Failed to decrypt synced signature:', error);
+    }
+  }
+
+  return signatures;
+}
@@ -0,0 +1,348 @@
+/**
+ * Signature Vault Module
+ * Encrypted storage for the signature library. Signatures are kept in
+ * IndexedDB, each encrypted with AES-GCM under a key derived from the
+ * user's passphrase with PBKDF2. The passphrase is never stored; the key
+ * stays in session storage until the browser closes or the vault is locked.
+ */
+
+import { pbkdf2, randomBytes, bytesToBase64, base64ToBytes } from './crypto-utils.js';
+
+const DB_NAME = 'pdf-tool';
+const DB_VERSION = 1;
+const RECORD_STORE = 'signatures';
+const SETTINGS_STORE = 'settings';
+const VAULT_SETTINGS = 'vault';
+const SESSION_KEY = 'signatureVaultKey';
+
+const KDF_HASH = 'SHA-256';
+const KDF_ITERATIONS = 600000;
+const KEY_LENGTH = 32;
+const MIN_PASSPHRASE_LENGTH = 8;
+
+// Encrypted with the key to recognize a wrong passphrase
+const CHECK_TEXT = 'pdf-tool signature vault';
+
+/**
+ * @typedef {Object} VaultParams
+ * @property {string} salt - PBKDF2 salt, base64
+ * @property {number} iterations - PBKDF2 iteration count
+ * @property {EncryptedData} check - CHECK_TEXT encrypted with the key
+ */
+
+/**
+ * @typedef {Object} EncryptedData
+ * @property {string} iv - AES-GCM nonce, base64
+ * @property {string} data - Cipher text with its tag, base64
+ */
+
+// Unlocked key, kept while the popup is open
+let vaultKey = null;
+
+/**
+ * Check whether a vault has been set up
+ * @returns {Promise<boolean>} True if a passphrase has been chosen
+ */
+export async function isVaultCreated() {
+  return Boolean(await getVaultParams());
+}
+
+/**
+ * Check whether the vault is unlocked
+ * @returns {boolean} True if signatures can be read and written
+ */
+export function isVaultUnlocked() {
+  return vaultKey !== null;
+}
+
+/**
+ * Set up the vault with a new passphrase and unlock it
+ * @param {string} passphrase - The passphrase
+ * @param {VaultParams} [params] - Salt and check from another computer, so
+ *   the same passphrase gives the same key there and here
+ * @returns {Promise<void>}
+ */
+export async function createVault(passphrase, params) {
+  if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`The passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters long`);
+  }
+  if (await isVaultCreated()) {
+    throw new Error('The signature library already has a passphrase');
+  }
+
+  if (params) {
+    vaultKey = await deriveKey(passphrase, params);
+    if (!(await checkKey(vaultKey, params))) {
+      vaultKey = null;
+      throw new Error('Incorrect passphrase. Enter the one you chose on your other computer.');
+    }
+  } else {
+    const salt = bytesToBase64(randomBytes(16));
+    vaultKey = await deriveKey(passphrase, { salt, iterations: KDF_ITERATIONS });
+    params = { salt, iterations: KDF_ITERATIONS, check: await encryptJSON(CHECK_TEXT) };
+  }
+
+  await putRecord(SETTINGS_STORE, { name: VAULT_SETTINGS, ...params });
+  await rememberKey();
+}
+
+/**
+ * Unlock the vault with its passphrase
+ * @param {string} passphrase - The passphrase
+ * @returns {Promise<void>}
+ */
+export async function unlockVault(passphrase) {
+  const params = await getVaultParams();
+  if (!params) {
+    throw new Error('The signature library has no passphrase yet');
+  }
+
+  const key = await deriveKey(passphrase, params);
+  if (!(await checkKey(key, params))) {
+    throw new Error('Incorrect passphrase');
+  }
+
+  vaultKey = key;
+  await rememberKey();
+}
+
+/**
+ * Pick up the key unlocked earlier in this browser session, if any
+ * @returns {Promise<boolean>} True if the vault is now unlocked
+ */
+export async function restoreVaultSession() {
+  if (vaultKey || !browser.storage.session) {
+    return isVaultUnlocked();
+  }
+
+  const result = await browser.storage.session.get(SESSION_KEY);
+  if (result[SESSION_KEY]) {
+    vaultKey = await importKey(base64ToBytes(result[SESSION_KEY]));
+  }
+
+  return isVaultUnlocked();
+}
+
+/**
+ * Lock the vault, forgetting the key for this session
+ * @returns {Promise<void>}
+ */
+export async function lockVault() {
+  vaultKey = null;
+  if (browser.storage.session) {
+    await browser.storage.session.remove(SESSION_KEY);
+  }
+}
+
+/**
+ * Delete the vault and every signature in it, for a forgotten passphrase
+ * @returns {Promise<void>}
+ */
+export async function resetVault() {
+  await lockVault();
+  await runRequest(RECORD_STORE, 'readwrite', store => store.clear());
+  await deleteRecord(SETTINGS_STORE, VAULT_SETTINGS);
+}
+
+/**
+ * Get the vault's salt, iteration count and check value, which are not
+ * secret, for setting up the same vault elsewhere
+ * @returns {Promise<VaultParams|null>} The parameters, or null if no vault
+ */
+export async function getVaultParams() {
+  const record = await getRecord(SETTINGS_STORE, VAULT_SETTINGS);
+  if (!record) return null;
+
+  const { salt, iterations, check } = record;
+  return { salt, iterations, check };
+}
+
+/**
+ * Read and decrypt every stored item
+ * @returns {Promise<Object[]>} The items, oldest first
+ */
+export async function readVaultItems() {
+  requireUnlocked();
+
+  const records = await getAllRecords(RECORD_STORE);
+  const items = [];
+  for (const record of records) {
+    items.push(await decryptJSON(record.encrypted));
+  }
+
+  return items.sort((a, b) => (a.created || '').localeCompare(b.created || ''));
+}
+
+/**
+ * Encrypt and store an item, replacing one with the same ID
+ * @param {Object} item - Item with an id property
+ * @returns {Promise<void>}
+ */
+export async function writeVaultItem(item) {
+  requireUnlocked();
+  await putRecord(RECORD_STORE, { id: item.id, encrypted: await encryptJSON(item) });
+}
+
+/**
+ * Remove an item
+ * @param {string} id - ID of the item
+ * @returns {Promise<boolean>} True if it existed
+ */
+export async function deleteVaultItem(id) {
+  requireUnlocked();
+
+  if (!(await getRecord(RECORD_STORE, id))) {
+    return false;
+  }
+
+  await deleteRecord(RECORD_STORE, id);
+  return true;
+}
+
+/**
+ * Encrypt a JSON value with the vault key
+ * @param {*} value - Value to encrypt
+ * @returns {Promise<EncryptedData>} Nonce and cipher text
+ */
+export async function encryptJSON(value) {
+  requireUnlocked();
+
+  const iv = randomBytes(12);
+  const plain = new TextEncoder().encode(JSON.stringify(value));
+  const cipher = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, vaultKey, plain);
+
+  return { iv: bytesToBase64(iv), data: bytesToBase64(new Uint8Array(cipher)) };
+}
+
+/**
+ * Decrypt a JSON value encrypted with the vault key
+ * @param {EncryptedData} encrypted - Nonce and cipher text
+ * @returns {Promise<*>} The value
+ */
+export async function decryptJSON(encrypted) {
+  requireUnlocked();
+  return decryptWith(vaultKey, encrypted);
+}
+
+/**
+ * Throw unless the vault is unlocked
+ */
+function requireUnlocked() {
+  if (!vaultKey) {
+    throw new Error('Unlock your signature library first');
+  }
+}
+
+/**
+ * Derive the vault key from a passphrase
+ */
+async function deriveKey(passphrase, params) {
+  const bits = await pbkdf2(
+    KDF_HASH,
+    new TextEncoder().encode(passphrase.normalize('NFC')),
+    base64ToBytes(params.salt),
+    params.iterations,
+    KEY_LENGTH
+  );
+  return importKey(bits);
+}
+
+/**
+ * Import raw key bytes for AES-GCM. Extractable, so the key can be kept for
+ * the session.
+ */
+function importKey(bits) {
+  return crypto.subtle.importKey('raw', bits, 'AES-GCM', true, ['encrypt', 'decrypt']);
+}
+
+/**
+ * Keep the key in session storage, which is never written to disk, so the
+ * vault stays unlocked when the popup is reopened
+ */
+async function rememberKey() {
+  if (!browser.storage.session) return;
+
+  const bits = new Uint8Array(await crypto.subtle.exportKey('raw', vaultKey));
+  await browser.storage.session.set({ [SESSION_KEY]: bytesToBase64(bits) });
+}
+
+/**
+ * Check a key against the vault's check value
+ */
+async function checkKey(key, params) {
+  try {
+    return (await decryptWith(key, params.check)) === CHECK_TEXT;
+  } catch (error) {
+    // AES-GCM rejects cipher text under the wrong key
+    return false;
+  }
+}
+
+/**
+ * Decrypt a JSON value with a given key
+ */
+async function decryptWith(key, encrypted) {
+  const plain = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: base64ToBytes(encrypted.iv) },
+    key,
+    base64ToBytes(encrypted.data)
+  );
+  return JSON.parse(new TextDecoder().decode(plain));
+}
+
+// ============ IndexedDB helpers ============
+
+let dbPromise = null;
+
+/**
+ * Open the database, creating its stores on first use
+ */
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(RECORD_STORE, { keyPath: 'id' });
+        request.result.createObjectStore(SETTINGS_STORE, { keyPath: 'name' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(new Error('Could not open the signature library database'));
+      };
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * Run one request in a transaction and resolve with its result once the
+ * transaction completes
+ */
+async function runRequest(storeName, mode, makeRequest) {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = makeRequest(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Storage request aborted'));
+  });
+}
+
+function getRecord(storeName, key) {
+  return runRequest(storeName, 'readonly', store => store.get(key));
+}
+
+function getAllRecords(storeName) {
+  return runRequest(storeName, 'readonly', store => store.getAll());
+}
+
+function putRecord(storeName, record) {
+  return runRequest(storeName, 'readwrite', store => store.put(record));
+}
+
+function deleteRecord(storeName, key) {
+  return runRequest(storeName, 'readwrite', store => store.delete(key));
+}
@@ -0,0 +1,750 @@
+/**
+ * Signature Verifier Module
+ * Checks the digital signatures already in a PDF: who signed and when,
+ * whether the signed bytes still match their digest, and what incremental
+ * updates written after each signature changed
+ */
+
+import { OIDS, parseDER, getOctets, readOID, readTime } from './asn1.js';
+import { parseCertificate } from './certificate.js';
+import { bytesEqual, concatBytes, sha } from './crypto-utils.js';
+import { bytesToLatin1 } from './content-stream.js';
+
+const DIGESTS = {
+  [OIDS.sha1]: 'SHA-1',
+  [OIDS.sha256]: 'SHA-256',
+  [OIDS.sha384]: 'SHA-384',
+  [OIDS.sha512]: 'SHA-512'
+};
+
+// Signature algorithms that name their own digest
+const SIGNATURE_DIGESTS = {
+  [OIDS.sha1WithRSAEncryption]: 'SHA-1',
+  [OIDS.sha256WithRSAEncryption]: 'SHA-256',
+  [OIDS.sha384WithRSAEncryption]: 'SHA-384',
+  [OIDS.sha512WithRSAEncryption]: 'SHA-512',
+  [OIDS.ecdsaWithSHA1]: 'SHA-1',
+  [OIDS.ecdsaWithSHA256]: 'SHA-256',
+  [OIDS.ecdsaWithSHA384]: 'SHA-384',
+  [OIDS.ecdsaWithSHA512]: 'SHA-512'
+};
+
+// Web Crypto curve names and coordinate sizes in bytes
+const EC_CURVES = {
+  [OIDS.prime256v1]: { namedCurve: 'P-256', size: 32 },
+  [OIDS.secp384r1]: { namedCurve: 'P-384', size: 48 },
+  [OIDS.secp521r1]: { namedCurve: 'P-521', size: 66 }
+};
+
+// Keys that point back up the object tree; following them would make every
+// annotation depend on its whole page
+const BACK_REFERENCES = new Set(['P', 'Parent']);
+
+// Catalog entries compared separately, or that validation data added after
+// signing (DSS) may change
+const CATALOG_SKIPPED = new Set(['Pages', 'AcroForm', 'DSS']);
+
+// Form entries a new signature field needs
+const SIGNATURE_FORM_ENTRIES = new Set(['Fields', 'SigFlags']);
+
+/**
+ * @typedef {Object} SignatureReport
+ * @property {string} fieldName - Name of the signature field
+ * @property {string} signer - Signer's name, from the certificate if possible
+ * @property {Certificate|null} certificate - Signer certificate
+ * @property {Date|null} signingTime - When the document was signed
+ * @property {string|null} timeSource - 'timestamp', 'signer' or 'pdf': a
+ *   timestamp authority, the signer's own clock, or the PDF signature date
+ * @property {string} reason - Reason given by the signer
+ * @property {string} location - Location given by the signer
+ * @property {boolean} coversWholeDocument - False if the document was updated
+ *   after signing
+ * @property {string} status - 'pass', 'warn' or 'fail', the worst check
+ * @property {VerificationCheck[]} checks - Individual checks
+ */
+
+/**
+ * Verify every signed signature field of a PDF
+ * @param {Uint8Array} pdfBytes - The PDF exactly as received
+ * @returns {Promise<SignatureReport[]>} One report per signature, in signing
+ *   order
+ */
+export async function verifySignatures(pdfBytes) {
+  const pdfDoc = await PDFLib.PDFDocument.load(pdfBytes, { updateMetadata: false, ignoreEncryption: true });
+  const reports = [];
+
+  for (const [index, field] of getSignatureFields(pdfDoc).entries()) {
+    reports.push(await verifySignature(pdfBytes, pdfDoc, field, index));
+  }
+
+  return reports.sort((a, b) => a.revisionLength - b.revisionLength).map(({ revisionLength, ...report }) => report);
+}
+
+/**
+ * Verify one signature
+ * @param {Uint8Array} pdfBytes - The whole PDF
+ * @param {PDFDocument} pdfDoc - The PDF as loaded
+ * @param {{name: string, dict: PDFDict}} field - Field name and signature
+ *   dictionary
+ * @param {number} index - Position of the field in the form
+ * @returns {Promise<SignatureReport>} The report, with the length of the
+ *   signed revision for sorting
+ */
+async function verifySignature(pdfBytes, pdfDoc, field, index) {
+  const { dict } = field;
+
+  // Strings in encrypted files are encrypted too; only /Contents is left in
+  // the clear, so the signature itself can still be checked
+  const readable = !pdfDoc.isEncrypted;
+  const date = readable ? readDate(dict, 'M') : null;
+  const report = {
+    fieldName: readable ? field.name : `Signature ${index + 1}`,
+    signer: (readable && readText(dict, 'Name')) || 'Unknown signer',
+    certificate: null,
+    signingTime: date,
+    timeSource: date ? 'pdf' : null,
+    reason: readable ? readText(dict, 'Reason') : '',
+    location: readable ? readText(dict, 'Location') : '',
+    coversWholeDocument: false,
+    revisionLength: pdfBytes.length,
+    checks: []
+  };
+
+  const byteRange = readByteRange(dict, pdfBytes);
+  if (!byteRange) {
+    return finishReport(report, [failCheck('integrity', 'The bytes the signature covers do not line up with this file')]);
+  }
+
+  const [, contentsStart, contentsEnd, tailLength] = byteRange;
+  report.revisionLength = contentsEnd + tailLength;
+  report.coversWholeDocument = report.revisionLength === pdfBytes.length;
+
+  const subFilter = readName(dict, 'SubFilter');
+  if (subFilter === 'adbe.x509.rsa_sha1') {
+    return finishReport(report, [warnCheck('signature', 'This older signature format (adbe.x509.rsa_sha1) cannot be checked')]);
+  }
+
+  let cms;
+  try {
+    const hex = bytesToLatin1(pdfBytes.subarray(contentsStart + 1, contentsEnd - 1)).replace(/\s/g, '');
+    cms = parseSignedData(hexToBytes(hex));
+  } catch (error) {
+    return finishReport(report, [failCheck('signature', 'The signature data could not be read')]);
+  }
+
+  const signedBytes = concatBytes(
+    pdfBytes.subarray(0, contentsStart),
+    pdfBytes.subarray(contentsEnd, report.revisionLength)
+  );
+  const checks = [];
+
+  // Integrity: the signed attributes carry the digest of the signed bytes;
+  // adbe.pkcs7.sha1 signs a SHA-1 digest wrapped as content instead
+  const { signerInfo } = cms;
+  const hash = DIGESTS[signerInfo.digestAlgorithm];
+  if (!hash) {
+    return finishReport(report, [warnCheck('signature', 'The signature uses an unsupported digest algorithm')]);
+  }
+
+  let signedContent = signedBytes;
+  let digestMatches;
+  if (subFilter === 'adbe.pkcs7.sha1') {
+    signedContent = cms.content || new Uint8Array(0);
+    digestMatches = bytesEqual(signedContent, await sha('SHA-1', signedBytes));
+  }
+
+  const messageDigest = signerInfo.attributes.get(OIDS.messageDigest);
+  if (messageDigest) {
+    const contentMatches = bytesEqual(messageDigest.content, await sha(hash, signedContent));
+    digestMatches = digestMatches === undefined ? contentMatches : digestMatches && contentMatches;
+  }
+
+  // Without signed attributes the signature is over the content itself
+  const signatureData = signerInfo.signedAttributes || signedContent;
+
+  // Signature value: try the certificate the signer names first, then the
+  // others, since some signers identify themselves by key ID
+  const candidates = [
+    ...cms.certificates.filter(cert => signerInfo.matches(cert)),
+    ...cms.certificates.filter(cert => !signerInfo.matches(cert))
+  ];
+  let signatureValid = null;
+  for (const certificate of candidates) {
+    const result = await verifySignatureValue(certificate, signerInfo, hash, signatureData);
+    if (result === null || (signatureValid === false && !result)) continue;
+
+    signatureValid = result;
+    report.certificate = certificate;
+    if (result) break;
+  }
+
+  if (digestMatches === undefined) {
+    checks.push(signatureValid
+      ? passCheck('integrity', 'Signed content is unchanged')
+      : failCheck('integrity', 'Signed content could not be confirmed'));
+  } else {
+    checks.push(digestMatches
+      ? passCheck('integrity', 'Signed content is unchanged')
+      : failCheck('integrity', 'Signed content was altered', ['The digest of the signed bytes no longer matches the one in the signature']));
+  }
+
+  if (candidates.length === 0) {
+    checks.push(warnCheck('signature', "The signature does not include the signer's certificate, so it was not checked"));
+  } else if (signatureValid === null) {
+    checks.push(warnCheck('signature', 'The signature algorithm is not supported, so the signature value was not checked'));
+  } else {
+    checks.push(signatureValid
+      ? passCheck('signature', "Signature matches the signer's certificate")
+      : failCheck('signature', "Signature does not match the signer's certificate"));
+  }
+
+  if (report.certificate) {
+    report.signer = report.certificate.subject.displayName;
+  }
+
+  // Signing time, preferring a trusted timestamp over the signer's clock
+  const timestamp = await readTimestamp(signerInfo);
+  const signingTime = signerInfo.attributes.get(OIDS.signingTime);
+  if (timestamp) {
+    report.signingTime = timestamp;
+    report.timeSource = 'timestamp';
+  } else if (signingTime) {
+    report.signingTime = readTime(signingTime);
+    report.timeSource = 'signer';
+  }
+
+  if (report.certificate) {
+    checks.push(checkCertificateValidity(report.certificate, report.signingTime));
+  }
+
+  checks.push(await checkLaterUpdates(pdfBytes, pdfDoc, report));
+
+  return finishReport(report, checks);
+}
+
+/**
+ * Set the checks and overall status of a report
+ */
+function finishReport(report, checks) {
+  report.checks = checks;
+  report.status = checks.some(check => check.status === 'fail')
+    ? 'fail'
+    : checks.some(check => check.status === 'warn') ? 'warn' : 'pass';
+  return report;
+}
+
+/**
+ * Check that the certificate was within its validity period at signing time
+ */
+function checkCertificateValidity(certificate, signingTime) {
+  const date = signingTime || new Date();
+  const details = [`Issued by ${certificate.issuer.displayName}`];
+
+  if (date < certificate.notBefore) {
+    return warnCheck('certificate', 'The certificate was not yet valid when signing', details);
+  }
+  if (date > certificate.notAfter) {
+    return warnCheck('certificate', 'The certificate had expired when signing', details);
+  }
+  return passCheck('certificate', 'The certificate was valid when signing', details);
+}
+
+/**
+ * Compare the signed revision with the document as it is now
+ */
+async function checkLaterUpdates(pdfBytes, pdfDoc, report) {
+  if (report.coversWholeDocument) {
+    return passCheck('updates', 'The signature covers the whole document');
+  }
+
+  let changes;
+  try {
+    const signedDoc = await PDFLib.PDFDocument.load(pdfBytes.slice(0, report.revisionLength), {
+      updateMetadata: false,
+      ignoreEncryption: true
+    });
+    changes = await compareRevisions(signedDoc, pdfDoc);
+  } catch (error) {
+    return warnCheck('updates', 'The document was updated after signing, and the changes could not be compared');
+  }
+
+  if (changes.content.length > 0) {
+    return failCheck('updates', 'Page content changed after signing', [...changes.content, ...changes.document, ...changes.other, ...changes.signatures]);
+  }
+  if (changes.document.length > 0) {
+    return failCheck('updates', 'Document settings changed after signing', [...changes.document, ...changes.other, ...changes.signatures]);
+  }
+  if (changes.other.length > 0) {
+    return warnCheck('updates', 'Form fields or comments changed after signing', [...changes.other, ...changes.signatures]);
+  }
+  if (changes.signatures.length > 0) {
+    return passCheck('updates', 'Later updates only added signatures', changes.signatures);
+  }
+  return passCheck('updates', 'Later updates did not change pages, comments or form fields');
+}
+
+/**
+ * List what differs between two revisions of a document
+ * @param {PDFDocument} before - The signed revision
+ * @param {PDFDocument} after - The current document
+ * @returns {Promise<{content: string[], document: string[], other: string[], signatures: string[]}>}
+ *   Page and signature appearance changes, catalog and form setting changes,
+ *   form and comment changes, and signatures added
+ */
+async function compareRevisions(before, after) {
+  const { PDFName, PDFDict } = PDFLib;
+  const fingerprintBefore = createFingerprinter(before.context, await hashStreams(before.context));
+  const fingerprintAfter = createFingerprinter(after.context, await hashStreams(after.context));
+  const changes = { content: [], document: [], other: [], signatures: [] };
+
+  // Layers, actions run on opening, scripts in the name tree and so on
+  getChangedEntries(before.catalog, after.catalog, CATALOG_SKIPPED, fingerprintBefore, fingerprintAfter)
+    .forEach(key => changes.document.push(`Document catalog entry /${key} changed`));
+
+  const acroFormBefore = before.catalog.lookupMaybe(PDFName.of('AcroForm'), PDFDict);
+  const acroFormAfter = after.catalog.lookupMaybe(PDFName.of('AcroForm'), PDFDict);
+  getChangedEntries(acroFormBefore, acroFormAfter, SIGNATURE_FORM_ENTRIES, fingerprintBefore, fingerprintAfter)
+    .forEach(key => changes.document.push(`Form entry /${key} changed`));
+
+  const pagesBefore = before.getPages();
+  const pagesAfter = after.getPages();
+  if (pagesBefore.length !== pagesAfter.length) {
+    changes.content.push(`Page count changed from ${pagesBefore.length} to ${pagesAfter.length}`);
+  }
+
+  for (let i = 0; i < Math.min(pagesBefore.length, pagesAfter.length); i++) {
+    if (fingerprintPage(pagesBefore[i], fingerprintBefore) !== fingerprintPage(pagesAfter[i], fingerprintAfter)) {
+      changes.content.push(`Page ${i + 1} changed`);
+    }
+    if (fingerprintComments(pagesBefore[i], fingerprintBefore) !== fingerprintComments(pagesAfter[i], fingerprintAfter)) {
+      changes.other.push(`Comments or markup changed on page ${i + 1}`);
+    }
+  }
+
+  const fieldsBefore = getFieldValues(before, fingerprintBefore);
+  const fieldsAfter = getFieldValues(after, fingerprintAfter);
+  for (const [name, field] of fieldsAfter) {
+    const previous = fieldsBefore.get(name);
+    if (previous && previous.value === field.value) {
+      // A signed field must keep looking the way it did when signed
+      if (previous.appearance !== field.appearance) {
+        (field.isSignature ? changes.content : changes.other).push(`Appearance of field "${name}" changed`);
+      }
+      continue;
+    }
+
+    if (field.isSignature) {
+      if (field.value !== 'null') changes.signatures.push(`Signature field "${name}" was signed`);
+    } else {
+      changes.other.push(previous ? `Form field "${name}" changed` : `Form field "${name}" added`);
+    }
+  }
+  for (const name of fieldsBefore.keys()) {
+    if (!fieldsAfter.has(name)) changes.other.push(`Form field "${name}" removed`);
+  }
+
+  return changes;
+}
+
+/**
+ * List the keys of two dictionaries whose values differ
+ * @param {PDFDict|undefined} before - Dictionary in the signed revision
+ * @param {PDFDict|undefined} after - Dictionary in the current document
+ * @param {Set<string>} skipped - Keys to leave out
+ * @returns {string[]} Changed keys, without the slash
+ */
+function getChangedEntries(before, after, skipped, fingerprintBefore, fingerprintAfter) {
+  const { PDFName } = PDFLib;
+  const keys = new Set([...(before ? before.keys() : []), ...(after ? after.keys() : [])].map(key => key.decodeText()));
+
+  return [...keys].filter(key => !skipped.has(key) &&
+    fingerprintBefore(before && before.get(PDFName.of(key))) !== fingerprintAfter(after && after.get(PDFName.of(key))));
+}
+
+/**
+ * Fingerprint what a page draws
+ */
+function fingerprintPage(page, fingerprint) {
+  const { node } = page;
+  return [node.Contents(), node.Resources(), node.MediaBox(), node.CropBox(), node.Rotate()]
+    .map(value => fingerprint(value))
+    .join('|');
+}
+
+/**
+ * Fingerprint a page's annotations other than form widgets
+ */
+function fingerprintComments(page, fingerprint) {
+  const { PDFName, PDFDict } = PDFLib;
+  const annots = page.node.Annots();
+  if (!annots) return '';
+
+  return annots.asArray()
+    .map(ref => page.doc.context.lookup(ref))
+    .filter(annot => annot instanceof PDFDict && annot.get(PDFName.of('Subtype')) !== PDFName.of('Widget'))
+    .map(annot => fingerprint(annot))
+    .sort()
+    .join('|');
+}
+
+/**
+ * Fingerprint the value of every terminal form field, and where and how its
+ * widgets show it
+ * @returns {Map<string, {isSignature: boolean, value: string, appearance: string}>}
+ *   Fields by full name
+ */
+function getFieldValues(pdfDoc, fingerprint) {
+  const { PDFName, PDFDict, PDFArray } = PDFLib;
+  const fields = new Map();
+
+  walkFields(pdfDoc, (name, dict, type) => {
+    // The field is its own widget unless it has kids
+    const kids = dict.lookupMaybe(PDFName.of('Kids'), PDFArray);
+    const widgets = kids ? kids.asArray().map(ref => pdfDoc.context.lookup(ref)) : [dict];
+
+    fields.set(name, {
+      isSignature: type === 'Sig',
+      value: fingerprint(dict.get(PDFName.of('V'))),
+      appearance: widgets
+        .filter(widget => widget instanceof PDFDict)
+        .map(widget => `${fingerprint(widget.get(PDFName.of('Rect')))} ${fingerprint(widget.get(PDFName.of('AP')))}`)
+        .join('|')
+    });
+  });
+
+  return fields;
+}
+
+/**
+ * Find the signed signature fields of a document
+ * @returns {Array<{name: string, dict: PDFDict}>} Field names and signature
+ *   dictionaries
+ */
+function getSignatureFields(pdfDoc) {
+  const { PDFName, PDFDict } = PDFLib;
+  const fields = [];
+
+  walkFields(pdfDoc, (name, dict, type) => {
+    const value = dict.lookup(PDFName.of('V'));
+    if (type === 'Sig' && value instanceof PDFDict) {
+      fields.push({ name, dict: value });
+    }
+  });
+
+  return fields;
+}
+
+/**
+ * Call back for every terminal field of the document's form
+ * @param {PDFDocument} pdfDoc - The document
+ * @param {Function} callback - Called with (full name, field dictionary,
+ *   field type name)
+ */
+function walkFields(pdfDoc, callback) {
+  const { PDFName, PDFDict, PDFArray, PDFString, PDFHexString } = PDFLib;
+  const acroForm = pdfDoc.catalog.lookupMaybe(PDFName.of('AcroForm'), PDFDict);
+  const fields = acroForm && acroForm.lookupMaybe(PDFName.of('Fields'), PDFArray);
+  if (!fields) return;
+
+  const visited = new Set();
+  const visit = (dict, parentName, parentType) => {
+    if (!(dict instanceof PDFDict) || visited.has(dict)) return;
+    visited.add(dict);
+
+    const partial = dict.lookupMaybe(PDFName.of('T'), PDFString, PDFHexString);
+    const name = partial ? (parentName ? `${parentName}.${partial.decodeText()}` : partial.decodeText()) : parentName;
+    const type = dict.lookupMaybe(PDFName.of('FT'), PDFName);
+    const fieldType = type ? type.decodeText() : parentType;
+
+    // Kids without names are widgets of this field
+    const kids = dict.lookupMaybe(PDFName.of('Kids'), PDFArray);
+    const namedKids = kids
+      ? kids.asArray().map(ref => pdfDoc.context.lookup(ref)).filter(kid => kid instanceof PDFDict && kid.has(PDFName.of('T')))
+      : [];
+
+    if (namedKids.length > 0) {
+      namedKids.forEach(kid => visit(kid, name, fieldType));
+    } else if (name) {
+      callback(name, dict, fieldType);
+    }
+  };
+
+  fields.asArray().forEach(ref => visit(pdfDoc.context.lookup(ref), '', null));
+}
+
+/**
+ * Create a function that describes an object and everything it refers to as
+ * a string, so objects can be compared across documents. Streams are
+ * represented by the SHA-256 digest of their bytes.
+ * @param {PDFContext} context - Context to resolve references in
+ * @param {Map<PDFStream, string>} streamHashes - Digests from hashStreams
+ * @returns {Function} The fingerprint function
+ */
+function createFingerprinter(context, streamHashes) {
+  const { PDFRef, PDFDict, PDFArray, PDFStream } = PDFLib;
+  const memo = new Map();
+  const visiting = new Set();
+
+  const fingerprint = (object) => {
+    if (object === undefined || object === null) return 'null';
+
+    if (object instanceof PDFRef) {
+      const key = object.toString();
+      if (memo.has(key)) return memo.get(key);
+      if (visiting.has(key)) return key;
+
+      visiting.add(key);
+      const value = fingerprint(context.lookup(object));
+      visiting.delete(key);
+      memo.set(key, value);
+      return value;
+    }
+
+    if (object instanceof PDFStream) {
+      // Streams are indirect objects, so the fallback is only for broken files
+      const hash = streamHashes.get(object) ?? bytesToLatin1(object.getContents());
+      return `${fingerprint(object.dict)}stream:${hash}`;
+    }
+
+    if (object instanceof PDFDict) {
+      const entries = object.entries()
+        .filter(([key]) => !BACK_REFERENCES.has(key.decodeText()))
+        .map(([key, value]) => `${key.toString()} ${fingerprint(value)}`)
+        .sort();
+      return `<<${entries.join(' ')}>>`;
+    }
+
+    if (object instanceof PDFArray) {
+      return `[${object.asArray().map(fingerprint).join(' ')}]`;
+    }
+
+    return object.toString();
+  };
+
+  return fingerprint;
+}
+
+/**
+ * Digest every stream of a document with SHA-256
+ * @param {PDFContext} context - Context of the document
+ * @returns {Promise<Map<PDFStream, string>>} Hex digests by stream
+ */
+async function hashStreams(context) {
+  const hashes = new Map();
+  for (const [, object] of context.enumerateIndirectObjects()) {
+    if (object instanceof PDFLib.PDFStream) {
+      const digest = await sha('SHA-256', object.getContents());
+      hashes.set(object, Array.from(digest, byte => byte.toString(16).padStart(2, '0')).join(''));
+    }
+  }
+  return hashes;
+}
+
+/**
+ * Read and sanity-check a signature's /ByteRange: two ranges around the
+ * /Contents hex string, starting at the beginning of the file
+ * @returns {number[]|null} The four numbers, or null if unusable
+ */
+function readByteRange(dict, pdfBytes) {
+  const { PDFName, PDFArray, PDFNumber } = PDFLib;
+  const array = dict.lookupMaybe(PDFName.of('ByteRange'), PDFArray);
+  if (!array || array.size() !== 4) return null;
+
+  const values = array.asArray().map(value => (value instanceof PDFNumber ? value.asNumber() : NaN));
+  const [start, contentsStart, contentsEnd, tailLength] = values;
+  const valid = values.every(Number.isInteger) &&
+    start === 0 &&
+    contentsStart < contentsEnd &&
+    contentsEnd + tailLength <= pdfBytes.length &&
+    pdfBytes[contentsStart] === 0x3c && // <
+    pdfBytes[contentsEnd - 1] === 0x3e; // >
+
+  return valid ? values : null;
+}
+
+/**
+ * Read the parts of a CMS SignedData that verification needs
+ * @param {Uint8Array} bytes - The encoded ContentInfo
+ * @returns {Object} Certificates, encapsulated content and first signer
+ */
+function parseSignedData(bytes) {
+  const contentInfo = parseDER(bytes);
+  if (readOID(contentInfo.children[0]) !== OIDS.signedData) {
+    throw new Error('Not a SignedData');
+  }
+
+  // version, digestAlgorithms, encapContentInfo, [0] certificates,
+  // [1] crls, signerInfos
+  const fields = contentInfo.children[1].children[0].children;
+  const encapContentInfo = fields[2];
+  const certificateSet = fields.find(node => node.tag === 0xa0);
+  const signerInfos = fields[fields.length - 1];
+
+  return {
+    content: encapContentInfo.children[1] ? getOctets(encapContentInfo.children[1].children[0]) : null,
+    certificates: certificateSet
+      ? certificateSet.children.filter(node => node.tag === 0x30).map(node => parseCertificate(node.bytes))
+      : [],
+    signerInfo: readSignerInfo(signerInfos.children[0])
+  };
+}
+
+/**
+ * Read a SignerInfo
+ */
+function readSignerInfo(node) {
+  const [, sid, digestAlgorithm, ...rest] = node.children;
+  const signedAttributes = rest[0].tag === 0xa0 ? rest.shift() : null;
+  const [signatureAlgorithm, signature, unsignedAttributes] = rest;
+
+  return {
+    digestAlgorithm: readOID(digestAlgorithm.children[0]),
+    signatureAlgorithm: readOID(signatureAlgorithm.children[0]),
+    signature: signature.content,
+    // The signature is over the attributes encoded as a SET, not as [0]
+    signedAttributes: signedAttributes ? concatBytes(Uint8Array.of(0x31), signedAttributes.bytes.subarray(1)) : null,
+    attributes: readAttributes(signedAttributes),
+    unsignedAttributes: readAttributes(unsignedAttributes),
+    // Issuer and serial number; subject key identifiers are not matched
+    matches: cert => sid.tag === 0x30 &&
+      bytesEqual(cert.issuer.der, sid.children[0].bytes) &&
+      bytesEqual(cert.serialNumber, sid.children[1].content)
+  };
+}
+
+/**
+ * Map attribute OIDs to their first value
+ * @returns {Map<string, Asn1Node>} Attribute values
+ */
+function readAttributes(node) {
+  const attributes = new Map();
+  if (node) {
+    for (const attribute of node.children) {
+      attributes.set(readOID(attribute.children[0]), attribute.children[1].children[0]);
+    }
+  }
+  return attributes;
+}
+
+/**
+ * Read the time from an RFC 3161 timestamp token, if it timestamps this
+ * signature
+ * @returns {Promise<Date|null>} The timestamp, or null
+ */
+async function readTimestamp(signerInfo) {
+  const token = signerInfo.unsignedAttributes.get(OIDS.timeStampToken);
+  if (!token) return null;
+
+  try {
+    const { content } = parseSignedData(token.bytes);
+    // TSTInfo: version, policy, messageImprint, serialNumber, genTime
+    const tstInfo = parseDER(content).children;
+    const [hashAlgorithm, hashedMessage] = tstInfo[2].children;
+    const hash = DIGESTS[readOID(hashAlgorithm.children[0])];
+    if (!hash || !bytesEqual(hashedMessage.content, await sha(hash, signerInfo.signature))) {
+      return null;
+    }
+    return readTime(tstInfo[4]);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Verify a signature value with a certificate's public key
+ * @returns {Promise<boolean|null>} Whether it verifies, or null if the key
+ *   or algorithm is not supported
+ */
+async function verifySignatureValue(certificate, signerInfo, hash, data) {
+  const { algorithm, curve, spki } = certificate.publicKey;
+  const signatureHash = SIGNATURE_DIGESTS[signerInfo.signatureAlgorithm] || hash;
+
+  try {
+    if (algorithm === OIDS.rsaEncryption && signerInfo.signatureAlgorithm !== OIDS.rsassaPss) {
+      const params = { name: 'RSASSA-PKCS1-v1_5', hash: signatureHash };
+      const key = await crypto.subtle.importKey('spki', spki, params, false, ['verify']);
+      return await crypto.subtle.verify(params, key, signerInfo.signature, data);
+    }
+
+    if (algorithm === OIDS.ecPublicKey && EC_CURVES[curve]) {
+      const { namedCurve, size } = EC_CURVES[curve];
+      const key = await crypto.subtle.importKey('spki', spki, { name: 'ECDSA', namedCurve }, false, ['verify']);
+      const signature = ecdsaSignatureToRaw(signerInfo.signature, size);
+      return await crypto.subtle.verify({ name: 'ECDSA', hash: signatureHash }, key, signature, data);
+    }
+  } catch (error) {
+    return false;
+  }
+
+  return null;
+}
+
+/**
+ * Convert a DER ECDSA signature to the r and s side by side that Web Crypto
+ * expects
+ */
+function ecdsaSignatureToRaw(der, size) {
+  const raw = new Uint8Array(size * 2);
+  parseDER(der).children.forEach((integer, i) => {
+    let value = integer.content;
+    while (value.length > size && value[0] === 0) value = value.subarray(1);
+    raw.set(value, i * size + size - value.length);
+  });
+  return raw;
+}
+
+/**
+ * Read a text string entry of a dictionary
+ */
+function readText(dict, key) {
+  const { PDFName, PDFString, PDFHexString } = PDFLib;
+  const value = dict.lookupMaybe(PDFName.of(key), PDFString, PDFHexString);
+  return value ? value.decodeText() : '';
+}
+
+/**
+ * Read a name entry of a dictionary
+ */
+function readName(dict, key) {
+  const value = dict.lookupMaybe(PDFLib.PDFName.of(key), PDFLib.PDFName);
+  return value ? value.decodeText() : null;
+}
+
+/**
+ * Read a date entry of a dictionary
+ */
+function readDate(dict, key) {
+  const { PDFName, PDFString, PDFHexString } = PDFLib;
+  try {
+    const value = dict.lookupMaybe(PDFName.of(key), PDFString, PDFHexString);
+    return value ? value.decodeDate() : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Decode a hex string into bytes
+ */
+function hexToBytes(hex) {
+  const bytes = new Uint8Array(Math.floor(hex.length / 2));
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+  }
+  return bytes;
+}
+
+/**
+ * Create passing, warning and failing checks
+ */
+function passCheck(id, label, details = []) {
+  return { id, label, status: 'pass', details };
+}
+
+function warnCheck(id, label, details = []) {
+  return { id, label, status: 'warn', details };
+}
+
+function failCheck(id, label, details = []) {
+  return { id, label, status: 'fail', details };
+}
@@ -0,0 +1,201 @@
+/**
+ * Signing Templates Module
+ * Saved sets of signature placements for documents signed again and again,
+ * such as a monthly form. Positions are kept as fractions of the page size,
+ * so a template still fits when the next copy is scanned at another size.
+ */
+
+import { getPageGeometry } from './page-transform.js';
+import { insertSignatureIntoPDF } from './signature-manager.js';
+
+const STORAGE_KEY = 'signingTemplates';
+const MAX_TEMPLATES = 20;
+
+// Page of a placement made on the last page, whatever the page count
+export const LAST_PAGE = 'last';
+
+/**
+ * @typedef {Object} TemplatePlacement
+ * @property {string} signatureId - Saved signature to place
+ * @property {number|string} page - Zero-based page index, or LAST_PAGE
+ * @property {number} x - Left edge as a fraction of the displayed page width
+ * @property {number} y - Bottom edge as a fraction of the displayed page
+ *   height
+ * @property {number} width - Width in points
+ * @property {number} height - Height in points
+ * @property {number} rotation - Rotation in degrees
+ * @property {boolean} addTimestamp - Add a timestamp next to the signature
+ * @property {StampSettings|null} stamp - Timestamp settings when placed
+ */
+
+/**
+ * @typedef {Object} SigningTemplate
+ * @property {string} id - Unique identifier
+ * @property {string} name - Display name
+ * @property {TemplatePlacement[]} placements - Signatures to place
+ * @property {string} created - ISO date string
+ */
+
+/**
+ * Load all signing templates from storage
+ * @returns {Promise<SigningTemplate[]>} Saved templates
+ */
+export async function loadSigningTemplates() {
+  try {
+    const result = await browser.storage.local.get(STORAGE_KEY);
+    return result[STORAGE_KEY] || [];
+  } catch (error) {
+    console.error('Failed to load signing templates:', error);
+    return [];
+  }
+}
+
+/**
+ * Save placements as a new template
+ * @param {string} name - Template name
+ * @param {TemplatePlacement[]} placements - Placements from
+ *   createTemplatePlacement
+ * @returns {Promise<SigningTemplate>} The saved template
+ */
+export async function saveSigningTemplate(name, placements) {
+  name = name.trim();
+  if (!name) {
+    throw new Error('Please enter a name for the template');
+  }
+  if (placements.length === 0) {
+    throw new Error('Place at least one signature before saving a template');
+  }
+
+  const templates = await loadSigningTemplates();
+
+  if (templates.length >= MAX_TEMPLATES) {
+    throw new Error(`Maximum ${MAX_TEMPLATES} templates allowed. Please delete some first.`);
+  }
+  if (templates.some(template => template.name === name)) {
+    throw new Error(`A template called "${name}" already exists`);
+  }
+
+  const template = {
+    id: `tpl_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    name,
+    placements,
+    created: new Date().toISOString()
+  };
+
+  templates.push(template);
+  await browser.storage.local.set({ [STORAGE_KEY]: templates });
+
+  return template;
+}
+
+/**
+ * Delete a template by ID
+ * @param {string} templateId - ID of the template to delete
+ * @returns {Promise<void>}
+ */
+export async function deleteSigningTemplate(templateId) {
+  const templates = await loadSigningTemplates();
+  const filtered = templates.filter(template => template.id !== templateId);
+
+  if (filtered.length === templates.length) {
+    throw new Error('Template not found');
+  }
+
+  await browser.storage.local.set({ [STORAGE_KEY]: filtered });
+}
+
+/**
+ * Describe a placement for a template, relative to its page
+ * @param {PDFDocument} pdfDoc - The document it was placed in
+ * @param {number} pageIndex - Zero-based page index
+ * @param {string} signatureId - ID of the placed signature
+ * @param {Object} position - Position as passed to insertSignatureIntoPDF
+ * @param {Object} [options] - Options as passed to insertSignatureIntoPDF
+ * @returns {TemplatePlacement} The placement
+ */
+export function createTemplatePlacement(pdfDoc, pageIndex, signatureId, position, options = {}) {
+  const { displayWidth, displayHeight } = getPageGeometry(pdfDoc.getPage(pageIndex));
+  const isLastPage = pageIndex === pdfDoc.getPageCount() - 1;
+
+  return {
+    signatureId,
+    // The last page is usually the one with the signature line, however
+    // long the document is
+    page: isLastPage && pageIndex > 0 ? LAST_PAGE : pageIndex,
+    x: position.x / displayWidth,
+    y: position.y / displayHeight,
+    width: position.width,
+    height: position.height,
+    rotation: position.rotation || 0,
+    addTimestamp: Boolean(options.addTimestamp),
+    stamp: options.stamp || null
+  };
+}
+
+/**
+ * Place a template's signatures in a document. Placements whose signature
+ * was deleted or whose page the document lacks are skipped.
+ * @param {PDFDocument} pdfDoc - The document
+ * @param {SigningTemplate} template - The template
+ * @param {Signature[]} signatures - Saved signatures
+ * @returns {Promise<{pageIndices: number[], skipped: string[]}>} Pages signed,
+ *   in order, and why any placements were skipped
+ */
+export async function applySigningTemplate(pdfDoc, template, signatures) {
+  const pageCount = pdfDoc.getPageCount();
+  const pageIndices = new Set();
+  const skipped = [];
+
+  // One signing time for every placement
+  const date = new Date();
+
+  for (const placement of template.placements) {
+    const signature = signatures.find(sig => sig.id === placement.signatureId);
+    const pageIndex = placement.page === LAST_PAGE ? pageCount - 1 : placement.page;
+
+    if (!signature) {
+      skipped.push(`A signature on page ${describePage(placement.page)} was deleted from your library`);
+      continue;
+    }
+    if (pageIndex >= pageCount) {
+      skipped.push(`"${signature.name}" is on page ${pageIndex + 1}, but the document has ${pageCount}`);
+      continue;
+    }
+
+    // Kept on the page if this one is smaller
+    const { displayWidth, displayHeight } = getPageGeometry(pdfDoc.getPage(pageIndex));
+    await insertSignatureIntoPDF(pdfDoc, pageIndex, signature, {
+      x: Math.max(0, Math.min(placement.x * displayWidth, displayWidth - placement.width)),
+      y: Math.max(0, Math.min(placement.y * displayHeight, displayHeight - placement.height)),
+      width: placement.width,
+      height: placement.height,
+      rotation: placement.rotation
+    }, {
+      addTimestamp: placement.addTimestamp,
+      stamp: placement.stamp,
+      date
+    });
+
+    pageIndices.add(pageIndex);
+  }
+
+  return { pageIndices: [...pageIndices].sort((a, b) => a - b), skipped };
+}
+
+/**
+ * Describe a template's placements for lists
+ * @param {SigningTemplate} template - The template
+ * @returns {string} One-line description
+ */
+export function describeSigningTemplate(template) {
+  const count = template.placements.length;
+  const pages = [...new Set(template.placements.map(placement => describePage(placement.page)))];
+  return `${count} signature${count === 1 ? '' : 's'} on page${pages.length === 1 ? '' : 's'} ${pages.join(', ')}`;
+}
+
+/**
+ * Name a template page for messages
+ */
+function describePage(page) {
+  return page === LAST_PAGE ? 'last' : String(page + 1);
+}
@@ -0,0 +1,364 @@
+/**
+ * Stamp Library Module
+ * Rubber stamps such as APPROVED or PAID: a few built in and others defined
+ * by the user. Stamp text may hold fields like {date} or {docname}, filled
+ * in when the stamp is placed. Stamps are drawn as vector text in a rounded
+ * frame, so they print sharply and their text can be selected.
+ */
+
+import { getPageGeometry, placementToPdf } from './page-transform.js';
+import { getPositionOnPage } from './signature-manager.js';
+import { hexToComponents } from './pdf-operations.js';
+
+const STORAGE_KEY = 'stamps';
+const MAX_STAMPS = 30;
+
+// Fields that can be used in stamp text
+export const STAMP_FIELDS = {
+  date: 'Date placed',
+  time: 'Time placed',
+  user: 'Your name, from the timestamp options',
+  docname: 'File name without .pdf',
+  page: 'Page number',
+  pages: 'Number of pages'
+};
+
+/**
+ * @typedef {Object} Stamp
+ * @property {string} id - Unique identifier
+ * @property {string} name - Display name
+ * @property {string} text - Lines of the stamp; the first is shown large,
+ *   the others small. May hold fields from STAMP_FIELDS in braces.
+ * @property {string} color - Color as #rrggbb
+ * @property {boolean} [builtIn] - One of BUILT_IN_STAMPS, which cannot be
+ *   deleted
+ * @property {string} [created] - ISO date string
+ */
+
+/** @type {Stamp[]} */
+export const BUILT_IN_STAMPS = [
+  { id: 'builtin_approved', name: 'Approved', text: 'APPROVED\n{date}', color: '#2e7d32', builtIn: true },
+  { id: 'builtin_paid', name: 'Paid', text: 'PAID\n{date}', color: '#1565c0', builtIn: true },
+  { id: 'builtin_received', name: 'Received', text: 'RECEIVED\n{date}', color: '#1565c0', builtIn: true },
+  { id: 'builtin_confidential', name: 'Confidential', text: 'CONFIDENTIAL', color: '#c62828', builtIn: true },
+  { id: 'builtin_copy', name: 'Copy', text: 'COPY', color: '#616161', builtIn: true }
+];
+
+// Layout in points, before the stamp is scaled to its placed size
+const TITLE_SIZE = 24;
+const DETAIL_SIZE = 10;
+const PADDING = 8;
+const BORDER_WIDTH = 2.5;
+const CORNER_RADIUS = 6;
+const LINE_GAP = 0.35; // Space between lines, as a fraction of the font size
+const CAP_HEIGHT = 0.75;
+const DESCENT = 0.22;
+
+// Control point distance for a quarter circle drawn with one Bézier curve
+const KAPPA = 0.5523;
+
+/**
+ * Load the built-in and saved stamps
+ * @returns {Promise<Stamp[]>} Built-in stamps first, then saved ones
+ */
+export async function loadStamps() {
+  return [...BUILT_IN_STAMPS, ...(await loadCustomStamps())];
+}
+
+/**
+ * Load the stamps the user defined
+ */
+async function loadCustomStamps() {
+  try {
+    const result = await browser.storage.local.get(STORAGE_KEY);
+    return result[STORAGE_KEY] || [];
+  } catch (error) {
+    console.error('Failed to load stamps:', error);
+    return [];
+  }
+}
+
+/**
+ * Save a new stamp
+ * @param {string} name - Display name
+ * @param {string} text - Stamp text, one line per line
+ * @param {string} color - Color as #rrggbb
+ * @returns {Promise<Stamp>} The saved stamp
+ */
+export async function saveStamp(name, text, color) {
+  name = name.trim();
+  const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+
+  if (!name) {
+    throw new Error('Please enter a name for the stamp');
+  }
+  if (lines.length === 0) {
+    throw new Error('Please enter the text of the stamp');
+  }
+
+  const unknown = [...text.matchAll(/\{(\w+)\}/g)].map(match => match[1]).filter(field => !(field in STAMP_FIELDS));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown field {${unknown[0]}}. Use ${Object.keys(STAMP_FIELDS).map(field => `{${field}}`).join(', ')}.`);
+  }
+
+  const stamps = await loadCustomStamps();
+
+  if (stamps.length >= MAX_STAMPS) {
+    throw new Error(`Maximum ${MAX_STAMPS} stamps allowed. Please delete some first.`);
+  }
+  if ([...BUILT_IN_STAMPS, ...stamps].some(stamp => stamp.name === name)) {
+    throw new Error(`A stamp called "${name}" already exists`);
+  }
+
+  const stamp = {
+    id: `stamp_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    name,
+    text: lines.join('\n'),
+    color,
+    created: new Date().toISOString()
+  };
+
+  stamps.push(stamp);
+  await browser.storage.local.set({ [STORAGE_KEY]: stamps });
+
+  return stamp;
+}
+
+/**
+ * Delete a saved stamp by ID
+ * @param {string} stampId - ID of the stamp to delete
+ * @returns {Promise<void>}
+ */
+export async function deleteStamp(stampId) {
+  const stamps = await loadCustomStamps();
+  const filtered = stamps.filter(stamp => stamp.id !== stampId);
+
+  if (filtered.length === stamps.length) {
+    throw new Error('Stamp not found');
+  }
+
+  await browser.storage.local.set({ [STORAGE_KEY]: filtered });
+}
+
+/**
+ * Work out the field values for placing stamps
+ * @param {Object} context - What the fields describe
+ * @param {Date} context.date - Time of placing
+ * @param {StampSettings} context.settings - Timestamp options, for the
+ *   locale, time zone and name
+ * @param {string} context.fileName - Name of the open file
+ * @param {number} context.pageCount - Number of pages
+ * @returns {Object<string, string>} Values of every field but {page}, which
+ *   is filled in per page
+ */
+export function getStampFieldValues({ date, settings, fileName, pageCount }) {
+  const locale = settings.locale || undefined;
+  const timeZone = settings.timeZone || undefined;
+  const format = options => new Intl.DateTimeFormat(locale, { ...options, timeZone })
+    .format(date)
+    // Locales may use narrow or no-break spaces, which the standard PDF
+    // font cannot encode
+    .replace(/\s/g, ' ');
+
+  return {
+    date: format({ year: 'numeric', month: 'short', day: 'numeric' }),
+    time: format({ hour: '2-digit', minute: '2-digit' }),
+    user: settings.signerName || '',
+    docname: (fileName || '').replace(/\.pdf$/i, ''),
+    pages: String(pageCount)
+  };
+}
+
+/**
+ * Fill in the fields of a stamp's text
+ * @param {Stamp} stamp - The stamp
+ * @param {Object<string, string>} values - Field values
+ * @returns {string[]} Non-empty lines
+ */
+export function getStampTextLines(stamp, values) {
+  return stamp.text
+    .split('\n')
+    .map(line => line.replace(/\{(\w+)\}/g, (field, name) => (name in values ? values[name] : field)).trim())
+    .filter(Boolean);
+}
+
+/**
+ * Lay out stamp lines in their frame, centered
+ * @param {string[]} lines - Lines of text
+ * @param {Function} measure - Returns the width of text at a font size
+ * @returns {Object} Width and height of the stamp, and each line's text,
+ *   size, left edge and baseline from the top
+ */
+export function layoutStampFrame(lines, measure) {
+  const laidOut = [];
+  let top = PADDING + BORDER_WIDTH;
+  let widest = 0;
+
+  // Fields left empty, such as {user} without a name, leave an empty frame
+  const shown = lines.length > 0 ? lines : [''];
+  shown.forEach((text, i) => {
+    const size = i === 0 ? TITLE_SIZE : DETAIL_SIZE;
+    if (i > 0) top += size * LINE_GAP;
+    top += size * CAP_HEIGHT;
+    laidOut.push({ text, size, width: measure(text, size), baseline: top });
+    widest = Math.max(widest, laidOut[i].width);
+  });
+
+  const last = laidOut[laidOut.length - 1];
+  const width = widest + (PADDING + BORDER_WIDTH) * 2;
+  const height = top + last.size * DESCENT + PADDING + BORDER_WIDTH;
+
+  return {
+    width,
+    height,
+    lines: laidOut.map(line => ({ ...line, x: (width - line.width) / 2 }))
+  };
+}
+
+/**
+ * Render a stamp as an image, for the library and for placing it
+ * @param {Stamp} stamp - The stamp
+ * @param {Object<string, string>} values - Field values
+ * @returns {{imageData: string, width: number, height: number}} PNG data
+ *   URL, and the stamp's natural size in points
+ */
+export function renderStampImage(stamp, values) {
+  // Drawn at twice the size so it stays sharp when enlarged a little
+  const pixelRatio = 2;
+  const canvas = document.createElement('canvas');
+  const ctx = canvas.getContext('2d');
+  const fontFor = size => `bold ${size}px Helvetica, Arial, sans-serif`;
+
+  const layout = layoutStampFrame(getStampTextLines(stamp, values), (text, size) => {
+    ctx.font = fontFor(size);
+    return ctx.measureText(text).width;
+  });
+
+  canvas.width = Math.ceil(layout.width * pixelRatio);
+  canvas.height = Math.ceil(layout.height * pixelRatio);
+  ctx.scale(pixelRatio, pixelRatio);
+
+  ctx.strokeStyle = stamp.color;
+  ctx.lineWidth = BORDER_WIDTH;
+  const inset = BORDER_WIDTH / 2;
+  ctx.beginPath();
+  ctx.roundRect(inset, inset, layout.width - BORDER_WIDTH, layout.height - BORDER_WIDTH, CORNER_RADIUS);
+  ctx.stroke();
+
+  ctx.fillStyle = stamp.color;
+  for (const line of layout.lines) {
+    ctx.font = fontFor(line.size);
+    ctx.fillText(line.text, line.x, line.baseline);
+  }
+
+  return {
+    imageData: canvas.toDataURL('image/png'),
+    width: layout.width,
+    height: layout.height
+  };
+}
+
+/**
+ * Place a stamp on several pages at the same relative position, like
+ * insertSignatureOnPages
+ * @param {PDFDocument} pdfDoc - The PDF document
+ * @param {number[]} pageIndices - Zero-based indices of the pages
+ * @param {number} sourcePageIndex - Page the position was chosen on
+ * @param {Stamp} stamp - The stamp
+ * @param {Object} position - Position on the source page as displayed, in
+ *   points from the bottom left, with a clockwise rotation
+ * @param {Object<string, string>} values - Field values from
+ *   getStampFieldValues
+ * @returns {Promise<PDFDocument>} The modified PDF document
+ */
+export async function insertStampOnPages(pdfDoc, pageIndices, sourcePageIndex, stamp, position, values) {
+  const font = await pdfDoc.embedFont(PDFLib.StandardFonts.HelveticaBold);
+
+  for (const pageIndex of pageIndices) {
+    const page = pdfDoc.getPage(pageIndex);
+    const lines = getStampTextLines(stamp, { ...values, page: String(pageIndex + 1) });
+    const pagePosition = getPositionOnPage(pdfDoc, sourcePageIndex, pageIndex, position);
+    drawStamp(pdfDoc, page, font, lines, stamp.color, placementToPdf(getPageGeometry(page), pagePosition));
+  }
+
+  return pdfDoc;
+}
+
+/**
+ * Draw stamp lines on a page, scaled to fill a box
+ */
+function drawStamp(pdfDoc, page, font, lines, color, placement) {
+  const {
+    pushGraphicsState, popGraphicsState, translate, rotateDegrees, scale, drawObject,
+    beginText, endText, setFontAndSize, setTextMatrix, showText,
+    setFillingRgbColor, setStrokingRgbColor, setLineWidth, stroke
+  } = PDFLib;
+
+  let layout;
+  try {
+    layout = layoutStampFrame(lines, (text, size) => font.widthOfTextAtSize(text, size));
+  } catch (error) {
+    // Standard fonts only cover the Windows Latin character set
+    throw new Error(`Stamps can only use Latin characters: ${error.message}`);
+  }
+  const components = hexToComponents(color);
+  const inset = BORDER_WIDTH / 2;
+
+  // Drawn bottom-up in a form of the stamp's natural size
+  const operators = [
+    setStrokingRgbColor(...components),
+    setLineWidth(BORDER_WIDTH),
+    ...roundedRectangle(inset, inset, layout.width - BORDER_WIDTH, layout.height - BORDER_WIDTH, CORNER_RADIUS),
+    stroke(),
+    beginText(),
+    setFillingRgbColor(...components)
+  ];
+  for (const line of layout.lines) {
+    operators.push(
+      setFontAndSize('F0', line.size),
+      setTextMatrix(1, 0, 0, 1, line.x, layout.height - line.baseline),
+      showText(font.encodeText(line.text))
+    );
+  }
+  operators.push(endText());
+
+  const { context } = pdfDoc;
+  const formRef = context.register(context.formXObject(operators, {
+    BBox: [0, 0, layout.width, layout.height],
+    Resources: { Font: { F0: font.ref } }
+  }));
+  const name = page.node.newXObject('Stamp', formRef);
+
+  page.pushOperators(
+    pushGraphicsState(),
+    translate(placement.x, placement.y),
+    rotateDegrees(placement.rotation),
+    scale(placement.width / layout.width, placement.height / layout.height),
+    drawObject(name),
+    popGraphicsState()
+  );
+}
+
+/**
+ * Operators for a rectangle with rounded corners
+ */
+function roundedRectangle(x, y, width, height, radius) {
+  const { moveTo, lineTo, appendBezierCurve, closePath } = PDFLib;
+  const r = Math.min(radius, width / 2, height / 2);
+  const k = r * KAPPA;
+  const right = x + width;
+  const top = y + height;
+
+  return [
+    moveTo(x + r, y),
+    lineTo(right - r, y),
+    appendBezierCurve(right - r + k, y, right, y + r - k, right, y + r),
+    lineTo(right, top - r),
+    appendBezierCurve(right, top - r + k, right - r + k, top, right - r, top),
+    lineTo(x + r, top),
+    appendBezierCurve(x + r - k, top, x, top - r + k, x, top - r),
+    lineTo(x, y + r),
+    appendBezierCurve(x, y + r - k, x + r - k, y, x + r, y),
+    closePath()
+  ];
+}
@@ -0,0 +1,333 @@
+/**
+ * Text Search Module
+ * Finds text in a PDF using PDF.js text content and maps matches to page boxes
+ */
+
+import { boxesOverlap } from './page-transform.js';
+
+/**
+ * @typedef {Object} TextMatch
+ * @property {number} pageIndex - Zero-based page index
+ * @property {string} text - The matched text
+ * @property {number} index - Offset of the match in the page text
+ * @property {RedactionBox[]} boxes - One box per text run the match covers,
+ *   in unscaled viewport units (PDF.js viewport at scale 1, origin top-left)
+ */
+
+// Extra margin around glyph boxes, in points
+const BOX_PADDING = 1;
+
+// Glyph extent relative to font size, measured from the baseline
+const ASCENT = 1.0;
+const DESCENT = 0.25;
+
+let measureContext = null;
+
+/**
+ * Build a global RegExp for a search query
+ * @param {string} query - Literal text or regular expression source
+ * @param {Object} [options] - Search options
+ * @param {boolean} [options.regex=false] - Treat query as a regular expression
+ * @param {boolean} [options.caseSensitive=false] - Match case
+ * @returns {RegExp} Pattern with the global flag set
+ */
+export function createSearchPattern(query, options = {}) {
+  if (!query) {
+    throw new Error('Search text is empty');
+  }
+
+  const source = options.regex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const flags = options.caseSensitive ? 'g' : 'gi';
+
+  try {
+    return new RegExp(source, flags);
+  } catch (error) {
+    throw new Error(`Invalid regular expression: ${error.message}`);
+  }
+}
+
+/**
+ * Join PDF.js text items into a single searchable string
+ * @param {Object[]} items - PDF.js text content items
+ * @returns {{text: string, segments: Array<{item: Object, start: number, end: number}>}}
+ *   Page text and the character range each item occupies in it
+ */
+export function buildPageText(items) {
+  let text = '';
+  const segments = [];
+
+  for (const item of items) {
+    // Marked-content entries carry no text
+    if (typeof item.str !== 'string') continue;
+
+    if (item.str.length > 0) {
+      segments.push({ item, start: text.length, end: text.length + item.str.length });
+      text += item.str;
+    }
+
+    if (item.hasEOL) {
+      text += '\n';
+    }
+  }
+
+  return { text, segments };
+}
+
+/**
+ * Get the box covering a character range of one text item
+ * @param {Object} item - PDF.js text content item
+ * @param {number} start - First character offset within item.str
+ * @param {number} end - Offset after the last character
+ * @param {Object} viewport - PDF.js viewport to express the box in
+ * @param {string} [fontFamily] - CSS font family used to estimate glyph widths
+ * @returns {RedactionBox} Axis-aligned box in viewport units
+ */
+export function getTextRangeBox(item, start, end, viewport, fontFamily) {
+  const [a, b, c, d, e, f] = item.transform;
+  const fontSize = Math.hypot(c, d) || Math.hypot(a, b);
+
+  // Unit vectors along the baseline and up the glyphs, in PDF user space
+  const along = normalize(a, b);
+  const up = normalize(c, d);
+
+  const from = item.width * measureFraction(item.str, start, fontFamily);
+  const to = item.width * measureFraction(item.str, end, fontFamily);
+
+  const corners = [
+    [from, -DESCENT * fontSize],
+    [to, -DESCENT * fontSize],
+    [to, ASCENT * fontSize],
+    [from, ASCENT * fontSize]
+  ].map(([u, v]) => viewport.convertToViewportPoint(
+    e + along[0] * u + up[0] * v,
+    f + along[1] * u + up[1] * v
+  ));
+
+  const xs = corners.map(point => point[0]);
+  const ys = corners.map(point => point[1]);
+  const padding = BOX_PADDING * viewport.scale;
+  const x = Math.min(...xs) - padding;
+  const y = Math.min(...ys) - padding;
+
+  return {
+    x,
+    y,
+    width: Math.max(...xs) + padding - x,
+    height: Math.max(...ys) + padding - y
+  };
+}
+
+/**
+ * Normalize a 2D vector, falling back to the x axis
+ */
+function normalize(x, y) {
+  const length = Math.hypot(x, y);
+  return length ? [x / length, y / length] : [1, 0];
+}
+
+/**
+ * Estimate how far into a string a character offset lies, as a fraction of
+ * its rendered width. Uses canvas text metrics when available so that narrow
+ * glyphs such as "1" or "i" do not skew the boxes.
+ * @param {string} str - The text
+ * @param {number} offset - Character offset
+ * @param {string} [fontFamily] - CSS font family
+ * @returns {number} Fraction between 0 and 1
+ */
+function measureFraction(str, offset, fontFamily) {
+  if (offset <= 0 || str.length === 0) return 0;
+  if (offset >= str.length) return 1;
+
+  const ctx = getMeasureContext();
+  if (ctx) {
+    ctx.font = `100px ${fontFamily || 'sans-serif'}`;
+    const total = ctx.measureText(str).width;
+    if (total > 0) {
+      return ctx.measureText(str.slice(0, offset)).width / total;
+    }
+  }
+
+  return offset / str.length;
+}
+
+/**
+ * Lazily create a canvas context for text measurement
+ * @returns {CanvasRenderingContext2D|null}
+ */
+function getMeasureContext() {
+  if (!measureContext && typeof document !== 'undefined') {
+    measureContext = document.createElement('canvas').getContext('2d');
+  }
+  return measureContext;
+}
+
+/**
+ * @typedef {Object} PageText
+ * @property {number} pageIndex - Zero-based page index
+ * @property {string} text - Searchable page text
+ * @property {Array<{item: Object, start: number, end: number}>} segments - Item ranges in text
+ * @property {Object} styles - PDF.js text styles by font name
+ * @property {Object} viewport - PDF.js viewport at scale 1
+ */
+
+/**
+ * Extract the searchable text of a page
+ * @param {Object} pdfJsPage - PDF.js page object
+ * @returns {Promise<PageText>} Page text with item positions
+ */
+export async function getPageText(pdfJsPage) {
+  const textContent = await pdfJsPage.getTextContent();
+  const { text, segments } = buildPageText(textContent.items);
+
+  return {
+    pageIndex: pdfJsPage.pageNumber - 1,
+    text,
+    segments,
+    styles: textContent.styles,
+    viewport: pdfJsPage.getViewport({ scale: 1 })
+  };
+}
+
+/**
+ * Find all matches of a pattern in extracted page text
+ * @param {PageText} pageText - Text extracted with getPageText
+ * @param {RegExp} pattern - Global search pattern
+ * @param {Object} [options] - Match options
+ * @param {number} [options.group=0] - Capture group to box instead of the
+ *   whole match (the pattern needs the "d" flag)
+ * @returns {TextMatch[]} Matches on the page
+ */
+export function findMatchesInPageText(pageText, pattern, options = {}) {
+  const group = options.group || 0;
+  const { text, segments, styles, viewport } = pageText;
+  const matches = [];
+
+  pattern.lastIndex = 0;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    // Avoid looping forever on empty matches
+    if (match[0].length === 0) {
+      pattern.lastIndex++;
+      continue;
+    }
+
+    // Skip optional groups that did not take part in the match
+    if (match[group] === undefined) continue;
+
+    const [start, end] = group
+      ? match.indices[group]
+      : [match.index, match.index + match[0].length];
+    const boxes = [];
+
+    for (const segment of segments) {
+      if (segment.end <= start || segment.start >= end) continue;
+
+      const fontFamily = styles[segment.item.fontName]?.fontFamily;
+      boxes.push(getTextRangeBox(
+        segment.item,
+        Math.max(start, segment.start) - segment.start,
+        Math.min(end, segment.end) - segment.start,
+        viewport,
+        fontFamily
+      ));
+    }
+
+    if (boxes.length > 0) {
+      matches.push({ pageIndex: pageText.pageIndex, text: match[group], index: start, boxes });
+    }
+  }
+
+  return matches;
+}
+
+/**
+ * Find the text under a rectangle drawn on the page, for markup anchored to
+ * the text. Characters count when their middle lies inside the rectangle.
+ * @param {PageText} pageText - Text extracted with getPageText
+ * @param {RedactionBox} rect - Rectangle in unscaled viewport units
+ * @returns {Array<{text: string, box: RedactionBox}>} One entry per text run
+ *   under the rectangle, in content order
+ */
+export function findTextInRect(pageText, rect) {
+  const { segments, styles, viewport } = pageText;
+  const runs = [];
+
+  for (const { item } of segments) {
+    const fontFamily = styles[item.fontName]?.fontFamily;
+    if (!boxesOverlap(getTextRangeBox(item, 0, item.str.length, viewport, fontFamily), rect)) continue;
+
+    let first = -1;
+    let last = -1;
+    for (let i = 0; i < item.str.length; i++) {
+      const box = getTextRangeBox(item, i, i + 1, viewport, fontFamily);
+      const centerX = box.x + box.width / 2;
+      const centerY = box.y + box.height / 2;
+      const inside = centerX >= rect.x && centerX <= rect.x + rect.width && centerY >= rect.y && centerY <= rect.y + rect.height;
+
+      // Spaces at either end are left unmarked
+      if (inside && item.str[i].trim()) {
+        if (first === -1) first = i;
+        last = i;
+      }
+    }
+
+    if (first !== -1) {
+      runs.push({
+        text: item.str.slice(first, last + 1),
+        box: getTextRangeBox(item, first, last + 1, viewport, fontFamily)
+      });
+    }
+  }
+
+  return runs;
+}
+
+/**
+ * Find all matches of a pattern on a single page
+ * @param {Object} pdfJsPage - PDF.js page object
+ * @param {RegExp} pattern - Global search pattern
+ * @returns {Promise<TextMatch[]>} Matches on the page
+ */
+export async function findMatchesOnPage(pdfJsPage, pattern) {
+  return findMatchesInPageText(await getPageText(pdfJsPage), pattern);
+}
+
+/**
+ * Find all matches of a pattern across the document
+ * @param {Object} pdfJsDoc - PDF.js document
+ * @param {RegExp} pattern - Global search pattern
+ * @param {Function} [onProgress] - Progress callback (pageNumber, totalPages)
+ * @returns {Promise<TextMatch[]>} Matches in page order
+ */
+export async function searchDocument(pdfJsDoc, pattern, onProgress) {
+  const matches = [];
+
+  for (let pageNum = 1; pageNum <= pdfJsDoc.numPages; pageNum++) {
+    const page = await pdfJsDoc.getPage(pageNum);
+    matches.push(...await findMatchesOnPage(page, pattern));
+
+    if (onProgress) {
+      onProgress(pageNum, pdfJsDoc.numPages);
+    }
+  }
+
+  return matches;
+}
+
+/**
+ * Group match boxes by page, ready to merge into the redaction box map
+ * @param {TextMatch[]} matches - Search matches
+ * @returns {Object<number, RedactionBox[]>} Map of page index to boxes
+ */
+export function matchesToRedactionBoxes(matches) {
+  const boxesByPage = {};
+
+  for (const match of matches) {
+    if (!boxesByPage[match.pageIndex]) {
+      boxesByPage[match.pageIndex] = [];
+    }
+    boxesByPage[match.pageIndex].push(...match.boxes.map(box => ({ ...box })));
+  }
+
+  return boxesByPage;
+}
@@ -3,6 +3,12 @@
  * Manages UI rendering and interactions
  */
 
+import { FIELD_TYPES } from './form-fields.js';
+import { describeDigitalID, isDigitalIDCurrent } from './digital-id.js';
+import { describeSigningTemplate } from './signing-templates.js';
+import { ANNOTATION_TOOLS, ANNOTATION_FONTS, MARKUP_LINE_POSITIONS, MARKUP_LINE_WIDTH, getArrowHead } from './annotations.js';
+import { getPdfJsPageGeometry, pdfRectToViewport } from './page-transform.js';
+
 /**
  * Render PDF page thumbnails for page management
  * @param {Object} pdfJsDoc - PDF.js document
@@ -196,12 +202,16 @@ export async function renderPageForRedaction(pdfJsPage, pageCanvas, overlayCanva
 /**
  * Setup redaction box drawing on overlay canvas
  * @param {HTMLCanvasElement} overlayCanvas - The overlay canvas
- * @param {Object} state - State object to track boxes
+ * @param {Object} state - State object to track boxes; optional
+ *   state.highlights are drawn as dashed outlines for boxes under review
  * @param {Function} onBoxesChange - Callback when boxes change
  * @returns {Object} Controller object with methods
  */
 export function setupRedactionDrawing(overlayCanvas, state, onBoxesChange) {
   const ctx = overlayCanvas.getContext('2d');
+  // Aborted by destroy() so re-rendering a page does not stack handlers
+  const listeners = new AbortController();
+  const { signal } = listeners;
   let isDrawing = false;
   let startX, startY;
   let currentBox = null;
@@ -229,6 +239,17 @@ export function setupRedactionDrawing(overlayCanvas, state, onBoxesChange) {
       ctx.fillRect(currentBox.x, currentBox.y, currentBox.width, currentBox.height);
       ctx.strokeRect(currentBox.x, currentBox.y, currentBox.width, currentBox.height);
     }
+
+    // Draw boxes awaiting review
+    if (state.highlights && state.highlights.length > 0) {
+      ctx.save();
+      ctx.strokeStyle = '#3498db';
+      ctx.setLineDash([4, 3]);
+      for (const box of state.highlights) {
+        ctx.strokeRect(box.x, box.y, box.width, box.height);
+      }
+      ctx.restore();
+    }
   }
 
   function getMousePos(e) {
@@ -247,7 +268,7 @@ export function setupRedactionDrawing(overlayCanvas, state, onBoxesChange) {
     startX = pos.x;
     startY = pos.y;
     currentBox = { x: startX, y: startY, width: 0, height: 0 };
-  });
+  }, { signal });
 
   overlayCanvas.addEventListener('mousemove', (e) => {
     if (!isDrawing) return;
@@ -260,7 +281,7 @@ export function setupRedactionDrawing(overlayCanvas, state, onBoxesChange) {
       height: Math.abs(pos.y - startY)
     };
     redraw();
-  });
+  }, { signal });
 
   overlayCanvas.addEventListener('mouseup', () => {
     if (!isDrawing) return;
@@ -275,7 +296,7 @@ export function setupRedactionDrawing(overlayCanvas, state, onBoxesChange) {
     }
     currentBox = null;
     redraw();
-  });
+  }, { signal });
 
   overlayCanvas.addEventListener('mouseleave', () => {
     if (isDrawing) {
@@ -283,7 +304,7 @@ export function setupRedactionDrawing(overlayCanvas, state, onBoxesChange) {
       currentBox = null;
       redraw();
     }
-  });
+  }, { signal });
 
   // Right-click to remove box
   overlayCanvas.addEventListener('contextmenu', (e) => {
@@ -303,7 +324,7 @@ export function setupRedactionDrawing(overlayCanvas, state, onBoxesChange) {
       }
       redraw();
     }
-  });
+  }, { signal });
 
   return {
     redraw,
@@ -314,8 +335,393 @@ export function setupRedactionDrawing(overlayCanvas, state, onBoxesChange) {
       }
       redraw();
     },
-    getBoxes: () => [...state.boxes]
+    getBoxes: () => [...state.boxes],
+    destroy: () => listeners.abort()
+  };
+}
+
+/**
+ * Render the review list of detected personal data
+ * @param {Array} candidates - PII candidate objects
+ * @param {HTMLElement} container - Container element
+ * @param {Object} options - Options
+ * @param {Function} options.onToggle - Callback when a hit is accepted or rejected
+ * @param {Function} options.onShow - Callback when a hit's page should be shown
+ */
+export function renderPIIReviewList(candidates, container, options = {}) {
+  container.innerHTML = '';
+
+  if (candidates.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'empty-review';
+    empty.textContent = 'Nothing found. Redact manually if needed.';
+    container.appendChild(empty);
+    return;
+  }
+
+  for (const candidate of candidates) {
+    const item = document.createElement('label');
+    item.className = 'review-item';
+    item.classList.toggle('rejected', !candidate.accepted);
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = candidate.accepted;
+    checkbox.title = 'Redact this hit';
+    checkbox.addEventListener('change', () => {
+      item.classList.toggle('rejected', !checkbox.checked);
+      if (options.onToggle) {
+        options.onToggle(candidate.id, checkbox.checked);
+      }
+    });
+    item.appendChild(checkbox);
+
+    const label = document.createElement('span');
+    label.className = 'review-label';
+    label.textContent = candidate.label;
+    item.appendChild(label);
+
+    const text = document.createElement('span');
+    text.className = 'review-text';
+    text.textContent = candidate.text;
+    item.appendChild(text);
+
+    const pageBtn = document.createElement('button');
+    pageBtn.className = 'review-page-btn';
+    pageBtn.textContent = `p. ${candidate.pageIndex + 1}`;
+    pageBtn.title = 'Show on page';
+    pageBtn.addEventListener('click', (e) => {
+      e.preventDefault();
+      if (options.onShow) {
+        options.onShow(candidate.pageIndex);
+      }
+    });
+    item.appendChild(pageBtn);
+
+    container.appendChild(item);
+  }
+}
+
+/**
+ * Render a post-redaction verification report
+ * @param {Object} report - Verification report with passed and checks
+ * @param {HTMLElement} container - Container element
+ */
+export function renderVerificationReport(report, container) {
+  container.innerHTML = '';
+
+  const title = document.createElement('div');
+  title.className = `report-title ${report.passed ? 'pass' : 'fail'}`;
+  title.textContent = report.passed ? 'Verification passed' : 'Verification FAILED';
+  container.appendChild(title);
+  container.appendChild(createCheckList(report.checks));
+}
+
+/**
+ * Build the list of checks of a report
+ * @param {VerificationCheck[]} checks - Checks to list
+ * @returns {HTMLUListElement} The list
+ */
+function createCheckList(checks) {
+  const list = document.createElement('ul');
+  list.className = 'report-list';
+
+  const icons = { pass: '\u2713', warn: '!', fail: '\u2717' };
+
+  for (const check of checks) {
+    const item = document.createElement('li');
+    item.className = `report-check ${check.status}`;
+
+    const icon = document.createElement('span');
+    icon.className = 'report-icon';
+    icon.textContent = icons[check.status];
+    item.appendChild(icon);
+
+    const label = document.createElement('span');
+    label.textContent = check.label;
+    item.appendChild(label);
+
+    if (check.details.length > 0) {
+      const details = document.createElement('ul');
+      details.className = 'report-details';
+      for (const detail of check.details) {
+        const detailItem = document.createElement('li');
+        detailItem.textContent = detail;
+        details.appendChild(detailItem);
+      }
+      item.appendChild(details);
+    }
+
+    list.appendChild(item);
+  }
+
+  return list;
+}
+
+/**
+ * Render the digital signatures found in a document
+ * @param {SignatureReport[]} reports - One report per signature
+ * @param {HTMLElement} container - Container element
+ */
+export function renderSignatureReports(reports, container) {
+  container.innerHTML = '';
+
+  const titles = {
+    pass: 'Signed by',
+    warn: 'Signed, with warnings, by',
+    fail: 'INVALID signature by'
+  };
+  const timeSources = {
+    timestamp: 'timestamp authority',
+    signer: "signer's clock",
+    pdf: "signer's clock"
   };
+
+  for (const report of reports) {
+    const section = document.createElement('div');
+    section.className = 'signature-report';
+
+    const title = document.createElement('div');
+    title.className = `report-title ${report.status}`;
+    title.textContent = `${titles[report.status]} ${report.signer}`;
+    section.appendChild(title);
+
+    const details = [report.fieldName];
+    if (report.signingTime) {
+      details.push(`${report.signingTime.toLocaleString()} (${timeSources[report.timeSource]})`);
+    }
+    if (report.reason) details.push(`Reason: ${report.reason}`);
+    if (report.location) details.push(`Location: ${report.location}`);
+
+    const meta = document.createElement('div');
+    meta.className = 'signature-report-meta';
+    meta.textContent = details.join(' \u00b7 ');
+    section.appendChild(meta);
+
+    section.appendChild(createCheckList(report.checks));
+    container.appendChild(section);
+  }
+}
+
+/**
+ * Render a page with editable inputs over its form fields
+ * @param {Object} pdfJsPage - PDF.js page
+ * @param {HTMLCanvasElement} pageCanvas - Canvas to render the page into
+ * @param {HTMLElement} layer - Element laid over the canvas for the inputs
+ * @param {FormField[]} fields - Fields of the document
+ * @param {number} pageIndex - Index of the page being rendered
+ * @param {Object} options - Options
+ * @param {Object} options.values - Map of field name to current value
+ * @param {Function} options.onChange - Callback with (name, value) on edits
+ * @param {number} [options.maxWidth=500] - Width to fit the page to
+ * @returns {Promise<{scale: number}>} The render scale
+ */
+export async function renderFormPage(pdfJsPage, pageCanvas, layer, fields, pageIndex, options = {}) {
+  const baseViewport = pdfJsPage.getViewport({ scale: 1 });
+  const scale = (options.maxWidth || 500) / baseViewport.width;
+  const viewport = pdfJsPage.getViewport({ scale });
+
+  pageCanvas.width = viewport.width;
+  pageCanvas.height = viewport.height;
+  layer.innerHTML = '';
+  layer.style.width = `${viewport.width}px`;
+  layer.style.height = `${viewport.height}px`;
+
+  // Leave widgets out of the canvas; the inputs stand in for them
+  await pdfJsPage.render({
+    canvasContext: pageCanvas.getContext('2d'),
+    viewport,
+    annotationMode: window.pdfjsLib.AnnotationMode.ENABLE_FORMS
+  }).promise;
+
+  const values = options.values || {};
+
+  const notifyChange = (field, value, source) => {
+    // Keep the other widgets of the same field in step
+    layer.querySelectorAll('[data-field]').forEach(input => {
+      if (input !== source && input.dataset.field === field.name) {
+        setFormInputValue(input, field, value);
+      }
+    });
+    if (options.onChange) {
+      options.onChange(field.name, value);
+    }
+  };
+
+  const geometry = getPdfJsPageGeometry(pdfJsPage);
+
+  for (const field of fields) {
+    for (const widget of field.widgets) {
+      if (widget.pageIndex !== pageIndex) continue;
+
+      const rect = pdfRectToViewport(geometry, widget.rect, scale);
+      const input = createFormInput(field, widget, values[field.name], notifyChange);
+
+      input.dataset.field = field.name;
+      input.classList.add('form-input');
+      input.style.left = `${rect.x}px`;
+      input.style.top = `${rect.y}px`;
+      input.style.width = `${rect.width}px`;
+      input.style.height = `${rect.height}px`;
+      if (field.type === FIELD_TYPES.TEXT && !field.multiline) {
+        input.style.fontSize = `${Math.max(8, Math.min(rect.height * 0.65, 16))}px`;
+      }
+
+      layer.appendChild(input);
+    }
+  }
+
+  return { scale };
+}
+
+/**
+ * Create the input element for one widget of a form field
+ */
+function createFormInput(field, widget, value, onChange) {
+  let input;
+
+  switch (field.type) {
+    case FIELD_TYPES.TEXT:
+      input = document.createElement(field.multiline ? 'textarea' : 'input');
+      if (!field.multiline) input.type = 'text';
+      if (field.maxLength !== undefined) input.maxLength = field.maxLength;
+      input.addEventListener('input', () => onChange(field, input.value, input));
+      break;
+    case FIELD_TYPES.CHECKBOX:
+      input = document.createElement('input');
+      input.type = 'checkbox';
+      input.addEventListener('change', () => onChange(field, input.checked, input));
+      break;
+    case FIELD_TYPES.RADIO:
+      input = document.createElement('input');
+      input.type = 'radio';
+      input.name = `form-field-${field.name}`;
+      input.value = widget.option;
+      input.addEventListener('change', () => {
+        if (input.checked) onChange(field, widget.option, input);
+      });
+      break;
+    case FIELD_TYPES.DROPDOWN:
+    case FIELD_TYPES.OPTION_LIST:
+      input = document.createElement('select');
+      input.multiple = field.multiSelect;
+      if (field.type === FIELD_TYPES.DROPDOWN) {
+        input.appendChild(new Option('', ''));
+      }
+      field.options.forEach(option => input.appendChild(new Option(option, option)));
+      input.addEventListener('change', () => {
+        const selected = Array.from(input.selectedOptions, option => option.value).filter(Boolean);
+        onChange(field, selected, input);
+      });
+      break;
+    case FIELD_TYPES.SIGNATURE:
+      input = document.createElement('div');
+      input.className = 'form-signature-field';
+      input.textContent = 'Signature';
+      input.title = `${field.name}: sign in Sign mode`;
+      return input;
+  }
+
+  input.title = field.name;
+  input.disabled = field.readOnly;
+  setFormInputValue(input, field, value);
+  return input;
+}
+
+/**
+ * Show a field value in an input created by createFormInput
+ */
+function setFormInputValue(input, field, value) {
+  switch (field.type) {
+    case FIELD_TYPES.TEXT:
+      input.value = value || '';
+      break;
+    case FIELD_TYPES.CHECKBOX:
+      input.checked = Boolean(value);
+      break;
+    case FIELD_TYPES.RADIO:
+      input.checked = value === input.value;
+      break;
+    case FIELD_TYPES.DROPDOWN:
+    case FIELD_TYPES.OPTION_LIST: {
+      const selected = [].concat(value || []);
+      Array.from(input.options).forEach(option => {
+        option.selected = selected.includes(option.value);
+      });
+      break;
+    }
+  }
+}
+
+/**
+ * Render the list of form fields
+ * @param {FormField[]} fields - Fields of the document
+ * @param {HTMLElement} container - Container element
+ * @param {Object} options - Options
+ * @param {Object} options.values - Map of field name to current value
+ * @param {Function} options.onShow - Callback with the field to show on its page
+ */
+export function renderFormFieldList(fields, container, options = {}) {
+  container.innerHTML = '';
+
+  if (fields.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'empty-review';
+    empty.textContent = 'This PDF has no fillable form fields.';
+    container.appendChild(empty);
+    return;
+  }
+
+  const typeLabels = {
+    [FIELD_TYPES.TEXT]: 'Text',
+    [FIELD_TYPES.CHECKBOX]: 'Checkbox',
+    [FIELD_TYPES.RADIO]: 'Choice',
+    [FIELD_TYPES.DROPDOWN]: 'Dropdown',
+    [FIELD_TYPES.OPTION_LIST]: 'List',
+    [FIELD_TYPES.SIGNATURE]: 'Signature'
+  };
+  const values = options.values || {};
+
+  for (const field of fields) {
+    const item = document.createElement('div');
+    item.className = 'review-item';
+
+    const label = document.createElement('span');
+    label.className = 'review-label';
+    label.textContent = typeLabels[field.type];
+    item.appendChild(label);
+
+    const name = document.createElement('span');
+    name.className = 'review-text';
+    name.textContent = field.name;
+    name.title = formatFieldValue(values[field.name]);
+    item.appendChild(name);
+
+    if (field.widgets.length > 0) {
+      const pageBtn = document.createElement('button');
+      pageBtn.className = 'review-page-btn';
+      pageBtn.textContent = `p. ${field.widgets[0].pageIndex + 1}`;
+      pageBtn.title = 'Show on page';
+      pageBtn.addEventListener('click', () => {
+        if (options.onShow) {
+          options.onShow(field);
+        }
+      });
+      item.appendChild(pageBtn);
+    }
+
+    container.appendChild(item);
+  }
+}
+
+/**
+ * Describe a field value for a tooltip
+ */
+function formatFieldValue(value) {
+  if (value === true) return 'Checked';
+  if (value === false) return 'Not checked';
+  if (Array.isArray(value)) return value.join(', ') || 'Empty';
+  return value || 'Empty';
 }
 
 /**
@@ -380,6 +786,207 @@ export function renderSignatureLibrary(signatures, container, options = {}) {
   }
 }
 
+/**
+ * Render the stamp library
+ * @param {Array<Stamp & {imageData: string}>} stamps - Stamps with a preview
+ *   image each
+ * @param {HTMLElement} container - Container element
+ * @param {Object} options - Options
+ * @param {Function} options.onSelect - Callback when a stamp is clicked
+ * @param {Function} options.onDelete - Callback when delete clicked, for
+ *   stamps that are not built in
+ */
+export function renderStampList(stamps, container, options = {}) {
+  container.innerHTML = '';
+
+  for (const stamp of stamps) {
+    const item = document.createElement('div');
+    item.className = 'signature-item';
+    item.dataset.stampId = stamp.id;
+    item.title = stamp.text;
+
+    const img = document.createElement('img');
+    img.src = stamp.imageData;
+    img.alt = stamp.name;
+    item.appendChild(img);
+
+    const name = document.createElement('div');
+    name.className = 'sig-name';
+    name.textContent = stamp.name;
+    item.appendChild(name);
+
+    if (!stamp.builtIn) {
+      const deleteBtn = document.createElement('button');
+      deleteBtn.className = 'delete-sig-btn';
+      deleteBtn.innerHTML = '&times;';
+      deleteBtn.title = 'Delete stamp';
+      deleteBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        if (options.onDelete) {
+          options.onDelete(stamp.id);
+        }
+      });
+      item.appendChild(deleteBtn);
+    }
+
+    item.addEventListener('click', () => {
+      container.querySelectorAll('.signature-item').forEach(el => {
+        el.classList.remove('selected');
+      });
+      item.classList.add('selected');
+
+      if (options.onSelect) {
+        options.onSelect(stamp);
+      }
+    });
+
+    container.appendChild(item);
+  }
+}
+
+/**
+ * Render the list of imported digital IDs
+ * @param {DigitalID[]} digitalIds - Saved digital IDs
+ * @param {HTMLElement} container - Container element
+ * @param {Object} options - Options
+ * @param {Function} options.onDelete - Callback when delete clicked
+ */
+export function renderDigitalIDList(digitalIds, container, options = {}) {
+  container.innerHTML = '';
+
+  if (digitalIds.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'empty-signatures';
+    empty.textContent = 'No digital IDs. Import a .p12 or .pfx file to sign with a certificate.';
+    container.appendChild(empty);
+    return;
+  }
+
+  for (const digitalId of digitalIds) {
+    const item = document.createElement('div');
+    item.className = 'digital-id-item';
+    item.title = digitalId.subject;
+
+    const name = document.createElement('div');
+    name.className = 'digital-id-name';
+    name.textContent = digitalId.name;
+    item.appendChild(name);
+
+    const details = document.createElement('div');
+    details.className = 'digital-id-details';
+    details.textContent = describeDigitalID(digitalId);
+    if (!isDigitalIDCurrent(digitalId)) {
+      details.textContent += ' (not valid now)';
+      item.classList.add('expired');
+    }
+    item.appendChild(details);
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'delete-sig-btn';
+    deleteBtn.innerHTML = '&times;';
+    deleteBtn.title = 'Delete digital ID';
+    deleteBtn.addEventListener('click', () => {
+      if (options.onDelete) {
+        options.onDelete(digitalId.id);
+      }
+    });
+    item.appendChild(deleteBtn);
+
+    container.appendChild(item);
+  }
+}
+
+/**
+ * Render the list of signing templates
+ * @param {SigningTemplate[]} templates - Saved templates
+ * @param {HTMLElement} container - Container element
+ * @param {Object} options - Options
+ * @param {Function} options.onSelect - Callback when a template is clicked
+ * @param {Function} options.onDelete - Callback when delete clicked
+ */
+export function renderSigningTemplateList(templates, container, options = {}) {
+  container.innerHTML = '';
+
+  if (templates.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'empty-signatures';
+    empty.textContent = 'No templates. Place signatures, then save them as a template to repeat them on the next copy.';
+    container.appendChild(empty);
+    return;
+  }
+
+  for (const template of templates) {
+    const item = document.createElement('div');
+    item.className = 'digital-id-item template-item';
+    item.title = 'Preview and apply this template';
+
+    const name = document.createElement('div');
+    name.className = 'digital-id-name';
+    name.textContent = template.name;
+    item.appendChild(name);
+
+    const details = document.createElement('div');
+    details.className = 'digital-id-details';
+    details.textContent = describeSigningTemplate(template);
+    item.appendChild(details);
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'delete-sig-btn';
+    deleteBtn.innerHTML = '&times;';
+    deleteBtn.title = 'Delete template';
+    deleteBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      if (options.onDelete) {
+        options.onDelete(template.id);
+      }
+    });
+    item.appendChild(deleteBtn);
+
+    item.addEventListener('click', () => {
+      if (options.onSelect) {
+        options.onSelect(template);
+      }
+    });
+
+    container.appendChild(item);
+  }
+}
+
+/**
+ * Render small previews of some pages, each labelled with its page number
+ * @param {Object} pdfJsDoc - PDF.js document
+ * @param {number[]} pageIndices - Zero-based indices of the pages to show
+ * @param {HTMLElement} container - Container element
+ * @param {number} [width=160] - Preview width in pixels
+ */
+export async function renderPagePreviews(pdfJsDoc, pageIndices, container, width = 160) {
+  container.innerHTML = '';
+
+  for (const pageIndex of pageIndices) {
+    const page = await pdfJsDoc.getPage(pageIndex + 1);
+    const viewport = page.getViewport({ scale: width / page.getViewport({ scale: 1 }).width });
+
+    const item = document.createElement('div');
+    item.className = 'page-preview';
+
+    const canvas = document.createElement('canvas');
+    canvas.width = viewport.width;
+    canvas.height = viewport.height;
+    await page.render({
+      canvasContext: canvas.getContext('2d'),
+      viewport
+    }).promise;
+    item.appendChild(canvas);
+
+    const label = document.createElement('span');
+    label.className = 'page-number';
+    label.textContent = `Page ${pageIndex + 1}`;
+    item.appendChild(label);
+
+    container.appendChild(item);
+  }
+}
+
 /**
  * Setup signature placement on page
  * @param {HTMLCanvasElement} pageCanvas - Canvas with page rendered
@@ -391,6 +998,9 @@ export function renderSignatureLibrary(signatures, container, options = {}) {
 export function setupSignaturePlacement(pageCanvas, overlayCanvas, signature, state) {
   const ctx = overlayCanvas.getContext('2d');
   const img = new Image();
+  // Aborted by destroy() so re-rendering a page does not stack handlers
+  const listeners = new AbortController();
+  const { signal } = listeners;
 
   // Initialize state
   state.x = 50;
@@ -405,6 +1015,7 @@ export function setupSignaturePlacement(pageCanvas, overlayCanvas, signature, st
   let dragOffsetX, dragOffsetY;
 
   img.onload = () => {
+    if (signal.aborted) return;
     state.ready = true;
     redraw();
   };
@@ -473,7 +1084,7 @@ export function setupSignaturePlacement(pageCanvas, overlayCanvas, signature, st
       dragOffsetX = pos.x - state.x;
       dragOffsetY = pos.y - state.y;
     }
-  });
+  }, { signal });
 
   overlayCanvas.addEventListener('mousemove', (e) => {
     const pos = getMousePos(e);
@@ -496,17 +1107,17 @@ export function setupSignaturePlacement(pageCanvas, overlayCanvas, signature, st
         overlayCanvas.style.cursor = 'default';
       }
     }
-  });
+  }, { signal });
 
   overlayCanvas.addEventListener('mouseup', () => {
     isDragging = false;
     isResizing = false;
-  });
+  }, { signal });
 
   overlayCanvas.addEventListener('mouseleave', () => {
     isDragging = false;
     isResizing = false;
-  });
+  }, { signal });
 
   return {
     redraw,
@@ -520,12 +1131,325 @@ export function setupSignaturePlacement(pageCanvas, overlayCanvas, signature, st
     },
     getPlacement: () => ({
       x: state.x,
-      y: overlayCanvas.height - state.y - state.height, // Convert to PDF coordinates
+      y: overlayCanvas.height - state.y - state.height, // Bottom-up, as the page is shown
       width: state.width,
       height: state.height,
       rotation: state.rotation
-    })
+    }),
+    destroy: () => listeners.abort()
+  };
+}
+
+/**
+ * Setup annotation drawing on an overlay canvas. Dragging marks out a box,
+ * a line or a freehand path, depending on the tool; a click marks a point.
+ * What becomes of it is up to onDraw. Pending annotations are drawn on the
+ * overlay, and right-click removes one.
+ * @param {HTMLCanvasElement} overlayCanvas - The overlay canvas
+ * @param {Object} state - State object; state.annotations holds the page's
+ *   pending annotations in unscaled viewport units
+ * @param {Object} options - Options
+ * @param {number} options.scale - Render scale of the page
+ * @param {Function} options.getTool - Returns the current tool, one of
+ *   ANNOTATION_TOOLS, to show the drag the way it will be used
+ * @param {Function} options.onDraw - Callback with the box drawn, unscaled
+ *   and zero-sized for a click, and the drag's start, end and path points
+ * @param {Function} options.onChange - Callback when an annotation is removed
+ * @returns {Object} Controller object with methods
+ */
+export function setupAnnotationEditing(overlayCanvas, state, options) {
+  const ctx = overlayCanvas.getContext('2d');
+  // Aborted by destroy() so re-rendering a page does not stack handlers
+  const listeners = new AbortController();
+  const { signal } = listeners;
+  const { scale } = options;
+  let start = null;
+  let end = null;
+  let path = [];
+  let currentBox = null;
+
+  if (!state.annotations) {
+    state.annotations = [];
+  }
+
+  function redraw() {
+    ctx.clearRect(0, 0, overlayCanvas.width, overlayCanvas.height);
+
+    for (const annotation of state.annotations) {
+      drawPendingAnnotation(ctx, annotation, scale);
+    }
+
+    // Drag in progress
+    if (currentBox) {
+      ctx.save();
+      ctx.strokeStyle = '#3498db';
+      ctx.setLineDash([4, 3]);
+      ctx.beginPath();
+
+      switch (options.getTool()) {
+        case ANNOTATION_TOOLS.INK:
+          ctx.setLineDash([]);
+          path.forEach((point, i) => (i === 0 ? ctx.moveTo(point.x, point.y) : ctx.lineTo(point.x, point.y)));
+          break;
+        case ANNOTATION_TOOLS.LINE:
+        case ANNOTATION_TOOLS.ARROW:
+          ctx.moveTo(start.x, start.y);
+          ctx.lineTo(end.x, end.y);
+          break;
+        case ANNOTATION_TOOLS.ELLIPSE:
+          ctx.ellipse(
+            currentBox.x + currentBox.width / 2,
+            currentBox.y + currentBox.height / 2,
+            currentBox.width / 2,
+            currentBox.height / 2,
+            0, 0, Math.PI * 2
+          );
+          break;
+        default:
+          ctx.rect(currentBox.x, currentBox.y, currentBox.width, currentBox.height);
+      }
+
+      ctx.stroke();
+      ctx.restore();
+    }
+  }
+
+  function getMousePos(e) {
+    const rect = overlayCanvas.getBoundingClientRect();
+    return {
+      x: e.clientX - rect.left,
+      y: e.clientY - rect.top
+    };
+  }
+
+  overlayCanvas.addEventListener('mousedown', (e) => {
+    if (e.button !== 0) return; // Only left click
+
+    start = getMousePos(e);
+    end = start;
+    path = [start];
+    currentBox = { x: start.x, y: start.y, width: 0, height: 0 };
+  }, { signal });
+
+  overlayCanvas.addEventListener('mousemove', (e) => {
+    if (!start) return;
+
+    const pos = getMousePos(e);
+    const last = path[path.length - 1];
+    if (Math.hypot(pos.x - last.x, pos.y - last.y) >= 2) {
+      path.push(pos);
+    }
+    end = pos;
+    currentBox = {
+      x: Math.min(start.x, pos.x),
+      y: Math.min(start.y, pos.y),
+      width: Math.abs(pos.x - start.x),
+      height: Math.abs(pos.y - start.y)
+    };
+    redraw();
+  }, { signal });
+
+  overlayCanvas.addEventListener('mouseup', () => {
+    if (!start) return;
+
+    // A small wobble still counts as a click
+    const isClick = currentBox.width <= 5 && currentBox.height <= 5;
+    const box = isClick ? { x: start.x, y: start.y, width: 0, height: 0 } : currentBox;
+    const unscale = point => ({ x: point.x / scale, y: point.y / scale });
+    const gesture = {
+      start: unscale(start),
+      end: unscale(isClick ? start : end),
+      points: path.map(unscale)
+    };
+    start = null;
+    end = null;
+    path = [];
+    currentBox = null;
+    redraw();
+
+    options.onDraw({
+      x: box.x / scale,
+      y: box.y / scale,
+      width: box.width / scale,
+      height: box.height / scale
+    }, gesture);
+  }, { signal });
+
+  overlayCanvas.addEventListener('mouseleave', () => {
+    if (start) {
+      start = null;
+      end = null;
+      path = [];
+      currentBox = null;
+      redraw();
+    }
+  }, { signal });
+
+  // Right-click to remove the annotation under the cursor, topmost first
+  overlayCanvas.addEventListener('contextmenu', (e) => {
+    e.preventDefault();
+    const pos = getMousePos(e);
+    const x = pos.x / scale;
+    const y = pos.y / scale;
+
+    const boxes = state.annotations.map(annotation => annotation.quads || [annotation.rect]);
+    let index = -1;
+    for (let i = boxes.length - 1; i >= 0 && index === -1; i--) {
+      if (boxes[i].some(box => x >= box.x && x <= box.x + box.width && y >= box.y && y <= box.y + box.height)) {
+        index = i;
+      }
+    }
+
+    if (index !== -1) {
+      state.annotations.splice(index, 1);
+      options.onChange(state.annotations);
+      redraw();
+    }
+  }, { signal });
+
+  return {
+    redraw,
+    destroy: () => listeners.abort()
+  };
+}
+
+/**
+ * Draw a pending annotation on an overlay, roughly as it will look
+ */
+function drawPendingAnnotation(ctx, annotation, scale) {
+  const rect = {
+    x: annotation.rect.x * scale,
+    y: annotation.rect.y * scale,
+    width: annotation.rect.width * scale,
+    height: annotation.rect.height * scale
   };
+
+  ctx.save();
+
+  switch (annotation.type) {
+    case ANNOTATION_TOOLS.FREE_TEXT: {
+      const font = ANNOTATION_FONTS.find(entry => entry.id === annotation.font) || ANNOTATION_FONTS[0];
+      const fontSize = annotation.fontSize * scale;
+
+      ctx.strokeStyle = '#3498db';
+      ctx.setLineDash([4, 3]);
+      ctx.strokeRect(rect.x, rect.y, rect.width, rect.height);
+
+      ctx.beginPath();
+      ctx.rect(rect.x, rect.y, rect.width, rect.height);
+      ctx.clip();
+      ctx.font = `${fontSize}px ${font.cssFamily}`;
+      ctx.fillStyle = annotation.color;
+      ctx.textBaseline = 'top';
+      wrapText(ctx, annotation.text, rect.width - 4 * scale).forEach((line, i) => {
+        ctx.fillText(line, rect.x + 2 * scale, rect.y + 2 * scale + i * fontSize * 1.2);
+      });
+      break;
+    }
+    case ANNOTATION_TOOLS.NOTE:
+      ctx.fillStyle = annotation.color;
+      ctx.strokeStyle = '#555';
+      ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
+      ctx.strokeRect(rect.x, rect.y, rect.width, rect.height);
+      ctx.fillStyle = '#555';
+      for (let i = 1; i <= 3; i++) {
+        ctx.fillRect(rect.x + rect.width * 0.2, rect.y + (rect.height * i) / 4, rect.width * 0.6, 1);
+      }
+      break;
+    case ANNOTATION_TOOLS.LINE:
+    case ANNOTATION_TOOLS.ARROW:
+    case ANNOTATION_TOOLS.INK: {
+      const points = annotation.points.map(point => ({ x: point.x * scale, y: point.y * scale }));
+      ctx.strokeStyle = annotation.color;
+      ctx.lineWidth = annotation.strokeWidth * scale;
+      ctx.lineCap = 'round';
+      ctx.lineJoin = 'round';
+      ctx.beginPath();
+      points.forEach((point, i) => (i === 0 ? ctx.moveTo(point.x, point.y) : ctx.lineTo(point.x, point.y)));
+
+      if (annotation.type === ANNOTATION_TOOLS.ARROW) {
+        const [tail, tip] = points;
+        const [left, right] = getArrowHead(tail, tip, annotation.strokeWidth * scale);
+        ctx.moveTo(left.x, left.y);
+        ctx.lineTo(tip.x, tip.y);
+        ctx.lineTo(right.x, right.y);
+      }
+      ctx.stroke();
+      break;
+    }
+    case ANNOTATION_TOOLS.RECTANGLE:
+    case ANNOTATION_TOOLS.ELLIPSE: {
+      // The stroke stays inside the box, as in the document
+      const lineWidth = annotation.strokeWidth * scale;
+      const inner = {
+        x: rect.x + lineWidth / 2,
+        y: rect.y + lineWidth / 2,
+        width: Math.max(0, rect.width - lineWidth),
+        height: Math.max(0, rect.height - lineWidth)
+      };
+
+      ctx.beginPath();
+      if (annotation.type === ANNOTATION_TOOLS.ELLIPSE) {
+        ctx.ellipse(inner.x + inner.width / 2, inner.y + inner.height / 2, inner.width / 2, inner.height / 2, 0, 0, Math.PI * 2);
+      } else {
+        ctx.rect(inner.x, inner.y, inner.width, inner.height);
+      }
+      if (annotation.fillColor) {
+        ctx.fillStyle = annotation.fillColor;
+        ctx.fill();
+      }
+      ctx.strokeStyle = annotation.color;
+      ctx.lineWidth = lineWidth;
+      ctx.stroke();
+      break;
+    }
+    default:
+      for (const quad of annotation.quads) {
+        const box = {
+          x: quad.x * scale,
+          y: quad.y * scale,
+          width: quad.width * scale,
+          height: quad.height * scale
+        };
+
+        if (annotation.type === ANNOTATION_TOOLS.HIGHLIGHT) {
+          ctx.globalAlpha = 0.4;
+          ctx.fillStyle = annotation.color;
+          ctx.fillRect(box.x, box.y, box.width, box.height);
+        } else {
+          // Thin bands where the underline or strikeout line will go
+          const fromBottom = MARKUP_LINE_POSITIONS[annotation.type];
+          const thickness = Math.max(1, box.height * MARKUP_LINE_WIDTH);
+          ctx.fillStyle = annotation.color;
+          ctx.fillRect(box.x, box.y + box.height * (1 - fromBottom) - thickness / 2, box.width, thickness);
+        }
+      }
+  }
+
+  ctx.restore();
+}
+
+/**
+ * Break text into lines that fit a width, keeping the line breaks typed
+ */
+function wrapText(ctx, text, maxWidth) {
+  const lines = [];
+
+  for (const paragraph of text.split('\n')) {
+    let line = '';
+    for (const word of paragraph.split(' ')) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (line && ctx.measureText(candidate).width > maxWidth) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    }
+    lines.push(line);
+  }
+
+  return lines;
 }
 
 /**
@@ -547,6 +1471,79 @@ export function hideLoading() {
   if (overlay) overlay.classList.add('hidden');
 }
 
+/**
+ * Ask for a document password
+ * @param {string} message - Why the password is needed
+ * @returns {Promise<string|null>} The password, or null if cancelled
+ */
+export function showPasswordPrompt(message) {
+  const dialog = document.getElementById('password-dialog');
+  const input = document.getElementById('password-input');
+  const submitBtn = document.getElementById('submit-password-btn');
+  const cancelBtn = document.getElementById('cancel-password-btn');
+
+  document.getElementById('password-message').textContent = message;
+  input.value = '';
+  dialog.classList.remove('hidden');
+  input.focus();
+
+  return new Promise(resolve => {
+    const controller = new AbortController();
+    const { signal } = controller;
+
+    const finish = (password) => {
+      controller.abort();
+      input.value = '';
+      dialog.classList.add('hidden');
+      resolve(password);
+    };
+
+    submitBtn.addEventListener('click', () => finish(input.value), { signal });
+    cancelBtn.addEventListener('click', () => finish(null), { signal });
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') finish(input.value);
+      if (e.key === 'Escape') finish(null);
+    }, { signal });
+  });
+}
+
+/**
+ * Ask for the text of an annotation
+ * @param {string} title - Dialog title
+ * @returns {Promise<string|null>} The text, or null if cancelled
+ */
+export function showTextPrompt(title) {
+  const dialog = document.getElementById('annotation-text-dialog');
+  const input = document.getElementById('annotation-text-input');
+  const submitBtn = document.getElementById('submit-annotation-text-btn');
+  const cancelBtn = document.getElementById('cancel-annotation-text-btn');
+
+  document.getElementById('annotation-text-title').textContent = title;
+  input.value = '';
+  dialog.classList.remove('hidden');
+  input.focus();
+
+  return new Promise(resolve => {
+    const controller = new AbortController();
+    const { signal } = controller;
+
+    const finish = (text) => {
+      controller.abort();
+      input.value = '';
+      dialog.classList.add('hidden');
+      resolve(text);
+    };
+
+    submitBtn.addEventListener('click', () => finish(input.value), { signal });
+    cancelBtn.addEventListener('click', () => finish(null), { signal });
+    input.addEventListener('keydown', (e) => {
+      // Enter starts a new line; Ctrl+Enter finishes
+      if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) finish(input.value);
+      if (e.key === 'Escape') finish(null);
+    }, { signal });
+  });
+}
+
 /**
  * Show an alert/notification
  * @param {string} message - Message to show
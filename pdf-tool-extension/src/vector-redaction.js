@@ -0,0 +1,616 @@
+/**
+ * Vector Redaction Module
+ * Removes text and images under redaction boxes from the page content stream,
+ * leaving everything else as vector content
+ */
+
+import {
+  IDENTITY_MATRIX,
+  readPageContent,
+  writePageContent,
+  tokenizeContentStream,
+  multiplyMatrices,
+  transformRect,
+  formatNumber,
+  toHexStringToken
+} from './content-stream.js';
+
+/**
+ * @typedef {Object} PdfRect
+ * A rectangle in PDF user space (origin bottom-left)
+ * @property {number} x - Left edge
+ * @property {number} y - Bottom edge
+ * @property {number} width - Width in points
+ * @property {number} height - Height in points
+ */
+
+/**
+ * @typedef {Object} VectorRedactionResult
+ * @property {boolean} supported - False if the page needs the rasterize fallback
+ * @property {string} [reason] - Why the page is not supported
+ * @property {number} [glyphs] - Number of glyphs removed
+ * @property {number} [images] - Number of images removed
+ * @property {number} [annotations] - Number of annotations removed
+ */
+
+// Glyph extent relative to font size, measured from the baseline.
+// Generous on purpose: covering too much is safer than too little.
+const GLYPH_ASCENT = 1.0;
+const GLYPH_DESCENT = 0.3;
+
+// Width used when a font gives no metrics for a glyph (per 1000 em)
+const FALLBACK_GLYPH_WIDTH = 600;
+
+/**
+ * Redact a page by editing its content stream
+ * Nothing is changed unless the whole page can be handled.
+ * @param {PDFDocument} pdfDoc - PDF-lib document
+ * @param {number} pageIndex - Zero-based page index
+ * @param {PdfRect[]} rects - Areas to redact, in PDF user space
+ * @returns {VectorRedactionResult} What was removed, or why it could not be
+ */
+export function redactPageContent(pdfDoc, pageIndex, rects) {
+  const page = pdfDoc.getPage(pageIndex);
+  const context = pdfDoc.context;
+  const resources = page.node.Resources();
+
+  let source;
+  try {
+    source = readPageContent(page);
+  } catch (error) {
+    return { supported: false, reason: `content stream could not be decoded (${error.message})` };
+  }
+
+  const operations = tokenizeContentStream(source);
+  const filtered = filterOperations(operations, source, resources, context, rects);
+  if (!filtered.supported) {
+    return filtered;
+  }
+
+  // Replace the page content with the filtered stream
+  writePageContent(page, filtered.content);
+  removeXObjectResources(page, filtered.unusedXObjects);
+
+  const annotations = removeIntersectingAnnotations(page, rects);
+
+  // Paint the boxes on top
+  for (const rect of rects) {
+    page.drawRectangle({
+      x: rect.x,
+      y: rect.y,
+      width: rect.width,
+      height: rect.height,
+      color: PDFLib.rgb(0, 0, 0)
+    });
+  }
+
+  return {
+    supported: true,
+    glyphs: filtered.glyphs,
+    images: filtered.images,
+    annotations
+  };
+}
+
+/**
+ * Walk the operations, tracking graphics and text state, and drop or rewrite
+ * anything that paints inside a redaction rect
+ * @returns {{supported: boolean, reason?: string, content?: string, glyphs?: number, images?: number, unusedXObjects?: string[]}}
+ */
+function filterOperations(operations, source, resources, context, rects) {
+  const fonts = new Map();
+  const output = [];
+  const stack = [];
+  const removedXObjects = new Set();
+  const keptXObjects = new Set();
+  let glyphs = 0;
+  let images = 0;
+
+  let gs = {
+    ctm: IDENTITY_MATRIX,
+    charSpacing: 0,
+    wordSpacing: 0,
+    hScale: 1,
+    leading: 0,
+    fontName: null,
+    fontSize: 0,
+    rise: 0
+  };
+  let tm = IDENTITY_MATRIX;
+  let tlm = IDENTITY_MATRIX;
+
+  function moveLine(tx, ty) {
+    tlm = multiplyMatrices([1, 0, 0, 1, tx, ty], tlm);
+    tm = tlm;
+  }
+
+  function getFont() {
+    if (!fonts.has(gs.fontName)) {
+      fonts.set(gs.fontName, loadFontMetrics(resources, context, gs.fontName));
+    }
+    return fonts.get(gs.fontName);
+  }
+
+  for (const op of operations) {
+    const args = op.operands;
+    let replacement = null;
+
+    switch (op.operator) {
+      case 'q':
+        stack.push({ ...gs });
+        break;
+      case 'Q':
+        if (stack.length > 0) gs = stack.pop();
+        break;
+      case 'cm':
+        gs.ctm = multiplyMatrices(args, gs.ctm);
+        break;
+      case 'BT':
+        tm = IDENTITY_MATRIX;
+        tlm = IDENTITY_MATRIX;
+        break;
+      case 'Td':
+        moveLine(args[0], args[1]);
+        break;
+      case 'TD':
+        gs.leading = -args[1];
+        moveLine(args[0], args[1]);
+        break;
+      case 'Tm':
+        tm = args.slice(0, 6);
+        tlm = tm;
+        break;
+      case 'T*':
+        moveLine(0, -gs.leading);
+        break;
+      case 'Tc':
+        gs.charSpacing = args[0];
+        break;
+      case 'Tw':
+        gs.wordSpacing = args[0];
+        break;
+      case 'Tz':
+        gs.hScale = args[0] / 100;
+        break;
+      case 'TL':
+        gs.leading = args[0];
+        break;
+      case 'Ts':
+        gs.rise = args[0];
+        break;
+      case 'Tf':
+        gs.fontName = args[0]?.value;
+        gs.fontSize = args[1];
+        break;
+      case 'Tj':
+      case 'TJ':
+      case "'":
+      case '"': {
+        let prefix = '';
+        if (op.operator === "'") {
+          moveLine(0, -gs.leading);
+          prefix = 'T* ';
+        } else if (op.operator === '"') {
+          gs.wordSpacing = args[0];
+          gs.charSpacing = args[1];
+          moveLine(0, -gs.leading);
+          prefix = `${formatNumber(args[0])} Tw ${formatNumber(args[1])} Tc T* `;
+        }
+
+        const font = getFont();
+        if (!font.supported) {
+          return { supported: false, reason: `font ${gs.fontName} is not supported (${font.reason})` };
+        }
+
+        const elements = op.operator === 'TJ' ? args[0] : [args[args.length - 1]];
+        const shown = showText(elements, font);
+        if (shown.error) {
+          return { supported: false, reason: shown.error };
+        }
+        if (shown.removed > 0) {
+          glyphs += shown.removed;
+          replacement = `${prefix}${shown.content} TJ`;
+        }
+        break;
+      }
+      case 'Do': {
+        const name = args[0]?.value;
+        const placement = getXObjectPlacement(resources, context, name, gs.ctm);
+        if (placement && intersectsAny(placement.bounds, rects)) {
+          if (placement.type !== 'image') {
+            return { supported: false, reason: 'a form XObject overlaps a redaction box' };
+          }
+          if (!containedInAny(placement.bounds, rects)) {
+            return { supported: false, reason: 'an image is only partly covered by a redaction box' };
+          }
+          images++;
+          removedXObjects.add(name);
+          replacement = '';
+        } else {
+          keptXObjects.add(name);
+        }
+        break;
+      }
+      case 'BI': {
+        const bounds = transformRect(gs.ctm, 0, 0, 1, 1);
+        if (intersectsAny(bounds, rects)) {
+          if (!containedInAny(bounds, rects)) {
+            return { supported: false, reason: 'an inline image is only partly covered by a redaction box' };
+          }
+          images++;
+          replacement = '';
+        }
+        break;
+      }
+    }
+
+    output.push(replacement === null ? source.slice(op.start, op.end) : replacement);
+  }
+
+  /**
+   * Position each glyph, and rebuild the operation as a TJ array if any
+   * glyph falls inside a rect. Removed glyphs become positioning offsets so
+   * the remaining text stays where it was.
+   */
+  function showText(elements, font) {
+    const scale = gs.fontSize * gs.hScale;
+    const parts = [];
+    let removed = 0;
+    let kept = '';
+    let gap = 0;
+
+    function flushKept() {
+      if (kept) {
+        parts.push(toHexStringToken(kept));
+        kept = '';
+      }
+    }
+
+    function flushGap() {
+      if (gap !== 0) {
+        parts.push(formatNumber(-gap * 1000 / scale));
+        gap = 0;
+      }
+    }
+
+    for (const element of elements) {
+      if (typeof element === 'number') {
+        flushKept();
+        flushGap();
+        parts.push(formatNumber(element));
+        tm = multiplyMatrices([1, 0, 0, 1, -element / 1000 * scale, 0], tm);
+        continue;
+      }
+      if (!element || element.type !== 'string') continue;
+
+      const value = element.value;
+      for (let i = 0; i < value.length; i += font.bytesPerCode) {
+        const bytes = value.slice(i, i + font.bytesPerCode);
+        const code = font.bytesPerCode === 2
+          ? (bytes.charCodeAt(0) << 8) | (bytes.charCodeAt(1) || 0)
+          : bytes.charCodeAt(0);
+
+        const glyphWidth = font.widthOf(code) * gs.fontSize * gs.hScale;
+        const wordSpacing = font.bytesPerCode === 1 && code === 32 ? gs.wordSpacing : 0;
+        const advance = (font.widthOf(code) * gs.fontSize + gs.charSpacing + wordSpacing) * gs.hScale;
+
+        const bounds = transformRect(
+          multiplyMatrices(tm, gs.ctm),
+          Math.min(0, glyphWidth),
+          gs.rise - GLYPH_DESCENT * gs.fontSize,
+          Math.max(glyphWidth, 0.1 * gs.fontSize),
+          gs.rise + GLYPH_ASCENT * gs.fontSize
+        );
+
+        if (intersectsAny(bounds, rects)) {
+          removed++;
+          flushKept();
+          gap += advance;
+        } else {
+          flushGap();
+          kept += bytes;
+        }
+
+        tm = multiplyMatrices([1, 0, 0, 1, advance, 0], tm);
+      }
+    }
+
+    if (removed > 0 && scale === 0) {
+      return { error: 'text with zero font size overlaps a redaction box' };
+    }
+
+    flushKept();
+    flushGap();
+
+    return { removed, content: `[${parts.join(' ')}]` };
+  }
+
+  return {
+    supported: true,
+    content: output.join('\n'),
+    glyphs,
+    images,
+    unusedXObjects: [...removedXObjects].filter(name => !keptXObjects.has(name))
+  };
+}
+
+/**
+ * Read the metrics needed to position glyphs for a font resource
+ * @returns {{supported: boolean, reason?: string, bytesPerCode?: number, widthOf?: Function}}
+ */
+function loadFontMetrics(resources, context, fontName) {
+  const { PDFName, PDFDict, PDFArray, PDFNumber } = PDFLib;
+
+  const fontDicts = resources && resources.lookupMaybe(PDFName.of('Font'), PDFDict);
+  const font = fontDicts && fontName && fontDicts.lookupMaybe(PDFName.of(fontName), PDFDict);
+  if (!font) {
+    return { supported: false, reason: 'font resource not found' };
+  }
+
+  const numberAt = (array, index) => {
+    const value = array.lookup(index);
+    return value instanceof PDFNumber ? value.asNumber() : 0;
+  };
+
+  const subtype = font.lookupMaybe(PDFName.of('Subtype'), PDFName)?.asString();
+
+  // Composite fonts: only the identity encodings map codes to CIDs directly
+  if (subtype === '/Type0') {
+    const encoding = font.lookup(PDFName.of('Encoding'));
+    if (!(encoding instanceof PDFName) || encoding.asString() !== '/Identity-H') {
+      return { supported: false, reason: 'composite font with non-identity encoding' };
+    }
+
+    const descendants = font.lookupMaybe(PDFName.of('DescendantFonts'), PDFArray);
+    const cidFont = descendants && descendants.lookupMaybe(0, PDFDict);
+    const defaultWidth = cidFont?.lookupMaybe(PDFName.of('DW'), PDFNumber)?.asNumber() ?? 1000;
+    const widths = new Map();
+
+    const w = cidFont?.lookupMaybe(PDFName.of('W'), PDFArray);
+    if (w) {
+      let i = 0;
+      while (i < w.size()) {
+        const first = numberAt(w, i);
+        const next = w.lookup(i + 1);
+        if (next instanceof PDFArray) {
+          for (let j = 0; j < next.size(); j++) {
+            widths.set(first + j, numberAt(next, j));
+          }
+          i += 2;
+        } else {
+          const last = numberAt(w, i + 1);
+          const width = numberAt(w, i + 2);
+          for (let cid = first; cid <= last; cid++) {
+            widths.set(cid, width);
+          }
+          i += 3;
+        }
+      }
+    }
+
+    return {
+      supported: true,
+      bytesPerCode: 2,
+      widthOf: code => (widths.has(code) ? widths.get(code) : defaultWidth) / 1000
+    };
+  }
+
+  // Simple fonts: one byte per code, widths from /Widths
+  const firstChar = font.lookupMaybe(PDFName.of('FirstChar'), PDFNumber)?.asNumber() ?? 0;
+  const widths = font.lookupMaybe(PDFName.of('Widths'), PDFArray);
+  const descriptor = font.lookupMaybe(PDFName.of('FontDescriptor'), PDFDict);
+  const missingWidth = descriptor?.lookupMaybe(PDFName.of('MissingWidth'), PDFNumber)?.asNumber();
+
+  // Type 3 glyph widths are in glyph space, mapped by the font matrix
+  let widthScale = 1 / 1000;
+  if (subtype === '/Type3') {
+    const fontMatrix = font.lookupMaybe(PDFName.of('FontMatrix'), PDFArray);
+    widthScale = fontMatrix ? numberAt(fontMatrix, 0) : 0.001;
+  }
+
+  // Standard 14 fonts may omit /Widths; use the built-in metrics
+  const baseFont = font.lookupMaybe(PDFName.of('BaseFont'), PDFName)?.asString().slice(1).replace(/^[A-Z]{6}\+/, '');
+  const standardFont = !widths && PDFLib.isStandardFont(baseFont)
+    ? PDFLib.StandardFontEmbedder.for(baseFont)
+    : null;
+
+  return {
+    supported: true,
+    bytesPerCode: 1,
+    widthOf: code => {
+      if (widths && code >= firstChar && code < firstChar + widths.size()) {
+        return numberAt(widths, code - firstChar) * widthScale;
+      }
+      if (standardFont) {
+        try {
+          return standardFont.widthOfTextAtSize(String.fromCharCode(code), 1);
+        } catch (error) {
+          // Not encodable in WinAnsi; fall through to an estimate
+        }
+      }
+      return (missingWidth ?? FALLBACK_GLYPH_WIDTH) * widthScale;
+    }
+  };
+}
+
+/**
+ * Work out where an XObject painted with Do lands on the page
+ * @returns {{type: string, bounds: PdfRect}|null} Placement, or null if unknown
+ */
+function getXObjectPlacement(resources, context, name, ctm) {
+  const { PDFName, PDFDict, PDFArray, PDFNumber } = PDFLib;
+
+  const xObjects = resources && resources.lookupMaybe(PDFName.of('XObject'), PDFDict);
+  const xObject = xObjects && name && xObjects.lookup(PDFName.of(name));
+  if (!xObject || !xObject.dict) return null;
+
+  const subtype = xObject.dict.lookupMaybe(PDFName.of('Subtype'), PDFName)?.asString();
+
+  if (subtype === '/Image') {
+    return { type: 'image', bounds: transformRect(ctm, 0, 0, 1, 1) };
+  }
+
+  if (subtype === '/Form') {
+    const bbox = xObject.dict.lookupMaybe(PDFName.of('BBox'), PDFArray);
+    const matrixArray = xObject.dict.lookupMaybe(PDFName.of('Matrix'), PDFArray);
+    const values = array => array.asArray().map((_, i) => {
+      const value = array.lookup(i);
+      return value instanceof PDFNumber ? value.asNumber() : 0;
+    });
+    const matrix = matrixArray ? values(matrixArray) : IDENTITY_MATRIX;
+    const [x0, y0, x1, y1] = bbox ? values(bbox) : [-1e6, -1e6, 1e6, 1e6];
+    return { type: 'form', bounds: transformRect(multiplyMatrices(matrix, ctm), x0, y0, x1, y1) };
+  }
+
+  return null;
+}
+
+/**
+ * Drop XObject resources the page no longer paints, so that a removed image
+ * is not still reachable through them. The page gets its own copy of the
+ * resource dictionaries, which may be shared with other pages.
+ * @param {PDFPage} page - PDF-lib page
+ * @param {string[]} names - XObject resource names to drop
+ */
+function removeXObjectResources(page, names) {
+  const { PDFName, PDFDict } = PDFLib;
+  if (names.length === 0) return;
+
+  const resources = page.node.Resources();
+  const xObjects = resources && resources.lookupMaybe(PDFName.of('XObject'), PDFDict);
+  if (!xObjects) return;
+
+  const keptXObjects = xObjects.clone();
+  names.forEach(name => keptXObjects.delete(PDFName.of(name)));
+
+  const keptResources = resources.clone();
+  keptResources.set(PDFName.of('XObject'), keptXObjects);
+  page.node.set(PDFName.of('Resources'), keptResources);
+}
+
+/**
+ * Remove annotations whose rectangle overlaps a redaction rect, along with
+ * their popups and any form field entries for them, so nothing links to
+ * the removed objects any more
+ * @param {PDFPage} page - PDF-lib page
+ * @param {PdfRect[]} rects - Redaction rects in user space
+ * @returns {number} Number of annotations removed
+ */
+function removeIntersectingAnnotations(page, rects) {
+  const { PDFName, PDFArray, PDFNumber, PDFRef } = PDFLib;
+
+  const annots = page.node.Annots();
+  if (!annots) return 0;
+
+  const kept = [];
+  const removedRefs = new Set();
+  let removed = 0;
+
+  for (let i = 0; i < annots.size(); i++) {
+    const entry = annots.get(i);
+    const annot = annots.lookup(i);
+    const rectArray = annot && annot.lookupMaybe ? annot.lookupMaybe(PDFName.of('Rect'), PDFArray) : null;
+
+    if (rectArray) {
+      const [x0, y0, x1, y1] = rectArray.asArray().map((_, j) => {
+        const value = rectArray.lookup(j);
+        return value instanceof PDFNumber ? value.asNumber() : 0;
+      });
+      const bounds = {
+        x: Math.min(x0, x1),
+        y: Math.min(y0, y1),
+        width: Math.abs(x1 - x0),
+        height: Math.abs(y1 - y0)
+      };
+
+      if (intersectsAny(bounds, rects)) {
+        removed++;
+        if (entry instanceof PDFRef) removedRefs.add(entry.toString());
+        continue;
+      }
+    }
+
+    kept.push(entry);
+  }
+
+  if (removed === 0) return 0;
+
+  // A popup shows the text of its parent; a reply only links to it
+  const context = page.doc.context;
+  const linksToRemoved = (annot, key) => {
+    const ref = annot && annot.get ? annot.get(PDFName.of(key)) : null;
+    return ref instanceof PDFRef && removedRefs.has(ref.toString());
+  };
+  const remaining = kept.filter(entry => {
+    const annot = context.lookup(entry);
+    if (linksToRemoved(annot, 'Parent') && annot.get(PDFName.of('Subtype')) === PDFName.of('Popup')) {
+      if (entry instanceof PDFRef) removedRefs.add(entry.toString());
+      return false;
+    }
+    if (linksToRemoved(annot, 'IRT')) {
+      annot.delete(PDFName.of('IRT'));
+    }
+    return true;
+  });
+
+  page.node.set(PDFName.of('Annots'), context.obj(remaining));
+  removeFormWidgets(page.doc, removedRefs);
+
+  return removed;
+}
+
+/**
+ * Take removed widget annotations out of the form field tree, dropping
+ * fields left with no widgets so their values go with them
+ * @param {PDFDocument} pdfDoc - PDF-lib document
+ * @param {Set<string>} removedRefs - References of the removed annotations
+ */
+function removeFormWidgets(pdfDoc, removedRefs) {
+  const { PDFName, PDFDict, PDFArray, PDFRef } = PDFLib;
+
+  const acroForm = pdfDoc.catalog.lookupMaybe(PDFName.of('AcroForm'), PDFDict);
+  const fields = acroForm && acroForm.lookupMaybe(PDFName.of('Fields'), PDFArray);
+  if (!fields) return;
+
+  const prune = (array) => {
+    for (let i = array.size() - 1; i >= 0; i--) {
+      const entry = array.get(i);
+      if (entry instanceof PDFRef && removedRefs.has(entry.toString())) {
+        array.remove(i);
+        continue;
+      }
+
+      const field = array.lookup(i);
+      const kids = field instanceof PDFDict && field.lookupMaybe(PDFName.of('Kids'), PDFArray);
+      if (kids && kids.size() > 0) {
+        prune(kids);
+        if (kids.size() === 0) array.remove(i);
+      }
+    }
+  };
+  prune(fields);
+}
+
+/**
+ * Check whether a rect overlaps any of a list of rects
+ */
+function intersectsAny(bounds, rects) {
+  return rects.some(rect =>
+    bounds.x < rect.x + rect.width &&
+    bounds.x + bounds.width > rect.x &&
+    bounds.y < rect.y + rect.height &&
+    bounds.y + bounds.height > rect.y
+  );
+}
+
+/**
+ * Check whether a rect lies entirely inside one of a list of rects
+ */
+function containedInAny(bounds, rects) {
+  return rects.some(rect =>
+    bounds.x >= rect.x &&
+    bounds.y >= rect.y &&
+    bounds.x + bounds.width <= rect.x + rect.width &&
+    bounds.y + bounds.height <= rect.y + rect.height
+  );
+}
@@ -0,0 +1,278 @@
+/**
+ * Vector Signature Module
+ * Reads SVG signature files into path data that PDF-lib can draw with
+ * drawSvgPath, and renders vector signatures for previews
+ */
+
+import { IDENTITY_MATRIX, multiplyMatrices } from './content-stream.js';
+
+/**
+ * @typedef {Object} VectorPath
+ * @property {string} d - SVG path data
+ * @property {string|null} fill - Fill color as #rrggbb, or null for none
+ * @property {string|null} stroke - Stroke color as #rrggbb, or null for none
+ * @property {number} strokeWidth - Stroke width in path units
+ * @property {number[]} matrix - Transform [a b c d e f] from path units to
+ *   the drawing area
+ */
+
+/**
+ * @typedef {Object} VectorSignature
+ * @property {number} width - Width of the drawing area
+ * @property {number} height - Height of the drawing area (y grows downwards,
+ *   as in SVG)
+ * @property {VectorPath[]} paths - Paths in painting order
+ */
+
+const MAX_SVG_SIZE = 200 * 1024; // 200KB
+
+// Elements whose content is never painted directly
+const SKIPPED_ELEMENTS = ['defs', 'clipPath', 'mask', 'symbol', 'marker', 'pattern', 'title', 'desc', 'metadata', 'style'];
+
+/**
+ * Read an SVG file into a vector signature
+ * @param {string} svgText - SVG source
+ * @returns {VectorSignature} The signature paths
+ */
+export function parseSVGSignature(svgText) {
+  if (svgText.length > MAX_SVG_SIZE) {
+    throw new Error('SVG is too large. Maximum size is 200KB.');
+  }
+
+  const doc = new DOMParser().parseFromString(svgText, 'image/svg+xml');
+  const svg = doc.documentElement;
+  if (doc.querySelector('parsererror') || svg.localName !== 'svg') {
+    throw new Error('The file is not a valid SVG image');
+  }
+
+  // The viewBox defines the drawing area; fall back to width and height
+  const viewBox = (svg.getAttribute('viewBox') || '').trim().split(/[\s,]+/).map(Number);
+  let width;
+  let height;
+  let rootMatrix = IDENTITY_MATRIX;
+  if (viewBox.length === 4 && viewBox.every(Number.isFinite) && viewBox[2] > 0 && viewBox[3] > 0) {
+    width = viewBox[2];
+    height = viewBox[3];
+    rootMatrix = [1, 0, 0, 1, -viewBox[0], -viewBox[1]];
+  } else {
+    width = parseFloat(svg.getAttribute('width'));
+    height = parseFloat(svg.getAttribute('height'));
+  }
+  if (!(width > 0) || !(height > 0)) {
+    throw new Error('The SVG needs a viewBox or a width and height');
+  }
+
+  const paths = [];
+  collectPaths(svg, rootMatrix, {}, paths);
+
+  if (paths.length === 0) {
+    throw new Error('No drawable paths found in the SVG');
+  }
+
+  return { width, height, paths };
+}
+
+/**
+ * Render a vector signature to a PNG for thumbnails and placement
+ * @param {VectorSignature} vector - The signature
+ * @param {number} [pixelRatio=2] - Pixels per drawing unit
+ * @returns {string} PNG data URL with a transparent background
+ */
+export function renderVectorSignature(vector, pixelRatio = 2) {
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.ceil(vector.width * pixelRatio));
+  canvas.height = Math.max(1, Math.ceil(vector.height * pixelRatio));
+  const ctx = canvas.getContext('2d');
+  ctx.lineCap = 'round';
+  ctx.lineJoin = 'round';
+
+  for (const path of vector.paths) {
+    ctx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+    ctx.transform(...path.matrix);
+    const path2D = new Path2D(path.d);
+
+    if (path.fill) {
+      ctx.fillStyle = path.fill;
+      ctx.fill(path2D);
+    }
+    if (path.stroke && path.strokeWidth > 0) {
+      ctx.strokeStyle = path.stroke;
+      ctx.lineWidth = path.strokeWidth;
+      ctx.stroke(path2D);
+    }
+  }
+
+  return canvas.toDataURL('image/png');
+}
+
+/**
+ * Walk the SVG tree and collect painted shapes as paths
+ * @param {Element} element - Current element
+ * @param {number[]} parentMatrix - Transform of the parent
+ * @param {Object} inherited - Inherited fill, stroke and stroke width
+ * @param {VectorPath[]} paths - Output list
+ */
+function collectPaths(element, parentMatrix, inherited, paths) {
+  const matrix = multiplyMatrices(parseTransform(element.getAttribute('transform')), parentMatrix);
+  const style = {
+    color: getPresentationValue(element, 'color') || inherited.color,
+    fill: getPresentationValue(element, 'fill') || inherited.fill,
+    stroke: getPresentationValue(element, 'stroke') || inherited.stroke,
+    strokeWidth: getPresentationValue(element, 'stroke-width') || inherited.strokeWidth
+  };
+
+  if (getPresentationValue(element, 'display') === 'none' || getPresentationValue(element, 'visibility') === 'hidden') {
+    return;
+  }
+
+  const d = shapeToPathData(element);
+  if (d) {
+    const fill = resolveColor(style.fill || 'black', style.color);
+    const stroke = resolveColor(style.stroke || 'none', style.color);
+    const strokeWidth = parseFloat(style.strokeWidth || '1');
+
+    if (fill || (stroke && strokeWidth > 0)) {
+      paths.push({ d, fill, stroke, strokeWidth: stroke ? strokeWidth : 0, matrix });
+    }
+  }
+
+  for (const child of element.children) {
+    if (!SKIPPED_ELEMENTS.includes(child.localName)) {
+      collectPaths(child, matrix, style, paths);
+    }
+  }
+}
+
+/**
+ * Get the path data of a basic shape
+ * @param {Element} element - SVG element
+ * @returns {string|null} Path data, or null if the element is not a shape
+ */
+function shapeToPathData(element) {
+  const num = name => parseFloat(element.getAttribute(name)) || 0;
+
+  switch (element.localName) {
+    case 'path':
+      return element.getAttribute('d') || null;
+    case 'line':
+      return `M${num('x1')} ${num('y1')}L${num('x2')} ${num('y2')}`;
+    case 'polyline':
+    case 'polygon': {
+      const points = (element.getAttribute('points') || '').trim().split(/[\s,]+/).map(Number);
+      if (points.length < 4) return null;
+      let d = `M${points[0]} ${points[1]}`;
+      for (let i = 2; i + 1 < points.length; i += 2) {
+        d += `L${points[i]} ${points[i + 1]}`;
+      }
+      return element.localName === 'polygon' ? `${d}Z` : d;
+    }
+    case 'rect': {
+      const x = num('x');
+      const y = num('y');
+      const w = num('width');
+      const h = num('height');
+      if (w <= 0 || h <= 0) return null;
+      return `M${x} ${y}H${x + w}V${y + h}H${x}Z`;
+    }
+    case 'circle':
+      return ellipsePathData(num('cx'), num('cy'), num('r'), num('r'));
+    case 'ellipse':
+      return ellipsePathData(num('cx'), num('cy'), num('rx'), num('ry'));
+    default:
+      return null;
+  }
+}
+
+/**
+ * Path data for an ellipse as two arcs
+ */
+function ellipsePathData(cx, cy, rx, ry) {
+  if (rx <= 0 || ry <= 0) return null;
+  return `M${cx + rx} ${cy}A${rx} ${ry} 0 1 0 ${cx - rx} ${cy}A${rx} ${ry} 0 1 0 ${cx + rx} ${cy}Z`;
+}
+
+/**
+ * Read a presentation attribute, letting an inline style override it
+ * @returns {string|null} The value, or null if not set
+ */
+function getPresentationValue(element, property) {
+  const fromStyle = element.style && element.style.getPropertyValue(property);
+  const value = fromStyle || element.getAttribute(property);
+  return value && value !== 'inherit' ? value.trim() : null;
+}
+
+/**
+ * Turn a CSS color into #rrggbb
+ * @param {string} value - Color value from the SVG
+ * @param {string} [currentColor] - Value of the color property
+ * @returns {string|null} Hex color, or null for none and unsupported paints
+ */
+function resolveColor(value, currentColor) {
+  if (value === 'currentColor') value = currentColor || 'black';
+  if (!value || value === 'none' || value.startsWith('url(')) return null;
+
+  // Let the browser parse the color; invalid values leave it unchanged
+  const ctx = document.createElement('canvas').getContext('2d');
+  ctx.fillStyle = '#000000';
+  ctx.fillStyle = value;
+  const parsed = ctx.fillStyle;
+
+  if (parsed.startsWith('#')) return parsed;
+
+  // Translucent colors come back as rgba(); keep the color, drop the alpha
+  const match = parsed.match(/rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/);
+  if (!match) return '#000000';
+  return `#${match.slice(1, 4).map(part => Number(part).toString(16).padStart(2, '0')).join('')}`;
+}
+
+/**
+ * Parse an SVG transform attribute into a matrix
+ * @param {string|null} value - Transform list, e.g. "translate(10 5) scale(2)"
+ * @returns {number[]} Matrix [a b c d e f]
+ */
+function parseTransform(value) {
+  let matrix = IDENTITY_MATRIX;
+  if (!value) return matrix;
+
+  const pattern = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+  let match;
+  while ((match = pattern.exec(value)) !== null) {
+    const args = match[2].trim().split(/[\s,]+/).map(Number);
+    let step;
+
+    switch (match[1]) {
+      case 'matrix':
+        step = args.length === 6 ? args : IDENTITY_MATRIX;
+        break;
+      case 'translate':
+        step = [1, 0, 0, 1, args[0] || 0, args[1] || 0];
+        break;
+      case 'scale':
+        step = [args[0], 0, 0, args.length > 1 ? args[1] : args[0], 0, 0];
+        break;
+      case 'rotate': {
+        const angle = (args[0] * Math.PI) / 180;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        const [cx = 0, cy = 0] = args.slice(1);
+        // Rotate about (cx, cy): translate, rotate, translate back
+        step = multiplyMatrices(
+          multiplyMatrices([1, 0, 0, 1, -cx, -cy], [cos, sin, -sin, cos, 0, 0]),
+          [1, 0, 0, 1, cx, cy]
+        );
+        break;
+      }
+      case 'skewX':
+        step = [1, 0, Math.tan((args[0] * Math.PI) / 180), 1, 0, 0];
+        break;
+      case 'skewY':
+        step = [1, Math.tan((args[0] * Math.PI) / 180), 0, 1, 0, 0];
+        break;
+    }
+
+    // Later transforms in the list apply to the points first
+    matrix = multiplyMatrices(step, matrix);
+  }
+
+  return matrix;
+}
@@ -0,0 +1,216 @@
+/**
+ * Tests for the page transform, at every page rotation, on a page whose
+ * media box and crop box do not start at 0,0
+ * Run with: node --test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getPageGeometry,
+  getPdfJsPageGeometry,
+  viewportToPdfPoint,
+  pdfToViewportPoint,
+  viewportRectToPdf,
+  pdfRectToViewport,
+  getDisplayMatrix,
+  placementToPdf,
+  boxesOverlap
+} from '../src/page-transform.js';
+
+// Media box [10 20 610 820], crop box [50 70 450 570]: the visible area is
+// 400 x 500 points starting at 50,70
+const MEDIA_BOX = { x: 10, y: 20, width: 600, height: 800 };
+const CROP_BOX = { x: 50, y: 70, width: 400, height: 500 };
+
+/**
+ * A stand-in for a PDF-lib page with the given rotation
+ */
+function createPage(angle) {
+  return {
+    getMediaBox: () => MEDIA_BOX,
+    getCropBox: () => CROP_BOX,
+    getRotation: () => ({ angle })
+  };
+}
+
+/**
+ * The user space corners seen at the top-left, top-right and bottom-left of
+ * the page as shown. The page turns clockwise, so at 90 the bottom-left of
+ * the crop box moves to the top-left.
+ */
+const SHOWN_CORNERS = {
+  0: { topLeft: [50, 570], topRight: [450, 570], bottomLeft: [50, 70] },
+  90: { topLeft: [50, 70], topRight: [50, 570], bottomLeft: [450, 70] },
+  180: { topLeft: [450, 70], topRight: [50, 70], bottomLeft: [450, 570] },
+  270: { topLeft: [450, 570], topRight: [450, 70], bottomLeft: [50, 570] }
+};
+
+const ROTATIONS = [0, 90, 180, 270];
+
+function assertPoint(actual, [x, y], message) {
+  assert.ok(Math.abs(actual.x - x) < 1e-9 && Math.abs(actual.y - y) < 1e-9,
+    `${message}: expected ${x},${y} but got ${actual.x},${actual.y}`);
+}
+
+function applyMatrix([a, b, c, d, e, f], x, y) {
+  return { x: a * x + c * y + e, y: b * x + d * y + f };
+}
+
+test('getPageGeometry uses the crop box and swaps the shown size when sideways', () => {
+  for (const rotation of ROTATIONS) {
+    const geometry = getPageGeometry(createPage(rotation));
+    const sideways = rotation % 180 !== 0;
+
+    assert.deepEqual(
+      { x: geometry.x, y: geometry.y, width: geometry.width, height: geometry.height, rotation: geometry.rotation },
+      { x: 50, y: 70, width: 400, height: 500, rotation }
+    );
+    assert.equal(geometry.displayWidth, sideways ? 500 : 400);
+    assert.equal(geometry.displayHeight, sideways ? 400 : 500);
+  }
+});
+
+test('getPageGeometry normalizes negative and full-turn rotations', () => {
+  assert.equal(getPageGeometry(createPage(-90)).rotation, 270);
+  assert.equal(getPageGeometry(createPage(450)).rotation, 90);
+});
+
+test('getPdfJsPageGeometry matches getPageGeometry', () => {
+  for (const rotation of ROTATIONS) {
+    // PDF.js gives the clipped crop box as view and the rotation as rotate
+    const pdfJsPage = { view: [50, 70, 450, 570], rotate: rotation };
+    assert.deepEqual(getPdfJsPageGeometry(pdfJsPage), getPageGeometry(createPage(rotation)));
+  }
+});
+
+test('viewportToPdfPoint maps the corners of the page as shown', () => {
+  for (const rotation of ROTATIONS) {
+    const geometry = getPageGeometry(createPage(rotation));
+    const corners = SHOWN_CORNERS[rotation];
+
+    assertPoint(viewportToPdfPoint(geometry, 0, 0), corners.topLeft, `${rotation} top-left`);
+    assertPoint(viewportToPdfPoint(geometry, geometry.displayWidth, 0), corners.topRight, `${rotation} top-right`);
+    assertPoint(viewportToPdfPoint(geometry, 0, geometry.displayHeight), corners.bottomLeft, `${rotation} bottom-left`);
+
+    // Viewports rendered at a scale give the same points
+    assertPoint(viewportToPdfPoint(geometry, geometry.displayWidth * 2, 0, 2), corners.topRight, `${rotation} scaled`);
+  }
+});
+
+test('pdfToViewportPoint reverses viewportToPdfPoint', () => {
+  for (const rotation of ROTATIONS) {
+    const geometry = getPageGeometry(createPage(rotation));
+
+    for (const [x, y] of [[0, 0], [12.5, 40], [geometry.displayWidth, geometry.displayHeight]]) {
+      const point = viewportToPdfPoint(geometry, x, y, 1.5);
+      assertPoint(pdfToViewportPoint(geometry, point.x, point.y, 1.5), [x, y], `${rotation} at ${x},${y}`);
+    }
+  }
+});
+
+test('viewportRectToPdf gives the user space rectangle a viewport box covers', () => {
+  // A 100 x 50 box 20 from the left and 30 from the top of the page as shown
+  const expected = {
+    0: { x: 70, y: 490, width: 100, height: 50 },
+    90: { x: 80, y: 90, width: 50, height: 100 },
+    180: { x: 330, y: 100, width: 100, height: 50 },
+    270: { x: 370, y: 450, width: 50, height: 100 }
+  };
+
+  for (const rotation of ROTATIONS) {
+    const geometry = getPageGeometry(createPage(rotation));
+    const rect = viewportRectToPdf(geometry, { x: 40, y: 60, width: 200, height: 100 }, 2);
+    assert.deepEqual(rect, expected[rotation], `rotation ${rotation}`);
+  }
+});
+
+test('pdfRectToViewport reverses viewportRectToPdf', () => {
+  for (const rotation of ROTATIONS) {
+    const geometry = getPageGeometry(createPage(rotation));
+    const viewportRect = { x: 40, y: 60, width: 200, height: 100 };
+    const rect = pdfRectToViewport(geometry, viewportRectToPdf(geometry, viewportRect, 2), 2);
+
+    for (const key of ['x', 'y', 'width', 'height']) {
+      assert.ok(Math.abs(rect[key] - viewportRect[key]) < 1e-9, `rotation ${rotation} ${key}`);
+    }
+  }
+});
+
+test('getDisplayMatrix maps the page as shown, bottom-up, to user space', () => {
+  for (const rotation of ROTATIONS) {
+    const geometry = getPageGeometry(createPage(rotation));
+    const matrix = getDisplayMatrix(geometry);
+    const corners = SHOWN_CORNERS[rotation];
+
+    assertPoint(applyMatrix(matrix, 0, 0), corners.bottomLeft, `${rotation} origin`);
+    assertPoint(applyMatrix(matrix, 0, geometry.displayHeight), corners.topLeft, `${rotation} top-left`);
+    assertPoint(applyMatrix(matrix, geometry.displayWidth, geometry.displayHeight), corners.topRight, `${rotation} top-right`);
+
+    // Agrees with viewportToPdfPoint everywhere, not just at the corners
+    const point = viewportToPdfPoint(geometry, 33, geometry.displayHeight - 77);
+    assertPoint(applyMatrix(matrix, 33, 77), [point.x, point.y], `${rotation} inner point`);
+  }
+});
+
+test('placementToPdf puts a box where it was shown, at any box rotation', () => {
+  const placement = { x: 60, y: 80, width: 120, height: 40 };
+
+  for (const rotation of ROTATIONS) {
+    const geometry = getPageGeometry(createPage(rotation));
+
+    for (const boxRotation of [0, 30, 90, 200]) {
+      const box = placementToPdf(geometry, { ...placement, rotation: boxRotation });
+
+      // Corners of the placed box in user space: drawn from the lower-left,
+      // turned counterclockwise by box.rotation
+      const angle = (box.rotation * Math.PI) / 180;
+      const along = [Math.cos(angle), Math.sin(angle)];
+      const up = [-Math.sin(angle), Math.cos(angle)];
+      const corner = (w, h) => [box.x + along[0] * w + up[0] * h, box.y + along[1] * w + up[1] * h];
+
+      // The same corners as shown: the box turned clockwise about its center
+      const turn = (-boxRotation * Math.PI) / 180;
+      const centerX = placement.x + placement.width / 2;
+      const centerY = placement.y + placement.height / 2;
+      const shown = (w, h) => {
+        const dx = w - placement.width / 2;
+        const dy = h - placement.height / 2;
+        const x = centerX + dx * Math.cos(turn) - dy * Math.sin(turn);
+        const y = centerY + dx * Math.sin(turn) + dy * Math.cos(turn);
+        const point = viewportToPdfPoint(geometry, x, geometry.displayHeight - y);
+        return [point.x, point.y];
+      };
+
+      for (const [w, h] of [[0, 0], [placement.width, 0], [0, placement.height], [placement.width, placement.height]]) {
+        const [x, y] = corner(w, h);
+        assertPoint({ x, y }, shown(w, h), `page ${rotation}, box ${boxRotation}, corner ${w},${h}`);
+      }
+
+      assert.equal(box.width, placement.width);
+      assert.equal(box.height, placement.height);
+    }
+  }
+});
+
+test('placementToPdf turns an upright box with the page', () => {
+  const expected = { 0: 0, 90: 90, 180: 180, 270: 270 };
+
+  for (const rotation of ROTATIONS) {
+    const geometry = getPageGeometry(createPage(rotation));
+    assert.equal(placementToPdf(geometry, { x: 0, y: 0, width: 10, height: 10 }).rotation, expected[rotation]);
+  }
+});
+
+test('boxesOverlap counts touching boxes only when asked to', () => {
+  const box = { x: 10, y: 10, width: 20, height: 20 };
+
+  assert.equal(boxesOverlap(box, { x: 25, y: 25, width: 20, height: 20 }), true);
+  assert.equal(boxesOverlap(box, { x: 40, y: 10, width: 5, height: 5 }), false);
+
+  // Sharing the right edge, then only the bottom-left corner
+  for (const other of [{ x: 30, y: 15, width: 10, height: 5 }, { x: 0, y: 0, width: 10, height: 10 }]) {
+    assert.equal(boxesOverlap(box, other), false);
+    assert.equal(boxesOverlap(box, other, true), true);
+  }
+});
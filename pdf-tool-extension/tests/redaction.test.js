@@ -0,0 +1,133 @@
+/**
+ * Tests that redacted content is gone from the saved file, not just from
+ * the pages, and that the verifier catches it when it is not
+ * Run with: node --test
+ */
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'node:module';
+import { fileURLToPath } from 'node:url';
+
+const require = createRequire(import.meta.url);
+const libs = new URL('../libs/', import.meta.url);
+
+// The extension loads both libraries as globals
+globalThis.PDFLib = require(fileURLToPath(new URL('pdf-lib.min.js', libs)));
+globalThis.window = globalThis;
+
+const SECRET = 'SECRET 4111';
+
+let pdfjsLib;
+let applyRedactions;
+let REDACTION_MODES;
+let verifyRedaction;
+let decodeStream;
+let bytesToLatin1;
+
+before(async () => {
+  pdfjsLib = await import(new URL('pdf.min.mjs', libs));
+  pdfjsLib.GlobalWorkerOptions.workerSrc = new URL('pdf.worker.min.mjs', libs).href;
+  window.pdfjsLib = pdfjsLib;
+
+  ({ applyRedactions, REDACTION_MODES } = await import('../src/redaction.js'));
+  ({ verifyRedaction } = await import('../src/redaction-verifier.js'));
+  ({ decodeStream, bytesToLatin1 } = await import('../src/content-stream.js'));
+});
+
+/**
+ * A 600 x 400 page with the secret as text, a comment on it, and an image
+ * under the same spot. The box below covers all three.
+ */
+async function createSecretDocument() {
+  const { PDFDocument, PDFName, PDFString } = PDFLib;
+  const pdfDoc = await PDFDocument.create();
+  const page = pdfDoc.addPage([600, 400]);
+
+  page.drawText(`${SECRET} stays hidden`, { x: 100, y: 300, size: 14 });
+  page.drawText('Public text', { x: 100, y: 100, size: 14 });
+
+  const pixel = await pdfDoc.embedPng(Uint8Array.from(atob(
+    'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg=='
+  ), char => char.charCodeAt(0)));
+  page.drawImage(pixel, { x: 110, y: 290, width: 20, height: 20 });
+
+  const note = pdfDoc.context.register(pdfDoc.context.obj({
+    Type: 'Annot',
+    Subtype: 'Text',
+    Rect: [120, 295, 140, 315],
+    Contents: PDFString.of(SECRET)
+  }));
+  page.node.set(PDFName.of('Annots'), pdfDoc.context.obj([note]));
+
+  return pdfDoc;
+}
+
+// Box over the secret line, in viewport units from the top-left
+const BOXES = { 0: [{ x: 90, y: 80, width: 200, height: 30 }] };
+
+/**
+ * Every object in the file as text: strings, and decoded streams with their
+ * hex strings read out
+ */
+async function readAllObjects(pdfBytes) {
+  const pdfDoc = await PDFLib.PDFDocument.load(pdfBytes, { updateMetadata: false });
+  const texts = [];
+
+  for (const [, object] of pdfDoc.context.enumerateIndirectObjects()) {
+    texts.push(object.toString());
+    if (object instanceof PDFLib.PDFStream) {
+      const content = bytesToLatin1(decodeStream(object));
+      texts.push(content);
+      for (const [, hex] of content.matchAll(/<([0-9A-Fa-f]+)>/g)) {
+        texts.push(Buffer.from(hex, 'hex').toString('latin1'));
+      }
+    }
+  }
+
+  return texts.join('\n');
+}
+
+test('vector redaction leaves no trace of the redacted content in the saved file', async () => {
+  const pdfDoc = await createSecretDocument();
+  const original = await readAllObjects(await pdfDoc.save());
+  assert.ok(original.includes(SECRET), 'the secret is in the file to begin with');
+
+  const pdfJsDoc = await pdfjsLib.getDocument({ data: await pdfDoc.save() }).promise;
+  const fallbacks = [];
+  await applyRedactions(pdfDoc, pdfJsDoc, BOXES, null, {
+    mode: REDACTION_MODES.VECTOR,
+    onFallback: (pageIndex, reason) => fallbacks.push(reason)
+  });
+  await pdfJsDoc.destroy();
+  assert.deepEqual(fallbacks, []);
+
+  const pdfBytes = await pdfDoc.save();
+  const after = await readAllObjects(pdfBytes);
+  assert.ok(!after.includes(SECRET), 'the secret is gone from every object');
+  assert.ok(after.includes('Public text'), 'text outside the box is kept');
+
+  const page = (await PDFLib.PDFDocument.load(pdfBytes)).getPage(0);
+  const xObjects = page.node.Resources().lookupMaybe(PDFLib.PDFName.of('XObject'), PDFLib.PDFDict);
+  assert.equal(xObjects.keys().length, 0, 'the removed image is no longer a page resource');
+  assert.equal(page.node.Annots().size(), 0, 'the comment is removed');
+
+  const report = await verifyRedaction(pdfBytes, BOXES, [SECRET]);
+  assert.equal(report.checks.find(check => check.id === 'file-objects').status, 'pass');
+});
+
+test('verifyRedaction fails a file that still holds the redacted text in an unused stream', async () => {
+  const pdfDoc = await PDFLib.PDFDocument.create();
+  pdfDoc.addPage([600, 400]);
+
+  // Left behind as a hex string, the way replaced content streams hold text
+  const hex = Buffer.from(SECRET, 'latin1').toString('hex').toUpperCase();
+  pdfDoc.context.register(pdfDoc.context.flateStream(`BT /F1 12 Tf <${hex}> Tj ET`));
+
+  const report = await verifyRedaction(await pdfDoc.save(), {}, [SECRET]);
+  const check = report.checks.find(item => item.id === 'file-objects');
+
+  assert.equal(report.passed, false);
+  assert.equal(check.status, 'fail');
+  assert.match(check.details[0], /contains "SECRET 4111"/);
+});